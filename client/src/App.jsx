@@ -5,6 +5,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { PreferencesProvider } from './contexts/PreferencesContext';
 import { BinNotificationProvider } from './contexts/BinNotificationContext';
+import { WasteCategoryProvider } from './contexts/WasteCategoryContext';
 import ThemeProvider from './contexts/ThemeProvider';
 import Login from './components/Login';
 import ForgotPassword from './components/ForgotPassword';
@@ -22,6 +23,11 @@ const ProfitRewards = lazy(() => import('./components/ProfitRewards'));
 const NotificationTest = lazy(() => import('./components/NotificationTest'));
 const DevPage = lazy(() => import('./components/DevPage'));
 const InventoryManagement = lazy(() => import('./components/InventoryManagement'));
+const DeviceManagement = lazy(() => import('./components/DeviceManagement'));
+const WasteCategoryManagement = lazy(() => import('./components/WasteCategoryManagement'));
+const CouponRules = lazy(() => import('./components/CouponRules'));
+const CouponLedgerAudit = lazy(() => import('./components/CouponLedgerAudit'));
+const AccountManagement = lazy(() => import('./components/AccountManagement'));
 
 // Create query client
 const queryClient = new QueryClient({
@@ -54,6 +60,7 @@ const AppContent = () => {
 
   return (
     <PreferencesProvider>
+      <WasteCategoryProvider>
       <BinNotificationProvider>
         <ThemeProvider>
           <Router>
@@ -160,6 +167,61 @@ const AppContent = () => {
               } 
             />
 
+            <Route 
+              path="/devices" 
+              element={
+                <ProtectedRoute>
+                  <Dashboard user={user} onLogout={logout}>
+                    <DeviceManagement />
+                  </Dashboard>
+                </ProtectedRoute>
+              } 
+            />
+
+            <Route 
+              path="/categories" 
+              element={
+                <ProtectedRoute>
+                  <Dashboard user={user} onLogout={logout}>
+                    <WasteCategoryManagement />
+                  </Dashboard>
+                </ProtectedRoute>
+              } 
+            />
+
+            <Route 
+              path="/coupon-rules" 
+              element={
+                <ProtectedRoute>
+                  <Dashboard user={user} onLogout={logout}>
+                    <CouponRules />
+                  </Dashboard>
+                </ProtectedRoute>
+              } 
+            />
+
+            <Route 
+              path="/coupon-audit" 
+              element={
+                <ProtectedRoute>
+                  <Dashboard user={user} onLogout={logout}>
+                    <CouponLedgerAudit />
+                  </Dashboard>
+                </ProtectedRoute>
+              } 
+            />
+
+            <Route 
+              path="/accounts" 
+              element={
+                <ProtectedRoute>
+                  <Dashboard user={user} onLogout={logout}>
+                    <AccountManagement />
+                  </Dashboard>
+                </ProtectedRoute>
+              } 
+            />
+
             <Route 
               path="/dev" 
               element={
@@ -187,6 +249,7 @@ const AppContent = () => {
         </Router>
       </ThemeProvider>
       </BinNotificationProvider>
+      </WasteCategoryProvider>
     </PreferencesProvider>
   );
 };
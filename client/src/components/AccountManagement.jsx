@@ -0,0 +1,318 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getAccounts, getAccountRoles, createAccount, assignAccountRole, deleteAccount } from '../config/api';
+import { useAuth } from '../contexts/AuthContext';
+import ManageAccountsOutlinedIcon from '@mui/icons-material/ManageAccountsOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+
+const EMPTY_FORM = { username: '', password: '', role: 'staff' };
+
+const ROLE_BADGES = {
+  viewer: 'bg-gray-200 text-gray-700',
+  staff: 'bg-blue-100 text-blue-800',
+  inventory_manager: 'bg-amber-100 text-amber-800',
+  admin: 'bg-emerald-100 text-emerald-800'
+};
+
+const inputClass = 'w-full py-2.5 px-2 border border-gray-300 rounded-md text-sm transition-colors bg-white text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200 disabled:bg-gray-100 disabled:text-gray-500';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+export default function AccountManagement() {
+  const { user, updateUser } = useAuth();
+  const [accounts, setAccounts] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [savingRoleFor, setSavingRoleFor] = useState(null);
+
+  const fetchAccounts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [accountResponse, roleResponse] = await Promise.all([getAccounts(), getAccountRoles()]);
+      setAccounts(accountResponse.accounts || []);
+      setRoles(roleResponse.roles || []);
+      setPermissions(roleResponse.permissions || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch accounts');
+      console.error('Error fetching accounts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  const handleRoleChange = async (account, role) => {
+    setSavingRoleFor(account.id);
+    try {
+      const response = await assignAccountRole(account.id, role);
+      setAccounts((current) => current.map((item) => (item.id === account.id ? response.account : item)));
+      setSuccessMessage(response.message);
+
+      // Your own role changed: refresh what the dashboard shows you
+      if (account.id === user?.id) {
+        const assignedRole = roles.find((item) => item.id === response.account.role);
+        updateUser({ ...user, role: response.account.role, roleName: response.account.roleName, permissions: assignedRole?.permissions || [] });
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to assign role');
+    } finally {
+      setSavingRoleFor(null);
+    }
+  };
+
+  const handleAddAccount = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await createAccount(formData);
+      setShowAddModal(false);
+      setFormData(EMPTY_FORM);
+      setSuccessMessage(`${response.account.username} added as ${response.account.roleName}`);
+      fetchAccounts();
+    } catch (err) {
+      setError(err.message || 'Failed to create account');
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!pendingDelete) return;
+    const account = pendingDelete;
+    setPendingDelete(null);
+
+    try {
+      await deleteAccount(account.id);
+      setSuccessMessage(`${account.username} deleted`);
+      fetchAccounts();
+    } catch (err) {
+      setError(err.message || 'Failed to delete account');
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Accounts & Roles</h1>
+          <p className="text-sm text-gray-600 mt-1">Who can sign in, and what each person's role lets them do</p>
+        </div>
+        <button
+          className="w-full sm:w-auto px-5 py-2.5 border-none rounded-lg text-sm font-semibold cursor-pointer bg-green-600 text-white whitespace-nowrap transition-all hover:bg-green-700 hover:shadow-lg shadow-green-600/20"
+          onClick={() => setShowAddModal(true)}
+        >
+          + Add Account
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {error}
+          <button onClick={() => setError(null)} className="bg-transparent border-none text-red-800 text-xl cursor-pointer px-2 hover:text-red-600">×</button>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {successMessage}
+          <button onClick={() => setSuccessMessage(null)} className="bg-transparent border-none text-green-800 text-xl cursor-pointer px-2 hover:text-green-600">×</button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center text-gray-500 shadow-sm">Loading accounts...</div>
+      ) : accounts.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center shadow-sm">
+          <ManageAccountsOutlinedIcon className="text-gray-400" style={{ fontSize: 48 }} />
+          <p className="text-gray-600 mt-3">No accounts yet.</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-x-auto mb-5">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-600 uppercase tracking-wide">
+              <tr>
+                <th className="px-4 py-3 text-left font-semibold">Username</th>
+                <th className="px-4 py-3 text-left font-semibold">Email</th>
+                <th className="px-4 py-3 text-left font-semibold">Created</th>
+                <th className="px-4 py-3 text-left font-semibold">Role</th>
+                <th className="px-4 py-3 text-right font-semibold">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {accounts.map((account) => (
+                <tr key={account.id}>
+                  <td className="px-4 py-3 font-medium text-gray-900">
+                    {account.username}
+                    {account.id === user?.id && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{account.email || '—'}</td>
+                  <td className="px-4 py-3 text-gray-700">{formatDate(account.createdAt)}</td>
+                  <td className="px-4 py-3">
+                    <div className="flex items-center gap-2">
+                      <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold ${ROLE_BADGES[account.role] || 'bg-gray-200 text-gray-700'}`}>
+                        {account.roleName}
+                      </span>
+                      <select
+                        value={account.role}
+                        onChange={(e) => handleRoleChange(account, e.target.value)}
+                        disabled={savingRoleFor === account.id}
+                        className="py-1.5 px-2 border border-gray-300 rounded-md text-xs bg-white text-gray-700 focus:outline-none focus:border-blue-500"
+                        aria-label={`Role of ${account.username}`}
+                      >
+                        {roles.map((role) => (
+                          <option key={role.id} value={role.id}>{role.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-end">
+                      <button
+                        onClick={() => setPendingDelete(account)}
+                        disabled={account.id === user?.id}
+                        className="inline-flex items-center gap-1 px-3 py-1.5 border border-transparent rounded-md text-xs font-medium bg-transparent text-gray-500 hover:text-red-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                        title={account.id === user?.id ? 'You cannot delete your own account' : 'Delete account'}
+                      >
+                        <DeleteOutlineIcon fontSize="inherit" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* What each role allows */}
+      {roles.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-x-auto">
+          <div className="px-5 pt-5 pb-3">
+            <div className="text-xs font-semibold text-gray-600 uppercase tracking-wide">Role permissions</div>
+          </div>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-600 uppercase tracking-wide">
+              <tr>
+                <th className="px-4 py-3 text-left font-semibold">Permission</th>
+                {roles.map((role) => (
+                  <th key={role.id} className="px-4 py-3 text-center font-semibold" title={role.description}>{role.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {permissions.map((permission) => (
+                <tr key={permission.id}>
+                  <td className="px-4 py-2.5">
+                    <div className="text-gray-900">{permission.description}</div>
+                    <div className="font-mono text-xs text-gray-500">{permission.id}</div>
+                  </td>
+                  {roles.map((role) => (
+                    <td key={role.id} className="px-4 py-2.5 text-center">
+                      {role.permissions.includes(permission.id)
+                        ? <span className="text-emerald-600 font-semibold">✓</span>
+                        : <span className="text-gray-300">—</span>}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add Account Modal */}
+      {showAddModal && (
+        <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={() => setShowAddModal(false)}>
+          <div className="bg-white rounded-xl p-7 max-w-[500px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <h3 className="m-0 mb-5 text-2xl text-gray-900">Add Account</h3>
+            <form onSubmit={handleAddAccount}>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Username *</label>
+                <input
+                  type="text"
+                  value={formData.username}
+                  onChange={(e) => setFormData({ ...formData, username: e.target.value })}
+                  minLength={3}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Password *</label>
+                <input
+                  type="password"
+                  value={formData.password}
+                  onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                  minLength={6}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Role *</label>
+                <select
+                  value={formData.role}
+                  onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+                  className={inputClass}
+                >
+                  {roles.map((role) => (
+                    <option key={role.id} value={role.id}>{role.name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1.5">{roles.find((role) => role.id === formData.role)?.description}</p>
+              </div>
+              <div className="flex gap-3 justify-end">
+                <button
+                  type="button"
+                  className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                  onClick={() => setShowAddModal(false)}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700"
+                >
+                  Add
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Confirm Delete Modal */}
+      {pendingDelete && (
+        <div className="fixed inset-0 flex items-center justify-center z-50" style={{ backgroundColor: 'rgba(0, 0, 0, 0.5)' }}>
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl">
+            <h3 className="text-lg font-semibold mb-4 text-gray-900">Delete Account</h3>
+            <p className="text-gray-700 mb-6">
+              <span className="font-semibold">{pendingDelete.username}</span> will no longer be able to sign in. This action cannot be undone.
+            </p>
+            <div className="flex gap-3 justify-end">
+              <button
+                className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                onClick={() => setPendingDelete(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all text-white bg-red-600 hover:bg-red-700"
+                onClick={confirmDelete}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -28,7 +28,9 @@ const Analytics = () => {
           page: currentPage.toString()
         });
         
-        const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`);
+        const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
         
         if (!response.ok) {
           throw new Error(`Failed to fetch data: ${response.status}`);
@@ -17,9 +17,15 @@ import TrendingUpOutlinedIcon from '@mui/icons-material/TrendingUpOutlined';
 import CalendarMonthOutlinedIcon from '@mui/icons-material/CalendarMonthOutlined';
 import InsightsOutlinedIcon from '@mui/icons-material/InsightsOutlined';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { API_ENDPOINTS } from '../config/api';
+import { API_ENDPOINTS, getDevices, getNotificationStreamUrl } from '../config/api';
 import ExportModal from './ExportModal';
+import DeviceStatusPanel from './DeviceStatusPanel';
+import BinLevelPanel from './BinLevelPanel';
+import BinCollectionPanel from './BinCollectionPanel';
+import BinForecastPanel from './BinForecastPanel';
+import { useWasteCategories } from '../contexts/useWasteCategories';
 import { getLocalDateKey, parseLocalDate, startOfLocalDay, endOfLocalDay } from '../utils/date';
+import { getWeightGrams, addWeights, formatKg } from '../utils/weight';
 
 // Skeleton loading component
 const ChartSkeleton = memo(() => (
@@ -41,8 +47,18 @@ const MetricSkeleton = memo(() => (
 
 MetricSkeleton.displayName = 'MetricSkeleton';
 
+const CATEGORY_ICONS = {
+  recyclable: RecyclingOutlinedIcon,
+  biodegradable: SpaOutlinedIcon,
+};
+
+const getQuantity = (record, key) => record.quantities?.[key] || 0;
+
+// "#16a34a" -> [22, 163, 74], for jsPDF table headers
+const hexToRgb = (hex) => [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+
 // Fetch functions for React Query
-const fetchAllWasteData = async () => {
+const fetchAllWasteData = async (deviceId) => {
   let allData = [];
   let currentPage = 1;
   let hasMoreData = true;
@@ -52,8 +68,11 @@ const fetchAllWasteData = async () => {
       pageSize: '100',
       page: currentPage.toString()
     });
+    if (deviceId !== 'all') params.append('deviceId', deviceId);
     
-    const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`);
+    const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`, {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+    });
     
     if (!response.ok) {
       throw new Error(`Failed to fetch data: ${response.status}`);
@@ -73,7 +92,7 @@ const fetchAllWasteData = async () => {
   return allData;
 };
 
-const fetchAllBinData = async () => {
+const fetchAllBinData = async (deviceId) => {
   let allRecords = [];
   let page = 1;
   let hasMore = true;
@@ -85,8 +104,11 @@ const fetchAllBinData = async () => {
       sortBy: 'fullAt', 
       sortOrder: 'asc' 
     });
+    if (deviceId !== 'all') params.append('deviceId', deviceId);
     
-    const res = await fetch(`${API_ENDPOINTS.BIN_RECORDS}?${params.toString()}`);
+    const res = await fetch(`${API_ENDPOINTS.BIN_RECORDS}?${params.toString()}`, {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+    });
     if (!res.ok) throw new Error(`Failed to fetch bin records: ${res.status}`);
     
     const json = await res.json();
@@ -110,12 +132,15 @@ const AnalyticsDashboard = () => {
   const [exporting, setExporting] = useState(false);
   const [toast, setToast] = useState(null);
   const [showExportModal, setShowExportModal] = useState(false);
+  const [deviceId, setDeviceId] = useState('all');
   const exportModulesRef = useRef(null);
-  const [selectedTypes, setSelectedTypes] = useState({
-    RECYCLABLE: true,
-    WET: true,
-    DRY: true
-  });
+  const { allCategories: categories } = useWasteCategories();
+  // Category keys hidden by the waste type filter
+  const [excludedTypes, setExcludedTypes] = useState([]);
+  const selectedCategories = useMemo(
+    () => categories.filter((category) => !excludedTypes.includes(category.key)),
+    [categories, excludedTypes]
+  );
 
   const loadExportModules = useCallback(async () => {
     if (exportModulesRef.current) {
@@ -140,27 +165,34 @@ const AnalyticsDashboard = () => {
 
   // Use React Query for data fetching with caching
   const { data: wasteData = [], isLoading: wasteLoading, error: wasteError, refetch: refetchWaste } = useQuery({
-    queryKey: ['wasteData'],
-    queryFn: fetchAllWasteData,
+    queryKey: ['wasteData', deviceId],
+    queryFn: () => fetchAllWasteData(deviceId),
     staleTime: 5 * 60 * 1000, // 5 minutes
     cacheTime: 10 * 60 * 1000, // 10 minutes
     refetchOnWindowFocus: false,
   });
 
   const { data: binData = [], isLoading: binLoading, error: binError, refetch: refetchBin } = useQuery({
-    queryKey: ['binData'],
-    queryFn: fetchAllBinData,
+    queryKey: ['binData', deviceId],
+    queryFn: () => fetchAllBinData(deviceId),
     staleTime: 5 * 60 * 1000,
     cacheTime: 10 * 60 * 1000,
     refetchOnWindowFocus: false,
   });
 
+  const { data: devices = [] } = useQuery({
+    queryKey: ['devices'],
+    queryFn: async () => (await getDevices()).data || [],
+    staleTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+
   const loading = wasteLoading || binLoading;
   const error = wasteError || binError;
 
   // Real-time updates via SSE
   useEffect(() => {
-    const eventSource = new EventSource(API_ENDPOINTS.BIN_NOTIFICATIONS_STREAM);
+    const eventSource = new EventSource(getNotificationStreamUrl());
     
     eventSource.onmessage = (event) => {
       try {
@@ -230,15 +262,17 @@ const AnalyticsDashboard = () => {
       if (!grouped[dateKey]) {
         grouped[dateKey] = {
           date: dateObj,
-          recyclable: 0,
-          biodegradable: 0,
-          nonBiodegradable: 0,
+          quantities: {},
+          weights: {},
         };
       }
 
-      grouped[dateKey].recyclable += record.recyclable || 0;
-      grouped[dateKey].biodegradable += record.biodegradable || 0;
-      grouped[dateKey].nonBiodegradable += record.nonBiodegradable || 0;
+      Object.entries(record.quantities || {}).forEach(([key, quantity]) => {
+        grouped[dateKey].quantities[key] = (grouped[dateKey].quantities[key] || 0) + quantity;
+      });
+      Object.entries(record.weights || {}).forEach(([key, grams]) => {
+        grouped[dateKey].weights[key] = (grouped[dateKey].weights[key] || 0) + grams;
+      });
     });
 
     return Object.values(grouped).sort((a, b) => new Date(b.date) - new Date(a.date));
@@ -246,8 +280,8 @@ const AnalyticsDashboard = () => {
 
   // Export to Excel function with separate sheets per waste type
   const exportToExcel = useCallback(async (dateFilters = {}, typesToExport = null) => {
-    // Use passed types or fall back to current state
-    const types = typesToExport || selectedTypes;
+    // Use passed categories or fall back to the current filter
+    const types = typesToExport || selectedCategories;
     setExporting(true);
     try {
       const { XLSX } = await loadExportModules();
@@ -260,6 +294,7 @@ const AnalyticsDashboard = () => {
           pageSize: '100',
           page: currentPage.toString()
         });
+        if (deviceId !== 'all') params.append('deviceId', deviceId);
         
         // Add date filters if custom range is selected
         if (dateFilters.dateRange === 'custom') {
@@ -267,7 +302,9 @@ const AnalyticsDashboard = () => {
           if (dateFilters.customDateTo) params.append('dateTo', dateFilters.customDateTo);
         }
         
-        const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`);
+        const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
         
         if (!response.ok) {
           throw new Error(`Failed to fetch data: ${response.status}`);
@@ -324,51 +361,30 @@ const AnalyticsDashboard = () => {
       // Create workbook
       const wb = XLSX.utils.book_new();
       
-      // Create sheet for each waste type if selected
-      if (types.RECYCLABLE) {
-        const recyclableData = summarizedData.map(record => ({
-          'Date': record.date.toLocaleDateString(),
-          'Recyclable Wastes (pcs)': record.recyclable || 0,
-          'Total': record.recyclable || 0
-        }));
-        const ws = XLSX.utils.json_to_sheet(recyclableData);
-        XLSX.utils.book_append_sheet(wb, ws, 'Recyclable Wastes');
-      }
-      
-      if (types.WET) {
-        const wetData = summarizedData.map(record => ({
-          'Date': record.date.toLocaleDateString(),
-          'Wet Wastes (pcs)': record.biodegradable || 0,
-          'Total': record.biodegradable || 0
-        }));
-        const ws = XLSX.utils.json_to_sheet(wetData);
-        XLSX.utils.book_append_sheet(wb, ws, 'Wet Wastes');
-      }
-      
-      if (types.DRY) {
-        const dryData = summarizedData.map(record => ({
+      // Create sheet for each selected waste category (sheet names are limited to 31 characters)
+      types.forEach((category) => {
+        const categoryData = summarizedData.map(record => ({
           'Date': record.date.toLocaleDateString(),
-          'Dry Wastes (pcs)': record.nonBiodegradable || 0,
-          'Total': record.nonBiodegradable || 0
+          [`${category.name} (pcs)`]: getQuantity(record, category.key),
+          [`${category.name} (kg)`]: formatKg(getWeightGrams(record, category.key)),
+          'Total': getQuantity(record, category.key)
         }));
-        const ws = XLSX.utils.json_to_sheet(dryData);
-        XLSX.utils.book_append_sheet(wb, ws, 'Dry Wastes');
-      }
+        const ws = XLSX.utils.json_to_sheet(categoryData);
+        XLSX.utils.book_append_sheet(wb, ws, category.name.slice(0, 31));
+      });
       
       // Add summary sheet with only selected types
       const summaryData = summarizedData.map(record => {
         const row = {
           'Date': record.date.toLocaleDateString()
         };
-        if (types.RECYCLABLE) row['Recyclable (pcs)'] = record.recyclable || 0;
-        if (types.WET) row['Wet (pcs)'] = record.biodegradable || 0;
-        if (types.DRY) row['Dry (pcs)'] = record.nonBiodegradable || 0;
+        types.forEach((category) => {
+          row[`${category.name} (pcs)`] = getQuantity(record, category.key);
+        });
         
         // Calculate total from selected types only
-        row['Total (pcs)'] = 
-          (types.RECYCLABLE ? (record.recyclable || 0) : 0) +
-          (types.WET ? (record.biodegradable || 0) : 0) +
-          (types.DRY ? (record.nonBiodegradable || 0) : 0);
+        row['Total (pcs)'] = types.reduce((sum, category) => sum + getQuantity(record, category.key), 0);
+        row['Weight (kg)'] = formatKg(types.reduce((sum, category) => addWeights(sum, getWeightGrams(record, category.key)), null));
         
         return row;
       });
@@ -394,12 +410,12 @@ const AnalyticsDashboard = () => {
     } finally {
       setExporting(false);
     }
-  }, [selectedTypes, aggregateWasteByDay, loadExportModules]);
+  }, [selectedCategories, deviceId, aggregateWasteByDay, loadExportModules]);
 
   // PDF Export function
   const exportToPDF = useCallback(async (dateFilters = {}, typesToExport = null) => {
-    // Use passed types or fall back to current state
-    const types = typesToExport || selectedTypes;
+    // Use passed categories or fall back to the current filter
+    const types = typesToExport || selectedCategories;
     setExporting(true);
     try {
       const { jsPDF, autoTable } = await loadExportModules();
@@ -412,6 +428,7 @@ const AnalyticsDashboard = () => {
           pageSize: '100',
           page: currentPage.toString()
         });
+        if (deviceId !== 'all') params.append('deviceId', deviceId);
         
         // Add date filters if custom range is selected
         if (dateFilters.dateRange === 'custom') {
@@ -419,7 +436,9 @@ const AnalyticsDashboard = () => {
           if (dateFilters.customDateTo) params.append('dateTo', dateFilters.customDateTo);
         }
         
-        const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`);
+        const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`, {
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
         
         if (!response.ok) {
           throw new Error(`Failed to fetch data: ${response.status}`);
@@ -485,75 +504,30 @@ const AnalyticsDashboard = () => {
       
       let startY = 35;
       
-      // Create tables for each selected waste type
-      if (types.RECYCLABLE) {
-        const recyclableData = summarizedData.filter(r => (r.recyclable || 0) > 0).map(record => [
+      // Create tables for each selected waste category
+      types.forEach((category) => {
+        const categoryData = summarizedData.filter(r => getQuantity(r, category.key) > 0).map(record => [
           record.date.toLocaleDateString(),
-          (record.recyclable || 0).toFixed(2)
+          getQuantity(record, category.key).toFixed(2),
+          formatKg(getWeightGrams(record, category.key))
         ]);
         
-        if (recyclableData.length > 0) {
+        if (categoryData.length > 0) {
           doc.setFontSize(12);
           doc.setFont(undefined, 'bold');
-          doc.text('Recyclable Wastes', 14, startY);
+          doc.text(category.name, 14, startY);
           
           autoTable(doc, {
-            head: [['Date', 'Count (pcs)']],
-            body: recyclableData,
+            head: [['Date', 'Count (pcs)', 'Weight (kg)']],
+            body: categoryData,
             startY: startY + 5,
-            headStyles: { fillColor: [34, 197, 94] },
+            headStyles: { fillColor: hexToRgb(category.color) },
             margin: { top: 10 }
           });
 
           startY = doc.lastAutoTable.finalY + 10;
         }
-      }
-      
-      if (types.WET) {
-        const wetData = summarizedData.filter(r => (r.biodegradable || 0) > 0).map(record => [
-          record.date.toLocaleDateString(),
-          (record.biodegradable || 0).toFixed(2)
-        ]);
-        
-        if (wetData.length > 0) {
-          doc.setFontSize(12);
-          doc.setFont(undefined, 'bold');
-          doc.text('Wet Wastes', 14, startY);
-          
-          autoTable(doc, {
-            head: [['Date', 'Count (pcs)']],
-            body: wetData,
-            startY: startY + 5,
-            headStyles: { fillColor: [132, 204, 22] },
-            margin: { top: 10 }
-          });
-
-          startY = doc.lastAutoTable.finalY + 10;
-        }
-      }
-      
-      if (types.DRY) {
-        const dryData = summarizedData.filter(r => (r.nonBiodegradable || 0) > 0).map(record => [
-          record.date.toLocaleDateString(),
-          (record.nonBiodegradable || 0).toFixed(2)
-        ]);
-        
-        if (dryData.length > 0) {
-          doc.setFontSize(12);
-          doc.setFont(undefined, 'bold');
-          doc.text('Dry Wastes', 14, startY);
-          
-          autoTable(doc, {
-            head: [['Date', 'Count (pcs)']],
-            body: dryData,
-            startY: startY + 5,
-            headStyles: { fillColor: [249, 115, 22] },
-            margin: { top: 10 }
-          });
-
-          startY = doc.lastAutoTable.finalY + 10;
-        }
-      }
+      });
       
       doc.save(`waste_analytics_${new Date().toISOString().split('T')[0]}.pdf`);
       
@@ -573,18 +547,14 @@ const AnalyticsDashboard = () => {
     } finally {
       setExporting(false);
     }
-  }, [selectedTypes, aggregateWasteByDay, loadExportModules]);
+  }, [selectedCategories, deviceId, aggregateWasteByDay, loadExportModules]);
 
   // Unified export handler
   const handleExport = useCallback(async (options) => {
     const { format, includeTypes, dateRange, customDateFrom, customDateTo } = options;
     
-    // Map modal types to internal format - handle false values correctly
-    const typesToExport = {
-      RECYCLABLE: includeTypes?.recyclable !== undefined ? includeTypes.recyclable : true,
-      WET: includeTypes?.wet !== undefined ? includeTypes.wet : true,
-      DRY: includeTypes?.dry !== undefined ? includeTypes.dry : true
-    };
+    // Categories left unchecked in the modal are false; missing ones default to included
+    const typesToExport = categories.filter((category) => includeTypes?.[category.key] !== false);
     
     // Store date filters for export functions
     const dateFilters = { dateRange, customDateFrom, customDateTo };
@@ -598,21 +568,29 @@ const AnalyticsDashboard = () => {
       // CSV export can use same logic as Excel but simpler
       await exportToExcel(dateFilters, typesToExport);
     }
-  }, [exportToExcel, exportToPDF]);
+  }, [categories, exportToExcel, exportToPDF]);
 
   // Helper functions for data processing
+  const addQuantities = (target, record) => {
+    Object.entries(record.quantities).forEach(([key, quantity]) => {
+      target.quantities[key] = (target.quantities[key] || 0) + quantity;
+    });
+    Object.entries(record.weights).forEach(([key, grams]) => {
+      target.weights[key] = (target.weights[key] || 0) + grams;
+    });
+    target.total += record.total;
+    target.weightGrams = addWeights(target.weightGrams, record.weightGrams);
+  };
+
   const generateDailyTrends = (data) => {
     const dailyMap = {};
     
     data.forEach(record => {
       const dateKey = getLocalDateKey(record.date);
       if (!dailyMap[dateKey]) {
-        dailyMap[dateKey] = { date: dateKey, recyclable: 0, biodegradable: 0, nonBiodegradable: 0, total: 0 };
+        dailyMap[dateKey] = { date: dateKey, quantities: {}, weights: {}, total: 0, weightGrams: null };
       }
-      dailyMap[dateKey].recyclable += record.recyclable || 0;
-      dailyMap[dateKey].biodegradable += record.biodegradable || 0;
-      dailyMap[dateKey].nonBiodegradable += record.nonBiodegradable || 0;
-      dailyMap[dateKey].total += (record.recyclable || 0) + (record.biodegradable || 0) + (record.nonBiodegradable || 0);
+      addQuantities(dailyMap[dateKey], record);
     });
 
     return Object.values(dailyMap)
@@ -630,17 +608,14 @@ const AnalyticsDashboard = () => {
       if (!monthlyMap[monthKey]) {
         monthlyMap[monthKey] = { 
           month: monthKey, 
-          recyclable: 0, 
-          biodegradable: 0, 
-          nonBiodegradable: 0, 
-          total: 0 
+          quantities: {}, 
+          weights: {}, 
+          total: 0, 
+          weightGrams: null 
         };
       }
       
-      monthlyMap[monthKey].recyclable += record.recyclable || 0;
-      monthlyMap[monthKey].biodegradable += record.biodegradable || 0;
-      monthlyMap[monthKey].nonBiodegradable += record.nonBiodegradable || 0;
-      monthlyMap[monthKey].total += (record.recyclable || 0) + (record.biodegradable || 0) + (record.nonBiodegradable || 0);
+      addQuantities(monthlyMap[monthKey], record);
     });
 
     return Object.values(monthlyMap).sort((a, b) => a.month.localeCompare(b.month));
@@ -649,11 +624,7 @@ const AnalyticsDashboard = () => {
   const findPeakDay = (data) => {
     if (!data.length) return null;
     
-    return data.reduce((peak, current) => {
-      const currentTotal = (current.recyclable || 0) + (current.biodegradable || 0) + (current.nonBiodegradable || 0);
-      const peakTotal = (peak.recyclable || 0) + (peak.biodegradable || 0) + (peak.nonBiodegradable || 0);
-      return currentTotal > peakTotal ? current : peak;
-    });
+    return data.reduce((peak, current) => (current.total || 0) > (peak.total || 0) ? current : peak);
   };
 
   const formatDate = (dateString) => {
@@ -727,29 +698,43 @@ const AnalyticsDashboard = () => {
     }
     
     // Filter by selected waste types
-    filteredData = filteredData.map(record => ({
-      ...record,
-      recyclable: selectedTypes.RECYCLABLE ? (record.recyclable || 0) : 0,
-      biodegradable: selectedTypes.WET ? (record.biodegradable || 0) : 0,
-      nonBiodegradable: selectedTypes.DRY ? (record.nonBiodegradable || 0) : 0
-    }));
+    filteredData = filteredData.map(record => {
+      const quantities = Object.fromEntries(
+        selectedCategories.map((category) => [category.key, getQuantity(record, category.key)])
+      );
+      const weights = Object.fromEntries(
+        selectedCategories
+          .filter((category) => getWeightGrams(record, category.key) !== null)
+          .map((category) => [category.key, getWeightGrams(record, category.key)])
+      );
+      return {
+        ...record,
+        quantities,
+        weights,
+        total: Object.values(quantities).reduce((sum, quantity) => sum + quantity, 0),
+        weightGrams: Object.values(weights).reduce((sum, grams) => addWeights(sum, grams), null)
+      };
+    });
 
     const totals = filteredData.reduce((acc, record) => {
-      acc.recyclable += record.recyclable || 0;
-      acc.biodegradable += record.biodegradable || 0;
-      acc.nonBiodegradable += record.nonBiodegradable || 0;
-      acc.total += (record.recyclable || 0) + (record.biodegradable || 0) + (record.nonBiodegradable || 0);
+      addQuantities(acc, record);
       return acc;
-    }, { recyclable: 0, biodegradable: 0, nonBiodegradable: 0, total: 0 });
+    }, {
+      quantities: Object.fromEntries(selectedCategories.map((category) => [category.key, 0])),
+      weights: {},
+      total: 0,
+      weightGrams: null
+    });
 
     const dailyTrends = filteredData.length > 0 ? generateDailyTrends(filteredData) || [] : [];
     const monthlyData = filteredData.length > 0 ? generateMonthlyData(filteredData) || [] : [];
     
-    const percentages = {
-      recyclable: totals.total > 0 ? (totals.recyclable / totals.total * 100).toFixed(1) : 0,
-      biodegradable: totals.total > 0 ? (totals.biodegradable / totals.total * 100).toFixed(1) : 0,
-      nonBiodegradable: totals.total > 0 ? (totals.nonBiodegradable / totals.total * 100).toFixed(1) : 0
-    };
+    const percentages = Object.fromEntries(
+      Object.entries(totals.quantities).map(([key, quantity]) => [
+        key,
+        totals.total > 0 ? (quantity / totals.total * 100).toFixed(1) : 0
+      ])
+    );
 
     // Simple trend - just show 0 for now
     const trend = 0;
@@ -762,11 +747,10 @@ const AnalyticsDashboard = () => {
     const mostActiveMonth = monthlyData.length > 0
       ? monthlyData.reduce((max, month) => (month.total || 0) > (max.total || 0) ? month : max)
       : null;
-    const wasteCategories = [
-      { label: 'Recyclable', value: totals.recyclable },
-      { label: 'Wet Wastes', value: totals.biodegradable },
-      { label: 'Dry Wastes', value: totals.nonBiodegradable }
-    ];
+    const wasteCategories = selectedCategories.map((category) => ({
+      label: category.name,
+      value: totals.quantities[category.key]
+    }));
     const mostCommonWaste = totals.total > 0
       ? wasteCategories.reduce((max, category) => category.value > max.value ? category : max, wasteCategories[0])
       : null;
@@ -789,7 +773,7 @@ const AnalyticsDashboard = () => {
       mostCommonWaste,
       leastCommonWaste
     };
-  }, [wasteData, timeframe, dateFrom, dateTo, selectedTypes, getDateRange]);
+  }, [wasteData, timeframe, dateFrom, dateTo, selectedCategories, getDateRange]);
 
   const hasAnalyticsRecords = analyticsData.recordCount > 0;
 
@@ -809,26 +793,20 @@ const AnalyticsDashboard = () => {
       });
     }
     
-    // Filter by selected waste types
-    if (!selectedTypes.RECYCLABLE) {
-      filteredBinData = filteredBinData.filter(r => r.binType !== 'RECYCLABLE');
-    }
-    if (!selectedTypes.WET) {
-      filteredBinData = filteredBinData.filter(r => r.binType !== 'WET');
-    }
-    if (!selectedTypes.DRY) {
-      filteredBinData = filteredBinData.filter(r => r.binType !== 'DRY');
-    }
+    // Filter by selected waste types - keep bins that hold at least one selected category
+    const selectedBinTypes = new Set(selectedCategories.map((category) => category.binType));
+    filteredBinData = filteredBinData.filter(r => selectedBinTypes.has(r.binType));
+    
+    const byType = {};
+    filteredBinData.forEach((r) => {
+      byType[r.binType] = (byType[r.binType] || 0) + 1;
+    });
     
     return {
       total: filteredBinData.length,
-      byType: {
-        RECYCLABLE: filteredBinData.filter(r => r.binType === 'RECYCLABLE').length,
-        WET: filteredBinData.filter(r => r.binType === 'WET').length,
-        DRY: filteredBinData.filter(r => r.binType === 'DRY').length,
-      }
+      byType
     };
-  }, [binData, timeframe, dateFrom, dateTo, selectedTypes, getDateRange]);
+  }, [binData, timeframe, dateFrom, dateTo, selectedCategories, getDateRange]);
 
   // Fixed to light theme per PRD
   const themeClass = 'light-theme';
@@ -989,49 +967,52 @@ const AnalyticsDashboard = () => {
               </LocalizationProvider>
             )}
             
+            {/* Device Filter */}
+            {devices.length > 1 && (
+              <div>
+                <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-2">Machine</label>
+                <select
+                  value={deviceId}
+                  onChange={(e) => setDeviceId(e.target.value)}
+                  className="w-full sm:w-auto px-3 py-2 border border-gray-300 rounded-lg text-xs sm:text-sm bg-white focus:outline-none focus:ring-2 focus:ring-gray-900"
+                >
+                  <option value="all">All Machines</option>
+                  {devices.map((device) => (
+                    <option key={device.id} value={String(device.id)}>
+                      {device.name}{device.location ? ` (${device.location})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Waste Type Filters */}
             <div>
               <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-2">Waste Types</label>
               <div className="grid grid-cols-3 sm:flex sm:flex-wrap gap-2">
-                <button 
-                  className={`w-full sm:w-auto px-2 py-2 sm:px-4 sm:py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors ${
-                    selectedTypes.RECYCLABLE 
-                      ? 'bg-emerald-600 text-white' 
-                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                  }`}
-                  onClick={() => setSelectedTypes(prev => ({ ...prev, RECYCLABLE: !prev.RECYCLABLE }))}
-                >
-                  <span className="flex flex-col sm:flex-row items-center justify-center gap-1 sm:gap-1.5">
-                    <RecyclingOutlinedIcon fontSize="small" /> 
-                    <span>Recyclable</span>
-                  </span>
-                </button>
-                <button 
-                  className={`w-full sm:w-auto px-2 py-2 sm:px-4 sm:py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors ${
-                    selectedTypes.WET 
-                      ? 'bg-amber-600 text-white' 
-                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                  }`}
-                  onClick={() => setSelectedTypes(prev => ({ ...prev, WET: !prev.WET }))}
-                >
-                  <span className="flex flex-col sm:flex-row items-center justify-center gap-1 sm:gap-1.5">
-                    <SpaOutlinedIcon fontSize="small" /> 
-                    <span>Wet</span>
-                  </span>
-                </button>
-                <button 
-                  className={`w-full sm:w-auto px-2 py-2 sm:px-4 sm:py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors ${
-                    selectedTypes.DRY 
-                      ? 'bg-slate-600 text-white' 
-                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                  }`}
-                  onClick={() => setSelectedTypes(prev => ({ ...prev, DRY: !prev.DRY }))}
-                >
-                  <span className="flex flex-col sm:flex-row items-center justify-center gap-1 sm:gap-1.5">
-                    <DeleteOutlineOutlinedIcon fontSize="small" /> 
-                    <span>Dry</span>
-                  </span>
-                </button>
+                {categories.map((category) => {
+                  const Icon = CATEGORY_ICONS[category.key] || DeleteOutlineOutlinedIcon;
+                  const isSelected = !excludedTypes.includes(category.key);
+                  return (
+                    <button 
+                      key={category.key}
+                      className={`w-full sm:w-auto px-2 py-2 sm:px-4 sm:py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors ${
+                        isSelected 
+                          ? 'text-white' 
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                      style={isSelected ? { backgroundColor: category.color } : undefined}
+                      onClick={() => setExcludedTypes(prev => (
+                        prev.includes(category.key) ? prev.filter(key => key !== category.key) : [...prev, category.key]
+                      ))}
+                    >
+                      <span className="flex flex-col sm:flex-row items-center justify-center gap-1 sm:gap-1.5">
+                        <Icon fontSize="small" /> 
+                        <span>{category.name}</span>
+                      </span>
+                    </button>
+                  );
+                })}
               </div>
             </div>
           </div>
@@ -1045,6 +1026,18 @@ const AnalyticsDashboard = () => {
           title="Export Waste Data"
         />
 
+        {/* Machine Status */}
+        <DeviceStatusPanel />
+
+        {/* Bin Fill Levels */}
+        <BinLevelPanel deviceId={deviceId} />
+
+        {/* Bin Collection */}
+        <BinCollectionPanel deviceId={deviceId} />
+
+        {/* Pickup Forecast */}
+        <BinForecastPanel deviceId={deviceId} />
+
         {/* Metrics */}
         {analyticsData && (
           <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 mb-4 sm:mb-6">
@@ -1063,60 +1056,41 @@ const AnalyticsDashboard = () => {
                   {analyticsData.totals.total.toLocaleString()}
                 </div>
                 <div className="text-[11px] sm:text-sm font-medium text-gray-700 mb-0.5 sm:mb-1 leading-tight">Total Collected</div>
-                <div className="text-[9px] sm:text-xs text-gray-500">Avg {analyticsData.averageDaily}/day</div>
-              </div>
-            </div>
-
-            {/* Recyclable */}
-            <div className="bg-white rounded-lg border border-gray-200 p-3 sm:p-5 flex flex-col justify-between">
-              <div className="flex justify-between items-start mb-2 sm:mb-3">
-                <span className="text-xl sm:text-2xl text-emerald-500"><RecyclingOutlinedIcon fontSize="inherit" /></span>
-                <span className="text-[10px] sm:text-xs font-medium px-1.5 py-0.5 sm:px-2 sm:py-1 rounded bg-emerald-100 text-emerald-700">
-                  {analyticsData.percentages.recyclable}%
-                </span>
-              </div>
-              <div>
-                <div className="text-xl sm:text-3xl font-bold text-gray-900 mb-0.5 sm:mb-1">
-                  {analyticsData.totals.recyclable.toLocaleString()}
-                </div>
-                <div className="text-[11px] sm:text-sm font-medium text-gray-700 mb-0.5 sm:mb-1 leading-tight">Recyclable</div>
-                <div className="text-[9px] sm:text-xs text-gray-500">Most sustainable</div>
-              </div>
-            </div>
-
-            {/* Wet Waste */}
-            <div className="bg-white rounded-lg border border-gray-200 p-3 sm:p-5 flex flex-col justify-between">
-              <div className="flex justify-between items-start mb-2 sm:mb-3">
-                <span className="text-xl sm:text-2xl text-amber-500"><SpaOutlinedIcon fontSize="inherit" /></span>
-                <span className="text-[10px] sm:text-xs font-medium px-1.5 py-0.5 sm:px-2 sm:py-1 rounded bg-amber-100 text-amber-700">
-                  {analyticsData.percentages.biodegradable}%
-                </span>
-              </div>
-              <div>
-                <div className="text-xl sm:text-3xl font-bold text-gray-900 mb-0.5 sm:mb-1">
-                  {analyticsData.totals.biodegradable.toLocaleString()}
+                <div className="text-[9px] sm:text-xs text-gray-500">
+                  Avg {analyticsData.averageDaily}/day
+                  {analyticsData.totals.weightGrams !== null && ` · ${formatKg(analyticsData.totals.weightGrams)} kg weighed`}
                 </div>
-                <div className="text-[11px] sm:text-sm font-medium text-gray-700 mb-0.5 sm:mb-1 leading-tight">Wet Wastes</div>
-                <div className="text-[9px] sm:text-xs text-gray-500">Compostable</div>
               </div>
             </div>
 
-            {/* Dry Waste */}
-            <div className="bg-white rounded-lg border border-gray-200 p-3 sm:p-5 flex flex-col justify-between">
-              <div className="flex justify-between items-start mb-2 sm:mb-3">
-                <span className="text-xl sm:text-2xl text-slate-500"><DeleteOutlineOutlinedIcon fontSize="inherit" /></span>
-                <span className="text-[10px] sm:text-xs font-medium px-1.5 py-0.5 sm:px-2 sm:py-1 rounded bg-slate-100 text-slate-700">
-                  {analyticsData.percentages.nonBiodegradable}%
-                </span>
-              </div>
-              <div>
-                <div className="text-xl sm:text-3xl font-bold text-gray-900 mb-0.5 sm:mb-1">
-                  {analyticsData.totals.nonBiodegradable.toLocaleString()}
+            {/* Per-category totals */}
+            {selectedCategories.map((category) => {
+              const Icon = CATEGORY_ICONS[category.key] || DeleteOutlineOutlinedIcon;
+              return (
+                <div key={category.key} className="bg-white rounded-lg border border-gray-200 p-3 sm:p-5 flex flex-col justify-between">
+                  <div className="flex justify-between items-start mb-2 sm:mb-3">
+                    <span className="text-xl sm:text-2xl" style={{ color: category.color }}><Icon fontSize="inherit" /></span>
+                    <span
+                      className="text-[10px] sm:text-xs font-medium px-1.5 py-0.5 sm:px-2 sm:py-1 rounded"
+                      style={{ backgroundColor: `${category.color}1a`, color: category.color }}
+                    >
+                      {analyticsData.percentages[category.key]}%
+                    </span>
+                  </div>
+                  <div>
+                    <div className="text-xl sm:text-3xl font-bold text-gray-900 mb-0.5 sm:mb-1">
+                      {analyticsData.totals.quantities[category.key].toLocaleString()}
+                    </div>
+                    <div className="text-[11px] sm:text-sm font-medium text-gray-700 mb-0.5 sm:mb-1 leading-tight">{category.name}</div>
+                    <div className="text-[9px] sm:text-xs text-gray-500">
+                      {analyticsData.totals.weights[category.key] !== undefined
+                        ? `${formatKg(analyticsData.totals.weights[category.key])} kg weighed`
+                        : (category.isActive ? 'Of total collected' : 'No longer collected')}
+                    </div>
+                  </div>
                 </div>
-                <div className="text-[11px] sm:text-sm font-medium text-gray-700 mb-0.5 sm:mb-1 leading-tight">Dry Wastes</div>
-                <div className="text-[9px] sm:text-xs text-gray-500">Residual waste</div>
-              </div>
-            </div>
+              );
+            })}
           </div>
         )}
 
@@ -1134,9 +1108,7 @@ const AnalyticsDashboard = () => {
                   <ResponsiveContainer width="100%" height={250}>
                     <BarChart data={analyticsData.dailyTrends.map(item => ({
                       date: formatDate(item.date),
-                      Recyclable: item.recyclable || 0,
-                      Wet: item.biodegradable || 0,
-                      Dry: item.nonBiodegradable || 0,
+                      ...Object.fromEntries(selectedCategories.map((category) => [category.name, getQuantity(item, category.key)])),
                     }))}>
                       <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" vertical={false} />
                       <XAxis 
@@ -1162,9 +1134,9 @@ const AnalyticsDashboard = () => {
                         iconType="square"
                         iconSize={8}
                       />
-                      <Bar dataKey="Recyclable" stackId="a" fill="#10b981" />
-                      <Bar dataKey="Wet" stackId="a" fill="#f59e0b" />
-                      <Bar dataKey="Dry" stackId="a" fill="#6b7280" />
+                      {selectedCategories.map((category) => (
+                        <Bar key={category.key} dataKey={category.name} stackId="a" fill={category.color} />
+                      ))}
                     </BarChart>
                   </ResponsiveContainer>
                 </div>
@@ -1228,10 +1200,12 @@ const AnalyticsDashboard = () => {
               <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-3 sm:mb-4">Key Insights</h3>
               {hasAnalyticsRecords ? (
                 <div className="space-y-2">
-                  <div className="flex items-start gap-2 p-2 sm:p-2.5 bg-gray-50 rounded text-xs sm:text-sm text-gray-700">
-                    <span><EmojiEventsOutlinedIcon fontSize="small" className="text-amber-500" /></span>
-                    <span className="flex-1 mt-0.5">Recycling efficiency: <span className="font-medium">{analyticsData.percentages.recyclable}%</span> of waste was recyclable.</span>
-                  </div>
+                  {analyticsData.percentages.recyclable !== undefined && (
+                    <div className="flex items-start gap-2 p-2 sm:p-2.5 bg-gray-50 rounded text-xs sm:text-sm text-gray-700">
+                      <span><EmojiEventsOutlinedIcon fontSize="small" className="text-amber-500" /></span>
+                      <span className="flex-1 mt-0.5">Recycling efficiency: <span className="font-medium">{analyticsData.percentages.recyclable}%</span> of waste was recyclable.</span>
+                    </div>
+                  )}
                   <div className="flex items-start gap-2 p-2 sm:p-2.5 bg-gray-50 rounded text-xs sm:text-sm text-gray-700">
                     <span><TrendingUpOutlinedIcon fontSize="small" className="text-emerald-500" /></span>
                     <span className="flex-1 mt-0.5">Most common waste: <span className="font-medium">{analyticsData.mostCommonWaste ? `${analyticsData.mostCommonWaste.label} (${analyticsData.mostCommonWaste.value.toLocaleString()})` : 'No data'}</span></span>
@@ -0,0 +1,101 @@
+import { memo, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import LocalShippingOutlinedIcon from '@mui/icons-material/LocalShippingOutlined';
+import TaskAltOutlinedIcon from '@mui/icons-material/TaskAltOutlined';
+import { getBinCollectionStats, markBinEmptied } from '../config/api';
+
+const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined) return '—';
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+};
+
+// Collection response times, SLA breaches and the bins still waiting to be emptied
+const BinCollectionPanel = memo(({ deviceId = 'all' }) => {
+  const queryClient = useQueryClient();
+  const [error, setError] = useState(null);
+
+  const { data: stats, isLoading } = useQuery({
+    queryKey: ['binCollection', deviceId],
+    queryFn: async () => (await getBinCollectionStats(deviceId)).data,
+    refetchInterval: 30 * 1000,
+    refetchOnWindowFocus: true,
+  });
+
+  const emptyMutation = useMutation({
+    mutationFn: (recordId) => markBinEmptied({ recordId }),
+    onSuccess: async () => {
+      setError(null);
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['binCollection'] }),
+        queryClient.invalidateQueries({ queryKey: ['binLevels'] }),
+        queryClient.invalidateQueries({ queryKey: ['binForecast'] }),
+      ]);
+    },
+    onError: (mutationError) => setError(mutationError.message),
+  });
+
+  if (isLoading || !stats) return null;
+
+  const metrics = [
+    { label: 'Avg. response', value: formatMinutes(stats.averageResponseMinutes), hint: `${stats.collections} collections, ${stats.period}` },
+    { label: 'Awaiting collection', value: stats.awaitingCount, hint: stats.awaitingCount === 1 ? 'bin is full' : 'bins are full' },
+    {
+      label: 'SLA breaches',
+      value: stats.slaBreaches.total,
+      hint: `Over ${formatMinutes(stats.slaMinutes)} · ${stats.slaBreaches.overdueBins} still waiting`,
+      alert: stats.slaBreaches.total > 0,
+    },
+  ];
+
+  return (
+    <div className="mb-4 sm:mb-6 bg-white rounded-lg border border-gray-200 p-3 sm:p-5">
+      <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-3 sm:mb-4 flex items-center gap-2">
+        <LocalShippingOutlinedIcon fontSize="small" className="text-gray-500" />
+        Bin Collection
+      </h3>
+
+      <div className="grid grid-cols-3 gap-2 sm:gap-4 mb-3 sm:mb-4">
+        {metrics.map((metric) => (
+          <div key={metric.label} className="p-2 sm:p-3 rounded-lg bg-gray-50 border border-gray-100">
+            <div className="text-[10px] sm:text-xs text-gray-500">{metric.label}</div>
+            <div className={`text-lg sm:text-2xl font-bold ${metric.alert ? 'text-red-600' : 'text-gray-900'}`}>{metric.value}</div>
+            <div className="text-[10px] sm:text-xs text-gray-400 truncate">{metric.hint}</div>
+          </div>
+        ))}
+      </div>
+
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+
+      {stats.awaitingCollection.length > 0 && (
+        <div className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+          {stats.awaitingCollection.map((bin) => (
+            <div key={bin.recordId} className="flex items-center justify-between gap-2 p-2.5 sm:p-3">
+              <div className="min-w-0">
+                <div className="text-xs sm:text-sm font-medium text-gray-900 truncate">
+                  {bin.binName}{bin.device ? ` · ${bin.device.name}` : ''}
+                </div>
+                <div className={`text-[10px] sm:text-xs ${bin.overdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                  Full for {formatMinutes(bin.waitingMinutes)}{bin.overdue ? ' · overdue' : ''}
+                  {bin.pendingEvents > 1 && <> · {bin.pendingEvents} alerts</>}
+                </div>
+              </div>
+              <button
+                className="flex-shrink-0 inline-flex items-center gap-1 px-2.5 py-1.5 rounded-md text-xs font-medium bg-green-600 text-white hover:bg-green-700 disabled:opacity-60 disabled:cursor-not-allowed"
+                onClick={() => emptyMutation.mutate(bin.recordId)}
+                disabled={emptyMutation.isPending}
+              >
+                <TaskAltOutlinedIcon fontSize="inherit" /> Emptied
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+BinCollectionPanel.displayName = 'BinCollectionPanel';
+
+export default BinCollectionPanel;
@@ -0,0 +1,76 @@
+import { memo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import ScheduleOutlinedIcon from '@mui/icons-material/ScheduleOutlined';
+import { getBinForecast } from '../config/api';
+
+const CONFIDENCE_STYLES = {
+  high: 'bg-green-100 text-green-700',
+  medium: 'bg-amber-100 text-amber-700',
+  low: 'bg-gray-100 text-gray-600',
+};
+
+const formatEta = (forecast) => {
+  if (forecast.status === 'full') return 'Full now';
+  if (forecast.status === 'unknown') return 'Not enough history';
+  const hours = forecast.hoursUntilFull;
+  if (hours < 1) return 'Due now';
+  if (hours < 48) return `Full in ~${Math.round(hours)}h`;
+  return `Full in ~${Math.round(hours / 24)}d`;
+};
+
+const formatPredictedTime = (value) => new Date(value).toLocaleString('en-US', {
+  weekday: 'short',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+// Upcoming pickups, ordered by when each bin is expected to be full
+const BinForecastPanel = memo(({ deviceId = 'all' }) => {
+  const { data: forecasts = [], isLoading } = useQuery({
+    queryKey: ['binForecast', deviceId],
+    queryFn: async () => (await getBinForecast(deviceId)).data?.forecasts || [],
+    refetchInterval: 5 * 60 * 1000,
+    refetchOnWindowFocus: true,
+  });
+
+  if (isLoading || !forecasts.some((forecast) => forecast.status !== 'unknown')) return null;
+
+  const showMachine = new Set(forecasts.map((forecast) => forecast.deviceId)).size > 1;
+
+  return (
+    <div className="mb-4 sm:mb-6 bg-white rounded-lg border border-gray-200 p-3 sm:p-5">
+      <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-3 sm:mb-4 flex items-center gap-2">
+        <ScheduleOutlinedIcon fontSize="small" className="text-gray-500" />
+        Pickup Forecast
+      </h3>
+      <div className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+        {forecasts.map((forecast) => (
+          <div key={`${forecast.deviceId}-${forecast.binType}`} className="flex items-center justify-between gap-2 p-2.5 sm:p-3">
+            <div className="min-w-0">
+              <div className="text-xs sm:text-sm font-medium text-gray-900 truncate">
+                {forecast.binName}{showMachine ? ` · ${forecast.deviceName}` : ''}
+              </div>
+              {forecast.predictedFullAt && forecast.status === 'filling' && (
+                <div className="text-[10px] sm:text-xs text-gray-500">Expected {formatPredictedTime(forecast.predictedFullAt)}</div>
+              )}
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              <span className={`text-xs sm:text-sm font-semibold ${forecast.status === 'full' || forecast.hoursUntilFull < 1 ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatEta(forecast)}
+              </span>
+              {forecast.status === 'filling' && (
+                <span className={`text-[10px] px-1.5 py-0.5 rounded ${CONFIDENCE_STYLES[forecast.confidence]}`} title={`Based on ${forecast.cyclesObserved} past fill cycles`}>
+                  {forecast.confidence}
+                </span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+BinForecastPanel.displayName = 'BinForecastPanel';
+
+export default BinForecastPanel;
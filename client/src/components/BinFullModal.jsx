@@ -1,12 +1,32 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { useBinNotifications } from '../contexts/BinNotificationContext';
 import DeleteOutlineOutlinedIcon from '@mui/icons-material/DeleteOutlineOutlined';
 import ChecklistRtlOutlinedIcon from '@mui/icons-material/ChecklistRtlOutlined';
 import NotificationsOutlinedIcon from '@mui/icons-material/NotificationsOutlined';
 import CloseRoundedIcon from '@mui/icons-material/CloseRounded';
+import TaskAltOutlinedIcon from '@mui/icons-material/TaskAltOutlined';
 
 const BinFullModal = () => {
-  const { showModal, latestNotification, closeModal } = useBinNotifications();
+  const { showModal, latestNotification, closeModal, confirmBinEmptied } = useBinNotifications();
+  const [isEmptying, setIsEmptying] = useState(false);
+  const [emptyError, setEmptyError] = useState(null);
+
+  // Reset the emptied action whenever a different alert is shown
+  useEffect(() => {
+    setIsEmptying(false);
+    setEmptyError(null);
+  }, [latestNotification?.id]);
+
+  const handleMarkEmptied = async () => {
+    setIsEmptying(true);
+    setEmptyError(null);
+    try {
+      await confirmBinEmptied(latestNotification.id);
+    } catch (error) {
+      setEmptyError(error.message);
+      setIsEmptying(false);
+    }
+  };
 
   // Handle escape key to close modal
   useEffect(() => {
@@ -101,6 +121,16 @@ const BinFullModal = () => {
 
           {/* Footer */}
           <div className="px-6 pt-4 pb-6 border-t border-gray-200">
+            <button
+              className="w-full mb-3 px-4 py-3 rounded-lg border-none font-medium cursor-pointer transition-all duration-200 text-sm bg-green-600 text-white hover:bg-green-700 disabled:opacity-60 disabled:cursor-not-allowed"
+              onClick={handleMarkEmptied}
+              disabled={isEmptying}
+            >
+              <span className="inline-flex items-center gap-1.5"><TaskAltOutlinedIcon fontSize="small" /> {isEmptying ? 'Saving...' : 'Mark as Emptied'}</span>
+            </button>
+            {emptyError && (
+              <p className="text-red-600 text-xs text-center m-0 mb-3">{emptyError}</p>
+            )}
             <div className="flex gap-3 mb-4 max-md:flex-col">
               <button 
                 className="flex-1 px-4 py-3 rounded-lg border border-gray-200 font-medium cursor-pointer transition-all duration-200 text-sm bg-gray-100 text-gray-900 hover:bg-gray-200"
@@ -0,0 +1,105 @@
+import { memo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import DeleteOutlineOutlinedIcon from '@mui/icons-material/DeleteOutlineOutlined';
+import { getLatestBinLevels } from '../config/api';
+
+const getLevelColor = (level, warningLevel) => {
+  if (level === null) return '#d1d5db';
+  if (level >= 95) return '#dc2626';
+  if (level >= warningLevel) return '#d97706';
+  return '#059669';
+};
+
+const formatReadingTime = (value) => {
+  if (!value) return 'No reading yet';
+  const diffInMinutes = Math.floor((Date.now() - new Date(value).getTime()) / (1000 * 60));
+  if (diffInMinutes < 1) return 'Just now';
+  if (diffInMinutes < 60) return `${diffInMinutes}m ago`;
+  if (diffInMinutes < 1440) return `${Math.floor(diffInMinutes / 60)}h ago`;
+  return `${Math.floor(diffInMinutes / 1440)}d ago`;
+};
+
+// Semicircle gauge with a tick at the warning threshold
+const Gauge = memo(({ level, warningLevel }) => {
+  const radius = 40;
+  const circumference = Math.PI * radius;
+  const filled = level === null ? 0 : Math.min(Math.max(level, 0), 100) / 100;
+  const angle = Math.PI * (1 - warningLevel / 100);
+  const tickX = 50 + Math.cos(angle) * radius;
+  const tickY = 50 - Math.sin(angle) * radius;
+
+  return (
+    <svg viewBox="0 0 100 56" className="w-full max-w-[140px]">
+      <path d="M 10 50 A 40 40 0 0 1 90 50" fill="none" stroke="#f3f4f6" strokeWidth="10" strokeLinecap="round" />
+      <path
+        d="M 10 50 A 40 40 0 0 1 90 50"
+        fill="none"
+        stroke={getLevelColor(level, warningLevel)}
+        strokeWidth="10"
+        strokeLinecap="round"
+        strokeDasharray={`${circumference * filled} ${circumference}`}
+        style={{ transition: 'stroke-dasharray 0.6s ease' }}
+      />
+      <circle cx={tickX} cy={tickY} r="2.5" fill="#374151" />
+      <text x="50" y="48" textAnchor="middle" className="fill-gray-900" style={{ fontSize: 16, fontWeight: 700 }}>
+        {level === null ? '—' : `${Math.round(level)}%`}
+      </text>
+    </svg>
+  );
+});
+
+Gauge.displayName = 'Gauge';
+
+// Live fill level of each bin, grouped by machine
+const BinLevelPanel = memo(({ deviceId = 'all' }) => {
+  const { data: bins = [], isLoading } = useQuery({
+    queryKey: ['binLevels', deviceId],
+    queryFn: async () => (await getLatestBinLevels(deviceId)).data || [],
+    refetchInterval: 15 * 1000,
+    refetchOnWindowFocus: true,
+  });
+
+  // Hide the panel until at least one machine reports fill levels
+  if (isLoading || !bins.some((bin) => bin.fillLevel !== null)) return null;
+
+  const machines = bins.reduce((groups, bin) => {
+    if (!groups[bin.deviceId]) {
+      groups[bin.deviceId] = { name: bin.deviceName, location: bin.location, bins: [] };
+    }
+    groups[bin.deviceId].bins.push(bin);
+    return groups;
+  }, {});
+
+  return (
+    <div className="mb-4 sm:mb-6 bg-white rounded-lg border border-gray-200 p-3 sm:p-5">
+      <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-3 sm:mb-4 flex items-center gap-2">
+        <DeleteOutlineOutlinedIcon fontSize="small" className="text-gray-500" />
+        Bin Fill Levels
+      </h3>
+      <div className="space-y-4">
+        {Object.entries(machines).map(([id, machine]) => (
+          <div key={id}>
+            {Object.keys(machines).length > 1 && (
+              <div className="text-xs font-medium text-gray-600 mb-2">
+                {machine.name}{machine.location ? ` · ${machine.location}` : ''}
+              </div>
+            )}
+            <div className="grid grid-cols-3 gap-2 sm:gap-4">
+              {machine.bins.map((bin) => (
+                <div key={bin.binType} className={`flex flex-col items-center p-2 sm:p-3 rounded-lg border ${bin.isWarning ? 'border-amber-300 bg-amber-50' : 'border-gray-100 bg-gray-50'}`}>
+                  <Gauge level={bin.fillLevel} warningLevel={bin.warningLevel} />
+                  <div className="text-xs sm:text-sm font-medium text-gray-800 mt-1">{bin.binName}</div>
+                  <div className="text-[10px] sm:text-xs text-gray-500">Warn at {bin.warningLevel}% · {formatReadingTime(bin.recordedAt)}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+BinLevelPanel.displayName = 'BinLevelPanel';
+
+export default BinLevelPanel;
@@ -0,0 +1,352 @@
+import { memo, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import CloseRoundedIcon from '@mui/icons-material/CloseRounded';
+import {
+  getBuyers,
+  createBuyer,
+  updateBuyer,
+  deleteBuyer,
+  getBuyerPrices,
+  addBuyerPrice,
+  deleteBuyerPrice,
+  compareBuyerPrices
+} from '../config/api';
+import { useWasteCategories } from '../contexts/useWasteCategories';
+import { formatLocalDateForApi } from '../utils/date';
+
+const UNIT_LABELS = { KG: 'kg', PIECE: 'pc' };
+
+const inputClass = 'w-full px-3 py-2 border border-[var(--border-color)] rounded-sm text-sm bg-[var(--bg-secondary)] text-[var(--text-primary)] transition-all focus:outline-none focus:border-[var(--border-focus)] focus:shadow-[0_0_0_3px_rgba(34,197,94,0.1)]';
+const labelClass = 'block mb-1.5 text-sm font-medium text-[var(--text-secondary)]';
+const primaryButtonClass = 'px-5 py-2 border-none rounded font-medium cursor-pointer transition-all text-sm text-center bg-[var(--primary-color)] text-white shadow-sm hover:bg-[var(--primary-hover)] disabled:opacity-50 disabled:cursor-not-allowed';
+const smallButtonClass = 'py-1 px-2.5 border border-[var(--border-color)] rounded text-xs bg-transparent text-[var(--text-secondary)] cursor-pointer transition-all hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)] disabled:opacity-50 disabled:cursor-not-allowed';
+
+const formatMoney = (value) => new Intl.NumberFormat('en-PH', { style: 'currency', currency: 'PHP' }).format(Number(value) || 0);
+
+// Price dates are @db.Date values, which come back as UTC midnight
+const formatPriceDate = (date) => new Date(date).toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric' });
+
+const emptyBuyer = { name: '', contactName: '', phone: '', address: '' };
+
+const emptyPrice = () => ({
+  categoryId: '',
+  unit: 'KG',
+  pricePerUnit: '',
+  effectiveDate: formatLocalDateForApi(new Date()),
+  notes: ''
+});
+
+// Buyers of collected recyclables and the dated prices they pay per material
+const BuyersModal = memo(({ onChanged, onClose }) => {
+  const queryClient = useQueryClient();
+  const [tab, setTab] = useState('directory');
+  const [buyer, setBuyer] = useState(emptyBuyer);
+  const [selectedId, setSelectedId] = useState(null);
+  const [price, setPrice] = useState(emptyPrice);
+  const [compare, setCompare] = useState({ categoryId: '', unit: 'KG' });
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { categories } = useWasteCategories();
+
+  const { data: buyersData, isLoading, error: loadError } = useQuery({
+    queryKey: ['buyers', 'all'],
+    queryFn: () => getBuyers(true),
+  });
+  const buyers = buyersData?.data || [];
+  const selected = buyers.find((entry) => entry.id === selectedId);
+
+  const { data: pricesData } = useQuery({
+    queryKey: ['buyerPrices', selectedId],
+    queryFn: () => getBuyerPrices(selectedId),
+    enabled: Boolean(selectedId),
+  });
+  const priceHistory = pricesData?.data || [];
+
+  const { data: comparisonData, isLoading: comparisonLoading } = useQuery({
+    queryKey: ['buyerPriceComparison', compare.categoryId, compare.unit],
+    queryFn: () => compareBuyerPrices(compare.categoryId, compare.unit),
+    enabled: tab === 'compare' && Boolean(compare.categoryId),
+  });
+  const comparison = comparisonData?.data;
+
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await action();
+      setNotice(response.message);
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['buyers'] }),
+        queryClient.invalidateQueries({ queryKey: ['buyerPrices'] }),
+        queryClient.invalidateQueries({ queryKey: ['buyerPriceComparison'] })
+      ]);
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddBuyer = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await createBuyer(buyer);
+      setBuyer(emptyBuyer);
+      setSelectedId(response.data.id);
+      return response;
+    });
+  };
+
+  const handleDeleteBuyer = (entry) => {
+    if (!window.confirm(`Delete ${entry.name} and its price list?`)) {
+      return;
+    }
+    run(async () => {
+      const response = await deleteBuyer(entry.id);
+      if (selectedId === entry.id) setSelectedId(null);
+      return response;
+    });
+  };
+
+  const handleAddPrice = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await addBuyerPrice(selectedId, { ...price, pricePerUnit: Number(price.pricePerUnit) });
+      setPrice({ ...emptyPrice(), categoryId: price.categoryId, unit: price.unit });
+      return response;
+    });
+  };
+
+  const tabClass = (value) => `px-4 py-2 text-sm font-medium border-none cursor-pointer transition-all ${tab === value ? 'bg-[var(--primary-color)] text-white' : 'bg-transparent text-[var(--text-secondary)] hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)]'}`;
+
+  return (
+    <div className="fixed inset-0 bg-[rgba(248,253,248,0.9)] flex items-center justify-center z-[10000] p-6 backdrop-blur-sm" onClick={() => !saving && onClose()}>
+      <div className="bg-[var(--bg-secondary)] rounded-lg max-w-[900px] w-full max-h-[90vh] overflow-y-auto shadow-[0_20px_60px_rgba(0,0,0,0.3)] animate-slideIn" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center p-6 px-8 border-b border-[var(--border-color)]">
+          <div>
+            <h2 className="text-2xl font-semibold text-[var(--text-primary)] m-0">Buyers &amp; Prices</h2>
+            <p className="text-sm text-[var(--text-secondary)] mt-1">A price applies from its date until the buyer's next price for the same material.</p>
+          </div>
+          <button
+            className="bg-transparent border-none text-2xl text-[var(--text-secondary)] cursor-pointer p-2 leading-none transition-all rounded hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)]"
+            onClick={onClose}
+          >
+            <CloseRoundedIcon fontSize="small" />
+          </button>
+        </div>
+
+        <div className="p-6 px-8">
+          <div className="inline-flex border border-[var(--border-color)] rounded overflow-hidden mb-6">
+            <button type="button" className={tabClass('directory')} onClick={() => setTab('directory')}>Directory</button>
+            <button type="button" className={tabClass('compare')} onClick={() => setTab('compare')}>Compare prices</button>
+          </div>
+
+          {error && <div className="p-3 rounded-md mb-4 text-sm bg-[rgba(239,68,68,0.1)] text-[var(--error-color)] border border-[var(--error-color)]">{error}</div>}
+          {notice && <div className="p-3 rounded-md mb-4 text-sm bg-[rgba(34,197,94,0.1)] text-[var(--success-color)] border border-[var(--success-color)]">{notice}</div>}
+
+          {tab === 'directory' ? (
+            <>
+              <form onSubmit={handleAddBuyer} className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end mb-6">
+                <div>
+                  <label className={labelClass}>Name</label>
+                  <input type="text" value={buyer.name} onChange={(e) => setBuyer({ ...buyer, name: e.target.value })} required className={inputClass} />
+                </div>
+                <div>
+                  <label className={labelClass}>Contact person</label>
+                  <input type="text" value={buyer.contactName} onChange={(e) => setBuyer({ ...buyer, contactName: e.target.value })} placeholder="Optional" className={inputClass} />
+                </div>
+                <div>
+                  <label className={labelClass}>Phone</label>
+                  <input type="text" value={buyer.phone} onChange={(e) => setBuyer({ ...buyer, phone: e.target.value })} placeholder="Optional" className={inputClass} />
+                </div>
+                <button type="submit" disabled={saving} className={primaryButtonClass}>Add Buyer</button>
+              </form>
+
+              {isLoading ? (
+                <div className="py-8 text-center text-sm text-[var(--text-muted)]">Loading buyers...</div>
+              ) : loadError ? (
+                <div className="py-8 text-center text-sm text-[var(--error-color)]">{loadError.message}</div>
+              ) : buyers.length === 0 ? (
+                <div className="py-8 text-center text-sm text-[var(--text-muted)]">No buyers yet</div>
+              ) : (
+                <ul className="divide-y divide-[var(--border-color)] border border-[var(--border-color)] rounded-md mb-6">
+                  {buyers.map((entry) => (
+                    <li key={entry.id} className={`p-3 text-sm ${entry.id === selectedId ? 'bg-[var(--bg-tertiary)]' : ''} ${entry.isActive ? '' : 'opacity-60'}`}>
+                      <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div>
+                          <div className="font-medium text-[var(--text-primary)]">
+                            {entry.name}
+                            {!entry.isActive && <span className="ml-2 text-xs text-[var(--text-muted)]">Inactive</span>}
+                          </div>
+                          <div className="text-xs text-[var(--text-secondary)]">
+                            {[entry.contactName, entry.phone].filter(Boolean).join(' · ') || 'No contact details'}
+                            {' · '}{entry.salesCount} sale{entry.salesCount === 1 ? '' : 's'}
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <button type="button" className={smallButtonClass} onClick={() => setSelectedId(entry.id === selectedId ? null : entry.id)}>
+                            {entry.id === selectedId ? 'Hide prices' : 'Prices'}
+                          </button>
+                          <button
+                            type="button"
+                            className={smallButtonClass}
+                            disabled={saving}
+                            onClick={() => run(() => updateBuyer(entry.id, { isActive: !entry.isActive }))}
+                          >
+                            {entry.isActive ? 'Deactivate' : 'Activate'}
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleDeleteBuyer(entry)}
+                            disabled={saving}
+                            title="Delete buyer"
+                            className="p-1 px-2 border-none bg-transparent cursor-pointer rounded transition-all hover:bg-[rgba(239,68,68,0.1)] disabled:opacity-50"
+                          >
+                            <DeleteOutlineIcon fontSize="small" />
+                          </button>
+                        </div>
+                      </div>
+                      {entry.currentPrices.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {entry.currentPrices.map((current) => (
+                            <span key={current.id} className="px-2 py-0.5 rounded text-xs bg-[rgba(34,197,94,0.1)] text-[var(--success-color)]">
+                              {current.category.name}: {formatMoney(current.pricePerUnit)}/{UNIT_LABELS[current.unit]}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {selected && (
+                <div className="border border-[var(--border-color)] rounded-md p-4">
+                  <h3 className="text-base font-semibold text-[var(--text-primary)] m-0 mb-4">Price list · {selected.name}</h3>
+                  <form onSubmit={handleAddPrice} className="grid grid-cols-1 sm:grid-cols-5 gap-3 items-end mb-4">
+                    <div>
+                      <label className={labelClass}>Material</label>
+                      <select value={price.categoryId} onChange={(e) => setPrice({ ...price, categoryId: e.target.value })} required className={inputClass}>
+                        <option value="">Select</option>
+                        {categories.map((category) => (
+                          <option key={category.id} value={category.id}>{category.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className={labelClass}>Per</label>
+                      <select value={price.unit} onChange={(e) => setPrice({ ...price, unit: e.target.value })} className={inputClass}>
+                        <option value="KG">kg</option>
+                        <option value="PIECE">piece</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className={labelClass}>Price (₱)</label>
+                      <input type="number" min="0" step="0.01" value={price.pricePerUnit} onChange={(e) => setPrice({ ...price, pricePerUnit: e.target.value })} required className={inputClass} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>From</label>
+                      <input type="date" value={price.effectiveDate} onChange={(e) => setPrice({ ...price, effectiveDate: e.target.value })} required className={inputClass} />
+                    </div>
+                    <button type="submit" disabled={saving} className={primaryButtonClass}>Save Price</button>
+                  </form>
+
+                  {priceHistory.length === 0 ? (
+                    <div className="py-4 text-center text-sm text-[var(--text-muted)]">No prices recorded for this buyer yet</div>
+                  ) : (
+                    <ul className="divide-y divide-[var(--border-color)] text-sm">
+                      {priceHistory.map((entry) => (
+                        <li key={entry.id} className="flex items-center justify-between gap-3 py-2">
+                          <span className="text-[var(--text-primary)]">
+                            {formatPriceDate(entry.effectiveDate)} · {entry.category.name}
+                            {entry.notes && <span className="text-[var(--text-muted)]"> · {entry.notes}</span>}
+                          </span>
+                          <div className="flex items-center gap-2">
+                            <span className="font-semibold tabular-nums">{formatMoney(entry.pricePerUnit)}/{UNIT_LABELS[entry.unit]}</span>
+                            <button
+                              type="button"
+                              onClick={() => run(() => deleteBuyerPrice(entry.id))}
+                              disabled={saving}
+                              title="Delete price"
+                              className="p-1 px-2 border-none bg-transparent cursor-pointer rounded transition-all hover:bg-[rgba(239,68,68,0.1)] disabled:opacity-50"
+                            >
+                              <DeleteOutlineIcon fontSize="small" />
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+                <div>
+                  <label className={labelClass}>Material</label>
+                  <select value={compare.categoryId} onChange={(e) => setCompare({ ...compare, categoryId: e.target.value })} className={inputClass}>
+                    <option value="">Select material</option>
+                    {categories.map((category) => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className={labelClass}>Per</label>
+                  <select value={compare.unit} onChange={(e) => setCompare({ ...compare, unit: e.target.value })} className={inputClass}>
+                    <option value="KG">kg</option>
+                    <option value="PIECE">piece</option>
+                  </select>
+                </div>
+              </div>
+
+              {!compare.categoryId ? (
+                <div className="py-8 text-center text-sm text-[var(--text-muted)]">Pick a material to see which buyer pays best</div>
+              ) : comparisonLoading || !comparison ? (
+                <div className="py-8 text-center text-sm text-[var(--text-muted)]">Loading prices...</div>
+              ) : comparison.ranking.length === 0 ? (
+                <div className="py-8 text-center text-sm text-[var(--text-muted)]">No active buyer has a price for this material yet</div>
+              ) : (
+                <>
+                  <h3 className="text-base font-semibold text-[var(--text-primary)] m-0 mb-3">Today</h3>
+                  <ol className="divide-y divide-[var(--border-color)] border border-[var(--border-color)] rounded-md mb-6 text-sm">
+                    {comparison.ranking.map((entry, index) => (
+                      <li key={entry.buyer.id} className="flex items-center justify-between gap-3 p-3">
+                        <span className="text-[var(--text-primary)]">
+                          {index + 1}. {entry.buyer.name}
+                          {index === 0 && <span className="ml-2 px-2 py-0.5 rounded text-xs bg-[rgba(34,197,94,0.1)] text-[var(--success-color)]">Best price</span>}
+                          <span className="block text-xs text-[var(--text-muted)]">Since {formatPriceDate(entry.effectiveDate)}</span>
+                        </span>
+                        <span className="font-semibold tabular-nums">{formatMoney(entry.pricePerUnit)}/{UNIT_LABELS[compare.unit]}</span>
+                      </li>
+                    ))}
+                  </ol>
+
+                  <h3 className="text-base font-semibold text-[var(--text-primary)] m-0 mb-3">Price history</h3>
+                  <ul className="divide-y divide-[var(--border-color)] text-sm">
+                    {[...comparison.history].reverse().map((entry) => (
+                      <li key={entry.id} className="flex items-center justify-between gap-3 py-2">
+                        <span className="text-[var(--text-primary)]">{formatPriceDate(entry.effectiveDate)} · {entry.buyer.name}</span>
+                        <span className="tabular-nums">{formatMoney(entry.pricePerUnit)}/{UNIT_LABELS[entry.unit]}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+BuyersModal.displayName = 'BuyersModal';
+
+export default BuyersModal;
@@ -0,0 +1,285 @@
+import { memo, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import Inventory2OutlinedIcon from '@mui/icons-material/Inventory2Outlined';
+import AddIcon from '@mui/icons-material/Add';
+import EventBusyOutlinedIcon from '@mui/icons-material/EventBusyOutlined';
+import { getCouponBatches, addCouponBatch, retireCouponBatch } from '../config/api';
+
+const inputClass = 'w-full py-2.5 px-2 border border-gray-300 rounded-md text-sm transition-colors bg-white text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200';
+
+const emptyBatch = { amount: '', batchNumber: '', supplier: '', printedAt: '', expiresAt: '', notes: '' };
+
+const STATUS_STYLES = {
+  active: 'bg-emerald-100 text-emerald-700',
+  depleted: 'bg-gray-100 text-gray-600',
+  expired: 'bg-red-100 text-red-700',
+  retired: 'bg-amber-100 text-amber-700',
+};
+
+// Batch dates are calendar dates; show them as stored instead of shifting them to the browser's time zone
+const formatBatchDate = (value) => (value ? String(value).slice(0, 10) : '—');
+
+// Printed coupon batches, what is left of each (used oldest print first) and the ones about to expire
+const CouponBatchesPanel = memo(({ onMessage }) => {
+  const queryClient = useQueryClient();
+  const [showAll, setShowAll] = useState(false);
+  const [newBatch, setNewBatch] = useState(null);
+
+  const { data: batchesData, isLoading } = useQuery({
+    queryKey: ['couponBatches', showAll],
+    queryFn: () => getCouponBatches(showAll ? 'all' : 'open'),
+    refetchInterval: 60 * 1000,
+    refetchOnWindowFocus: true,
+  });
+
+  const refreshCoupons = () => Promise.all([
+    queryClient.invalidateQueries({ queryKey: ['couponBatches'] }),
+    queryClient.invalidateQueries({ queryKey: ['couponBalance'] }),
+    queryClient.invalidateQueries({ queryKey: ['couponTransactions'] }),
+  ]);
+
+  const addMutation = useMutation({
+    mutationFn: addCouponBatch,
+    onSuccess: async (data) => {
+      await refreshCoupons();
+      setNewBatch(null);
+      onMessage?.(data.message || 'Batch added', 'success');
+    },
+    onError: (error) => onMessage?.(error.message, 'error'),
+  });
+
+  const retireMutation = useMutation({
+    mutationFn: (id) => retireCouponBatch(id),
+    onSuccess: async (data) => {
+      await refreshCoupons();
+      onMessage?.(data.message || 'Batch retired', 'success');
+    },
+    onError: (error) => onMessage?.(error.message, 'error'),
+  });
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    addMutation.mutate({
+      amount: parseInt(newBatch.amount, 10),
+      batchNumber: newBatch.batchNumber.trim(),
+      supplier: newBatch.supplier.trim() || null,
+      printedAt: newBatch.printedAt || null,
+      expiresAt: newBatch.expiresAt || null,
+      notes: newBatch.notes.trim() || null,
+    });
+  };
+
+  const handleRetire = (batch) => {
+    if (!window.confirm(`Retire batch ${batch.batchNumber}? Its ${batch.remaining} remaining coupon(s) will be removed from stock.`)) {
+      return;
+    }
+    retireMutation.mutate(batch.id);
+  };
+
+  if (isLoading || !batchesData) return null;
+
+  const batches = batchesData.data || [];
+  const summary = batchesData.summary || {};
+  const upcoming = summary.upcomingExpirations || [];
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 overflow-hidden mb-6">
+      <div className="px-5 py-4 border-b border-gray-200">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <h2 className="text-base font-semibold text-gray-900 flex items-center gap-2">
+            <Inventory2OutlinedIcon fontSize="small" className="text-emerald-600" />
+            Coupon Batches
+          </h2>
+          <div className="flex items-center gap-3 flex-wrap">
+            <span className="text-sm text-gray-600">
+              {summary.batchedStock ?? 0} in {summary.openBatches ?? 0} batch(es)
+              {summary.unbatchedStock > 0 && <> · {summary.unbatchedStock} unbatched</>}
+            </span>
+            <label className="flex items-center gap-1.5 text-sm text-gray-600">
+              <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+              Show retired
+            </label>
+            <button
+              type="button"
+              onClick={() => setNewBatch(emptyBatch)}
+              className="flex items-center gap-1 bg-emerald-600 text-white px-3 py-1.5 rounded-lg text-sm font-medium hover:bg-emerald-700 transition-colors"
+            >
+              <AddIcon fontSize="small" />
+              Add Batch
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {upcoming.length > 0 && (
+        <div className="px-5 py-3 bg-amber-50 border-b border-amber-200 text-sm text-amber-800">
+          <div className="flex items-center gap-2 font-medium mb-1">
+            <EventBusyOutlinedIcon fontSize="small" />
+            Expiring within {summary.warningDays} days
+          </div>
+          <ul className="space-y-0.5">
+            {upcoming.map((batch) => (
+              <li key={batch.id}>
+                {batch.batchNumber}: {batch.remaining} coupon(s) expire {formatBatchDate(batch.expiresAt)}
+                {' '}({batch.daysLeft === 0 ? 'today' : `in ${batch.daysLeft} day(s)`})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {batches.length === 0 ? (
+        <div className="py-8 text-center text-sm text-gray-500">No coupon batches recorded yet</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-5 py-3 text-left font-medium">Batch</th>
+                <th className="px-5 py-3 text-left font-medium">Supplier</th>
+                <th className="px-5 py-3 text-left font-medium">Printed</th>
+                <th className="px-5 py-3 text-left font-medium">Expires</th>
+                <th className="px-5 py-3 text-left font-medium">Remaining</th>
+                <th className="px-5 py-3 text-left font-medium">Status</th>
+                <th className="px-5 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {batches.map((batch) => (
+                <tr key={batch.id}>
+                  <td className="px-5 py-3 font-medium text-gray-900">{batch.batchNumber}</td>
+                  <td className="px-5 py-3 text-gray-600">{batch.supplier || '—'}</td>
+                  <td className="px-5 py-3 text-gray-600">{formatBatchDate(batch.printedAt)}</td>
+                  <td className="px-5 py-3 text-gray-600">{formatBatchDate(batch.expiresAt)}</td>
+                  <td className="px-5 py-3">
+                    <div className="text-gray-900">{batch.remaining} / {batch.quantity}</div>
+                    <div className="w-24 h-1.5 bg-gray-100 rounded-full mt-1">
+                      <div
+                        className="h-1.5 bg-emerald-500 rounded-full"
+                        style={{ width: `${batch.quantity > 0 ? Math.round((batch.remaining / batch.quantity) * 100) : 0}%` }}
+                      />
+                    </div>
+                  </td>
+                  <td className="px-5 py-3">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[batch.status] || STATUS_STYLES.depleted}`}>
+                      {batch.status}
+                    </span>
+                  </td>
+                  <td className="px-5 py-3 text-right">
+                    {!batch.retiredAt && (
+                      <button
+                        type="button"
+                        onClick={() => handleRetire(batch)}
+                        disabled={retireMutation.isPending}
+                        className="text-xs font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+                      >
+                        Retire
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add Batch Modal */}
+      {newBatch && (
+        <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={() => setNewBatch(null)}>
+          <div className="bg-white rounded-xl p-7 max-w-[500px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <h3 className="m-0 mb-3 text-2xl text-gray-900">Add Coupon Batch</h3>
+            <p className="text-sm text-gray-600 mb-5">
+              Adds a delivery of printed coupons to the stock. Coupons are used from the oldest print first.
+            </p>
+            <form onSubmit={handleAdd}>
+              <div className="grid grid-cols-2 gap-4 mb-5">
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Batch number *</label>
+                  <input
+                    type="text"
+                    value={newBatch.batchNumber}
+                    onChange={(e) => setNewBatch({ ...newBatch, batchNumber: e.target.value })}
+                    placeholder="e.g. 2026-10-A"
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Quantity *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={newBatch.amount}
+                    onChange={(e) => setNewBatch({ ...newBatch, amount: e.target.value })}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Supplier</label>
+                <input
+                  type="text"
+                  value={newBatch.supplier}
+                  onChange={(e) => setNewBatch({ ...newBatch, supplier: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4 mb-5">
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Print date</label>
+                  <input
+                    type="date"
+                    value={newBatch.printedAt}
+                    onChange={(e) => setNewBatch({ ...newBatch, printedAt: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Expiry date</label>
+                  <input
+                    type="date"
+                    value={newBatch.expiresAt}
+                    onChange={(e) => setNewBatch({ ...newBatch, expiresAt: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 -mt-3 mb-5">Print date defaults to today; leave the expiry empty for coupons that do not expire.</p>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Notes</label>
+                <input
+                  type="text"
+                  value={newBatch.notes}
+                  onChange={(e) => setNewBatch({ ...newBatch, notes: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex gap-3 justify-end">
+                <button
+                  type="button"
+                  className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                  onClick={() => setNewBatch(null)}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={addMutation.isPending}
+                  className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+                >
+                  Add Batch
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+CouponBatchesPanel.displayName = 'CouponBatchesPanel';
+
+export default CouponBatchesPanel;
@@ -0,0 +1,306 @@
+import { useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getCouponReconciliations, runCouponReconciliation, correctCouponLedger } from '../config/api';
+import FactCheckOutlinedIcon from '@mui/icons-material/FactCheckOutlined';
+import CheckCircleOutlineOutlinedIcon from '@mui/icons-material/CheckCircleOutlineOutlined';
+import ErrorOutlineOutlinedIcon from '@mui/icons-material/ErrorOutlineOutlined';
+
+const EMPTY_CORRECTION = { reason: '', countedBalance: '', notes: '' };
+
+const TRIGGER_LABELS = {
+  SCHEDULED: 'Scheduled',
+  MANUAL: 'Manual check',
+  CORRECTION: 'Correction'
+};
+
+const inputClass = 'w-full py-2.5 px-2 border border-gray-300 rounded-md text-sm transition-colors bg-white text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200 disabled:bg-gray-100 disabled:text-gray-500';
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const formatSigned = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+export default function CouponLedgerAudit() {
+  const queryClient = useQueryClient();
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [correction, setCorrection] = useState(null); // null when the correction modal is closed
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['couponReconciliations', page],
+    queryFn: () => getCouponReconciliations(page),
+    refetchOnWindowFocus: true,
+  });
+
+  const reconciliations = data?.data || [];
+  const pagination = data?.pagination;
+  // The newest check tells whether the ledger is in order right now
+  const latest = page === 1 ? reconciliations[0] : null;
+  const needsCorrection = latest && latest.trigger !== 'CORRECTION' && latest.discrepancyCount > 0;
+
+  const refreshChecks = () => queryClient.invalidateQueries({ queryKey: ['couponReconciliations'] });
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    try {
+      const result = await runCouponReconciliation();
+      setSuccessMessage(result.message);
+      setPage(1);
+      refreshChecks();
+    } catch (err) {
+      setError(err.message || 'Failed to check coupon ledger');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleCorrect = async (e) => {
+    e.preventDefault();
+    try {
+      const result = await correctCouponLedger({
+        reason: correction.reason,
+        notes: correction.notes || null,
+        ...(correction.countedBalance !== '' && { countedBalance: Number.parseInt(correction.countedBalance, 10) })
+      });
+      setSuccessMessage(`${result.message}. Coupon stock is now ${result.data.newBalance}.`);
+      setCorrection(null);
+      setPage(1);
+      refreshChecks();
+      queryClient.invalidateQueries({ queryKey: ['couponBalance'] });
+      queryClient.invalidateQueries({ queryKey: ['couponTransactions'] });
+    } catch (err) {
+      setError(err.message || 'Failed to correct coupon ledger');
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Ledger Audit</h1>
+          <p className="text-sm text-gray-600 mt-1">Replays the coupon transactions and compares them with the stored coupon stock</p>
+        </div>
+        <button
+          className="w-full sm:w-auto px-5 py-2.5 border-none rounded-lg text-sm font-semibold cursor-pointer bg-green-600 text-white whitespace-nowrap transition-all hover:bg-green-700 hover:shadow-lg shadow-green-600/20 disabled:opacity-50"
+          onClick={handleRun}
+          disabled={isRunning}
+        >
+          {isRunning ? 'Checking...' : 'Check Now'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {error}
+          <button onClick={() => setError(null)} className="bg-transparent border-none text-red-800 text-xl cursor-pointer px-2 hover:text-red-600">×</button>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {successMessage}
+          <button onClick={() => setSuccessMessage(null)} className="bg-transparent border-none text-green-800 text-xl cursor-pointer px-2 hover:text-green-600">×</button>
+        </div>
+      )}
+
+      {/* Latest check */}
+      {latest && (
+        <div className={`border rounded-xl p-5 shadow-sm mb-5 ${needsCorrection ? 'bg-amber-50 border-amber-200' : 'bg-white border-gray-200'}`}>
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+            <div className="flex items-center gap-2">
+              {needsCorrection ? (
+                <ErrorOutlineOutlinedIcon className="text-amber-600" />
+              ) : (
+                <CheckCircleOutlineOutlinedIcon className="text-emerald-600" />
+              )}
+              <div>
+                <div className="font-semibold text-gray-900">
+                  {needsCorrection
+                    ? `${latest.discrepancyCount} discrepancy(ies) found`
+                    : latest.trigger === 'CORRECTION' ? 'Correction posted' : 'Ledger matches the stored balances'}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {TRIGGER_LABELS[latest.trigger] || latest.trigger} · {formatDateTime(latest.createdAt)}
+                  {latest.lastTransactionId && ` · up to transaction #${latest.lastTransactionId}`}
+                </div>
+              </div>
+            </div>
+            {needsCorrection && (
+              <button
+                onClick={() => setCorrection({ ...EMPTY_CORRECTION })}
+                className="px-4 py-2 border-none rounded-md text-sm font-medium cursor-pointer bg-amber-600 text-white hover:bg-amber-700"
+              >
+                Post Correction
+              </button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+            <div>
+              <div className="text-xs font-semibold text-gray-600 uppercase tracking-wide">Stored stock</div>
+              <div className="text-xl font-bold text-gray-900 mt-1">{latest.storedBalance}</div>
+            </div>
+            <div>
+              <div className="text-xs font-semibold text-gray-600 uppercase tracking-wide">Ledger stock</div>
+              <div className="text-xl font-bold text-gray-900 mt-1">{latest.ledgerBalance}</div>
+            </div>
+            <div>
+              <div className="text-xs font-semibold text-gray-600 uppercase tracking-wide">Stored used</div>
+              <div className="text-xl font-bold text-gray-900 mt-1">{latest.storedUsed}</div>
+            </div>
+            <div>
+              <div className="text-xs font-semibold text-gray-600 uppercase tracking-wide">Ledger used</div>
+              <div className="text-xl font-bold text-gray-900 mt-1">{latest.ledgerUsed}</div>
+            </div>
+          </div>
+
+          {needsCorrection && (
+            <ul className="mt-4 space-y-1.5 text-sm text-gray-800 list-disc pl-5">
+              {latest.discrepancies.map((discrepancy, index) => (
+                <li key={index}>
+                  {discrepancy.message}
+                  {discrepancy.reason && <span className="text-gray-500"> ({discrepancy.reason})</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* History */}
+      {isLoading ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center text-gray-500 shadow-sm">Loading ledger checks...</div>
+      ) : reconciliations.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center shadow-sm">
+          <FactCheckOutlinedIcon className="text-gray-400" style={{ fontSize: 48 }} />
+          <p className="text-gray-600 mt-3">The ledger has not been checked yet. Checks also run automatically every few hours.</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-600 uppercase tracking-wide">
+              <tr>
+                <th className="px-4 py-3 text-left font-semibold">When</th>
+                <th className="px-4 py-3 text-left font-semibold">Type</th>
+                <th className="px-4 py-3 text-left font-semibold">Stock (stored / ledger)</th>
+                <th className="px-4 py-3 text-left font-semibold">Discrepancies</th>
+                <th className="px-4 py-3 text-left font-semibold">Correction</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {reconciliations.map((reconciliation) => (
+                <tr key={reconciliation.id}>
+                  <td className="px-4 py-3 text-gray-700 whitespace-nowrap">{formatDateTime(reconciliation.createdAt)}</td>
+                  <td className="px-4 py-3 text-gray-700">{TRIGGER_LABELS[reconciliation.trigger] || reconciliation.trigger}</td>
+                  <td className="px-4 py-3 text-gray-700">{reconciliation.storedBalance} / {reconciliation.ledgerBalance}</td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold ${reconciliation.discrepancyCount > 0 ? 'bg-amber-100 text-amber-800' : 'bg-emerald-100 text-emerald-800'}`}>
+                      {reconciliation.discrepancyCount > 0 ? reconciliation.discrepancyCount : 'None'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">
+                    {reconciliation.trigger === 'CORRECTION' ? (
+                      <>
+                        <div>
+                          {formatSigned(reconciliation.correctionAmount)} coupon(s)
+                          {reconciliation.correctionTransactionId && <span className="text-gray-500"> · #{reconciliation.correctionTransactionId}</span>}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {reconciliation.correctedBy ? `by ${reconciliation.correctedBy.username}: ` : ''}{reconciliation.reason}
+                        </div>
+                      </>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {pagination && pagination.totalPages > 1 && (
+            <div className="px-4 py-3 border-t border-gray-100 flex justify-between items-center text-sm text-gray-600">
+              <span>Page {pagination.page} of {pagination.totalPages}</span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNext}
+                  className="px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Correction Modal */}
+      {correction && (
+        <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={() => setCorrection(null)}>
+          <div className="bg-white rounded-xl p-7 max-w-[500px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <h3 className="m-0 mb-3 text-2xl text-gray-900">Post Correction</h3>
+            <p className="text-sm text-gray-600 mb-5">
+              Posts a compensating ADJUST entry so the ledger and the coupon stock agree again. The check before the correction is kept with your name and reason.
+            </p>
+            <form onSubmit={handleCorrect}>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Reason *</label>
+                <input
+                  type="text"
+                  value={correction.reason}
+                  onChange={(e) => setCorrection({ ...correction, reason: e.target.value })}
+                  placeholder="e.g. Deposits lost during the database outage on Oct 3"
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Counted stock</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={correction.countedBalance}
+                  onChange={(e) => setCorrection({ ...correction, countedBalance: e.target.value })}
+                  placeholder={latest ? String(latest.storedBalance) : ''}
+                  className={inputClass}
+                />
+                <p className="text-xs text-gray-500 mt-1.5">Leave empty to keep the stored stock and bring the ledger in line with it. Enter a figure after counting the printed coupons to set both to it.</p>
+              </div>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Notes</label>
+                <input
+                  type="text"
+                  value={correction.notes}
+                  onChange={(e) => setCorrection({ ...correction, notes: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex gap-3 justify-end">
+                <button
+                  type="button"
+                  className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                  onClick={() => setCorrection(null)}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-amber-600 text-white hover:bg-amber-700"
+                >
+                  Post Correction
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
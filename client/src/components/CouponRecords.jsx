@@ -19,15 +19,21 @@ import FirstPageOutlinedIcon from '@mui/icons-material/FirstPageOutlined';
 import NavigateBeforeOutlinedIcon from '@mui/icons-material/NavigateBeforeOutlined';
 import NavigateNextOutlinedIcon from '@mui/icons-material/NavigateNextOutlined';
 import LastPageOutlinedIcon from '@mui/icons-material/LastPageOutlined';
+import BadgeOutlinedIcon from '@mui/icons-material/BadgeOutlined';
+import AccountBalanceWalletOutlinedIcon from '@mui/icons-material/AccountBalanceWalletOutlined';
+import EventBusyOutlinedIcon from '@mui/icons-material/EventBusyOutlined';
+import UndoOutlinedIcon from '@mui/icons-material/UndoOutlined';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import * as XLSX from 'xlsx';
-import { API_ENDPOINTS } from '../config/api';
+import { API_ENDPOINTS, getDepositors, updateDepositor, getNotificationStreamUrl } from '../config/api';
 import LoadingSpinner from './LoadingSpinner';
 import ExportModal from './ExportModal';
+import CouponBatchesPanel from './CouponBatchesPanel';
+import CouponStockAlertPanel from './CouponStockAlertPanel';
 import { endOfLocalDay, getLocalDateKey, parseLocalDate, startOfLocalDay } from '../utils/date';
 
 const fetchCouponBalance = async () => {
@@ -58,6 +64,12 @@ const normalizeTransactionType = (type) => {
       return 'consume';
     case 'ADJUST':
       return 'adjust';
+    case 'REDEEM':
+      return 'redeem';
+    case 'EXPIRE':
+      return 'expire';
+    case 'REFUND':
+      return 'refund';
     default:
       return String(type ?? '').trim().toLowerCase();
   }
@@ -107,6 +119,11 @@ const fetchCouponTransactions = async () => {
   return allTransactions;
 };
 
+// "Juan Dela Cruz" when named, otherwise the card UID or student number
+const getDepositorLabel = (depositor) => (
+  depositor ? depositor.name || depositor.identifier : null
+);
+
 const CouponRecords = () => {
   const queryClient = useQueryClient();
   const [period, setPeriod] = useState('all');
@@ -117,6 +134,7 @@ const CouponRecords = () => {
   const [dateFrom, setDateFrom] = useState(null);
   const [dateTo, setDateTo] = useState(null);
   const [typeFilter, setTypeFilter] = useState('all');
+  const [depositorFilter, setDepositorFilter] = useState('all');
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(10);
 
@@ -151,16 +169,27 @@ const CouponRecords = () => {
     staleTime: 60 * 1000,
   });
 
+  const { data: depositorsData } = useQuery({
+    queryKey: ['couponDepositors'],
+    queryFn: () => getDepositors(),
+    staleTime: 60 * 1000,
+  });
+
+  const depositors = useMemo(() => depositorsData?.data || [], [depositorsData]);
+
   useEffect(() => {
-    const eventSource = new EventSource(API_ENDPOINTS.BIN_NOTIFICATIONS_STREAM);
+    const eventSource = new EventSource(getNotificationStreamUrl());
 
     eventSource.onmessage = async (event) => {
       try {
         const data = JSON.parse(event.data);
-        if (data?.type === 'WASTE_INSERTED' || data?.type === 'COUPON_UPDATED') {
+        if (data?.type === 'WASTE_INSERTED' || data?.type === 'COUPON_UPDATED' || data?.type === 'COUPON_LOW_STOCK') {
           await Promise.all([
             queryClient.invalidateQueries({ queryKey: ['couponBalance'] }),
             queryClient.invalidateQueries({ queryKey: ['couponTransactions'] }),
+            queryClient.invalidateQueries({ queryKey: ['couponDepositors'] }),
+            queryClient.invalidateQueries({ queryKey: ['couponBatches'] }),
+            queryClient.invalidateQueries({ queryKey: ['couponStockAlert'] }),
           ]);
         }
       } catch (parseError) {
@@ -196,6 +225,7 @@ const CouponRecords = () => {
       await Promise.all([
         queryClient.invalidateQueries({ queryKey: ['couponBalance'] }),
         queryClient.invalidateQueries({ queryKey: ['couponTransactions'] }),
+        queryClient.invalidateQueries({ queryKey: ['couponBatches'] }),
       ]);
 
       setAdjustmentAmount('');
@@ -212,6 +242,18 @@ const CouponRecords = () => {
     },
   });
 
+  // Deactivating a wallet (lost or shared card) stops it from earning or spending points
+  const depositorStatusMutation = useMutation({
+    mutationFn: ({ id, isActive }) => updateDepositor(id, { isActive }),
+    onSuccess: async (result) => {
+      await queryClient.invalidateQueries({ queryKey: ['couponDepositors'] });
+      showMessage(result.message || 'Depositor updated.', 'success');
+    },
+    onError: (error) => {
+      showMessage(error.message, 'error');
+    },
+  });
+
   const today = useMemo(() => new Date(), []);
 
   const maxFromDate = useMemo(() => {
@@ -256,6 +298,12 @@ const CouponRecords = () => {
         return 'Consumed';
       case 'adjust':
         return 'Adjustment';
+      case 'redeem':
+        return 'Redeemed';
+      case 'expire':
+        return 'Expired';
+      case 'refund':
+        return 'Refunded';
       default:
         return type;
     }
@@ -269,6 +317,12 @@ const CouponRecords = () => {
         return <RedeemOutlinedIcon fontSize="inherit" />;
       case 'adjust':
         return <TuneOutlinedIcon fontSize="inherit" />;
+      case 'redeem':
+        return <RedeemOutlinedIcon fontSize="inherit" />;
+      case 'expire':
+        return <EventBusyOutlinedIcon fontSize="inherit" />;
+      case 'refund':
+        return <UndoOutlinedIcon fontSize="inherit" />;
       default:
         return <ReceiptLongOutlinedIcon fontSize="inherit" />;
     }
@@ -320,11 +374,17 @@ const CouponRecords = () => {
       .filter((transaction) => (
         typeFilter === 'all' ? true : transaction.type === typeFilter
       ))
+      .filter((transaction) => (
+        depositorFilter === 'all' ? true : transaction.depositorId === Number(depositorFilter)
+      ))
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  }, [transactions, period, dateFrom, dateTo, typeFilter]);
+  }, [transactions, period, dateFrom, dateTo, typeFilter, depositorFilter]);
 
+  // Wallet redemptions spend points already drawn from stock, so they are not counted again;
+  // expired batches left the stock without being handed out
   const totalConsumed = useMemo(() => (
     Math.abs(filteredTransactions
+      .filter((transaction) => transaction.type !== 'redeem' && transaction.type !== 'expire')
       .filter((transaction) => Number(transaction.amount) < 0 || transaction.type === 'consume')
       .reduce((sum, transaction) => sum + Number(transaction.amount || 0), 0))
   ), [filteredTransactions]);
@@ -374,7 +434,7 @@ const CouponRecords = () => {
 
   useEffect(() => {
     setCurrentPage(1);
-  }, [period, dateFrom, dateTo, typeFilter, itemsPerPage]);
+  }, [period, dateFrom, dateTo, typeFilter, depositorFilter, itemsPerPage]);
 
   useEffect(() => {
     if (currentPage > totalPages) {
@@ -386,6 +446,7 @@ const CouponRecords = () => {
     setDateFrom(null);
     setDateTo(null);
     setTypeFilter('all');
+    setDepositorFilter('all');
     setPeriod('all');
   }, []);
 
@@ -520,7 +581,7 @@ const CouponRecords = () => {
   }, [balanceData, toInt]);
 
   const loading = balanceLoading || transactionsLoading || adjustMutation.isPending;
-  const hasActiveFilters = Boolean(dateFrom || dateTo || typeFilter !== 'all' || period !== 'all');
+  const hasActiveFilters = Boolean(dateFrom || dateTo || typeFilter !== 'all' || depositorFilter !== 'all' || period !== 'all');
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
@@ -660,6 +721,79 @@ const CouponRecords = () => {
           </p>
         </div>
 
+        <CouponBatchesPanel onMessage={showMessage} />
+
+        <CouponStockAlertPanel onMessage={showMessage} />
+
+        <div className="bg-white rounded-lg border border-gray-200 overflow-hidden mb-6">
+          <div className="px-5 py-4 border-b border-gray-200">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <h2 className="text-base font-semibold text-gray-900 flex items-center gap-2">
+                <AccountBalanceWalletOutlinedIcon fontSize="small" className="text-emerald-600" />
+                Depositor Wallets
+              </h2>
+              <span className="text-sm text-gray-600">
+                {formatInt(depositorsData?.totals?.outstanding)} points held by {formatInt(depositorsData?.totals?.depositors)} depositor(s)
+              </span>
+            </div>
+          </div>
+
+          {depositors.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-10 text-gray-500">
+              <BadgeOutlinedIcon className="text-5xl mb-3 text-gray-300" />
+              <p className="text-sm">No depositors yet</p>
+              <p className="text-xs text-gray-400 mt-1">Students appear here after their first deposit with an RFID card or student number</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto max-h-96">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className="px-5 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Depositor</th>
+                    <th className="px-5 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">Balance</th>
+                    <th className="px-5 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">Earned</th>
+                    <th className="px-5 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">Redeemed</th>
+                    <th className="px-5 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">Deposits</th>
+                    <th className="px-5 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {depositors.map((depositor) => (
+                    <tr key={depositor.id} className={`hover:bg-gray-50 transition-colors ${depositor.isActive ? '' : 'opacity-60'}`}>
+                      <td className="px-5 py-3 text-sm">
+                        <div className="font-medium text-gray-900">{getDepositorLabel(depositor)}</div>
+                        <div className="text-xs text-gray-500">
+                          {depositor.identifierType === 'RFID' ? 'RFID card' : 'Student no.'} {depositor.identifier}
+                          {!depositor.isActive && ' · Deactivated'}
+                        </div>
+                      </td>
+                      <td className="px-5 py-3 text-sm text-right font-semibold text-gray-900">{formatInt(depositor.balance)}</td>
+                      <td className="px-5 py-3 text-sm text-right text-emerald-600">{formatInt(depositor.earned)}</td>
+                      <td className="px-5 py-3 text-sm text-right text-red-600">{formatInt(depositor.redeemed)}</td>
+                      <td className="px-5 py-3 text-sm text-right text-gray-700">{formatInt(depositor.deposits)}</td>
+                      <td className="px-5 py-3 text-sm text-right whitespace-nowrap">
+                        <button
+                          onClick={() => setDepositorFilter(String(depositor.id))}
+                          className="text-emerald-600 hover:text-emerald-700 font-medium mr-3"
+                        >
+                          History
+                        </button>
+                        <button
+                          onClick={() => depositorStatusMutation.mutate({ id: depositor.id, isActive: !depositor.isActive })}
+                          disabled={depositorStatusMutation.isPending}
+                          className="text-gray-600 hover:text-gray-900 font-medium disabled:opacity-50"
+                        >
+                          {depositor.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
         <div className="bg-white rounded-lg border border-gray-200 p-5 mb-6">
           <div className="flex justify-between items-center mb-4">
             <h3 className="text-base font-semibold text-gray-900">Filters</h3>
@@ -674,7 +808,7 @@ const CouponRecords = () => {
             )}
           </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
               <select
@@ -686,6 +820,25 @@ const CouponRecords = () => {
                 <option value="earn">Earned</option>
                 <option value="consume">Consumed</option>
                 <option value="adjust">Adjustment</option>
+                <option value="redeem">Redeemed</option>
+                <option value="expire">Expired</option>
+                <option value="refund">Refunded</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Depositor</label>
+              <select
+                value={depositorFilter}
+                onChange={(e) => setDepositorFilter(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+              >
+                <option value="all">All Depositors</option>
+                {depositors.map((depositor) => (
+                  <option key={depositor.id} value={String(depositor.id)}>
+                    {getDepositorLabel(depositor)}
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -793,6 +946,9 @@ const CouponRecords = () => {
                       <th className="px-5 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">
                         Amount
                       </th>
+                      <th className="px-5 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
+                        Depositor
+                      </th>
                       <th className="px-5 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
                         Details
                       </th>
@@ -828,8 +984,21 @@ const CouponRecords = () => {
                             {formatInt(transaction.amount)}
                           </span>
                         </td>
+                        <td className="px-5 py-4 text-sm text-gray-700 whitespace-nowrap">
+                          {transaction.depositor ? (
+                            <>
+                              <div>{getDepositorLabel(transaction.depositor)}</div>
+                              <div className="text-xs text-gray-500">Wallet: {formatInt(transaction.depositorBalance)}</div>
+                            </>
+                          ) : '-'}
+                        </td>
                         <td className="px-5 py-4 text-sm text-gray-600">
                           {transaction.reason || transaction.metadata?.reason || transaction.notes || '-'}
+                          {transaction.batchAllocations?.length > 0 && (
+                            <div className="text-xs text-gray-500">
+                              {transaction.batchAllocations.map((allocation) => `${allocation.batch.batchNumber}: ${allocation.quantity}`).join(', ')}
+                            </div>
+                          )}
                         </td>
                       </tr>
                     ))}
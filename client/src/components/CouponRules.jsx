@@ -0,0 +1,508 @@
+import { useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getCouponRules, createCouponRule, restoreCouponRule } from '../config/api';
+import { useWasteCategories } from '../contexts/useWasteCategories';
+import RuleOutlinedIcon from '@mui/icons-material/RuleOutlined';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import HistoryOutlinedIcon from '@mui/icons-material/HistoryOutlined';
+
+const EMPTY_PROMOTION = { name: '', startDate: '', endDate: '', multiplier: 2, categories: [] };
+
+const inputClass = 'w-full py-2.5 px-2 border border-gray-300 rounded-md text-sm transition-colors bg-white text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200 disabled:bg-gray-100 disabled:text-gray-500';
+
+// "2026-10-19" in local time, for date inputs
+const toDateInput = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Promotions run from the start of their first day until the end of their last day
+const getPromotionStatus = (promotion, now = new Date()) => {
+  if (now < new Date(promotion.startsAt)) return { label: 'Upcoming', className: 'bg-blue-100 text-blue-800' };
+  if (now >= new Date(promotion.endsAt)) return { label: 'Ended', className: 'bg-gray-200 text-gray-700' };
+  return { label: 'Running', className: 'bg-emerald-100 text-emerald-800' };
+};
+
+const toFormData = (rule) => ({
+  defaultRate: rule.defaultRate,
+  categoryRates: Object.fromEntries(Object.entries(rule.categoryRates || {}).map(([key, rate]) => [key, String(rate)])),
+  minItems: rule.minItems,
+  dailyCapPerDepositor: rule.dailyCapPerDepositor ?? '',
+  promotions: (rule.promotions || []).map((promotion) => ({
+    name: promotion.name,
+    startDate: toDateInput(promotion.startsAt),
+    // endsAt is exclusive, so the last day shown is the day before
+    endDate: toDateInput(new Date(new Date(promotion.endsAt).getTime() - 1)),
+    multiplier: promotion.multiplier,
+    categories: promotion.categories || []
+  })),
+  notes: ''
+});
+
+const toPayload = (formData) => ({
+  defaultRate: Number(formData.defaultRate),
+  categoryRates: Object.fromEntries(
+    Object.entries(formData.categoryRates)
+      .filter(([, rate]) => rate !== '')
+      .map(([key, rate]) => [key, Number(rate)])
+  ),
+  minItems: Number.parseInt(formData.minItems, 10),
+  dailyCapPerDepositor: formData.dailyCapPerDepositor === '' ? null : Number.parseInt(formData.dailyCapPerDepositor, 10),
+  promotions: formData.promotions.map((promotion) => {
+    const endsAt = new Date(`${promotion.endDate}T00:00:00`);
+    endsAt.setDate(endsAt.getDate() + 1);
+    return {
+      name: promotion.name,
+      startsAt: new Date(`${promotion.startDate}T00:00:00`).toISOString(),
+      endsAt: endsAt.toISOString(),
+      multiplier: Number(promotion.multiplier),
+      ...(promotion.categories.length > 0 && { categories: promotion.categories })
+    };
+  }),
+  notes: formData.notes.trim() || null
+});
+
+export default function CouponRules() {
+  const queryClient = useQueryClient();
+  const { allCategories: categories, getCategoryByKey } = useWasteCategories();
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [formData, setFormData] = useState(null); // null when the editor is closed
+  const [pendingRestore, setPendingRestore] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['couponRules'],
+    queryFn: getCouponRules,
+    refetchOnWindowFocus: true,
+  });
+
+  const rules = data?.data || [];
+  const active = data?.active;
+  const getCategoryName = (key) => getCategoryByKey(key)?.name || key;
+
+  const refreshRules = () => queryClient.invalidateQueries({ queryKey: ['couponRules'] });
+
+  const updatePromotion = (index, changes) => {
+    setFormData({
+      ...formData,
+      promotions: formData.promotions.map((promotion, i) => (i === index ? { ...promotion, ...changes } : promotion))
+    });
+  };
+
+  const togglePromotionCategory = (index, key) => {
+    const selected = formData.promotions[index].categories;
+    updatePromotion(index, { categories: selected.includes(key) ? selected.filter((k) => k !== key) : [...selected, key] });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const result = await createCouponRule(toPayload(formData));
+      setSuccessMessage(result.message || 'Coupon rule saved');
+      setFormData(null);
+      refreshRules();
+    } catch (err) {
+      setError(err.message || 'Failed to save coupon rule');
+    }
+  };
+
+  const confirmRestore = async () => {
+    if (!pendingRestore) return;
+    const rule = pendingRestore;
+    setPendingRestore(null);
+
+    try {
+      const result = await restoreCouponRule(rule.id);
+      setSuccessMessage(result.message || `Version ${rule.version} restored`);
+      refreshRules();
+    } catch (err) {
+      setError(err.message || 'Failed to restore coupon rule');
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Coupon Rules</h1>
+          <p className="text-sm text-gray-600 mt-1">How many coupons each deposit earns. Every change is saved as a new version.</p>
+        </div>
+        <button
+          className="w-full sm:w-auto px-5 py-2.5 border-none rounded-lg text-sm font-semibold cursor-pointer bg-green-600 text-white whitespace-nowrap transition-all hover:bg-green-700 hover:shadow-lg shadow-green-600/20 disabled:opacity-50"
+          onClick={() => setFormData(toFormData(active))}
+          disabled={!active}
+        >
+          <EditOutlinedIcon fontSize="inherit" /> Edit Rule
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {error}
+          <button onClick={() => setError(null)} className="bg-transparent border-none text-red-800 text-xl cursor-pointer px-2 hover:text-red-600">×</button>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {successMessage}
+          <button onClick={() => setSuccessMessage(null)} className="bg-transparent border-none text-green-800 text-xl cursor-pointer px-2 hover:text-green-600">×</button>
+        </div>
+      )}
+
+      {isLoading || !active ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center text-gray-500 shadow-sm">Loading coupon rules...</div>
+      ) : (
+        <>
+          {/* Active rule */}
+          <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm mb-5">
+            <div className="flex items-center gap-2 mb-4">
+              <RuleOutlinedIcon className="text-gray-500" fontSize="small" />
+              <span className="font-semibold text-gray-900">
+                {active.isFallback ? 'Default rule (no version saved yet)' : `Active rule: version ${active.version}`}
+              </span>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+              <div>
+                <div className="text-xs font-semibold text-gray-600 uppercase tracking-wide">Coupons per item</div>
+                <div className="text-2xl font-bold text-gray-900 mt-1">{active.defaultRate}</div>
+              </div>
+              <div>
+                <div className="text-xs font-semibold text-gray-600 uppercase tracking-wide">Minimum deposit</div>
+                <div className="text-2xl font-bold text-gray-900 mt-1">{active.minItems} item{active.minItems === 1 ? '' : 's'}</div>
+              </div>
+              <div>
+                <div className="text-xs font-semibold text-gray-600 uppercase tracking-wide">Daily cap per depositor</div>
+                <div className="text-2xl font-bold text-gray-900 mt-1">{active.dailyCapPerDepositor ?? 'None'}</div>
+              </div>
+            </div>
+
+            {Object.keys(active.categoryRates || {}).length > 0 && (
+              <div className="mb-4">
+                <div className="text-xs font-semibold text-gray-600 mb-2 uppercase tracking-wide">Category rates</div>
+                <div className="flex flex-wrap gap-2">
+                  {Object.entries(active.categoryRates).map(([key, rate]) => (
+                    <span key={key} className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full bg-gray-100 text-xs text-gray-700">
+                      <span className="font-semibold">{getCategoryName(key)}</span> {rate} per item
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="text-xs font-semibold text-gray-600 mb-2 uppercase tracking-wide">Promotions</div>
+            {(active.promotions || []).length === 0 ? (
+              <p className="text-sm text-gray-500">No promotions.</p>
+            ) : (
+              <div className="space-y-2">
+                {active.promotions.map((promotion, index) => {
+                  const status = getPromotionStatus(promotion);
+                  return (
+                    <div key={index} className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                      <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold ${status.className}`}>{status.label}</span>
+                      <span className="font-medium text-gray-900">{promotion.name}</span>
+                      <span>x{promotion.multiplier}</span>
+                      <span className="text-gray-500">
+                        {formatDate(promotion.startsAt)} – {formatDate(new Date(new Date(promotion.endsAt).getTime() - 1))}
+                      </span>
+                      {promotion.categories && (
+                        <span className="text-gray-500">· {promotion.categories.map(getCategoryName).join(', ')}</span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Version history */}
+          <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-x-auto">
+            <div className="px-4 py-3 border-b border-gray-100 flex items-center gap-2 text-sm font-semibold text-gray-900">
+              <HistoryOutlinedIcon fontSize="small" className="text-gray-500" /> Version History
+            </div>
+            {rules.length === 0 ? (
+              <p className="p-6 text-sm text-gray-500 text-center">
+                No versions saved yet. Deposits earn {active.defaultRate} coupon(s) per item from the server configuration.
+              </p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-xs text-gray-600 uppercase tracking-wide">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold">Version</th>
+                    <th className="px-4 py-3 text-left font-semibold">Saved</th>
+                    <th className="px-4 py-3 text-left font-semibold">Per item</th>
+                    <th className="px-4 py-3 text-left font-semibold">Min / Cap</th>
+                    <th className="px-4 py-3 text-left font-semibold">Promotions</th>
+                    <th className="px-4 py-3 text-left font-semibold">Transactions</th>
+                    <th className="px-4 py-3 text-left font-semibold">Notes</th>
+                    <th className="px-4 py-3 text-right font-semibold">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {rules.map((rule) => (
+                    <tr key={rule.id}>
+                      <td className="px-4 py-3 font-medium text-gray-900">v{rule.version}</td>
+                      <td className="px-4 py-3 text-gray-700">
+                        {formatDate(rule.createdAt)}
+                        {rule.createdBy && <div className="text-xs text-gray-500">by {rule.createdBy.username}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">
+                        {rule.defaultRate}
+                        {Object.keys(rule.categoryRates || {}).length > 0 && (
+                          <div className="text-xs text-gray-500">
+                            {Object.entries(rule.categoryRates).map(([key, rate]) => `${getCategoryName(key)} ${rate}`).join(', ')}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-gray-700">{rule.minItems} / {rule.dailyCapPerDepositor ?? '—'}</td>
+                      <td className="px-4 py-3 text-gray-700">{(rule.promotions || []).length}</td>
+                      <td className="px-4 py-3 text-gray-700">{rule.transactionCount}</td>
+                      <td className="px-4 py-3 text-gray-600 text-xs max-w-[220px]">{rule.notes || '—'}</td>
+                      <td className="px-4 py-3">
+                        <div className="flex justify-end">
+                          {rule.isActive ? (
+                            <span className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold bg-emerald-100 text-emerald-800">Active</span>
+                          ) : (
+                            <button
+                              onClick={() => setPendingRestore(rule)}
+                              className="px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50"
+                            >
+                              Restore
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Edit Rule Modal */}
+      {formData && (
+        <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={() => setFormData(null)}>
+          <div className="bg-white rounded-xl p-7 max-w-[640px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <h3 className="m-0 mb-5 text-2xl text-gray-900">Edit Coupon Rule</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="grid grid-cols-3 gap-4 mb-5">
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Per item *</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    value={formData.defaultRate}
+                    onChange={(e) => setFormData({ ...formData, defaultRate: e.target.value })}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Min items *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="1000"
+                    value={formData.minItems}
+                    onChange={(e) => setFormData({ ...formData, minItems: e.target.value })}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Daily cap</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.dailyCapPerDepositor}
+                    onChange={(e) => setFormData({ ...formData, dailyCapPerDepositor: e.target.value })}
+                    placeholder="No cap"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 -mt-3 mb-5">
+                Deposits with fewer items than the minimum earn nothing. The daily cap limits what one card or student number can earn per day; anonymous deposits are not capped.
+              </p>
+
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Category rates</label>
+                <div className="grid grid-cols-2 gap-3">
+                  {categories.map((category) => (
+                    <div key={category.key} className="flex items-center gap-2">
+                      <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: category.color }} />
+                      <span className="text-sm text-gray-700 flex-1 truncate">{category.name}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        value={formData.categoryRates[category.key] ?? ''}
+                        onChange={(e) => setFormData({ ...formData, categoryRates: { ...formData.categoryRates, [category.key]: e.target.value } })}
+                        placeholder={String(formData.defaultRate)}
+                        className={`${inputClass} max-w-[96px]`}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1.5">Leave empty to use the per item rate. Fractions add up across a deposit and are rounded down.</p>
+              </div>
+
+              <div className="mb-5">
+                <div className="flex justify-between items-center mb-2">
+                  <label className="font-medium text-gray-900">Promotions</label>
+                  <button
+                    type="button"
+                    onClick={() => setFormData({ ...formData, promotions: [...formData.promotions, { ...EMPTY_PROMOTION }] })}
+                    className="px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50"
+                  >
+                    + Add Promotion
+                  </button>
+                </div>
+                {formData.promotions.length === 0 && (
+                  <p className="text-xs text-gray-500">No promotions. Add one for double points weeks and similar events.</p>
+                )}
+                {formData.promotions.map((promotion, index) => (
+                  <div key={index} className="border border-gray-200 rounded-lg p-3 mb-3">
+                    <div className="flex gap-2 mb-3">
+                      <input
+                        type="text"
+                        value={promotion.name}
+                        onChange={(e) => updatePromotion(index, { name: e.target.value })}
+                        placeholder="e.g. Recycling Week"
+                        maxLength={60}
+                        required
+                        className={inputClass}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, promotions: formData.promotions.filter((_, i) => i !== index) })}
+                        className="px-2 border border-transparent rounded-md bg-transparent text-gray-500 hover:text-red-600"
+                        title="Remove promotion"
+                      >
+                        <DeleteOutlineIcon fontSize="small" />
+                      </button>
+                    </div>
+                    <div className="grid grid-cols-3 gap-3 mb-3">
+                      <div>
+                        <label className="block mb-1 text-xs font-medium text-gray-600">From *</label>
+                        <input
+                          type="date"
+                          value={promotion.startDate}
+                          onChange={(e) => updatePromotion(index, { startDate: e.target.value })}
+                          required
+                          className={inputClass}
+                        />
+                      </div>
+                      <div>
+                        <label className="block mb-1 text-xs font-medium text-gray-600">Until *</label>
+                        <input
+                          type="date"
+                          value={promotion.endDate}
+                          min={promotion.startDate || undefined}
+                          onChange={(e) => updatePromotion(index, { endDate: e.target.value })}
+                          required
+                          className={inputClass}
+                        />
+                      </div>
+                      <div>
+                        <label className="block mb-1 text-xs font-medium text-gray-600">Multiplier *</label>
+                        <input
+                          type="number"
+                          min="0.1"
+                          max="10"
+                          step="0.1"
+                          value={promotion.multiplier}
+                          onChange={(e) => updatePromotion(index, { multiplier: e.target.value })}
+                          required
+                          className={inputClass}
+                        />
+                      </div>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {categories.map((category) => (
+                        <button
+                          key={category.key}
+                          type="button"
+                          onClick={() => togglePromotionCategory(index, category.key)}
+                          className={`px-2.5 py-1 rounded-full text-xs font-medium border ${promotion.categories.includes(category.key) ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                        >
+                          {category.name}
+                        </button>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1.5">
+                      {promotion.categories.length === 0 ? 'Applies to all categories.' : 'Applies to the selected categories only.'}
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Notes</label>
+                <input
+                  type="text"
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  placeholder="Why the rule changed"
+                  maxLength={500}
+                  className={inputClass}
+                />
+              </div>
+
+              <div className="flex gap-3 justify-end">
+                <button
+                  type="button"
+                  className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                  onClick={() => setFormData(null)}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700"
+                >
+                  Save as New Version
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Confirm Restore Modal */}
+      {pendingRestore && (
+        <div className="fixed inset-0 flex items-center justify-center z-50" style={{ backgroundColor: 'rgba(0, 0, 0, 0.5)' }}>
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl">
+            <h3 className="text-lg font-semibold mb-4 text-gray-900">Restore Version {pendingRestore.version}</h3>
+            <p className="text-gray-700 mb-6">
+              Version {pendingRestore.version} will be saved as a new version and apply to deposits from now on. Past transactions keep the rule they were earned under.
+            </p>
+            <div className="flex gap-3 justify-end">
+              <button
+                className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                onClick={() => setPendingRestore(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700"
+                onClick={confirmRestore}
+              >
+                Restore
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import { memo, useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import NotificationsActiveOutlinedIcon from '@mui/icons-material/NotificationsActiveOutlined';
+import { getCouponStockAlert, updateCouponStockAlert } from '../config/api';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent';
+
+const toForm = (settings) => ({
+  threshold: String(settings.threshold),
+  cooldownHours: String(Math.round((settings.cooldownMinutes / 60) * 10) / 10),
+  emailEnabled: settings.emailEnabled,
+  emailRecipients: settings.emailRecipients || '',
+});
+
+// Threshold below which staff are alerted that the dispenser needs a new coupon batch
+const CouponStockAlertPanel = memo(({ onMessage }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(null);
+
+  const { data: settings } = useQuery({
+    queryKey: ['couponStockAlert'],
+    queryFn: async () => (await getCouponStockAlert()).data,
+    refetchOnWindowFocus: true,
+  });
+
+  useEffect(() => {
+    if (settings) setForm(toForm(settings));
+  }, [settings]);
+
+  const saveMutation = useMutation({
+    mutationFn: updateCouponStockAlert,
+    onSuccess: async (data) => {
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['couponStockAlert'] }),
+        queryClient.invalidateQueries({ queryKey: ['couponBalance'] }),
+      ]);
+      onMessage?.(data.message || 'Alert settings saved', 'success');
+    },
+    onError: (error) => onMessage?.(error.message, 'error'),
+  });
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const threshold = parseInt(form.threshold, 10);
+    const cooldownHours = Number(form.cooldownHours);
+
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      onMessage?.('Threshold must be a whole number, 0 or more', 'error');
+      return;
+    }
+    if (Number.isNaN(cooldownHours) || cooldownHours < 0 || cooldownHours > 168) {
+      onMessage?.('Cooldown must be between 0 and 168 hours', 'error');
+      return;
+    }
+
+    saveMutation.mutate({
+      threshold,
+      cooldownMinutes: Math.round(cooldownHours * 60),
+      emailEnabled: form.emailEnabled,
+      emailRecipients: form.emailRecipients.trim(),
+    });
+  };
+
+  if (!settings || !form) return null;
+
+  const isLow = settings.balance <= settings.threshold;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-5 mb-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+        <h3 className="text-base font-semibold text-gray-900 flex items-center gap-2">
+          <NotificationsActiveOutlinedIcon fontSize="small" className="text-amber-600" />
+          Low Stock Alert
+        </h3>
+        <span className={`text-sm ${isLow ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+          {isLow ? `Stock of ${settings.balance} is at or below the threshold` : `Stock of ${settings.balance} is above the threshold`}
+          {settings.lastAlertedAt && <> · last alert {new Date(settings.lastAlertedAt).toLocaleString()}</>}
+        </span>
+      </div>
+      <form onSubmit={handleSave}>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mb-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Alert at or below</label>
+            <input
+              type="number"
+              min="0"
+              value={form.threshold}
+              onChange={(e) => setForm({ ...form, threshold: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Cooldown (hours)</label>
+            <input
+              type="number"
+              min="0"
+              max="168"
+              step="0.5"
+              value={form.cooldownHours}
+              onChange={(e) => setForm({ ...form, cooldownHours: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Email recipients</label>
+            <input
+              type="text"
+              value={form.emailRecipients}
+              onChange={(e) => setForm({ ...form, emailRecipients: e.target.value })}
+              placeholder="All admins"
+              disabled={!form.emailEnabled}
+              className={`${inputClass} disabled:bg-gray-100 disabled:text-gray-500`}
+            />
+          </div>
+        </div>
+        <div className="flex items-center justify-between gap-3 flex-wrap">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.emailEnabled}
+              onChange={(e) => setForm({ ...form, emailEnabled: e.target.checked })}
+            />
+            Also email staff when the stock runs low
+          </label>
+          <button
+            type="submit"
+            disabled={saveMutation.isPending}
+            className="bg-emerald-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Save
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          One alert is sent each time the stock drops to the threshold. A new drop within the cooldown is not announced again.
+        </p>
+      </form>
+    </div>
+  );
+});
+
+CouponStockAlertPanel.displayName = 'CouponStockAlertPanel';
+
+export default CouponStockAlertPanel;
@@ -8,6 +8,12 @@ import ConfirmationNumberOutlinedIcon from '@mui/icons-material/ConfirmationNumb
 import MonetizationOnOutlinedIcon from '@mui/icons-material/MonetizationOnOutlined';
 import Inventory2OutlinedIcon from '@mui/icons-material/Inventory2Outlined';
 import SettingsOutlinedIcon from '@mui/icons-material/SettingsOutlined';
+import RouterOutlinedIcon from '@mui/icons-material/RouterOutlined';
+import SavingsOutlinedIcon from '@mui/icons-material/SavingsOutlined';
+import CategoryOutlinedIcon from '@mui/icons-material/CategoryOutlined';
+import RuleOutlinedIcon from '@mui/icons-material/RuleOutlined';
+import FactCheckOutlinedIcon from '@mui/icons-material/FactCheckOutlined';
+import ManageAccountsOutlinedIcon from '@mui/icons-material/ManageAccountsOutlined';
 import NotificationsOutlinedIcon from '@mui/icons-material/NotificationsOutlined';
 import NotificationsOffOutlinedIcon from '@mui/icons-material/NotificationsOffOutlined';
 import AccountCircleOutlinedIcon from '@mui/icons-material/AccountCircleOutlined';
@@ -37,10 +43,15 @@ const MENU_ITEMS = [
   { id: 'waste', label: 'Waste Management', icon: '', path: '/waste' },
 ];
 
-// Admin-only menu items
+// Management menu items, each shown when the user's role grants its permission
 const ADMIN_MENU_ITEMS = [
-  { id: 'inventory', label: 'Inventory Management', icon: '', path: '/inventory' },
-  { id: 'settings', label: 'Settings', icon: '', path: '/settings' },
+  { id: 'inventory', label: 'Inventory Management', icon: '', path: '/inventory', permission: 'inventory:manage' },
+  { id: 'devices', label: 'Devices', icon: '', path: '/devices', permission: 'devices:manage' },
+  { id: 'categories', label: 'Waste Categories', icon: '', path: '/categories', permission: 'waste:configure' },
+  { id: 'couponRules', label: 'Coupon Rules', icon: '', path: '/coupon-rules', permission: 'coupons:manage' },
+  { id: 'couponAudit', label: 'Ledger Audit', icon: '', path: '/coupon-audit', permission: 'coupons:manage' },
+  { id: 'accounts', label: 'Accounts & Roles', icon: '', path: '/accounts', permission: 'accounts:manage' },
+  { id: 'settings', label: 'Settings', icon: '', path: '/settings', permission: 'accounts:manage' },
 ];
 
 const BOTTOM_NAV_META = {
@@ -49,6 +60,11 @@ const BOTTOM_NAV_META = {
   coupons: { label: 'Coupons', icon: <ConfirmationNumberOutlinedIcon fontSize="inherit" /> },
   profit: { label: 'Rewards', icon: <MonetizationOnOutlinedIcon fontSize="inherit" /> },
   inventory: { label: 'Inventory', icon: <Inventory2OutlinedIcon fontSize="inherit" /> },
+  devices: { label: 'Devices', icon: <RouterOutlinedIcon fontSize="inherit" /> },
+  categories: { label: 'Categories', icon: <CategoryOutlinedIcon fontSize="inherit" /> },
+  couponRules: { label: 'Rules', icon: <RuleOutlinedIcon fontSize="inherit" /> },
+  couponAudit: { label: 'Audit', icon: <FactCheckOutlinedIcon fontSize="inherit" /> },
+  accounts: { label: 'Accounts', icon: <ManageAccountsOutlinedIcon fontSize="inherit" /> },
   settings: { label: 'Settings', icon: <SettingsOutlinedIcon fontSize="inherit" /> },
 };
 
@@ -62,6 +78,12 @@ const NotificationItem = memo(({ notification, onClick, formatTime }) => {
     if (notification.type === 'coupon_low_stock') {
       return <ConfirmationNumberOutlinedIcon2 fontSize="medium" className="text-amber-600" />;
     }
+    if (notification.type === 'device_offline') {
+      return <RouterOutlinedIcon fontSize="medium" className="text-gray-700" />;
+    }
+    if (notification.type === 'budget_alert') {
+      return <SavingsOutlinedIcon fontSize="medium" className="text-amber-600" />;
+    }
     return <DeleteOutlineOutlinedIcon fontSize="medium" className="text-red-600" />;
   }, [notification.type]);
 
@@ -86,6 +108,7 @@ const NotificationItem = memo(({ notification, onClick, formatTime }) => {
           </div>
           <div className="text-gray-500 text-xs">
             {formatTime(notification.timestamp)}
+            {notification.emptiedAt && <> · Emptied {formatTime(notification.emptiedAt)}</>}
           </div>
         </div>
       </div>
@@ -136,22 +159,23 @@ const Dashboard = ({ user, onLogout, children }) => {
     markAsRead, 
     markAllAsRead, 
     clearAllNotifications,
-    forceRefresh
+    forceRefresh,
+    couponStockAlertAt
   } = useBinNotifications();
   
   const navigate = useNavigate();
   const location = useLocation();
 
-  const getCouponSeenStorageKey = useCallback((level) => `couponStockNotificationSeen:${level}`, []);
+  // Keyed by the server's alert time too, so the next crossing of the threshold shows as unread again
+  const getCouponSeenStorageKey = useCallback((notification) => (
+    `couponStockNotificationSeen:${notification.level}:${notification.alertedAt || ''}`
+  ), []);
 
-  // Memoize menu items - include admin items if user is admin
+  // Memoize menu items - include the management items the user's role allows
   const menuItems = useMemo(() => {
-    const items = [...MENU_ITEMS];
-    if (user?.role === 'admin') {
-      return [...items, ...ADMIN_MENU_ITEMS];
-    }
-    return items;
-  }, [user?.role]);
+    const permissions = user?.permissions || [];
+    return [...MENU_ITEMS, ...ADMIN_MENU_ITEMS.filter((item) => permissions.includes(item.permission))];
+  }, [user?.permissions]);
 
   // Memoize callbacks to prevent re-renders
   const handleMenuClick = useCallback((path) => {
@@ -167,7 +191,7 @@ const Dashboard = ({ user, onLogout, children }) => {
     if (notification.type === 'coupon_low_stock') {
       setCouponLowStockNotification((prev) => {
         if (!prev) return prev;
-        localStorage.setItem(getCouponSeenStorageKey(prev.level), '1');
+        localStorage.setItem(getCouponSeenStorageKey(prev), '1');
         return { ...prev, isRead: true };
       });
       setNotificationMenuOpen(false);
@@ -180,6 +204,10 @@ const Dashboard = ({ user, onLogout, children }) => {
     
     if (notification.type === 'bin_full') {
       navigate('/waste');
+    } else if (notification.type === 'device_offline' || notification.type === 'bin_level_warning') {
+      navigate('/dashboard');
+    } else if (notification.type === 'budget_alert') {
+      navigate('/profit');
     }
   }, [markAsRead, navigate, getCouponSeenStorageKey]);
 
@@ -187,7 +215,7 @@ const Dashboard = ({ user, onLogout, children }) => {
     markAllAsRead();
     setCouponLowStockNotification((prev) => {
       if (!prev) return prev;
-      localStorage.setItem(getCouponSeenStorageKey(prev.level), '1');
+      localStorage.setItem(getCouponSeenStorageKey(prev), '1');
       return { ...prev, isRead: true };
     });
   }, [markAllAsRead, getCouponSeenStorageKey]);
@@ -320,19 +348,24 @@ const Dashboard = ({ user, onLogout, children }) => {
 
         if (Number.isNaN(balance)) return;
 
-        const level = balance <= 0 ? 'no_stock' : balance < 20 ? 'low_stock' : null;
+        // The threshold is set by admins on the coupon records page
+        const lowStock = result?.data?.lowStock;
+        const isLow = lowStock ? lowStock.isLow : balance < 20;
+        const level = balance <= 0 ? 'no_stock' : isLow ? 'low_stock' : null;
 
         if (!level) {
           setCouponLowStockNotification(null);
           return;
         }
 
-        const isRead = localStorage.getItem(getCouponSeenStorageKey(level)) === '1';
+        const alertedAt = lowStock?.lastAlertedAt || null;
+        const isRead = localStorage.getItem(getCouponSeenStorageKey({ level, alertedAt })) === '1';
 
         setCouponLowStockNotification({
           id: `coupon-${level}`,
           type: 'coupon_low_stock',
           level,
+          alertedAt,
           title: level === 'no_stock' ? 'Coupon stock depleted' : 'Coupon stock is low',
           message: level === 'no_stock'
             ? 'Coupon balance is 0. Add stock to continue rewards redemption.'
@@ -352,7 +385,7 @@ const Dashboard = ({ user, onLogout, children }) => {
     return () => {
       clearInterval(intervalId);
     };
-  }, [getCouponSeenStorageKey]);
+  }, [getCouponSeenStorageKey, couponStockAlertAt]);
 
   return (
     <SettingsContext.Provider value={settingsValue}>
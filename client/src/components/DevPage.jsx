@@ -5,7 +5,7 @@ import SpaOutlinedIcon from '@mui/icons-material/SpaOutlined';
 import DeleteOutlineOutlinedIcon from '@mui/icons-material/DeleteOutlineOutlined';
 import ContentCopyOutlinedIcon from '@mui/icons-material/ContentCopyOutlined';
 import LoadingSpinner from './LoadingSpinner';
-import { API_ENDPOINTS, API_BASE_URL } from '../config/api';
+import { API_ENDPOINTS, API_BASE_URL, getDevices } from '../config/api';
 
 const DEV_PASSWORD = '123456';
 const DEV_AUTH_KEY = 'devPageAuthorized';
@@ -27,6 +27,9 @@ export default function DevPage() {
   const [wetForm, setWetForm] = useState({ biodegradable: 15 });
   const [dryForm, setDryForm] = useState({ nonBiodegradable: 10 });
   const [binType, setBinType] = useState(1);
+  const [fillLevel, setFillLevel] = useState(85);
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceId] = useState('');
 
   const total = useMemo(() => (Number(form.recyclable)||0) + (Number(form.biodegradable)||0) + (Number(form.nonBiodegradable)||0), [form]);
 
@@ -37,6 +40,18 @@ export default function DevPage() {
     }
   }, []);
 
+  // Machine ingestion routes need a device; simulate requests as one of the registered machines
+  useEffect(() => {
+    if (!isAuthorized) return;
+    getDevices(true)
+      .then((result) => {
+        const list = result.data || [];
+        setDevices(list);
+        if (list.length > 0) setDeviceId((prev) => prev || list[0].id);
+      })
+      .catch(() => setDevices([]));
+  }, [isAuthorized]);
+
   const handlePasswordSubmit = (e) => {
     e.preventDefault();
     if (passwordInput === DEV_PASSWORD) {
@@ -176,6 +191,33 @@ export default function DevPage() {
         </div>
       )}
 
+      <div className="mb-6 flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-3">
+        <label className="text-sm font-semibold text-gray-900 dark:text-gray-100">Simulated Machine</label>
+        <select
+          value={deviceId}
+          onChange={(e) => setDeviceId(Number(e.target.value))}
+          className="w-full sm:w-72 px-3 py-2 text-sm border border-gray-300 dark:border-gray-700 rounded-md bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-blue-600 dark:focus:border-blue-500"
+        >
+          {devices.length === 0 && <option value="">No active devices registered</option>}
+          {devices.map((device) => (
+            <option key={device.id} value={device.id}>
+              {device.name}{device.location ? ` - ${device.location}` : ''}
+            </option>
+          ))}
+        </select>
+        <button
+          className="px-3 py-2 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 cursor-pointer transition-all duration-150 hover:bg-gray-50 dark:hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+          disabled={loading || !deviceId}
+          onClick={() => callApi({
+            url: API_ENDPOINTS.DEVICE_HEARTBEAT,
+            method: 'POST',
+            body: { deviceId, firmwareVersion: 'dev-sim', uptime: Math.floor(performance.now() / 1000), sensors: { irSensor: 'ok', loadCell: 'ok' } }
+          })}
+        >
+          Send Heartbeat
+        </button>
+      </div>
+
       <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-5 mb-6">
         <section className="bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 rounded-lg overflow-hidden">
           <div className="px-5 py-4 bg-gray-50 dark:bg-gray-800 border-b border-gray-300 dark:border-gray-700 flex items-center justify-between">
@@ -203,13 +245,45 @@ export default function DevPage() {
             <button
               className="px-4 py-2 text-sm font-medium rounded-md border border-transparent cursor-pointer transition-all duration-150 inline-flex items-center gap-1.5 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
               disabled={loading}
-              onClick={() => callApi({ url: API_ENDPOINTS.BIN_FULL, method: 'POST', body: { bin: binType } })}
+              onClick={() => callApi({ url: API_ENDPOINTS.BIN_FULL, method: 'POST', body: { bin: binType, deviceId } })}
             >
               Trigger Bin Full
             </button>
           </div>
         </section>
 
+        <section className="bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 rounded-lg overflow-hidden">
+          <div className="px-5 py-4 bg-gray-50 dark:bg-gray-800 border-b border-gray-300 dark:border-gray-700 flex items-center justify-between">
+            <h2 className="text-base font-semibold text-gray-900 dark:text-gray-100 m-0">Bin: Fill Level</h2>
+            <span className="text-[11px] px-2 py-0.5 rounded font-mono font-semibold bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300">POST /api/bin/levels</span>
+          </div>
+          <div className="p-5">
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4 leading-normal">
+              Simulate an ultrasonic sensor reading for the bin selected above. Readings at or above the warning level notify connected clients once.
+            </p>
+
+            <div className="mb-4">
+              <label className="block text-sm font-semibold text-gray-900 dark:text-gray-100 mb-1.5">Fill Level: {fillLevel}%</label>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={fillLevel}
+                onChange={(e) => setFillLevel(Number(e.target.value))}
+                className="w-full"
+              />
+            </div>
+
+            <button
+              className="px-4 py-2 text-sm font-medium rounded-md border border-transparent cursor-pointer transition-all duration-150 inline-flex items-center gap-1.5 bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={loading}
+              onClick={() => callApi({ url: API_ENDPOINTS.BIN_LEVELS, method: 'POST', body: { bin: binType, level: fillLevel, deviceId } })}
+            >
+              Send Reading
+            </button>
+          </div>
+        </section>
+
         <section className="bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 rounded-lg overflow-hidden">
           <div className="px-5 py-4 bg-gray-50 dark:bg-gray-800 border-b border-gray-300 dark:border-gray-700 flex items-center justify-between">
             <h2 className="text-base font-semibold text-gray-900 dark:text-gray-100 m-0">Waste: Delete Today</h2>
@@ -276,7 +350,7 @@ export default function DevPage() {
               onClick={() => callApi({ 
                 url: API_ENDPOINTS.WASTE_ADD, 
                 method: 'POST', 
-                body: { recyclable: recyclableForm.recyclable, biodegradable: 0, nonBiodegradable: 0 }
+                body: { recyclable: recyclableForm.recyclable, biodegradable: 0, nonBiodegradable: 0, deviceId }
               })}
             >
               <RecyclingOutlinedIcon fontSize="small" /> Add Recyclable Waste
@@ -327,7 +401,7 @@ export default function DevPage() {
               onClick={() => callApi({ 
                 url: API_ENDPOINTS.WASTE_ADD, 
                 method: 'POST', 
-                body: { recyclable: 0, biodegradable: wetForm.biodegradable, nonBiodegradable: 0 }
+                body: { recyclable: 0, biodegradable: wetForm.biodegradable, nonBiodegradable: 0, deviceId }
               })}
             >
               <SpaOutlinedIcon fontSize="small" /> Add Wet Waste
@@ -378,7 +452,7 @@ export default function DevPage() {
               onClick={() => callApi({ 
                 url: API_ENDPOINTS.WASTE_ADD, 
                 method: 'POST', 
-                body: { recyclable: 0, biodegradable: 0, nonBiodegradable: dryForm.nonBiodegradable }
+                body: { recyclable: 0, biodegradable: 0, nonBiodegradable: dryForm.nonBiodegradable, deviceId }
               })}
             >
               <DeleteOutlineOutlinedIcon fontSize="small" /> Add Dry Waste
@@ -461,7 +535,7 @@ export default function DevPage() {
               <button
                 className="px-4 py-2 text-sm font-medium rounded-md border border-transparent cursor-pointer transition-all duration-150 inline-flex items-center gap-1.5 bg-green-700 text-white hover:bg-green-800 disabled:opacity-50 disabled:cursor-not-allowed"
                 disabled={loading}
-                onClick={() => callApi({ url: API_ENDPOINTS.WASTE_ADD, method: 'POST', body: form })}
+                onClick={() => callApi({ url: API_ENDPOINTS.WASTE_ADD, method: 'POST', body: { ...form, deviceId } })}
               >
                 Add Record
               </button>
@@ -0,0 +1,389 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getDevices, createDevice, updateDevice, rotateDeviceKey, revokeDeviceKey, deleteDevice, getLatestBinLevels, updateBinThreshold } from '../config/api';
+import RouterOutlinedIcon from '@mui/icons-material/RouterOutlined';
+import ContentCopyOutlinedIcon from '@mui/icons-material/ContentCopyOutlined';
+import AutorenewOutlinedIcon from '@mui/icons-material/AutorenewOutlined';
+import BlockOutlinedIcon from '@mui/icons-material/BlockOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import { useWasteCategories } from '../contexts/useWasteCategories';
+
+const formatDateTime = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const getKeyStatus = (device) => {
+  if (!device.isActive) return { label: 'Inactive', class: 'bg-gray-200 text-gray-700' };
+  if (!device.hasSecret) {
+    return device.keyRevokedAt
+      ? { label: 'Key revoked', class: 'bg-red-100 text-red-700' }
+      : { label: 'No key issued', class: 'bg-orange-100 text-orange-700' };
+  }
+  return { label: 'Active', class: 'bg-emerald-100 text-emerald-800' };
+};
+
+export default function DeviceManagement() {
+  const { bins, getBinName } = useWasteCategories();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [formData, setFormData] = useState({ name: '', location: '' });
+  const [credentials, setCredentials] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null); // { type: 'rotate' | 'revoke' | 'delete', device }
+  const [thresholds, setThresholds] = useState({}); // `${deviceId}-${binType}` -> warning level being edited
+  const [savedThresholds, setSavedThresholds] = useState({});
+
+  const fetchDevices = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [response, levels] = await Promise.all([getDevices(false), getLatestBinLevels()]);
+      setDevices(response.data || []);
+      const levelMap = Object.fromEntries((levels.data || []).map((bin) => [`${bin.deviceId}-${bin.binType}`, bin.warningLevel]));
+      setThresholds(levelMap);
+      setSavedThresholds(levelMap);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch devices');
+      console.error('Error fetching devices:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDevices();
+  }, [fetchDevices]);
+
+  const handleAddDevice = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await createDevice(formData);
+      setShowAddModal(false);
+      setFormData({ name: '', location: '' });
+      setCredentials(response.data);
+      fetchDevices();
+    } catch (err) {
+      setError(err.message || 'Failed to register device');
+    }
+  };
+
+  const handleToggleActive = async (device) => {
+    try {
+      await updateDevice(device.id, { isActive: !device.isActive });
+      setSuccessMessage(`${device.name} ${device.isActive ? 'deactivated' : 'activated'}`);
+      fetchDevices();
+    } catch (err) {
+      setError(err.message || 'Failed to update device');
+    }
+  };
+
+  const handleSaveThreshold = async (device, binType) => {
+    const key = `${device.id}-${binType}`;
+    const warningLevel = Number.parseInt(thresholds[key], 10);
+    if (warningLevel === savedThresholds[key]) return;
+
+    try {
+      await updateBinThreshold({ deviceId: device.id, bin: binType, warningLevel });
+      setSavedThresholds((prev) => ({ ...prev, [key]: warningLevel }));
+      setSuccessMessage(`${getBinName(binType)} bin on ${device.name} now warns at ${warningLevel}%`);
+    } catch (err) {
+      setError(err.message || 'Failed to update warning threshold');
+      setThresholds((prev) => ({ ...prev, [key]: savedThresholds[key] }));
+    }
+  };
+
+  const confirmPendingAction = async () => {
+    if (!pendingAction) return;
+    const { type, device } = pendingAction;
+    setPendingAction(null);
+
+    try {
+      if (type === 'rotate') {
+        const response = await rotateDeviceKey(device.id);
+        setCredentials(response.data);
+      } else if (type === 'revoke') {
+        await revokeDeviceKey(device.id);
+        setSuccessMessage(`Key revoked for ${device.name}. The machine can no longer submit data.`);
+      } else if (type === 'delete') {
+        await deleteDevice(device.id);
+        setSuccessMessage(`${device.name} deleted`);
+      }
+      fetchDevices();
+    } catch (err) {
+      setError(err.message || 'Action failed');
+    }
+  };
+
+  const copyToClipboard = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setSuccessMessage('Copied to clipboard');
+    } catch {
+      setError('Unable to copy to clipboard');
+    }
+  };
+
+  const actionCopy = {
+    rotate: {
+      title: 'Rotate Device Key',
+      body: 'A new API key and secret will be issued. The machine stops working until it is reprogrammed with the new credentials.',
+      button: 'Rotate Key',
+      class: 'bg-blue-600 hover:bg-blue-700'
+    },
+    revoke: {
+      title: 'Revoke Device Key',
+      body: 'The machine will be rejected on every request until a new key is issued by rotating.',
+      button: 'Revoke Key',
+      class: 'bg-red-600 hover:bg-red-700'
+    },
+    delete: {
+      title: 'Delete Device',
+      body: 'Devices with waste or bin records cannot be deleted; deactivate them instead. This action cannot be undone.',
+      button: 'Delete',
+      class: 'bg-red-600 hover:bg-red-700'
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Devices</h1>
+          <p className="text-sm text-gray-600 mt-1">Sorting machines allowed to submit waste and bin data</p>
+        </div>
+        <button
+          className="w-full sm:w-auto px-5 py-2.5 border-none rounded-lg text-sm font-semibold cursor-pointer bg-green-600 text-white whitespace-nowrap transition-all hover:bg-green-700 hover:shadow-lg shadow-green-600/20"
+          onClick={() => setShowAddModal(true)}
+        >
+          + Register Device
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {error}
+          <button onClick={() => setError(null)} className="bg-transparent border-none text-red-800 text-xl cursor-pointer px-2 hover:text-red-600">×</button>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {successMessage}
+          <button onClick={() => setSuccessMessage(null)} className="bg-transparent border-none text-green-800 text-xl cursor-pointer px-2 hover:text-green-600">×</button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center text-gray-500 shadow-sm">Loading devices...</div>
+      ) : devices.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center shadow-sm">
+          <RouterOutlinedIcon className="text-gray-400" style={{ fontSize: 48 }} />
+          <p className="text-gray-600 mt-3">No devices registered yet.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          {devices.map((device) => {
+            const status = getKeyStatus(device);
+            return (
+              <div key={device.id} className={`bg-white border border-gray-200 rounded-xl p-5 shadow-sm flex flex-col gap-4 ${!device.isActive ? 'opacity-60' : ''}`}>
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <h3 className="font-semibold text-gray-900 truncate">{device.name}</h3>
+                    <p className="text-xs text-gray-500 mt-0.5">{device.location || 'No location set'}</p>
+                  </div>
+                  <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${status.class}`}>
+                    {status.label}
+                  </span>
+                </div>
+
+                <dl className="grid grid-cols-2 gap-2 text-xs">
+                  <dt className="text-gray-500">Device ID</dt>
+                  <dd className="text-gray-900 font-mono text-right">{device.id}</dd>
+                  <dt className="text-gray-500">Key issued</dt>
+                  <dd className="text-gray-900 text-right">{formatDateTime(device.keyRotatedAt)}</dd>
+                  {device.keyRevokedAt && (
+                    <>
+                      <dt className="text-gray-500">Key revoked</dt>
+                      <dd className="text-red-700 text-right">{formatDateTime(device.keyRevokedAt)}</dd>
+                    </>
+                  )}
+                </dl>
+
+                {device.isActive && (
+                  <div>
+                    <div className="text-xs font-semibold text-gray-600 mb-1.5 uppercase tracking-wide">Bin warning level (%)</div>
+                    <div className="grid grid-cols-3 gap-2">
+                      {bins.map(({ binType, name }) => (
+                        <label key={binType} className="flex flex-col gap-1 text-[11px] text-gray-500 min-w-0">
+                          <span className="truncate" title={name}>{name}</span>
+                          <input
+                            type="number"
+                            min="1"
+                            max="100"
+                            value={thresholds[`${device.id}-${binType}`] ?? ''}
+                            onChange={(e) => setThresholds((prev) => ({ ...prev, [`${device.id}-${binType}`]: e.target.value }))}
+                            onBlur={() => handleSaveThreshold(device, binType)}
+                            className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+                          />
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex flex-wrap gap-2 mt-auto">
+                  <button
+                    onClick={() => setPendingAction({ type: 'rotate', device })}
+                    className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50"
+                  >
+                    <AutorenewOutlinedIcon fontSize="inherit" /> {device.hasSecret ? 'Rotate Key' : 'Issue Key'}
+                  </button>
+                  {device.hasSecret && (
+                    <button
+                      onClick={() => setPendingAction({ type: 'revoke', device })}
+                      className="inline-flex items-center gap-1 px-3 py-1.5 border border-red-200 rounded-md text-xs font-medium bg-white text-red-600 hover:bg-red-50"
+                    >
+                      <BlockOutlinedIcon fontSize="inherit" /> Revoke
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleToggleActive(device)}
+                    className="px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50"
+                  >
+                    {device.isActive ? 'Deactivate' : 'Activate'}
+                  </button>
+                  <button
+                    onClick={() => setPendingAction({ type: 'delete', device })}
+                    className="inline-flex items-center gap-1 px-3 py-1.5 border border-transparent rounded-md text-xs font-medium bg-transparent text-gray-500 hover:text-red-600"
+                    title="Delete device"
+                  >
+                    <DeleteOutlineIcon fontSize="inherit" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Register Device Modal */}
+      {showAddModal && (
+        <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={() => setShowAddModal(false)}>
+          <div className="bg-white rounded-xl p-7 max-w-[500px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <h3 className="m-0 mb-5 text-2xl text-gray-900">Register Device</h3>
+            <form onSubmit={handleAddDevice}>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required
+                  className="w-full py-2.5 px-2 border border-gray-300 rounded-md text-sm transition-colors bg-white text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+                />
+              </div>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Location</label>
+                <input
+                  type="text"
+                  value={formData.location}
+                  onChange={(e) => setFormData({ ...formData, location: e.target.value })}
+                  placeholder="e.g. Main Building Lobby"
+                  className="w-full py-2.5 px-2 border border-gray-300 rounded-md text-sm transition-colors bg-white text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200"
+                />
+              </div>
+              <div className="flex gap-3 justify-end">
+                <button
+                  type="button"
+                  className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                  onClick={() => setShowAddModal(false)}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700"
+                >
+                  Register
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Issued Credentials Modal - shown once */}
+      {credentials && (
+        <div className="fixed inset-0 flex items-center justify-center z-50" style={{ backgroundColor: 'rgba(0, 0, 0, 0.5)' }}>
+          <div className="bg-white rounded-lg p-6 max-w-lg w-full mx-4 shadow-xl">
+            <h3 className="text-lg font-semibold mb-2 text-gray-900">Credentials for {credentials.name}</h3>
+            <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-md px-3 py-2 mb-4">
+              Copy these into the machine firmware now. The secret will not be shown again.
+            </p>
+            {[
+              { label: 'API Key (X-Device-Key)', value: credentials.apiKey },
+              { label: 'Signing Secret', value: credentials.apiSecret }
+            ].map((field) => (
+              <div key={field.label} className="mb-4">
+                <label className="block text-xs font-semibold text-gray-600 mb-1.5 uppercase tracking-wide">{field.label}</label>
+                <div className="flex items-center gap-2">
+                  <code className="flex-1 min-w-0 break-all text-xs bg-gray-50 border border-gray-200 rounded-md px-3 py-2 text-gray-900">{field.value}</code>
+                  <button
+                    onClick={() => copyToClipboard(field.value)}
+                    className="p-2 border border-gray-300 rounded-md bg-white text-gray-700 hover:bg-gray-50"
+                    title="Copy"
+                  >
+                    <ContentCopyOutlinedIcon fontSize="small" />
+                  </button>
+                </div>
+              </div>
+            ))}
+            <div className="flex justify-end">
+              <button
+                className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-gray-900 text-white hover:bg-gray-800"
+                onClick={() => setCredentials(null)}
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Confirm Action Modal */}
+      {pendingAction && (
+        <div className="fixed inset-0 flex items-center justify-center z-50" style={{ backgroundColor: 'rgba(0, 0, 0, 0.5)' }}>
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl">
+            <h3 className="text-lg font-semibold mb-4 text-gray-900">{actionCopy[pendingAction.type].title}</h3>
+            <p className="text-gray-700 mb-6">
+              <span className="font-semibold">{pendingAction.device.name}</span>: {actionCopy[pendingAction.type].body}
+            </p>
+            <div className="flex gap-3 justify-end">
+              <button
+                className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                onClick={() => setPendingAction(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className={`py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all text-white ${actionCopy[pendingAction.type].class}`}
+                onClick={confirmPendingAction}
+              >
+                {actionCopy[pendingAction.type].button}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
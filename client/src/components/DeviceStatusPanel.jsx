@@ -0,0 +1,97 @@
+import { memo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import RouterOutlinedIcon from '@mui/icons-material/RouterOutlined';
+import { getDevices } from '../config/api';
+
+const STATUS_STYLES = {
+  online: { dot: 'bg-emerald-500', label: 'Online', text: 'text-emerald-700' },
+  offline: { dot: 'bg-red-500', label: 'Offline', text: 'text-red-700' },
+  never: { dot: 'bg-gray-300', label: 'No heartbeat yet', text: 'text-gray-500' },
+};
+
+const formatLastSeen = (value) => {
+  if (!value) return 'Never';
+  const diffInMinutes = Math.floor((Date.now() - new Date(value).getTime()) / (1000 * 60));
+  if (diffInMinutes < 1) return 'Just now';
+  if (diffInMinutes < 60) return `${diffInMinutes}m ago`;
+  if (diffInMinutes < 1440) return `${Math.floor(diffInMinutes / 60)}h ago`;
+  return `${Math.floor(diffInMinutes / 1440)}d ago`;
+};
+
+const formatUptime = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+// Sensors reporting anything other than "ok"
+const getFaultySensors = (sensorHealth) => {
+  if (!sensorHealth || typeof sensorHealth !== 'object') return [];
+  return Object.entries(sensorHealth)
+    .filter(([, status]) => String(typeof status === 'object' && status !== null ? status.status : status).toLowerCase() !== 'ok')
+    .map(([name]) => name);
+};
+
+// Online/offline status of every active machine, refreshed every minute
+const DeviceStatusPanel = memo(() => {
+  const { data: devices = [], isLoading } = useQuery({
+    queryKey: ['devices', 'status'],
+    queryFn: async () => (await getDevices(true)).data || [],
+    refetchInterval: 60 * 1000,
+    refetchOnWindowFocus: true,
+  });
+
+  if (isLoading || devices.length === 0) return null;
+
+  const onlineCount = devices.filter((device) => device.status === 'online').length;
+
+  return (
+    <div className="mb-4 sm:mb-6 bg-white rounded-lg border border-gray-200 p-3 sm:p-5">
+      <div className="flex items-center justify-between mb-3 sm:mb-4">
+        <h3 className="text-sm sm:text-base font-semibold text-gray-900 flex items-center gap-2">
+          <RouterOutlinedIcon fontSize="small" className="text-gray-500" />
+          Machines
+        </h3>
+        <span className="text-xs text-gray-500">{onlineCount} of {devices.length} online</span>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 sm:gap-3">
+        {devices.map((device) => {
+          const style = STATUS_STYLES[device.status] || STATUS_STYLES.never;
+          const faultySensors = getFaultySensors(device.sensorHealth);
+          const uptime = formatUptime(device.uptime);
+
+          return (
+            <div key={device.id} className="p-2.5 sm:p-3 bg-gray-50 rounded-lg border border-gray-100">
+              <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className={`w-2.5 h-2.5 rounded-full flex-shrink-0 ${style.dot}`} />
+                  <span className="text-xs sm:text-sm font-medium text-gray-900 truncate">{device.name}</span>
+                </div>
+                <span className={`text-[10px] sm:text-xs font-medium whitespace-nowrap ${style.text}`}>{style.label}</span>
+              </div>
+              <div className="mt-1.5 text-[10px] sm:text-xs text-gray-500 space-y-0.5">
+                {device.location && <div className="truncate">{device.location}</div>}
+                <div>
+                  Last seen {formatLastSeen(device.lastSeenAt)}
+                  {device.firmware && <> · FW {device.firmware}</>}
+                  {uptime && device.status === 'online' && <> · Up {uptime}</>}
+                </div>
+                {faultySensors.length > 0 && (
+                  <div className="text-amber-700">Sensor issue: {faultySensors.join(', ')}</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+});
+
+DeviceStatusPanel.displayName = 'DeviceStatusPanel';
+
+export default DeviceStatusPanel;
@@ -8,20 +8,33 @@ import RecyclingOutlinedIcon from '@mui/icons-material/RecyclingOutlined';
 import SpaOutlinedIcon from '@mui/icons-material/SpaOutlined';
 import DeleteOutlineOutlinedIcon from '@mui/icons-material/DeleteOutlineOutlined';
 import { formatLocalDateForApi } from '../utils/date';
+import { useWasteCategories } from '../contexts/useWasteCategories';
+
+// Icons for the built-in categories; categories added later use the generic one
+const CATEGORY_ICONS = {
+  recyclable: RecyclingOutlinedIcon,
+  biodegradable: SpaOutlinedIcon,
+};
 
 const ExportModal = ({ isOpen, onClose, onExport, title = "Export Data", showWasteTypes = true, showDateRange = true }) => {
+  const { categories } = useWasteCategories();
   const [exportFormat, setExportFormat] = useState('excel');
-  const [includeTypes, setIncludeTypes] = useState({
-    recyclable: true,
-    wet: true,
-    dry: true
-  });
+  // Category keys left out of the export; everything else, including newly added categories, is included
+  const [excludedTypes, setExcludedTypes] = useState([]);
   const [dateRange, setDateRange] = useState('all');
   const [customDateFrom, setCustomDateFrom] = useState(null);
   const [customDateTo, setCustomDateTo] = useState(null);
 
   if (!isOpen) return null;
 
+  const includeTypes = Object.fromEntries(
+    categories.map((category) => [category.key, !excludedTypes.includes(category.key)])
+  );
+
+  const toggleType = (key, included) => {
+    setExcludedTypes(prev => (included ? prev.filter((type) => type !== key) : [...prev, key]));
+  };
+
   const handleExport = () => {
     onExport({
       format: exportFormat,
@@ -62,35 +75,20 @@ const ExportModal = ({ isOpen, onClose, onExport, title = "Export Data", showWas
             <div className="flex flex-col gap-3">
               <label className="text-sm font-semibold text-gray-900">Include Waste Types</label>
               <div className="flex flex-col gap-3 p-4 bg-gray-50 rounded-lg">
-                <label className="flex items-center gap-2 cursor-pointer text-sm text-gray-900">
-                  <input
-                    type="checkbox"
-                    className="cursor-pointer w-[18px] h-[18px] accent-green-500"
-                    checked={includeTypes.recyclable}
-                    onChange={(e) => setIncludeTypes(prev => ({ ...prev, recyclable: e.target.checked }))}
-                  />
-                  <span className="inline-flex items-center gap-1.5"><RecyclingOutlinedIcon fontSize="small" /> Recyclable Wastes</span>
-                </label>
-                
-                <label className="flex items-center gap-2 cursor-pointer text-sm text-gray-900">
-                  <input
-                    type="checkbox"
-                    className="cursor-pointer w-[18px] h-[18px] accent-green-500"
-                    checked={includeTypes.wet}
-                    onChange={(e) => setIncludeTypes(prev => ({ ...prev, wet: e.target.checked }))}
-                  />
-                  <span className="inline-flex items-center gap-1.5"><SpaOutlinedIcon fontSize="small" /> Wet Wastes</span>
-                </label>
-                
-                <label className="flex items-center gap-2 cursor-pointer text-sm text-gray-900">
-                  <input
-                    type="checkbox"
-                    className="cursor-pointer w-[18px] h-[18px] accent-green-500"
-                    checked={includeTypes.dry}
-                    onChange={(e) => setIncludeTypes(prev => ({ ...prev, dry: e.target.checked }))}
-                  />
-                  <span className="inline-flex items-center gap-1.5"><DeleteOutlineOutlinedIcon fontSize="small" /> Dry Wastes</span>
-                </label>
+                {categories.map((category) => {
+                  const Icon = CATEGORY_ICONS[category.key] || DeleteOutlineOutlinedIcon;
+                  return (
+                    <label key={category.key} className="flex items-center gap-2 cursor-pointer text-sm text-gray-900">
+                      <input
+                        type="checkbox"
+                        className="cursor-pointer w-[18px] h-[18px] accent-green-500"
+                        checked={includeTypes[category.key]}
+                        onChange={(e) => toggleType(category.key, e.target.checked)}
+                      />
+                      <span className="inline-flex items-center gap-1.5"><Icon fontSize="small" style={{ color: category.color }} /> {category.name}</span>
+                    </label>
+                  );
+                })}
               </div>
             </div>
           )}
@@ -150,7 +148,7 @@ const ExportModal = ({ isOpen, onClose, onExport, title = "Export Data", showWas
           <button 
             className="px-6 py-3 rounded-md text-sm font-medium cursor-pointer transition-all duration-200 border-none bg-green-500 text-white shadow-sm hover:bg-green-600 hover:shadow-md hover:-translate-y-px disabled:opacity-50 disabled:cursor-not-allowed max-sm:w-full" 
             onClick={handleExport}
-            disabled={showWasteTypes && !includeTypes.recyclable && !includeTypes.wet && !includeTypes.dry}
+            disabled={showWasteTypes && !Object.values(includeTypes).some(Boolean)}
           >
             Export Data
           </button>
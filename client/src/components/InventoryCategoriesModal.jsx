@@ -0,0 +1,173 @@
+import { memo, useState } from 'react';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import { createInventoryCategory, updateInventoryCategory, deleteInventoryCategory } from '../config/api';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-900 focus:outline-none focus:border-green-500';
+
+const emptyCategory = { name: '', description: '', sortOrder: '' };
+
+// Shop sections: add, rename, reorder or remove them. Items of a removed category stay in the shop uncategorized.
+const InventoryCategoriesModal = memo(({ categories, onChanged, onClose }) => {
+  const [newCategory, setNewCategory] = useState(emptyCategory);
+  const [edits, setEdits] = useState({});
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await action();
+      await onChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await createInventoryCategory({
+        name: newCategory.name,
+        description: newCategory.description,
+        sortOrder: newCategory.sortOrder === '' ? undefined : newCategory.sortOrder
+      });
+      setNewCategory(emptyCategory);
+    });
+  };
+
+  const handleSave = (category) => {
+    const edit = edits[category.id];
+    run(async () => {
+      await updateInventoryCategory(category.id, edit);
+      setEdits(prev => {
+        const next = { ...prev };
+        delete next[category.id];
+        return next;
+      });
+    });
+  };
+
+  const handleDelete = (category) => {
+    if (!window.confirm(`Delete the "${category.name}" category? Its ${category.itemCount} item(s) will stay in the shop without a category.`)) {
+      return;
+    }
+    run(() => deleteInventoryCategory(category.id));
+  };
+
+  const setEdit = (category, key, value) => {
+    setEdits(prev => ({
+      ...prev,
+      [category.id]: { name: category.name, sortOrder: category.sortOrder, ...prev[category.id], [key]: value }
+    }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={onClose}>
+      <div className="bg-white rounded-xl p-7 max-w-[560px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <h3 className="m-0 mb-2 text-2xl text-gray-900">Shop Categories</h3>
+        <p className="text-sm text-gray-600 mb-5">Categories are shown in the Rewards Shop in sort order, lowest first.</p>
+
+        {error && <div className="bg-red-50 border border-red-200 text-red-800 px-3 py-2 rounded-lg mb-4 text-sm">{error}</div>}
+
+        {categories.length === 0 ? (
+          <div className="py-6 text-center text-sm text-gray-500">No categories yet</div>
+        ) : (
+          <ul className="divide-y divide-gray-100 mb-5">
+            {categories.map(category => {
+              const edit = edits[category.id];
+              return (
+                <li key={category.id} className="py-2.5 flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={edit?.name ?? category.name}
+                    onChange={(e) => setEdit(category, 'name', e.target.value)}
+                    className={inputClass}
+                  />
+                  <input
+                    type="number"
+                    value={edit?.sortOrder ?? category.sortOrder}
+                    onChange={(e) => setEdit(category, 'sortOrder', e.target.value)}
+                    title="Sort order"
+                    className={`${inputClass} !w-20`}
+                  />
+                  <span className="text-xs text-gray-500 whitespace-nowrap w-14 text-right">{category.itemCount} item(s)</span>
+                  {edit ? (
+                    <button
+                      type="button"
+                      onClick={() => handleSave(category)}
+                      disabled={saving}
+                      className="py-1.5 px-3 rounded-md text-xs font-medium bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Save
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(category)}
+                      disabled={saving}
+                      title="Delete category"
+                      className="p-1.5 border border-red-300 bg-white rounded-md text-red-600 hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <DeleteOutlineIcon fontSize="small" />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <form onSubmit={handleAdd} className="border-t border-gray-200 pt-4">
+          <label className="block mb-2 text-sm font-medium text-gray-900">New category</label>
+          <div className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={newCategory.name}
+              onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+              placeholder="e.g. School Supplies"
+              required
+              className={inputClass}
+            />
+            <input
+              type="number"
+              value={newCategory.sortOrder}
+              onChange={(e) => setNewCategory({ ...newCategory, sortOrder: e.target.value })}
+              placeholder="Order"
+              className={`${inputClass} !w-24`}
+            />
+          </div>
+          <input
+            type="text"
+            value={newCategory.description}
+            onChange={(e) => setNewCategory({ ...newCategory, description: e.target.value })}
+            placeholder="Description (optional)"
+            className={`${inputClass} mb-4`}
+          />
+          <div className="flex gap-3 justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+            >
+              Close
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              Add Category
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+});
+
+InventoryCategoriesModal.displayName = 'InventoryCategoriesModal';
+
+export default InventoryCategoriesModal;
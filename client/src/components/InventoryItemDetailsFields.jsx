@@ -0,0 +1,91 @@
+import { memo, useEffect, useMemo } from 'react';
+import ImageOutlinedIcon from '@mui/icons-material/ImageOutlined';
+import { resolveImageUrl } from '../config/api';
+
+const inputClass = 'w-full py-2.5 px-2 border border-gray-300 rounded-md text-sm transition-colors bg-white text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200';
+
+// Category, tags, sort order and photo of a shop item; shared by the add and edit forms.
+// formData.image holds a newly picked File and formData.removeImage asks to drop the current photo.
+const InventoryItemDetailsFields = memo(({ formData, setFormData, categories, currentImageUrl }) => {
+  const previewUrl = useMemo(() => (formData.image ? URL.createObjectURL(formData.image) : null), [formData.image]);
+
+  useEffect(() => () => {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const shownImage = previewUrl || (!formData.removeImage && resolveImageUrl(currentImageUrl));
+
+  return (
+    <>
+      <div className="grid grid-cols-2 gap-4">
+        <div className="mb-5">
+          <label className="block mb-2 font-medium text-gray-900">Category</label>
+          <select
+            value={formData.categoryId}
+            onChange={(e) => setFormData({ ...formData, categoryId: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">No category</option>
+            {categories.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="mb-5">
+          <label className="block mb-2 font-medium text-gray-900">Sort Order</label>
+          <input
+            type="number"
+            value={formData.sortOrder}
+            onChange={(e) => setFormData({ ...formData, sortOrder: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="mb-5">
+        <label className="block mb-2 font-medium text-gray-900">Tags</label>
+        <input
+          type="text"
+          value={formData.tags}
+          onChange={(e) => setFormData({ ...formData, tags: e.target.value })}
+          placeholder="Comma separated, e.g. writing, art"
+          className={inputClass}
+        />
+      </div>
+
+      <div className="mb-5">
+        <label className="block mb-2 font-medium text-gray-900">Photo</label>
+        <div className="flex items-center gap-4">
+          <div className="w-20 h-20 rounded-lg border border-gray-200 bg-gray-50 flex items-center justify-center overflow-hidden shrink-0">
+            {shownImage
+              ? <img src={shownImage} alt="" className="w-full h-full object-cover" />
+              : <ImageOutlinedIcon className="text-gray-300" fontSize="large" />}
+          </div>
+          <div className="flex flex-col gap-2 text-sm">
+            <input
+              type="file"
+              accept="image/jpeg,image/png,image/webp,image/gif"
+              onChange={(e) => setFormData({ ...formData, image: e.target.files?.[0] || null, removeImage: false })}
+              className="text-sm text-gray-700 file:mr-3 file:py-1.5 file:px-3 file:border-0 file:rounded-md file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+            />
+            {shownImage && (
+              <button
+                type="button"
+                onClick={() => setFormData({ ...formData, image: null, removeImage: Boolean(currentImageUrl) })}
+                className="self-start text-xs font-medium text-red-600 hover:text-red-700"
+              >
+                Remove photo
+              </button>
+            )}
+            <span className="text-xs text-gray-500">JPEG, PNG, WebP or GIF, up to 5MB</span>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+});
+
+InventoryItemDetailsFields.displayName = 'InventoryItemDetailsFields';
+
+export default InventoryItemDetailsFields;
@@ -1,13 +1,22 @@
 import { useState, useEffect, useMemo, useCallback } from 'react';
-import { getInventoryItems, createInventoryItem, updateInventoryItem, updateItemStock, deleteInventoryItem } from '../config/api';
+import { getInventoryItems, createInventoryItem, updateInventoryItem, updateItemStock, deleteInventoryItem, getInventoryMovements, getInventoryCategories, uploadItemImage, deleteItemImage, resolveImageUrl } from '../config/api';
 import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import Inventory2OutlinedIcon from '@mui/icons-material/Inventory2Outlined';
 import FileDownloadOutlinedIcon from '@mui/icons-material/FileDownloadOutlined';
+import HistoryOutlinedIcon from '@mui/icons-material/HistoryOutlined';
+import CategoryOutlinedIcon from '@mui/icons-material/CategoryOutlined';
+import LocalShippingOutlinedIcon from '@mui/icons-material/LocalShippingOutlined';
 import * as XLSX from 'xlsx';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import ExportModal from './ExportModal';
+import StockMovementTimeline from './StockMovementTimeline';
+import InventoryItemDetailsFields from './InventoryItemDetailsFields';
+import InventoryCategoriesModal from './InventoryCategoriesModal';
+import PurchaseOrdersModal from './PurchaseOrdersModal';
+import { MANUAL_MOVEMENT_TYPES, getMovementLabel, formatMovementQuantity } from '../utils/inventoryMovements';
+import { formatLocalDateForApi } from '../utils/date';
 
 export default function InventoryManagement() {
   const [items, setItems] = useState([]);
@@ -22,13 +31,23 @@ export default function InventoryManagement() {
   const [quickStockChange, setQuickStockChange] = useState(null);
   const [selectedItem, setSelectedItem] = useState(null);
   const [showExportModal, setShowExportModal] = useState(false);
+  const [showMovementExportModal, setShowMovementExportModal] = useState(false);
+  const [historyItem, setHistoryItem] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [showCategoriesModal, setShowCategoriesModal] = useState(false);
+  const [showPurchaseOrders, setShowPurchaseOrders] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     cost: 1,
     price: '',
     stock: 0,
-    isActive: true
+    isActive: true,
+    categoryId: '',
+    tags: '',
+    sortOrder: 0,
+    image: null,
+    removeImage: false
   });
   
   // Filter states
@@ -36,7 +55,8 @@ export default function InventoryManagement() {
     search: '',
     status: 'all', // all, available, low-stock, no-stock
     costRange: 'all', // all, low, medium, high
-    sortBy: 'name', // name, cost, stock
+    category: 'all', // all, none, or a category id
+    sortBy: 'name', // name, cost, stock, sortOrder
     sortOrder: 'asc' // asc, desc
   });
 
@@ -113,17 +133,41 @@ export default function InventoryManagement() {
     })}`;
   }, [parsePriceNumber]);
 
+  // The photo is uploaded separately once the item is saved
   const buildInventoryPayload = useCallback((data) => ({
-    ...data,
+    name: data.name,
+    description: data.description,
+    isActive: data.isActive,
     cost: parseWholeNumber(data.cost, 1),
     price: parsePriceNumber(data.price),
     stock: normalizeStock(data.stock),
+    categoryId: data.categoryId === '' ? null : Number(data.categoryId),
+    tags: data.tags,
+    sortOrder: parseWholeNumber(data.sortOrder, 0),
   }), [normalizeStock, parsePriceNumber, parseWholeNumber]);
 
+  const saveItemImage = async (itemId) => {
+    if (formData.image) {
+      await uploadItemImage(itemId, formData.image);
+    } else if (formData.removeImage) {
+      await deleteItemImage(itemId);
+    }
+  };
+
   useEffect(() => {
     fetchItems();
+    fetchCategories();
   }, []);
 
+  const fetchCategories = async () => {
+    try {
+      const response = await getInventoryCategories();
+      setCategories(response.data);
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
   const fetchItems = async () => {
     try {
       setLoading(true);
@@ -142,7 +186,8 @@ export default function InventoryManagement() {
     e.preventDefault();
     try {
       const payload = buildInventoryPayload(formData);
-      await createInventoryItem(payload);
+      const created = await createInventoryItem(payload);
+      await saveItemImage(created.data.id);
       setShowAddModal(false);
       resetForm();
       setSuccessMessage(`✓ Item "${formData.name}" added successfully!`);
@@ -159,6 +204,7 @@ export default function InventoryManagement() {
     try {
       const payload = buildInventoryPayload(formData);
       await updateInventoryItem(selectedItem.id, payload);
+      await saveItemImage(selectedItem.id);
       setShowEditModal(false);
       setSelectedItem(null);
       resetForm();
@@ -172,7 +218,8 @@ export default function InventoryManagement() {
   };
 
   const handleQuickStockAdjust = (itemId, adjustment) => {
-    setQuickStockChange({ itemId, adjustment });
+    const [type] = MANUAL_MOVEMENT_TYPES[adjustment > 0 ? 'add' : 'remove'];
+    setQuickStockChange({ itemId, adjustment, type, reason: '' });
     setShowQuickStockConfirm(true);
   };
 
@@ -181,7 +228,10 @@ export default function InventoryManagement() {
     
     try {
       const item = items.find(i => i.id === quickStockChange.itemId);
-      await updateItemStock(quickStockChange.itemId, quickStockChange.adjustment);
+      await updateItemStock(quickStockChange.itemId, quickStockChange.adjustment, {
+        type: quickStockChange.type,
+        reason: quickStockChange.reason.trim() || undefined
+      });
       setShowQuickStockConfirm(false);
       setQuickStockChange(null);
       setSuccessMessage(`✓ Quick stock adjustment: ${quickStockChange.adjustment > 0 ? '+' : ''}${quickStockChange.adjustment} for "${item?.name}"!`);
@@ -227,7 +277,12 @@ export default function InventoryManagement() {
       cost: parseWholeNumber(item.cost, 1),
       price: item.price == null ? '' : Number(item.price).toFixed(2),
       stock: normalizeStock(item.stock),
-      isActive: item.isActive
+      isActive: item.isActive,
+      categoryId: item.categoryId ? String(item.categoryId) : '',
+      tags: Array.isArray(item.tags) ? item.tags.join(', ') : '',
+      sortOrder: item.sortOrder ?? 0,
+      image: null,
+      removeImage: false
     });
     setShowEditModal(true);
   };
@@ -239,7 +294,12 @@ export default function InventoryManagement() {
       cost: 1,
       price: '',
       stock: 0,
-      isActive: true
+      isActive: true,
+      categoryId: '',
+      tags: '',
+      sortOrder: 0,
+      image: null,
+      removeImage: false
     });
   };
 
@@ -252,6 +312,7 @@ export default function InventoryManagement() {
       search: '',
       status: 'all',
       costRange: 'all',
+      category: 'all',
       sortBy: 'name',
       sortOrder: 'asc'
     });
@@ -273,7 +334,8 @@ export default function InventoryManagement() {
       const searchLower = filters.search.toLowerCase();
       filtered = filtered.filter(item => 
         item.name.toLowerCase().includes(searchLower) ||
-        (item.description && item.description.toLowerCase().includes(searchLower))
+        (item.description && item.description.toLowerCase().includes(searchLower)) ||
+        (Array.isArray(item.tags) && item.tags.some(tag => tag.includes(searchLower)))
       );
     }
 
@@ -282,6 +344,13 @@ export default function InventoryManagement() {
       filtered = filtered.filter(item => getStockStatus(item).class === filters.status);
     }
 
+    // Category filter
+    if (filters.category !== 'all') {
+      filtered = filtered.filter(item => (
+        filters.category === 'none' ? !item.categoryId : String(item.categoryId) === filters.category
+      ));
+    }
+
     // Cost range filter
     if (filters.costRange !== 'all') {
       filtered = filtered.filter(item => {
@@ -316,6 +385,8 @@ export default function InventoryManagement() {
       return {
         'Item Name': item.name,
         'Description': item.description || '-',
+        'Category': item.category?.name || '-',
+        'Tags': Array.isArray(item.tags) && item.tags.length > 0 ? item.tags.join(', ') : '-',
         'Cost (Coupons)': item.cost,
         'Price (PHP)': formatDisplayPrice(item.price) || '-',
         'Stock (pcs)': normalizeStock(item.stock),
@@ -365,6 +436,81 @@ export default function InventoryManagement() {
     doc.save(`inventory-${new Date().toISOString().split('T')[0]}.pdf`);
   }, [filteredAndSortedItems, formatDisplayPrice, getStockStatus, normalizeStock]);
 
+  // The movement log is fetched for the chosen period rather than taken from the item list
+  const handleMovementExport = useCallback(async ({ format, dateRange, customDateFrom, customDateTo }) => {
+    const now = new Date();
+    let startDate = null;
+    let endDate = null;
+
+    if (dateRange === 'custom') {
+      startDate = customDateFrom;
+      endDate = customDateTo;
+    } else if (dateRange !== 'all') {
+      const from = new Date(now);
+      if (dateRange === 'week') from.setDate(from.getDate() - 7);
+      if (dateRange === 'month') from.setMonth(from.getMonth() - 1);
+      if (dateRange === 'year') from.setFullYear(from.getFullYear() - 1);
+      startDate = formatLocalDateForApi(from);
+    }
+
+    try {
+      const response = await getInventoryMovements({ startDate, endDate, limit: 10000 });
+      const movements = response.data || [];
+
+      if (movements.length === 0) {
+        setError('No stock movements in the selected period');
+        return;
+      }
+
+      const fileDate = new Date().toISOString().split('T')[0];
+      const rows = movements.map(movement => [
+        new Date(movement.createdAt).toLocaleString(),
+        movement.item?.name || '-',
+        getMovementLabel(movement.type),
+        formatMovementQuantity(movement.quantity),
+        movement.stockBefore,
+        movement.stockAfter,
+        movement.account?.username || '-',
+        movement.reason || '-'
+      ]);
+      const head = ['Date', 'Item', 'Type', 'Change', 'Before', 'After', 'User', 'Reason'];
+
+      if (format === 'excel') {
+        const ws = XLSX.utils.aoa_to_sheet([head, ...rows]);
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, 'Stock Movements');
+        XLSX.writeFile(wb, `stock-movements-${fileDate}.xlsx`);
+      } else if (format === 'pdf') {
+        const doc = new jsPDF({ orientation: 'landscape' });
+
+        doc.setFontSize(18);
+        doc.setTextColor(22, 163, 74);
+        doc.text('Stock Movement Log', 14, 22);
+
+        doc.setFontSize(10);
+        doc.setTextColor(107, 114, 128);
+        doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 30);
+        doc.text(`Period: ${startDate || 'start'} to ${endDate || 'today'} · ${movements.length} movement(s)`, 14, 36);
+
+        autoTable(doc, {
+          startY: 45,
+          head: [head],
+          body: rows.map(row => row.map(String)),
+          theme: 'grid',
+          headStyles: { fillColor: [22, 163, 74] },
+          styles: { fontSize: 8 },
+          columnStyles: { 7: { cellWidth: 70 } },
+          alternateRowStyles: { fillColor: [249, 250, 251] }
+        });
+
+        doc.save(`stock-movements-${fileDate}.pdf`);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to export stock movements');
+      console.error('Error exporting stock movements:', err);
+    }
+  }, []);
+
   const handleExport = useCallback((options) => {
     const { format } = options;
     if (format === 'excel') {
@@ -397,6 +543,27 @@ export default function InventoryManagement() {
             <span className="hidden sm:inline">Export</span>
             <span className="sm:hidden">Export</span>
           </button>
+          <button
+            onClick={() => setShowCategoriesModal(true)}
+            className="flex-1 sm:flex-none inline-flex items-center justify-center gap-2 px-4 py-2.5 bg-white border border-gray-300 text-gray-800 text-sm font-semibold rounded-lg hover:bg-gray-50 transition-colors duration-200"
+          >
+            <CategoryOutlinedIcon fontSize="small" />
+            <span>Categories</span>
+          </button>
+          <button
+            onClick={() => setShowMovementExportModal(true)}
+            className="flex-1 sm:flex-none inline-flex items-center justify-center gap-2 px-4 py-2.5 bg-white border border-gray-300 text-gray-800 text-sm font-semibold rounded-lg hover:bg-gray-50 transition-colors duration-200"
+          >
+            <HistoryOutlinedIcon fontSize="small" />
+            <span>Stock Log</span>
+          </button>
+          <button
+            onClick={() => setShowPurchaseOrders(true)}
+            className="flex-1 sm:flex-none inline-flex items-center justify-center gap-2 px-4 py-2.5 bg-white border border-gray-300 text-gray-800 text-sm font-semibold rounded-lg hover:bg-gray-50 transition-colors duration-200"
+          >
+            <LocalShippingOutlinedIcon fontSize="small" />
+            <span>Orders</span>
+          </button>
           <button 
             className="flex-1 sm:flex-none px-5 py-2.5 border-none rounded-lg text-sm font-semibold cursor-pointer bg-green-600 text-white whitespace-nowrap transition-all hover:bg-green-700 hover:shadow-lg shadow-green-600/20" 
             onClick={() => setShowAddModal(true)}
@@ -463,6 +630,21 @@ export default function InventoryManagement() {
             </select>
           </div>
 
+          <div>
+            <label className="block text-xs font-semibold text-gray-600 mb-1.5 uppercase tracking-wide">Category</label>
+            <select 
+              value={filters.category} 
+              onChange={(e) => updateFilter('category', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-900 transition-colors focus:outline-none focus:border-green-500 focus:ring-2 focus:ring-green-500/20"
+            >
+              <option value="all">All Categories</option>
+              {categories.map(category => (
+                <option key={category.id} value={String(category.id)}>{category.name}</option>
+              ))}
+              <option value="none">Uncategorized</option>
+            </select>
+          </div>
+
           <div>
             <label className="block text-xs font-semibold text-gray-600 mb-1.5 uppercase tracking-wide">Sort By</label>
             <select 
@@ -473,6 +655,7 @@ export default function InventoryManagement() {
               <option value="name">Name</option>
               <option value="cost">Cost</option>
               <option value="stock">Stock</option>
+              <option value="sortOrder">Shop Order</option>
             </select>
           </div>
 
@@ -517,9 +700,24 @@ export default function InventoryManagement() {
                 return (
                   <tr key={item.id} className={`border-b border-gray-100 transition-all hover:bg-gray-50 ${!item.isActive ? 'opacity-50 bg-gray-50' : ''}`}>
                     <td className="px-4 py-4">
-                      <div className="flex flex-col">
-                        <span className="font-semibold text-gray-900">{item.name}</span>
-                        {item.description && <span className="text-xs text-gray-500 mt-0.5">{item.description}</span>}
+                      <div className="flex items-center gap-3">
+                        <div className="w-11 h-11 rounded-lg border border-gray-200 bg-gray-50 flex items-center justify-center overflow-hidden shrink-0">
+                          {item.imageUrl
+                            ? <img src={resolveImageUrl(item.imageUrl)} alt="" className="w-full h-full object-cover" />
+                            : <Inventory2OutlinedIcon className="text-gray-300" fontSize="small" />}
+                        </div>
+                        <div className="flex flex-col min-w-0">
+                          <span className="font-semibold text-gray-900">{item.name}</span>
+                          {item.description && <span className="text-xs text-gray-500 mt-0.5">{item.description}</span>}
+                          {(item.category || (Array.isArray(item.tags) && item.tags.length > 0)) && (
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              {item.category && <span className="px-1.5 py-0.5 rounded text-[11px] font-medium bg-green-50 text-green-700">{item.category.name}</span>}
+                              {Array.isArray(item.tags) && item.tags.map(tag => (
+                                <span key={tag} className="px-1.5 py-0.5 rounded text-[11px] bg-gray-100 text-gray-600">#{tag}</span>
+                              ))}
+                            </div>
+                          )}
+                        </div>
                       </div>
                     </td>
                     <td className="px-4 py-4 text-sm text-center">
@@ -559,6 +757,9 @@ export default function InventoryManagement() {
                     </td>
                     <td className="px-4 py-4 text-center">
                       <div className="flex items-center justify-center gap-2">
+                        <button className="p-2 border border-gray-300 bg-white rounded-md text-xs font-medium cursor-pointer transition-all hover:bg-gray-50 hover:border-gray-500 hover:shadow-md" onClick={() => setHistoryItem(item)} title="Stock history">
+                          <HistoryOutlinedIcon fontSize="small" />
+                        </button>
                         <button className="p-2 border border-orange-300 bg-white rounded-md text-xs font-medium cursor-pointer transition-all hover:bg-orange-50 hover:border-orange-500 hover:shadow-md" onClick={() => openEditModal(item)} title="Edit">
                           <span className="inline-flex items-center gap-1"><EditOutlinedIcon fontSize="small" /> Edit</span>
                         </button>
@@ -581,9 +782,13 @@ export default function InventoryManagement() {
             return (
               <div key={item.id} className={`bg-white border border-gray-200 rounded-xl p-4 shadow-sm transition-all hover:shadow-md ${!item.isActive ? 'opacity-60 bg-gray-50' : ''}`}>
                 <div className="flex justify-between items-start mb-3">
+                  {item.imageUrl && (
+                    <img src={resolveImageUrl(item.imageUrl)} alt="" className="w-12 h-12 rounded-lg object-cover border border-gray-200 mr-3 shrink-0" />
+                  )}
                   <div className="flex-1">
                     <h3 className="font-semibold text-gray-900 text-base">{item.name}</h3>
                     {item.description && <p className="text-xs text-gray-500 mt-1">{item.description}</p>}
+                    {item.category && <p className="text-xs text-green-700 mt-1">{item.category.name}</p>}
                   </div>
                   <span className={`ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${stockStatus.class === 'available' ? 'bg-emerald-100 text-emerald-800' : stockStatus.class === 'low-stock' ? 'bg-orange-100 text-orange-700' : 'bg-gray-200 text-gray-700'}`}>
                     {stockStatus.label}
@@ -625,7 +830,10 @@ export default function InventoryManagement() {
                   </div>
                 </div>
 
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                  <button className="py-2.5 px-2 border border-gray-300 bg-white rounded-lg text-xs font-medium cursor-pointer transition-all hover:bg-gray-50 hover:border-gray-500 hover:shadow-md" onClick={() => setHistoryItem(item)}>
+                    <span className="inline-flex items-center gap-1"><HistoryOutlinedIcon fontSize="small" /> History</span>
+                  </button>
                   <button className="py-2.5 px-2 border border-orange-300 bg-white rounded-lg text-xs font-medium cursor-pointer transition-all hover:bg-orange-50 hover:border-orange-500 hover:shadow-md" onClick={() => openEditModal(item)}>
                     <span className="inline-flex items-center gap-1"><EditOutlinedIcon fontSize="small" /> Edit</span>
                   </button>
@@ -739,6 +947,8 @@ export default function InventoryManagement() {
                 />
               </div>
               
+              <InventoryItemDetailsFields formData={formData} setFormData={setFormData} categories={categories} />
+
               <div className="mb-5 flex items-center">
                 <label className="flex items-center gap-2 m-0 cursor-pointer text-gray-700">
                   <input
@@ -852,6 +1062,8 @@ export default function InventoryManagement() {
                 />
               </div>
               
+              <InventoryItemDetailsFields formData={formData} setFormData={setFormData} categories={categories} currentImageUrl={selectedItem.imageUrl} />
+
               <div className="mb-5 flex items-center">
                 <label className="flex items-center gap-2 m-0 cursor-pointer text-gray-700">
                   <input
@@ -906,12 +1118,36 @@ export default function InventoryManagement() {
         <div className="fixed inset-0 flex items-center justify-center z-50" style={{ backgroundColor: 'rgba(0, 0, 0, 0.5)' }}>
           <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl">
             <h3 className="text-lg font-semibold mb-4 text-gray-900">Confirm Stock Adjustment</h3>
-            <p className="text-gray-700 mb-6">
+            <p className="text-gray-700 mb-4">
               {quickStockChange.adjustment > 0 
                 ? `Add ${quickStockChange.adjustment} item(s) to stock?`
                 : `Remove ${Math.abs(quickStockChange.adjustment)} item(s) from stock?`
               }
             </p>
+            <div className="mb-4">
+              <label className="block mb-2 text-sm font-medium text-gray-900">Type</label>
+              <select
+                value={quickStockChange.type}
+                onChange={(e) => setQuickStockChange({ ...quickStockChange, type: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:border-green-500"
+              >
+                {MANUAL_MOVEMENT_TYPES[quickStockChange.adjustment > 0 ? 'add' : 'remove'].map(type => (
+                  <option key={type} value={type}>{getMovementLabel(type)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mb-6">
+              <label className="block mb-2 text-sm font-medium text-gray-900">
+                Reason{quickStockChange.type !== 'RESTOCK' && ' *'}
+              </label>
+              <input
+                type="text"
+                value={quickStockChange.reason}
+                onChange={(e) => setQuickStockChange({ ...quickStockChange, reason: e.target.value })}
+                placeholder={quickStockChange.type === 'RESTOCK' ? 'Optional, e.g. delivery from supplier' : 'e.g. counted shelf, expired, broken in storage'}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:border-green-500"
+              />
+            </div>
             <div className="flex gap-3 justify-end">
               <button
                 className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
@@ -920,8 +1156,9 @@ export default function InventoryManagement() {
                 Cancel
               </button>
               <button
-                className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700"
+                className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
                 onClick={confirmQuickStock}
+                disabled={quickStockChange.type !== 'RESTOCK' && !quickStockChange.reason.trim()}
               >
                 Confirm
               </button>
@@ -939,6 +1176,35 @@ export default function InventoryManagement() {
         showWasteTypes={false}
         showDateRange={false}
       />
+
+      {/* Stock Movement Log Export Modal */}
+      <ExportModal
+        isOpen={showMovementExportModal}
+        onClose={() => setShowMovementExportModal(false)}
+        onExport={handleMovementExport}
+        title="Export Stock Movement Log"
+        showWasteTypes={false}
+      />
+
+      {historyItem && (
+        <StockMovementTimeline item={historyItem} onClose={() => setHistoryItem(null)} />
+      )}
+
+      {showCategoriesModal && (
+        <InventoryCategoriesModal
+          categories={categories}
+          onChanged={() => Promise.all([fetchCategories(), fetchItems()])}
+          onClose={() => setShowCategoriesModal(false)}
+        />
+      )}
+
+      {showPurchaseOrders && (
+        <PurchaseOrdersModal
+          items={items}
+          onStockChanged={() => getInventoryItems(false).then((response) => setItems(response.data))}
+          onClose={() => setShowPurchaseOrders(false)}
+        />
+      )}
     </div>
   );
 }
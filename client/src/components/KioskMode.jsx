@@ -1,14 +1,33 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import AdminPanelSettingsOutlinedIcon from '@mui/icons-material/AdminPanelSettingsOutlined';
-import { API_ENDPOINTS } from '../config/api';
+import { API_ENDPOINTS, getNotificationStreamUrl } from '../config/api';
 import { getCachedVideoUrl } from '../config/firebase';
+import { useWasteCategories } from '../contexts/useWasteCategories';
 
 const VIDEO_CACHE_KEY = 'kioskVideoUrlCache.v1';
 const VIDEO_CACHE_TTL = 1000 * 60 * 60 * 24;
 const RETURN_TO_IDLE_DELAY_MS = 4000;
+// Long enough to take a photo of the QR code or write the code down
+const VOUCHER_DISPLAY_MS = 45000;
+const KIOSK_DEVICE_KEY = 'kioskDeviceId';
 
-const WASTE_TYPES = ['RECYCLABLE', 'WET', 'DRY'];
+// Machine this screen stands in front of, from /kiosk?device=<id>; remembered so a reload keeps it
+const resolveKioskDevice = (searchParams) => {
+  const fromUrl = parseInt(searchParams.get('device'));
+
+  try {
+    if (fromUrl > 0) {
+      localStorage.setItem(KIOSK_DEVICE_KEY, String(fromUrl));
+      return fromUrl;
+    }
+
+    const stored = parseInt(localStorage.getItem(KIOSK_DEVICE_KEY));
+    return stored > 0 ? stored : null;
+  } catch {
+    return fromUrl > 0 ? fromUrl : null;
+  }
+};
 
 const readVideoCache = () => {
   try {
@@ -44,29 +63,48 @@ const resolveCachedUrl = async (cacheKey, resolver) => {
   return url;
 };
 
-const detectWasteType = (payload) => {
-  if ((payload?.recyclable || 0) > 0) {
-    return 'RECYCLABLE';
-  }
-
-  if ((payload?.biodegradable || 0) > 0) {
-    return 'WET';
-  }
+const fetchWasteVideoUrl = async (wasteType) => {
+  return resolveCachedUrl(`waste-${wasteType}`, async () => {
+    const response = await fetch(API_ENDPOINTS.VIDEO_MAPPING_BY_TYPE(wasteType), {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+    });
+    if (!response.ok) {
+      return '';
+    }
 
-  return 'DRY';
+    const data = await response.json();
+    return data?.data?.videoUrl || '';
+  });
 };
 
 const KioskMode = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { categories } = useWasteCategories();
 
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [idleVideoUrl, setIdleVideoUrl] = useState('');
   const [activeVideoUrl, setActiveVideoUrl] = useState('');
   const [isIdlePlayback, setIsIdlePlayback] = useState(true);
+  const [voucher, setVoucher] = useState(null);
+  // Deposits and videos need a signed-in staff member; the kiosk is started from Settings
+  const [isSignedIn] = useState(() => Boolean(localStorage.getItem('token')));
+  const [deviceId] = useState(() => resolveKioskDevice(searchParams));
 
   const wasteVideoMapRef = useRef({});
   const returnToIdleTimerRef = useRef(null);
+  const voucherTimerRef = useRef(null);
+
+  // Vouchers are only minted for anonymous deposits; identified students get points in their wallet
+  const showVoucher = useCallback((nextVoucher) => {
+    if (voucherTimerRef.current) {
+      clearTimeout(voucherTimerRef.current);
+    }
+
+    setVoucher(nextVoucher);
+    voucherTimerRef.current = setTimeout(() => setVoucher(null), VOUCHER_DISPLAY_MS);
+  }, []);
 
   const resetToIdle = useCallback(() => {
     if (!idleVideoUrl) {
@@ -106,35 +144,16 @@ const KioskMode = () => {
   useEffect(() => {
     let isMounted = true;
 
-    const fetchWasteVideoUrl = async (wasteType) => {
-      return resolveCachedUrl(`waste-${wasteType}`, async () => {
-        const response = await fetch(API_ENDPOINTS.VIDEO_MAPPING_BY_TYPE(wasteType));
-        if (!response.ok) {
-          return '';
-        }
-
-        const data = await response.json();
-        return data?.data?.videoUrl || '';
-      });
-    };
-
     const loadKioskMedia = async () => {
       try {
         const idleUrl = await resolveCachedUrl('idle', async () => {
           return getCachedVideoUrl('videos/idle/idle.mp4', VIDEO_CACHE_TTL);
         });
 
-        const wastePairs = await Promise.all(
-          WASTE_TYPES.map(async (type) => [type, await fetchWasteVideoUrl(type)])
-        );
-
         if (!isMounted) {
           return;
         }
 
-        const wasteMap = Object.fromEntries(wastePairs);
-        wasteVideoMapRef.current = wasteMap;
-
         setIdleVideoUrl(idleUrl);
         setActiveVideoUrl(idleUrl);
       } catch (loadError) {
@@ -158,8 +177,37 @@ const KioskMode = () => {
     };
   }, []);
 
+  // One video per waste category, reloaded when admins change the categories
   useEffect(() => {
-    const eventSource = new EventSource(API_ENDPOINTS.BIN_NOTIFICATIONS_STREAM);
+    let isMounted = true;
+
+    const loadWasteVideos = async () => {
+      try {
+        const wastePairs = await Promise.all(
+          categories.map(async (category) => [category.code, await fetchWasteVideoUrl(category.code)])
+        );
+
+        if (isMounted) {
+          wasteVideoMapRef.current = Object.fromEntries(wastePairs);
+        }
+      } catch (loadError) {
+        console.error('Failed to load waste videos:', loadError);
+      }
+    };
+
+    loadWasteVideos();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [categories]);
+
+  useEffect(() => {
+    if (!isSignedIn) {
+      return undefined;
+    }
+
+    const eventSource = new EventSource(getNotificationStreamUrl({ deviceId }));
 
     eventSource.onmessage = (event) => {
       try {
@@ -170,8 +218,19 @@ const KioskMode = () => {
         }
 
         if (data?.type === 'WASTE_INSERTED') {
-          const wasteType = detectWasteType(data.data || {});
-          playWasteVideo(wasteType);
+          // A screen bound to a machine only reacts to that machine's deposits
+          if (deviceId && data.data?.deviceId !== deviceId) {
+            return;
+          }
+
+          // Code of the first category with items, set by the server
+          playWasteVideo(data.data?.wasteType);
+          return;
+        }
+
+        // Only sent to screens following the machine, so the depositor standing here gets it
+        if (data?.type === 'VOUCHER_ISSUED' && deviceId && data.deviceId === deviceId) {
+          showVoucher(data.data);
         }
       } catch (parseError) {
         console.error('Kiosk SSE parse error:', parseError);
@@ -185,13 +244,16 @@ const KioskMode = () => {
     return () => {
       eventSource.close();
     };
-  }, [playWasteVideo]);
+  }, [isSignedIn, deviceId, playWasteVideo, showVoucher]);
 
   useEffect(() => {
     return () => {
       if (returnToIdleTimerRef.current) {
         clearTimeout(returnToIdleTimerRef.current);
       }
+      if (voucherTimerRef.current) {
+        clearTimeout(voucherTimerRef.current);
+      }
     };
   }, []);
 
@@ -234,6 +296,39 @@ const KioskMode = () => {
         </div>
       )}
 
+      {voucher && (
+        <div className="absolute bottom-6 left-1/2 -translate-x-1/2 w-[min(92vw,22rem)] rounded-2xl bg-white/95 p-5 text-center shadow-2xl">
+          <p className="text-sm font-medium text-gray-600">You earned</p>
+          <p className="text-3xl font-bold text-emerald-600">{voucher.points} coupon{voucher.points === 1 ? '' : 's'}</p>
+          {voucher.qrCode && (
+            <img src={voucher.qrCode} alt={`Voucher ${voucher.code}`} className="mx-auto my-3 h-48 w-48" />
+          )}
+          <p className="font-mono text-xl font-semibold tracking-widest text-gray-900">{voucher.code}</p>
+          <p className="mt-1 text-xs text-gray-500">
+            Show this code at the rewards counter before {new Date(voucher.expiresAt).toLocaleDateString()}. It can be used once.
+          </p>
+          <button
+            type="button"
+            className="mt-3 text-sm font-medium text-gray-500 hover:text-gray-800"
+            onClick={() => setVoucher(null)}
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {!isSignedIn && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 px-4 py-2 rounded-lg text-white text-sm font-medium bg-black/70">
+          Sign in with the admin button to start the kiosk.
+        </div>
+      )}
+
+      {isSignedIn && !deviceId && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 px-4 py-2 rounded-lg text-white text-sm font-medium bg-black/70">
+          Choose this screen&apos;s machine in Settings to show deposit vouchers.
+        </div>
+      )}
+
       {error && (
         <div className="absolute top-4 left-4 px-3 py-2 rounded-lg text-white text-sm font-medium bg-red-500/90">
           {error}
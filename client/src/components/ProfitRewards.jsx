@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
 import QueryStatsIcon from '@mui/icons-material/QueryStats';
@@ -16,8 +16,11 @@ import * as XLSX from 'xlsx';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import { usePreferences } from '../contexts/PreferencesContext';
-import { API_ENDPOINTS } from '../config/api';
+import { API_ENDPOINTS, getDailyProfit, getRecyclablesInStorage } from '../config/api';
 import LoadingSpinner from './LoadingSpinner';
+import RecyclableSalesModal from './RecyclableSalesModal';
+import BuyersModal from './BuyersModal';
+import RewardBudgets from './RewardBudgets';
 
 const fetchAllRecords = async () => {
   const token = localStorage.getItem('token');
@@ -52,6 +55,29 @@ const fetchAllRecords = async () => {
   return allRecords;
 };
 
+// Computed part of each day (sales in, redemptions out) as a table row; manual adjustments are listed as their own rows
+const toComputedRows = (days) => days
+  .filter((day) => day.sales.count > 0 || day.redemptions.count > 0 || day.restock?.count > 0)
+  .map((day) => {
+    const [year, month, date] = day.date.split('-').map(Number);
+    const notes = [`${day.sales.count} sale(s)`, `${day.redemptions.count} redemption(s)`];
+    if (day.redemptions.unpriced > 0) {
+      notes.push(`${day.redemptions.unpriced} without a price`);
+    }
+    if (day.restock?.count > 0) {
+      notes.push(`₱${day.restock.amount.toFixed(2)} restocked (not counted)`);
+    }
+    return {
+      id: `day-${day.date}`,
+      computed: true,
+      date: new Date(year, month - 1, date),
+      profitFromRecyclables: day.sales.amount,
+      rewardsSpent: day.redemptions.amount,
+      netProfit: day.sales.amount - day.redemptions.amount,
+      notes: notes.join(' · ')
+    };
+  });
+
 const ProfitRewards = () => {
   const { preferences } = usePreferences();
   const currentYear = new Date().getFullYear();
@@ -73,6 +99,9 @@ const ProfitRewards = () => {
   const [customDateTo, setCustomDateTo] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(10);
+  const [showSalesModal, setShowSalesModal] = useState(false);
+  const [showBuyersModal, setShowBuyersModal] = useState(false);
+  const queryClient = useQueryClient();
   
   // Form state
   const [formData, setFormData] = useState({
@@ -84,12 +113,26 @@ const ProfitRewards = () => {
   
   const [editingId, setEditingId] = useState(null);
 
-  const { data: records = [], isLoading: recordsLoading, refetch: refetchRecords } = useQuery({
+  const { data: adjustments = [], isLoading: recordsLoading, refetch: refetchRecords } = useQuery({
     queryKey: ['profitRecords'],
     queryFn: fetchAllRecords,
     staleTime: 2 * 60 * 1000,
   });
 
+  const { data: days = [], isLoading: daysLoading } = useQuery({
+    queryKey: ['profitDaily'],
+    queryFn: async () => (await getDailyProfit()).data,
+    staleTime: 2 * 60 * 1000,
+  });
+
+  const { data: storage } = useQuery({
+    queryKey: ['recyclablesInStorage'],
+    queryFn: async () => (await getRecyclablesInStorage()).data,
+    staleTime: 2 * 60 * 1000,
+  });
+
+  const records = useMemo(() => [...toComputedRows(days), ...adjustments], [days, adjustments]);
+
   const showMessage = useCallback((text, type = 'success') => {
     setMessage(text);
     setMessageType(type);
@@ -181,13 +224,14 @@ const ProfitRewards = () => {
       });
       
       refetchRecords();
+      queryClient.invalidateQueries({ queryKey: ['rewardBudget'] });
       setShowModal(false);
     } catch (error) {
       showMessage('Operation failed', 'error');
     } finally {
       setIsSubmitting(false);
     }
-  }, [formData, editingId, refetchRecords, showMessage]);
+  }, [formData, editingId, refetchRecords, showMessage, queryClient]);
 
   const handleEdit = useCallback((record) => {
     setEditingId(record.id);
@@ -224,6 +268,7 @@ const ProfitRewards = () => {
         setShowDeleteConfirm(false);
         setRecordToDelete(null);
         refetchRecords();
+        queryClient.invalidateQueries({ queryKey: ['rewardBudget'] });
       } else {
         const error = await response.json();
         showMessage(error.message || 'Failed to delete record', 'error');
@@ -235,7 +280,7 @@ const ProfitRewards = () => {
       setShowDeleteConfirm(false);
       setRecordToDelete(null);
     }
-  }, [recordToDelete, refetchRecords, showMessage]);
+  }, [recordToDelete, refetchRecords, showMessage, queryClient]);
 
   const handleCancelEdit = useCallback(() => {
     setEditingId(null);
@@ -258,6 +303,14 @@ const ProfitRewards = () => {
     });
   }, []);
 
+  const formatDay = useCallback((date) => {
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }, []);
+
   const formatCurrency = useCallback((amount) => {
     return new Intl.NumberFormat('en-PH', {
       style: 'currency',
@@ -433,7 +486,7 @@ const ProfitRewards = () => {
     [preferences?.uiSize]
   );
 
-  const loading = recordsLoading;
+  const loading = recordsLoading || daysLoading;
   
   const years = useMemo(() => {
     const startYear = 2025;
@@ -523,12 +576,12 @@ const ProfitRewards = () => {
 
       {/* Summary Cards */}
       <div className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg p-4 md:p-8 mb-6 md:mb-8 shadow-sm">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 md:gap-6">
           <div className="bg-[var(--bg-secondary)] rounded-lg p-4 md:p-6 flex items-center gap-4 md:gap-6 border-2 border-[var(--success-color)] bg-gradient-to-br from-[rgba(34,197,94,0.05)] to-[rgba(34,197,94,0.15)] transition-all hover:-translate-y-0.5 hover:shadow-md">
             <div className="flex-1">
               <div className="text-sm text-[var(--text-secondary)] mb-2">Total Amount Collected</div>
               <div className="text-[clamp(1.25rem,4vw,2rem)] font-bold text-[var(--text-primary)] leading-tight mb-2 break-words">{formatCurrency(summary.totalProfit || 0)}</div>
-              <div className="text-xs text-[var(--text-muted)]">From recyclables</div>
+              <div className="text-xs text-[var(--text-muted)]">From recyclable sales</div>
             </div>
           </div>
 
@@ -536,13 +589,29 @@ const ProfitRewards = () => {
             <div className="flex-1">
               <div className="text-sm text-[var(--text-secondary)] mb-2">Total Rewards</div>
               <div className="text-[clamp(1.25rem,4vw,2rem)] font-bold text-[var(--text-primary)] leading-tight mb-2 break-words">{formatCurrency(summary.totalRewardsSpent || summary.totalRewards || 0)}</div>
-              <div className="text-xs text-[var(--text-muted)]">Given to users</div>
+              <div className="text-xs text-[var(--text-muted)]">Value of redeemed shop items</div>
+            </div>
+          </div>
+
+          <div className="bg-[var(--bg-secondary)] rounded-lg p-4 md:p-6 flex items-center gap-4 md:gap-6 border-2 border-amber-500 bg-gradient-to-br from-[rgba(245,158,11,0.05)] to-[rgba(245,158,11,0.15)] transition-all hover:-translate-y-0.5 hover:shadow-md">
+            <div className="flex-1">
+              <div className="text-sm text-[var(--text-secondary)] mb-2">Unsold Recyclables</div>
+              <div className="text-[clamp(1.25rem,4vw,2rem)] font-bold text-[var(--text-primary)] leading-tight mb-2 break-words">{formatCurrency(storage?.totalEstimatedValue || 0)}</div>
+              <div className="text-xs text-[var(--text-muted)]">
+                {storage?.materials.length
+                  ? storage.materials.map((material) => `${material.name} ${material.inStorage} ${material.unit === 'KG' ? 'kg' : 'pcs'}`).join(' · ')
+                  : 'Nothing in storage'}
+                {storage?.unpricedMaterials > 0 && ` · ${storage.unpricedMaterials} without a buyer price`}
+              </div>
+              <div className="text-xs text-[var(--text-muted)]">Estimated at today's best buyer prices</div>
             </div>
           </div>
 
         </div>
       </div>
 
+      <RewardBudgets formatCurrency={formatCurrency} />
+
       {/* Records Table */}
       <div className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg p-4 md:p-8 shadow-sm mb-6">
         <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-6 gap-4">
@@ -557,10 +626,24 @@ const ProfitRewards = () => {
               <span>Export</span>
             </button>
             <button 
-              className="flex items-center justify-center gap-2 px-4 md:px-6 py-2 border-none rounded font-medium cursor-pointer transition-all text-sm text-center bg-[var(--primary-color)] text-white shadow-sm hover:bg-[var(--primary-hover)] hover:shadow-md hover:-translate-y-0.5 active:translate-y-0 disabled:opacity-50 disabled:cursor-not-allowed flex-1 md:flex-initial"
+              className="inline-flex items-center justify-center gap-1.5 px-4 md:px-6 py-2 border-none rounded font-medium cursor-pointer transition-all text-sm text-center bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] hover:bg-[var(--bg-hover)] hover:border-[var(--primary-color)] hover:text-[var(--primary-color)] flex-1 md:flex-initial"
               onClick={() => setShowModal(true)}
+              title="Income or spending outside recorded sales and redemptions"
+            >
+              Add Adjustment
+            </button>
+            <button 
+              className="inline-flex items-center justify-center gap-1.5 px-4 md:px-6 py-2 border-none rounded font-medium cursor-pointer transition-all text-sm text-center bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] hover:bg-[var(--bg-hover)] hover:border-[var(--primary-color)] hover:text-[var(--primary-color)] flex-1 md:flex-initial"
+              onClick={() => setShowBuyersModal(true)}
+              title="Buyers directory and price lists"
+            >
+              Buyers
+            </button>
+            <button 
+              className="flex items-center justify-center gap-2 px-4 md:px-6 py-2 border-none rounded font-medium cursor-pointer transition-all text-sm text-center bg-[var(--primary-color)] text-white shadow-sm hover:bg-[var(--primary-hover)] hover:shadow-md hover:-translate-y-0.5 active:translate-y-0 disabled:opacity-50 disabled:cursor-not-allowed flex-1 md:flex-initial"
+              onClick={() => setShowSalesModal(true)}
             >
-              Add Record
+              Record Sale
             </button>
           </div>
         </div>
@@ -668,7 +751,7 @@ const ProfitRewards = () => {
                 <tbody>
                   {paginatedRecords.map((record) => (
                     <tr key={record.id} className="border-b border-[var(--border-color)] transition-colors hover:bg-[var(--bg-hover)] last:border-b-0">
-                      <td className="p-4 text-[var(--text-primary)]">{formatDate(record.date)}</td>
+                      <td className="p-4 text-[var(--text-primary)]">{record.computed ? formatDay(record.date) : formatDate(record.date)}</td>
                       <td className="p-4 text-[var(--text-primary)]">
                         <span className="font-semibold font-[Courier_New,monospace] text-[clamp(0.8rem,2vw,0.9375rem)] break-words text-[var(--success-color)]">
                           {formatCurrency(record.profitFromRecyclables || 0)}
@@ -690,22 +773,28 @@ const ProfitRewards = () => {
                         </span>
                       </td>
                       <td className="p-4 text-[var(--text-primary)]">
-                        <div className="flex gap-2">
-                          <button
-                            className="p-1 px-2 border-none bg-transparent cursor-pointer rounded transition-all text-base hover:bg-[rgba(59,130,246,0.1)] hover:scale-110"
-                            onClick={() => handleEdit(record)}
-                            title="Edit"
-                          >
-                            <EditOutlinedIcon fontSize="small" />
-                          </button>
-                          <button
-                            className="p-1 px-2 border-none bg-transparent cursor-pointer rounded transition-all text-base hover:bg-[rgba(239,68,68,0.1)] hover:scale-110"
-                            onClick={() => handleDelete(record.id)}
-                            title="Delete"
-                          >
-                            <DeleteOutlineIcon fontSize="small" />
-                          </button>
-                        </div>
+                        {record.computed ? (
+                          <span className="text-xs text-[var(--text-secondary)]" title="Computed from recyclable sales and shop redemptions">
+                            Computed
+                          </span>
+                        ) : (
+                          <div className="flex gap-2">
+                            <button
+                              className="p-1 px-2 border-none bg-transparent cursor-pointer rounded transition-all text-base hover:bg-[rgba(59,130,246,0.1)] hover:scale-110"
+                              onClick={() => handleEdit(record)}
+                              title="Edit"
+                            >
+                              <EditOutlinedIcon fontSize="small" />
+                            </button>
+                            <button
+                              className="p-1 px-2 border-none bg-transparent cursor-pointer rounded transition-all text-base hover:bg-[rgba(239,68,68,0.1)] hover:scale-110"
+                              onClick={() => handleDelete(record.id)}
+                              title="Delete"
+                            >
+                              <DeleteOutlineIcon fontSize="small" />
+                            </button>
+                          </div>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -718,7 +807,7 @@ const ProfitRewards = () => {
               {paginatedRecords.map((record) => (
                 <div key={record.id} className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg p-4 shadow-sm hover:shadow-md transition-all">
                   <div className="flex justify-between items-start mb-3">
-                    <div className="text-sm font-medium text-[var(--text-secondary)]">{formatDate(record.date)}</div>
+                    <div className="text-sm font-medium text-[var(--text-secondary)]">{record.computed ? formatDay(record.date) : formatDate(record.date)}</div>
                     <div className={`text-lg font-bold ${record.netProfit >= 0 ? 'text-[var(--success-color)]' : 'text-[var(--danger-color,#ef4444)]'}`}>
                       {formatCurrency(record.netProfit || 0)}
                     </div>
@@ -741,22 +830,26 @@ const ProfitRewards = () => {
                     </div>
                   )}
 
-                  <div className="flex gap-2 justify-end">
-                    <button
-                      className="px-4 py-2 border-none bg-[rgba(59,130,246,0.1)] text-[var(--secondary-color)] cursor-pointer rounded transition-all text-sm font-medium hover:bg-[rgba(59,130,246,0.2)]"
-                      onClick={() => handleEdit(record)}
-                    >
-                      <EditOutlinedIcon fontSize="small" className="mr-1" />
-                      Edit
-                    </button>
-                    <button
-                      className="px-4 py-2 border-none bg-[rgba(239,68,68,0.1)] text-[var(--danger-color,#ef4444)] cursor-pointer rounded transition-all text-sm font-medium hover:bg-[rgba(239,68,68,0.2)]"
-                      onClick={() => handleDelete(record.id)}
-                    >
-                      <DeleteOutlineIcon fontSize="small" className="mr-1" />
-                      Delete
-                    </button>
-                  </div>
+                  {record.computed ? (
+                    <div className="text-right text-xs text-[var(--text-secondary)]">Computed from sales and redemptions</div>
+                  ) : (
+                    <div className="flex gap-2 justify-end">
+                      <button
+                        className="px-4 py-2 border-none bg-[rgba(59,130,246,0.1)] text-[var(--secondary-color)] cursor-pointer rounded transition-all text-sm font-medium hover:bg-[rgba(59,130,246,0.2)]"
+                        onClick={() => handleEdit(record)}
+                      >
+                        <EditOutlinedIcon fontSize="small" className="mr-1" />
+                        Edit
+                      </button>
+                      <button
+                        className="px-4 py-2 border-none bg-[rgba(239,68,68,0.1)] text-[var(--danger-color,#ef4444)] cursor-pointer rounded transition-all text-sm font-medium hover:bg-[rgba(239,68,68,0.2)]"
+                        onClick={() => handleDelete(record.id)}
+                      >
+                        <DeleteOutlineIcon fontSize="small" className="mr-1" />
+                        Delete
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -907,7 +1000,7 @@ const ProfitRewards = () => {
           <div className="bg-[var(--bg-secondary)] rounded-lg max-w-[800px] w-full max-h-[90vh] overflow-y-auto shadow-[0_20px_60px_rgba(0,0,0,0.3)] animate-slideIn" onClick={(e) => e.stopPropagation()}>
             <div className="flex justify-between items-center p-8 border-b border-[var(--border-color)]">
               <h2 className="text-2xl font-semibold text-[var(--text-primary)] m-0">
-                {editingId ? 'Edit Record' : 'Add New Record'}
+                {editingId ? 'Edit Adjustment' : 'Add Adjustment'}
               </h2>
               <button 
                 className="bg-transparent border-none text-2xl text-[var(--text-secondary)] cursor-pointer p-2 leading-none transition-all rounded hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)] disabled:opacity-50 disabled:cursor-not-allowed" 
@@ -951,7 +1044,7 @@ const ProfitRewards = () => {
                         disabled={isSubmitting}
                       />
                     </div>
-                    <span className="text-xs text-[var(--text-secondary)] mt-2 block">Income from recyclables</span>
+                    <span className="text-xs text-[var(--text-secondary)] mt-2 block">Income not recorded as a sale</span>
                   </div>
 
                   <div className="flex flex-col gap-2">
@@ -981,7 +1074,7 @@ const ProfitRewards = () => {
                         disabled={isSubmitting}
                       />
                     </div>
-                    <span className="text-xs text-[var(--text-secondary)] mt-2 block">Rewards / costs paid out</span>
+                    <span className="text-xs text-[var(--text-secondary)] mt-2 block">Costs not covered by shop redemptions</span>
                   </div>
                 </div>
 
@@ -1006,7 +1099,7 @@ const ProfitRewards = () => {
                     className="px-4 py-2 border border-[var(--border-color)] rounded-sm text-sm bg-[var(--bg-secondary)] text-[var(--text-primary)] transition-all focus:outline-none focus:border-[var(--border-focus)] focus:shadow-[0_0_0_3px_rgba(34,197,94,0.1)]"
                     value={formData.source}
                     onChange={(e) => setFormData(prev => ({ ...prev, source: e.target.value }))}
-                    placeholder="e.g., Plastic bottles sale, User rewards distribution"
+                    placeholder="e.g., Donation, Event prizes"
                     disabled={isSubmitting}
                     required
                   />
@@ -1040,7 +1133,7 @@ const ProfitRewards = () => {
                   className="min-w-[120px] px-6 py-2 border-none rounded font-medium cursor-pointer transition-all text-sm text-center bg-[var(--primary-color)] text-white shadow-sm hover:bg-[var(--primary-hover)] hover:shadow-md hover:-translate-y-0.5 active:translate-y-0 disabled:opacity-50 disabled:cursor-not-allowed"
                   disabled={isSubmitting}
                 >
-                  {isSubmitting ? 'Processing...' : editingId ? 'Update Record' : 'Add Record'}
+                  {isSubmitting ? 'Processing...' : editingId ? 'Update Adjustment' : 'Add Adjustment'}
                 </button>
               </div>
             </form>
@@ -1071,6 +1164,24 @@ const ProfitRewards = () => {
           </div>
         </div>
       )}
+
+      {showSalesModal && (
+        <RecyclableSalesModal
+          onChanged={() => {
+            queryClient.invalidateQueries({ queryKey: ['profitDaily'] });
+            queryClient.invalidateQueries({ queryKey: ['recyclablesInStorage'] });
+            queryClient.invalidateQueries({ queryKey: ['rewardBudget'] });
+          }}
+          onClose={() => setShowSalesModal(false)}
+        />
+      )}
+
+      {showBuyersModal && (
+        <BuyersModal
+          onChanged={() => queryClient.invalidateQueries({ queryKey: ['recyclablesInStorage'] })}
+          onClose={() => setShowBuyersModal(false)}
+        />
+      )}
     </div>
   );
 };
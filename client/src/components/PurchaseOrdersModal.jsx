@@ -0,0 +1,412 @@
+import { memo, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import LocalShippingOutlinedIcon from '@mui/icons-material/LocalShippingOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import { getPurchaseOrders, getReorderSuggestions, createPurchaseOrder, receivePurchaseOrder, cancelPurchaseOrder } from '../config/api';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white text-gray-900 focus:outline-none focus:border-green-500';
+
+const STATUS_BADGES = {
+  ORDERED: { label: 'Open', badge: 'bg-amber-100 text-amber-800' },
+  RECEIVED: { label: 'Received', badge: 'bg-green-100 text-green-800' },
+  CANCELLED: { label: 'Cancelled', badge: 'bg-gray-100 text-gray-600' }
+};
+
+const formatMoney = (value) => `₱${(Number(value) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const lineTotal = (lines) => lines.reduce((sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0), 0);
+
+// Restock orders: draft one from the low-stock suggestions, then receive it to add the delivery to stock
+// (its cost is booked as restock spending in Profit & Rewards and each item keeps the unit cost paid), or cancel it.
+const PurchaseOrdersModal = memo(({ items, onStockChanged, onClose }) => {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('ORDERED');
+  const [draft, setDraft] = useState(null);
+  const [receiving, setReceiving] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { data, isLoading, error: loadError } = useQuery({
+    queryKey: ['purchaseOrders', status],
+    queryFn: () => getPurchaseOrders({ status, limit: 50 }),
+  });
+
+  const orders = data?.data || [];
+
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await action();
+      setNotice(response.message);
+      await queryClient.invalidateQueries({ queryKey: ['purchaseOrders'] });
+      queryClient.invalidateQueries({ queryKey: ['profitDaily'] });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startDraft = async () => {
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await getReorderSuggestions();
+      const suggestions = response.data.filter((suggestion) => suggestion.suggestedQuantity > 0);
+      setDraft({
+        supplier: suggestions.find((suggestion) => suggestion.lastSupplier)?.lastSupplier || '',
+        notes: '',
+        threshold: response.threshold,
+        lines: suggestions.map((suggestion) => ({
+          itemId: suggestion.itemId,
+          name: suggestion.name,
+          stock: suggestion.stock,
+          onOrder: suggestion.onOrder,
+          quantity: suggestion.suggestedQuantity,
+          unitCost: suggestion.lastUnitCost ?? ''
+        }))
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setDraftLine = (itemId, key, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      lines: prev.lines.map((line) => (line.itemId === itemId ? { ...line, [key]: value } : line))
+    }));
+  };
+
+  const addDraftItem = (itemId) => {
+    const item = items.find((candidate) => candidate.id === parseInt(itemId));
+    if (!item) return;
+    setDraft((prev) => ({
+      ...prev,
+      lines: [...prev.lines, { itemId: item.id, name: item.name, stock: item.stock, onOrder: 0, quantity: 1, unitCost: item.price ?? '' }]
+    }));
+  };
+
+  const handlePlaceOrder = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await createPurchaseOrder({
+        supplier: draft.supplier,
+        notes: draft.notes,
+        lines: draft.lines.map((line) => ({ itemId: line.itemId, quantity: Number(line.quantity), unitCost: line.unitCost }))
+      });
+      setDraft(null);
+      setStatus('ORDERED');
+      return response;
+    });
+  };
+
+  const startReceiving = (order) => {
+    setReceiving({
+      orderId: order.id,
+      quantities: Object.fromEntries(order.lines.map((line) => [line.id, line.quantity]))
+    });
+  };
+
+  const handleReceive = (order) => {
+    run(async () => {
+      const response = await receivePurchaseOrder(
+        order.id,
+        order.lines.map((line) => ({ id: line.id, receivedQuantity: Number(receiving.quantities[line.id]) }))
+      );
+      setReceiving(null);
+      await onStockChanged();
+      return response;
+    });
+  };
+
+  const handleCancel = (order) => {
+    if (!window.confirm(`Cancel purchase order #${order.id} from ${order.supplier}? Nothing will be added to stock.`)) {
+      return;
+    }
+    run(() => cancelPurchaseOrder(order.id));
+  };
+
+  const availableItems = draft ? items.filter((item) => !draft.lines.some((line) => line.itemId === item.id)) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={onClose}>
+      <div className="bg-white rounded-xl p-7 max-w-[760px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between gap-3 mb-5">
+          <div>
+            <h3 className="m-0 text-2xl text-gray-900 flex items-center gap-2">
+              <LocalShippingOutlinedIcon className="text-green-600" />
+              Purchase Orders
+            </h3>
+            <p className="text-sm text-gray-600 mt-1">Receiving an order adds it to stock and books its cost as restock spending in Profit &amp; Rewards. Item prices are left as set.</p>
+          </div>
+          {!draft && (
+            <button
+              type="button"
+              onClick={startDraft}
+              disabled={saving}
+              className="shrink-0 py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              Reorder Low Stock
+            </button>
+          )}
+        </div>
+
+        {error && <div className="bg-red-50 border border-red-200 text-red-800 px-3 py-2 rounded-lg mb-4 text-sm">{error}</div>}
+        {notice && <div className="bg-green-50 border border-green-200 text-green-800 px-3 py-2 rounded-lg mb-4 text-sm">{notice}</div>}
+
+        {draft ? (
+          <form onSubmit={handlePlaceOrder}>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+              <div>
+                <label className="block mb-1.5 text-sm font-medium text-gray-900">Supplier</label>
+                <input
+                  type="text"
+                  value={draft.supplier}
+                  onChange={(e) => setDraft({ ...draft, supplier: e.target.value })}
+                  placeholder="e.g. National Book Store"
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block mb-1.5 text-sm font-medium text-gray-900">Notes</label>
+                <input
+                  type="text"
+                  value={draft.notes}
+                  onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                  placeholder="Optional"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {draft.lines.length === 0 ? (
+              <div className="py-6 text-center text-sm text-gray-500">No items are below {draft.threshold} in stock. Add an item to order it anyway.</div>
+            ) : (
+              <table className="w-full text-sm mb-3">
+                <thead>
+                  <tr className="text-left text-xs uppercase tracking-wide text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-2">Item</th>
+                    <th className="py-2 pr-2 w-24">Quantity</th>
+                    <th className="py-2 pr-2 w-28">Unit cost (₱)</th>
+                    <th className="py-2 pr-2 text-right">Total</th>
+                    <th className="py-2 w-8" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {draft.lines.map((line) => (
+                    <tr key={line.itemId} className="border-b border-gray-100">
+                      <td className="py-2 pr-2">
+                        <div className="font-medium text-gray-900">{line.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {line.stock} in stock{line.onOrder > 0 && <> · {line.onOrder} already on order</>}
+                        </div>
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={line.quantity}
+                          onChange={(e) => setDraftLine(line.itemId, 'quantity', e.target.value)}
+                          required
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={line.unitCost}
+                          onChange={(e) => setDraftLine(line.itemId, 'unitCost', e.target.value)}
+                          required
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="py-2 pr-2 text-right tabular-nums text-gray-700">{formatMoney(lineTotal([line]))}</td>
+                      <td className="py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => setDraft({ ...draft, lines: draft.lines.filter((other) => other.itemId !== line.itemId) })}
+                          title="Remove from order"
+                          className="p-1 border-none bg-transparent rounded-md text-red-600 hover:bg-red-50"
+                        >
+                          <DeleteOutlineIcon fontSize="small" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-5">
+              <select
+                value=""
+                onChange={(e) => addDraftItem(e.target.value)}
+                className={`${inputClass} !w-auto`}
+              >
+                <option value="">+ Add an item</option>
+                {availableItems.map((item) => (
+                  <option key={item.id} value={item.id}>{item.name} ({item.stock} in stock)</option>
+                ))}
+              </select>
+              <span className="text-sm font-semibold text-gray-900">Order total: {formatMoney(lineTotal(draft.lines))}</span>
+            </div>
+
+            <div className="flex gap-3 justify-end">
+              <button
+                type="button"
+                onClick={() => setDraft(null)}
+                className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+              >
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={saving || draft.lines.length === 0}
+                className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+              >
+                Place Order
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <div className="flex gap-2 mb-4">
+              {Object.entries(STATUS_BADGES).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => { setStatus(key); setReceiving(null); }}
+                  className={`py-1.5 px-3 rounded-full text-xs font-medium border transition-colors ${status === key ? 'bg-gray-900 text-white border-gray-900' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {isLoading ? (
+              <div className="py-10 text-center text-sm text-gray-500">Loading purchase orders...</div>
+            ) : loadError ? (
+              <div className="py-10 text-center text-sm text-red-600">{loadError.message}</div>
+            ) : orders.length === 0 ? (
+              <div className="py-10 text-center text-sm text-gray-500">No {STATUS_BADGES[status].label.toLowerCase()} purchase orders</div>
+            ) : (
+              <ul className="space-y-3">
+                {orders.map((order) => {
+                  const isReceiving = receiving?.orderId === order.id;
+                  return (
+                    <li key={order.id} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                        <div className="flex items-center gap-2">
+                          <span className="font-semibold text-gray-900">#{order.id} · {order.supplier}</span>
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[order.status]?.badge}`}>
+                            {STATUS_BADGES[order.status]?.label || order.status}
+                          </span>
+                        </div>
+                        <span className="font-semibold tabular-nums text-gray-900">{formatMoney(order.totalCost)}</span>
+                      </div>
+                      <ul className="text-sm text-gray-700 mb-2">
+                        {order.lines.map((line) => (
+                          <li key={line.id} className="flex items-center justify-between gap-2 py-0.5">
+                            <span>
+                              {line.quantity}x {line.item?.name || line.itemName} @ {formatMoney(line.unitCost)}
+                              {line.receivedQuantity !== null && line.receivedQuantity !== line.quantity && (
+                                <span className="text-amber-700"> · {line.receivedQuantity} delivered</span>
+                              )}
+                            </span>
+                            {isReceiving && (
+                              <input
+                                type="number"
+                                min="0"
+                                step="1"
+                                value={receiving.quantities[line.id]}
+                                onChange={(e) => setReceiving({ ...receiving, quantities: { ...receiving.quantities, [line.id]: e.target.value } })}
+                                title="Quantity delivered"
+                                className={`${inputClass} !w-24`}
+                              />
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="flex flex-wrap items-center justify-between gap-2">
+                        <p className="text-xs text-gray-500">
+                          Ordered {new Date(order.createdAt).toLocaleDateString()}
+                          {order.createdBy && <> by {order.createdBy.username}</>}
+                          {order.receivedAt && <> · received {new Date(order.receivedAt).toLocaleDateString()}{order.receivedBy && <> by {order.receivedBy.username}</>}</>}
+                          {order.notes && <> · {order.notes}</>}
+                        </p>
+                        {order.status === 'ORDERED' && (
+                          <div className="flex gap-2">
+                            {isReceiving ? (
+                              <>
+                                <button
+                                  type="button"
+                                  onClick={() => setReceiving(null)}
+                                  className="py-1.5 px-3 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50"
+                                >
+                                  Back
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => handleReceive(order)}
+                                  disabled={saving}
+                                  className="py-1.5 px-3 rounded-md text-xs font-medium bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                                >
+                                  Confirm Delivery
+                                </button>
+                              </>
+                            ) : (
+                              <>
+                                <button
+                                  type="button"
+                                  onClick={() => handleCancel(order)}
+                                  disabled={saving}
+                                  className="py-1.5 px-3 border border-red-300 rounded-md text-xs font-medium bg-white text-red-600 hover:bg-red-50 disabled:opacity-50"
+                                >
+                                  Cancel Order
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => startReceiving(order)}
+                                  disabled={saving}
+                                  className="py-1.5 px-3 rounded-md text-xs font-medium bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                                >
+                                  Receive
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            <div className="flex justify-end mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+});
+
+PurchaseOrdersModal.displayName = 'PurchaseOrdersModal';
+
+export default PurchaseOrdersModal;
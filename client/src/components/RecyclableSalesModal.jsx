@@ -0,0 +1,317 @@
+import { memo, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import CloseRoundedIcon from '@mui/icons-material/CloseRounded';
+import { getRecyclableSales, createRecyclableSale, deleteRecyclableSale, getBuyers } from '../config/api';
+import { useWasteCategories } from '../contexts/useWasteCategories';
+import { formatLocalDateForApi } from '../utils/date';
+
+const PAGE_SIZE = 10;
+
+const SALE_UNITS = {
+  KG: { label: 'kg', name: 'By weight (kg)' },
+  PIECE: { label: 'pc', name: 'By count (pieces)' }
+};
+
+const inputClass = 'w-full px-3 py-2 border border-[var(--border-color)] rounded-sm text-sm bg-[var(--bg-secondary)] text-[var(--text-primary)] transition-all focus:outline-none focus:border-[var(--border-focus)] focus:shadow-[0_0_0_3px_rgba(34,197,94,0.1)]';
+const labelClass = 'block mb-1.5 text-sm font-medium text-[var(--text-secondary)]';
+
+const formatMoney = (value) => new Intl.NumberFormat('en-PH', { style: 'currency', currency: 'PHP' }).format(Number(value) || 0);
+
+const emptySale = () => ({
+  date: formatLocalDateForApi(new Date()),
+  buyerId: '',
+  buyerName: '',
+  categoryId: '',
+  unit: 'KG',
+  quantity: '',
+  pricePerUnit: '',
+  notes: ''
+});
+
+// Record what collected recyclables were sold for; daily profit in Profit & Rewards is computed from these sales
+const RecyclableSalesModal = memo(({ onChanged, onClose }) => {
+  const queryClient = useQueryClient();
+  const [sale, setSale] = useState(emptySale);
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { categories } = useWasteCategories();
+
+  const { data: buyersData } = useQuery({
+    queryKey: ['buyers'],
+    queryFn: () => getBuyers(),
+  });
+  const buyers = buyersData?.data || [];
+
+  const { data, isLoading, error: loadError } = useQuery({
+    queryKey: ['recyclableSales', page],
+    queryFn: () => getRecyclableSales({ page, limit: PAGE_SIZE }),
+    placeholderData: (previous) => previous,
+  });
+
+  const sales = data?.data || [];
+  const pagination = data?.pagination;
+  const amount = (Number(sale.quantity) || 0) * (Number(sale.pricePerUnit) || 0);
+
+  // Picking a directory buyer, material or unit fills in the price that buyer pays today
+  const updateSale = (changes) => {
+    const next = { ...sale, ...changes };
+    const price = buyers
+      .find((buyer) => buyer.id === Number(next.buyerId))
+      ?.currentPrices.find((entry) => entry.category.id === Number(next.categoryId) && entry.unit === next.unit);
+    if (price) {
+      next.pricePerUnit = String(price.pricePerUnit);
+    }
+    setSale(next);
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await action();
+      setNotice(response.message);
+      await queryClient.invalidateQueries({ queryKey: ['recyclableSales'] });
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await createRecyclableSale({
+        ...sale,
+        buyerId: sale.buyerId || null,
+        buyerName: sale.buyerId ? undefined : sale.buyerName,
+        quantity: Number(sale.quantity),
+        pricePerUnit: Number(sale.pricePerUnit)
+      });
+      setSale({
+        ...emptySale(),
+        buyerId: sale.buyerId,
+        buyerName: sale.buyerName,
+        categoryId: sale.categoryId,
+        unit: sale.unit,
+        pricePerUnit: sale.buyerId ? sale.pricePerUnit : ''
+      });
+      setPage(1);
+      return response;
+    });
+  };
+
+  const handleDelete = (recorded) => {
+    if (!window.confirm(`Delete the ${formatMoney(recorded.amount)} sale to ${recorded.buyerName}?`)) {
+      return;
+    }
+    run(() => deleteRecyclableSale(recorded.id));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-[rgba(248,253,248,0.9)] flex items-center justify-center z-[10000] p-6 backdrop-blur-sm" onClick={() => !saving && onClose()}>
+      <div className="bg-[var(--bg-secondary)] rounded-lg max-w-[800px] w-full max-h-[90vh] overflow-y-auto shadow-[0_20px_60px_rgba(0,0,0,0.3)] animate-slideIn" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center p-6 px-8 border-b border-[var(--border-color)]">
+          <div>
+            <h2 className="text-2xl font-semibold text-[var(--text-primary)] m-0">Recyclable Sales</h2>
+            <p className="text-sm text-[var(--text-secondary)] mt-1">Each sale counts towards the amount collected on its date.</p>
+          </div>
+          <button
+            className="bg-transparent border-none text-2xl text-[var(--text-secondary)] cursor-pointer p-2 leading-none transition-all rounded hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)]"
+            onClick={onClose}
+          >
+            <CloseRoundedIcon fontSize="small" />
+          </button>
+        </div>
+
+        <div className="p-6 px-8">
+          {error && <div className="p-3 rounded-md mb-4 text-sm bg-[rgba(239,68,68,0.1)] text-[var(--error-color)] border border-[var(--error-color)]">{error}</div>}
+          {notice && <div className="p-3 rounded-md mb-4 text-sm bg-[rgba(34,197,94,0.1)] text-[var(--success-color)] border border-[var(--success-color)]">{notice}</div>}
+
+          <form onSubmit={handleSubmit} className="mb-8">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+              <div>
+                <label className={labelClass}>Date</label>
+                <input
+                  type="date"
+                  value={sale.date}
+                  max={formatLocalDateForApi(new Date())}
+                  onChange={(e) => setSale({ ...sale, date: e.target.value })}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <label className={labelClass}>Buyer</label>
+                <select
+                  value={sale.buyerId}
+                  onChange={(e) => updateSale({ buyerId: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">Other buyer (not in the directory)</option>
+                  {buyers.map((buyer) => (
+                    <option key={buyer.id} value={buyer.id}>{buyer.name}</option>
+                  ))}
+                </select>
+                {!sale.buyerId && (
+                  <input
+                    type="text"
+                    value={sale.buyerName}
+                    onChange={(e) => setSale({ ...sale, buyerName: e.target.value })}
+                    placeholder="e.g. Mang Tonyo Junk Shop"
+                    required
+                    className={`${inputClass} mt-2`}
+                  />
+                )}
+              </div>
+              <div>
+                <label className={labelClass}>Material</label>
+                <select
+                  value={sale.categoryId}
+                  onChange={(e) => updateSale({ categoryId: e.target.value })}
+                  required
+                  className={inputClass}
+                >
+                  <option value="">Select material</option>
+                  {categories.map((category) => (
+                    <option key={category.id} value={category.id}>{category.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Sold</label>
+                <select
+                  value={sale.unit}
+                  onChange={(e) => updateSale({ unit: e.target.value })}
+                  className={inputClass}
+                >
+                  {Object.entries(SALE_UNITS).map(([key, { name }]) => (
+                    <option key={key} value={key}>{name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Quantity ({SALE_UNITS[sale.unit].label})</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={sale.unit === 'PIECE' ? '1' : '0.01'}
+                  value={sale.quantity}
+                  onChange={(e) => setSale({ ...sale, quantity: e.target.value })}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Price per {SALE_UNITS[sale.unit].label} (₱)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={sale.pricePerUnit}
+                  onChange={(e) => setSale({ ...sale, pricePerUnit: e.target.value })}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <label className={labelClass}>Notes</label>
+                <input
+                  type="text"
+                  value={sale.notes}
+                  onChange={(e) => setSale({ ...sale, notes: e.target.value })}
+                  placeholder="Optional"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <span className="text-base font-semibold text-[var(--text-primary)]">Amount: <span className="text-[var(--success-color)]">{formatMoney(amount)}</span></span>
+              <button
+                type="submit"
+                disabled={saving}
+                className="min-w-[120px] px-6 py-2 border-none rounded font-medium cursor-pointer transition-all text-sm text-center bg-[var(--primary-color)] text-white shadow-sm hover:bg-[var(--primary-hover)] disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Record Sale
+              </button>
+            </div>
+          </form>
+
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-base font-semibold text-[var(--text-primary)] m-0">Recorded sales</h3>
+            {data && <span className="text-sm text-[var(--text-secondary)]">Total {formatMoney(data.totalAmount)}</span>}
+          </div>
+
+          {isLoading ? (
+            <div className="py-8 text-center text-sm text-[var(--text-muted)]">Loading sales...</div>
+          ) : loadError ? (
+            <div className="py-8 text-center text-sm text-[var(--error-color)]">{loadError.message}</div>
+          ) : sales.length === 0 ? (
+            <div className="py-8 text-center text-sm text-[var(--text-muted)]">No sales recorded yet</div>
+          ) : (
+            <ul className="divide-y divide-[var(--border-color)] border border-[var(--border-color)] rounded-md">
+              {sales.map((recorded) => (
+                <li key={recorded.id} className="flex items-center justify-between gap-3 p-3 text-sm">
+                  <div>
+                    <div className="font-medium text-[var(--text-primary)]">
+                      {recorded.buyerName} · {recorded.category?.name}
+                    </div>
+                    <div className="text-xs text-[var(--text-secondary)]">
+                      {new Date(recorded.date).toLocaleDateString('en-US', { timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric' })}
+                      {' · '}{recorded.quantity} {SALE_UNITS[recorded.unit]?.label} @ {formatMoney(recorded.pricePerUnit)}
+                      {recorded.notes && <> · {recorded.notes}</>}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold tabular-nums text-[var(--success-color)]">{formatMoney(recorded.amount)}</span>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(recorded)}
+                      disabled={saving}
+                      title="Delete sale"
+                      className="p-1 px-2 border-none bg-transparent cursor-pointer rounded transition-all hover:bg-[rgba(239,68,68,0.1)] disabled:opacity-50"
+                    >
+                      <DeleteOutlineIcon fontSize="small" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-end gap-2 mt-3 text-sm text-[var(--text-secondary)]">
+              <button
+                type="button"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="py-1.5 px-3 border border-[var(--border-color)] rounded bg-transparent hover:bg-[var(--bg-hover)] disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Newer
+              </button>
+              <span>Page {pagination.page} of {pagination.totalPages}</span>
+              <button
+                type="button"
+                onClick={() => setPage(page + 1)}
+                disabled={!pagination.hasNext}
+                className="py-1.5 px-3 border border-[var(--border-color)] rounded bg-transparent hover:bg-[var(--bg-hover)] disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Older
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+RecyclableSalesModal.displayName = 'RecyclableSalesModal';
+
+export default RecyclableSalesModal;
@@ -0,0 +1,287 @@
+import { memo, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import CloseRoundedIcon from '@mui/icons-material/CloseRounded';
+import NavigateBeforeOutlinedIcon from '@mui/icons-material/NavigateBeforeOutlined';
+import NavigateNextOutlinedIcon from '@mui/icons-material/NavigateNextOutlined';
+import { getRewardBudget, getRewardBudgets, saveRewardBudget, deleteRewardBudget } from '../config/api';
+import { formatLocalDateForApi } from '../utils/date';
+
+const STATUS = {
+  ON_TRACK: { label: 'On track', className: 'bg-[rgba(34,197,94,0.1)] text-[var(--success-color)]', bar: 'bg-[var(--success-color)]' },
+  PACING: { label: 'Pacing over budget', className: 'bg-amber-100 text-amber-700', bar: 'bg-amber-500' },
+  EXCEEDED: { label: 'Over budget', className: 'bg-[rgba(239,68,68,0.1)] text-[var(--error-color)]', bar: 'bg-[var(--error-color)]' }
+};
+
+const inputClass = 'w-full px-2 py-1.5 border border-[var(--border-color)] rounded-sm text-sm bg-[var(--bg-secondary)] text-[var(--text-primary)] transition-all focus:outline-none focus:border-[var(--border-focus)]';
+const smallButtonClass = 'py-1 px-2.5 border border-[var(--border-color)] rounded text-xs bg-transparent text-[var(--text-secondary)] cursor-pointer transition-all hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)] disabled:opacity-50 disabled:cursor-not-allowed';
+
+const formatMoney = (value) => new Intl.NumberFormat('en-PH', { style: 'currency', currency: 'PHP' }).format(Number(value) || 0);
+
+const formatMonth = (month, style = 'long') => {
+  const [year, index] = month.split('-').map(Number);
+  return new Date(year, index - 1, 1).toLocaleDateString('en-US', { month: style, year: 'numeric' });
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS[status]?.className || 'bg-[var(--bg-tertiary)] text-[var(--text-muted)]'}`}>
+    {STATUS[status]?.label || 'No budget'}
+  </span>
+);
+
+// Budgets of one year, month by month, with what was actually spent against them
+const RewardBudgetsModal = memo(({ initialYear, onClose }) => {
+  const queryClient = useQueryClient();
+  const [year, setYear] = useState(initialYear);
+  const [drafts, setDrafts] = useState({});
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { data, isLoading, error: loadError } = useQuery({
+    queryKey: ['rewardBudgets', year],
+    queryFn: () => getRewardBudgets(year),
+  });
+  const months = data?.data || [];
+
+  const getDraft = (entry) => drafts[entry.month] || {
+    amount: entry.budget ? String(entry.budget.amount) : '',
+    couponLimit: entry.budget?.couponLimit != null ? String(entry.budget.couponLimit) : ''
+  };
+
+  const run = async (month, action) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await action();
+      setNotice(response.message);
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[month];
+        return next;
+      });
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['rewardBudgets'] }),
+        queryClient.invalidateQueries({ queryKey: ['rewardBudget'] })
+      ]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (entry) => {
+    const draft = getDraft(entry);
+    run(entry.month, () => saveRewardBudget(entry.month, {
+      amount: Number(draft.amount),
+      couponLimit: draft.couponLimit === '' ? null : Number(draft.couponLimit)
+    }));
+  };
+
+  const handleRemove = (entry) => {
+    if (!window.confirm(`Remove the budget for ${formatMonth(entry.month)}?`)) {
+      return;
+    }
+    run(entry.month, () => deleteRewardBudget(entry.month));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-[rgba(248,253,248,0.9)] flex items-center justify-center z-[10000] p-6 backdrop-blur-sm" onClick={() => !saving && onClose()}>
+      <div className="bg-[var(--bg-secondary)] rounded-lg max-w-[900px] w-full max-h-[90vh] overflow-y-auto shadow-[0_20px_60px_rgba(0,0,0,0.3)] animate-slideIn" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-center p-6 px-8 border-b border-[var(--border-color)]">
+          <div>
+            <h2 className="text-2xl font-semibold text-[var(--text-primary)] m-0">Reward Budgets</h2>
+            <p className="text-sm text-[var(--text-secondary)] mt-1">Spent is the value of redeemed shop items plus reward adjustments.</p>
+          </div>
+          <button
+            className="bg-transparent border-none text-2xl text-[var(--text-secondary)] cursor-pointer p-2 leading-none transition-all rounded hover:bg-[var(--bg-hover)] hover:text-[var(--text-primary)]"
+            onClick={onClose}
+          >
+            <CloseRoundedIcon fontSize="small" />
+          </button>
+        </div>
+
+        <div className="p-6 px-8">
+          <div className="flex items-center justify-center gap-3 mb-6">
+            <button type="button" className={smallButtonClass} onClick={() => setYear(year - 1)} title="Previous year">
+              <NavigateBeforeOutlinedIcon fontSize="small" />
+            </button>
+            <span className="text-lg font-semibold text-[var(--text-primary)] tabular-nums">{year}</span>
+            <button type="button" className={smallButtonClass} onClick={() => setYear(year + 1)} title="Next year">
+              <NavigateNextOutlinedIcon fontSize="small" />
+            </button>
+          </div>
+
+          {error && <div className="p-3 rounded-md mb-4 text-sm bg-[rgba(239,68,68,0.1)] text-[var(--error-color)] border border-[var(--error-color)]">{error}</div>}
+          {notice && <div className="p-3 rounded-md mb-4 text-sm bg-[rgba(34,197,94,0.1)] text-[var(--success-color)] border border-[var(--success-color)]">{notice}</div>}
+
+          {isLoading ? (
+            <div className="py-8 text-center text-sm text-[var(--text-muted)]">Loading budgets...</div>
+          ) : loadError ? (
+            <div className="py-8 text-center text-sm text-[var(--error-color)]">{loadError.message}</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-[var(--text-secondary)] border-b border-[var(--border-color)]">
+                    <th className="py-2 pr-3 font-medium">Month</th>
+                    <th className="py-2 pr-3 font-medium">Budget (₱)</th>
+                    <th className="py-2 pr-3 font-medium">Coupon limit</th>
+                    <th className="py-2 pr-3 font-medium text-right">Spent</th>
+                    <th className="py-2 pr-3 font-medium text-right">Coupons</th>
+                    <th className="py-2 pr-3 font-medium">Status</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-[var(--border-color)]">
+                  {months.map((entry) => {
+                    const draft = getDraft(entry);
+                    return (
+                      <tr key={entry.month} className="text-[var(--text-primary)]">
+                        <td className="py-2 pr-3 whitespace-nowrap">{formatMonth(entry.month, 'short')}</td>
+                        <td className="py-2 pr-3 min-w-[110px]">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={draft.amount}
+                            onChange={(e) => setDrafts({ ...drafts, [entry.month]: { ...draft, amount: e.target.value } })}
+                            placeholder="None"
+                            className={inputClass}
+                          />
+                        </td>
+                        <td className="py-2 pr-3 min-w-[100px]">
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={draft.couponLimit}
+                            onChange={(e) => setDrafts({ ...drafts, [entry.month]: { ...draft, couponLimit: e.target.value } })}
+                            placeholder="No limit"
+                            className={inputClass}
+                          />
+                        </td>
+                        <td className="py-2 pr-3 text-right tabular-nums">{formatMoney(entry.spent)}</td>
+                        <td className="py-2 pr-3 text-right tabular-nums">{entry.coupons.used}</td>
+                        <td className="py-2 pr-3"><StatusBadge status={entry.status} /></td>
+                        <td className="py-2 whitespace-nowrap text-right">
+                          <button
+                            type="button"
+                            className={smallButtonClass}
+                            disabled={saving || draft.amount === '' || !drafts[entry.month]}
+                            onClick={() => handleSave(entry)}
+                          >
+                            Save
+                          </button>
+                          {entry.budget && (
+                            <button type="button" className={`${smallButtonClass} ml-1`} disabled={saving} onClick={() => handleRemove(entry)}>
+                              Remove
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+RewardBudgetsModal.displayName = 'RewardBudgetsModal';
+
+// This month's reward budget against actual and projected spending, and the projected month-end net profit
+const RewardBudgets = memo(({ formatCurrency }) => {
+  const [showModal, setShowModal] = useState(false);
+  const month = formatLocalDateForApi(new Date()).slice(0, 7);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['rewardBudget', month],
+    queryFn: async () => (await getRewardBudget(month)).data,
+    staleTime: 2 * 60 * 1000,
+  });
+
+  const budget = data?.budget;
+  const forecast = data?.forecast;
+  const percentSpent = budget && budget.amount > 0 ? Math.min((data.spent / budget.amount) * 100, 100) : 0;
+  const percentExpected = budget && budget.amount > 0 ? Math.min((data.expectedSpendToDate / budget.amount) * 100, 100) : 0;
+
+  return (
+    <div className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg p-4 md:p-8 mb-6 md:mb-8 shadow-sm">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-3 mb-6">
+        <div className="flex items-center gap-3">
+          <h2 className="text-xl font-semibold text-[var(--text-primary)] m-0">Budget &amp; Forecast · {formatMonth(month)}</h2>
+          {data && <StatusBadge status={data.status} />}
+        </div>
+        <button
+          className="inline-flex items-center justify-center gap-1.5 px-4 md:px-6 py-2 rounded font-medium cursor-pointer transition-all text-sm text-center bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] hover:bg-[var(--bg-hover)] hover:border-[var(--primary-color)] hover:text-[var(--primary-color)]"
+          onClick={() => setShowModal(true)}
+        >
+          Manage Budgets
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="py-4 text-center text-sm text-[var(--text-muted)]">Loading budget...</div>
+      ) : error ? (
+        <div className="py-4 text-center text-sm text-[var(--error-color)]">{error.message}</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <div className="text-sm text-[var(--text-secondary)] mb-2">Reward spending</div>
+            {budget ? (
+              <>
+                <div className="text-base font-semibold text-[var(--text-primary)] mb-2">
+                  {formatCurrency(data.spent)} <span className="text-sm font-normal text-[var(--text-secondary)]">of {formatCurrency(budget.amount)}</span>
+                </div>
+                <div className="relative h-2.5 rounded-full bg-[var(--bg-tertiary)] overflow-hidden mb-2" title={`Expected by today: ${formatCurrency(data.expectedSpendToDate)}`}>
+                  <div className={`h-full ${STATUS[data.status]?.bar || ''}`} style={{ width: `${percentSpent}%` }} />
+                  <div className="absolute top-0 h-full w-0.5 bg-[var(--text-primary)] opacity-40" style={{ left: `${percentExpected}%` }} />
+                </div>
+                <div className="text-xs text-[var(--text-muted)]">
+                  {data.remaining >= 0 ? `${formatCurrency(data.remaining)} left` : `${formatCurrency(-data.remaining)} over`}
+                  {' · '}projected {formatCurrency(data.projectedSpend)} by month end
+                  {data.coupons.limit !== null && <> · {data.coupons.used} of {data.coupons.limit} coupons (projected {data.coupons.projected})</>}
+                </div>
+              </>
+            ) : (
+              <div className="text-sm text-[var(--text-muted)]">
+                {formatCurrency(data?.spent)} spent so far, projected {formatCurrency(data?.projectedSpend)}. Set a budget to get pacing alerts.
+              </div>
+            )}
+          </div>
+
+          {forecast && (
+            <div>
+              <div className="text-sm text-[var(--text-secondary)] mb-2">Projected month-end net profit</div>
+              <div className={`text-base font-semibold mb-2 ${forecast.projected.netProfit < 0 ? 'text-[var(--error-color)]' : 'text-[var(--success-color)]'}`}>
+                {formatCurrency(forecast.projected.netProfit)}
+                <span className="text-sm font-normal text-[var(--text-secondary)]"> · {formatCurrency(forecast.actual.netProfit)} so far</span>
+              </div>
+              <div className="text-xs text-[var(--text-muted)]">
+                {formatCurrency(forecast.projected.profit)} collected and {formatCurrency(forecast.projected.rewardsSpent)} in rewards expected
+                {forecast.basis && (
+                  <> · based on about {forecast.basis.itemsPerDay} items a day since {new Date(`${forecast.basis.windowStart}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                    {forecast.basis.itemsTrendPerDay !== 0 && <>, trending {forecast.basis.itemsTrendPerDay > 0 ? 'up' : 'down'}</>}</>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {showModal && (
+        <RewardBudgetsModal initialYear={Number(month.slice(0, 4))} onClose={() => setShowModal(false)} />
+      )}
+    </div>
+  );
+});
+
+RewardBudgets.displayName = 'RewardBudgets';
+
+export default RewardBudgets;
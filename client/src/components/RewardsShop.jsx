@@ -1,5 +1,5 @@
 import { useState, useEffect, useMemo } from 'react';
-import { getInventoryItems, redeemInventoryItem, getRedemptionHistory } from '../config/api';
+import { getInventoryItems, getInventoryCategories, resolveImageUrl, redeemInventoryItem, getRedemptionHistory, refundRedemption, validateVoucher, redeemVoucherAtCounter } from '../config/api';
 import { API_ENDPOINTS } from '../config/api';
 import SearchIcon from '@mui/icons-material/Search';
 import ClearIcon from '@mui/icons-material/Clear';
@@ -7,10 +7,15 @@ import HistoryIcon from '@mui/icons-material/History';
 import ShoppingCartIcon from '@mui/icons-material/ShoppingCart';
 import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
 import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import QrCodeScannerIcon from '@mui/icons-material/QrCodeScanner';
+import Inventory2OutlinedIcon from '@mui/icons-material/Inventory2Outlined';
 import LoadingSpinner from './LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
 
 export default function RewardsShop() {
+  const { hasPermission } = useAuth();
   const [items, setItems] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -20,11 +25,21 @@ export default function RewardsShop() {
   const [quantity, setQuantity] = useState(1);
   const [redemptionHistory, setRedemptionHistory] = useState([]);
   const [historyLoading, setHistoryLoading] = useState(false);
+  const [refundWindowHours, setRefundWindowHours] = useState(null);
+  const [refundTarget, setRefundTarget] = useState(null);
+  const [refundError, setRefundError] = useState(null);
+  const [refundBusy, setRefundBusy] = useState(false);
   const [couponBalance, setCouponBalance] = useState(0);
+  const [voucherInput, setVoucherInput] = useState('');
+  const [voucher, setVoucher] = useState(null);
+  const [voucherBusy, setVoucherBusy] = useState(false);
+
+  // A validated voucher pays for the next redemption instead of the shared balance
+  const spendable = voucher ? voucher.points : couponBalance;
   
   // Pagination
   const [currentPage, setCurrentPage] = useState(1);
-  const [itemsPerPage, setItemsPerPage] = useState(10);
+  const [itemsPerPage, setItemsPerPage] = useState(12);
   
   // Filter states
   const [filters, setFilters] = useState({
@@ -32,15 +47,26 @@ export default function RewardsShop() {
     availability: 'all', // all, available, unavailable
     affordability: 'all', // all, affordable, too-expensive
     costRange: 'all', // all, low, medium, high
-    sortBy: 'name', // name, cost, stock
+    category: 'all', // all, none, or a category id
+    sortBy: 'sortOrder', // sortOrder (shop order), name, cost, stock
     sortOrder: 'asc' // asc, desc
   });
 
   useEffect(() => {
     fetchItems();
+    fetchCategories();
     fetchCouponBalance();
   }, []);
 
+  const fetchCategories = async () => {
+    try {
+      const response = await getInventoryCategories();
+      setCategories(response.data);
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
   const fetchCouponBalance = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -80,6 +106,7 @@ export default function RewardsShop() {
       setHistoryLoading(true);
       const response = await getRedemptionHistory();
       setRedemptionHistory(response.data.redemptions);
+      setRefundWindowHours(response.data.refundWindowHours ?? null);
     } catch (err) {
       console.error('Error fetching history:', err);
     } finally {
@@ -95,16 +122,76 @@ export default function RewardsShop() {
 
   const openHistoryModal = () => {
     setShowHistoryModal(true);
+    setRefundTarget(null);
+    setRefundError(null);
     fetchHistory();
   };
 
+  // Cancel a redemption: the item goes back in stock and the coupons back where they were paid from
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    if (!refundTarget?.reason.trim()) return;
+
+    try {
+      setRefundBusy(true);
+      setRefundError(null);
+      const response = await refundRedemption(refundTarget.id, refundTarget.reason.trim());
+      setRefundTarget(null);
+      setSuccess(response.message);
+      setTimeout(() => setSuccess(null), 3000);
+      await Promise.all([fetchHistory(), fetchItems(), fetchCouponBalance()]);
+    } catch (err) {
+      setRefundError(err.message || 'Failed to cancel redemption');
+    } finally {
+      setRefundBusy(false);
+    }
+  };
+
+  // Staff type the code or scan the kiosk QR code with a scanner that types into the field
+  const handleApplyVoucher = async () => {
+    if (!voucherInput.trim()) return;
+
+    try {
+      setVoucherBusy(true);
+      const response = await validateVoucher(voucherInput.trim());
+      if (!response.valid) {
+        setError(response.data.status === 'redeemed' ? 'This voucher has already been redeemed' : 'This voucher has expired');
+        return;
+      }
+      setVoucher(response.data);
+      setVoucherInput('');
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to validate voucher');
+    } finally {
+      setVoucherBusy(false);
+    }
+  };
+
+  // For rewards handed over outside the shop inventory
+  const handleRedeemVoucherAtCounter = async () => {
+    if (!voucher) return;
+
+    try {
+      setVoucherBusy(true);
+      const response = await redeemVoucherAtCounter(voucher.code);
+      setSuccess(response.message);
+      setVoucher(null);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.message || 'Failed to redeem voucher');
+    } finally {
+      setVoucherBusy(false);
+    }
+  };
+
   const handleRedeem = async () => {
     if (!selectedItem) return;
 
     const totalCost = selectedItem.cost * quantity;
     
-    if (totalCost > couponBalance) {
-      setError('Insufficient coupon balance');
+    if (totalCost > spendable) {
+      setError(voucher ? 'This voucher is not worth enough coupons' : 'Insufficient coupon balance');
       return;
     }
 
@@ -114,8 +201,9 @@ export default function RewardsShop() {
     }
 
     try {
-      await redeemInventoryItem(selectedItem.id, quantity);
+      await redeemInventoryItem(selectedItem.id, quantity, null, voucher ? { voucherCode: voucher.code } : {});
       setSuccess(`Successfully redeemed ${quantity}x ${selectedItem.name}!`);
+      setVoucher(null);
       setShowRedeemModal(false);
       setSelectedItem(null);
       setQuantity(1);
@@ -133,11 +221,11 @@ export default function RewardsShop() {
   };
 
   const canAfford = (item, qty = 1) => {
-    return couponBalance >= (item.cost * qty);
+    return spendable >= (item.cost * qty);
   };
 
   const maxAffordable = (item) => {
-    return Math.min(Math.floor(couponBalance / item.cost), item.stock);
+    return Math.min(Math.floor(spendable / item.cost), item.stock);
   };
 
   const updateFilter = (key, value) => {
@@ -150,7 +238,8 @@ export default function RewardsShop() {
       availability: 'all',
       affordability: 'all',
       costRange: 'all',
-      sortBy: 'name',
+      category: 'all',
+      sortBy: 'sortOrder',
       sortOrder: 'asc'
     });
     setCurrentPage(1);
@@ -165,10 +254,18 @@ export default function RewardsShop() {
       const searchLower = filters.search.toLowerCase();
       filtered = filtered.filter(item => 
         item.name.toLowerCase().includes(searchLower) ||
-        (item.description && item.description.toLowerCase().includes(searchLower))
+        (item.description && item.description.toLowerCase().includes(searchLower)) ||
+        (Array.isArray(item.tags) && item.tags.some(tag => tag.includes(searchLower)))
       );
     }
 
+    // Category filter
+    if (filters.category !== 'all') {
+      filtered = filtered.filter(item => (
+        filters.category === 'none' ? !item.categoryId : String(item.categoryId) === filters.category
+      ));
+    }
+
     // Availability filter
     if (filters.availability !== 'all') {
       filtered = filtered.filter(item => 
@@ -179,7 +276,7 @@ export default function RewardsShop() {
     // Affordability filter
     if (filters.affordability !== 'all') {
       filtered = filtered.filter(item => 
-        filters.affordability === 'affordable' ? item.cost <= couponBalance : item.cost > couponBalance
+        filters.affordability === 'affordable' ? item.cost <= spendable : item.cost > spendable
       );
     }
 
@@ -204,7 +301,7 @@ export default function RewardsShop() {
     });
 
     return filtered;
-  }, [items, filters, couponBalance]);
+  }, [items, filters, spendable]);
 
   // Pagination
   const totalPages = Math.ceil(filteredAndSortedItems.length / itemsPerPage);
@@ -220,7 +317,11 @@ export default function RewardsShop() {
   }, [filters]);
   
   const hasActiveFilters = filters.search || filters.availability !== 'all' || 
-    filters.affordability !== 'all' || filters.costRange !== 'all';
+    filters.affordability !== 'all' || filters.costRange !== 'all' || filters.category !== 'all';
+
+  // Only categories with something in the shop get a filter chip
+  const shopCategories = categories.filter(category => items.some(item => item.categoryId === category.id));
+  const hasUncategorized = shopCategories.length > 0 && items.some(item => !item.categoryId);
 
   if (loading) {
     return <LoadingSpinner fullscreen message="Loading rewards..." />;
@@ -271,6 +372,60 @@ export default function RewardsShop() {
           </button>
         </div>
 
+        {/* Voucher */}
+        <div className="bg-white rounded-lg border border-gray-200 p-5 mb-6">
+          <h3 className="text-base font-semibold text-gray-900 mb-3 flex items-center gap-2">
+            <QrCodeScannerIcon fontSize="small" />
+            Deposit Voucher
+          </h3>
+          {voucher ? (
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 bg-emerald-50 border border-emerald-200 rounded-lg p-4">
+              <div className="text-sm text-gray-700">
+                Paying with voucher <span className="font-mono font-semibold text-gray-900">{voucher.code}</span> worth{' '}
+                <span className="font-bold text-emerald-600">{voucher.points}</span> coupon{voucher.points !== 1 ? 's' : ''}
+                <span className="block text-xs text-gray-500 mt-1">
+                  Valid until {new Date(voucher.expiresAt).toLocaleDateString()}. Single use: points the reward does not need are not kept.
+                </span>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleRedeemVoucherAtCounter}
+                  disabled={voucherBusy}
+                  className="px-4 py-2 bg-emerald-600 text-white rounded-lg text-sm font-medium hover:bg-emerald-700 disabled:opacity-50 transition-colors"
+                >
+                  Redeem at Counter
+                </button>
+                <button
+                  onClick={() => setVoucher(null)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex gap-3 flex-wrap">
+              <input
+                type="text"
+                value={voucherInput}
+                onChange={(e) => setVoucherInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleApplyVoucher();
+                }}
+                placeholder="Scan QR code or type e.g. K7QM-2XH9-PD4R"
+                className="flex-1 min-w-[220px] px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono uppercase focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+              />
+              <button
+                onClick={handleApplyVoucher}
+                disabled={voucherBusy || !voucherInput.trim()}
+                className="px-4 py-2 bg-gray-900 text-white rounded-lg text-sm font-medium hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                Check Voucher
+              </button>
+            </div>
+          )}
+        </div>
+
         {/* Filters */}
         <div className="bg-white rounded-lg border border-gray-200 p-5 mb-6">
           <div className="flex justify-between items-center mb-4">
@@ -353,6 +508,7 @@ export default function RewardsShop() {
                 onChange={(e) => updateFilter('sortBy', e.target.value)}
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
               >
+                <option value="sortOrder">Featured</option>
                 <option value="name">Name</option>
                 <option value="cost">Cost</option>
                 <option value="stock">Stock</option>
@@ -372,9 +528,31 @@ export default function RewardsShop() {
               </select>
             </div>
           </div>
+
+          {shopCategories.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-4 pt-4 border-t border-gray-100">
+              {[
+                { key: 'all', label: 'All' },
+                ...shopCategories.map(category => ({ key: String(category.id), label: category.name })),
+                ...(hasUncategorized ? [{ key: 'none', label: 'Other' }] : [])
+              ].map(chip => (
+                <button
+                  key={chip.key}
+                  onClick={() => updateFilter('category', chip.key)}
+                  className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                    filters.category === chip.key
+                      ? 'bg-emerald-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {chip.label}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
-        {/* Rewards Table */}
+        {/* Rewards Grid */}
         <div className="bg-white rounded-lg border border-gray-200 overflow-hidden mb-6">
           <div className="px-5 py-4 border-b border-gray-200 flex justify-between items-center">
             <h2 className="text-base font-semibold text-gray-900">Available Rewards</h2>
@@ -388,10 +566,9 @@ export default function RewardsShop() {
                 }}
                 className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
               >
-                <option value={5}>5</option>
-                <option value={10}>10</option>
-                <option value={25}>25</option>
-                <option value={50}>50</option>
+                <option value={12}>12</option>
+                <option value={24}>24</option>
+                <option value={48}>48</option>
               </select>
             </div>
           </div>
@@ -411,98 +588,85 @@ export default function RewardsShop() {
             </div>
           ) : (
             <>
-              <div className="overflow-x-auto">
-                <table className="w-full">
-                  <thead className="bg-gray-50 border-b border-gray-200">
-                    <tr>
-                      <th className="px-5 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                        Reward
-                      </th>
-                      <th className="px-5 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
-                        Description
-                      </th>
-                      <th className="px-5 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">
-                        Cost
-                      </th>
-                      <th className="px-5 py-3 text-right text-xs font-medium text-gray-700 uppercase tracking-wider">
-                        Stock
-                      </th>
-                      <th className="px-5 py-3 text-center text-xs font-medium text-gray-700 uppercase tracking-wider">
-                        Status
-                      </th>
-                      <th className="px-5 py-3 text-center text-xs font-medium text-gray-700 uppercase tracking-wider">
-                        Action
-                      </th>
-                    </tr>
-                  </thead>
-                  <tbody className="divide-y divide-gray-200">
-                    {paginatedItems.map(item => {
-                      const affordable = canAfford(item);
-                      const available = item.stock > 0;
-                      const canRedeem = affordable && available;
-                      
-                      return (
-                        <tr 
-                          key={item.id} 
-                          className={`hover:bg-gray-50 transition-colors ${!canRedeem ? 'opacity-60' : ''}`}
-                        >
-                          <td className="px-5 py-4 text-sm font-medium text-gray-900">
-                            {item.name}
-                          </td>
-                          <td className="px-5 py-4 text-sm text-gray-600">
-                            {item.description || 'No description'}
-                          </td>
-                          <td className="px-5 py-4 text-sm text-right">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 p-5">
+                {paginatedItems.map(item => {
+                  const affordable = canAfford(item);
+                  const available = item.stock > 0;
+                  const canRedeem = affordable && available;
+
+                  return (
+                    <div
+                      key={item.id}
+                      className={`flex flex-col border border-gray-200 rounded-lg overflow-hidden transition-shadow hover:shadow-md ${!canRedeem ? 'opacity-60' : ''}`}
+                    >
+                      <div className="relative h-36 bg-gray-50 flex items-center justify-center">
+                        {item.imageUrl
+                          ? <img src={resolveImageUrl(item.imageUrl)} alt={item.name} className="w-full h-full object-cover" loading="lazy" />
+                          : <Inventory2OutlinedIcon className="text-gray-300" style={{ fontSize: 56 }} />}
+                        <span className="absolute top-2 right-2">
+                          {!available && (
+                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                              Out of Stock
+                            </span>
+                          )}
+                          {available && !affordable && (
+                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+                              Too Expensive
+                            </span>
+                          )}
+                          {available && affordable && (
+                            <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-emerald-100 text-emerald-800">
+                              Available
+                            </span>
+                          )}
+                        </span>
+                      </div>
+
+                      <div className="flex flex-col flex-1 p-4">
+                        {item.category && (
+                          <span className="text-xs font-medium text-emerald-700 mb-1">{item.category.name}</span>
+                        )}
+                        <h3 className="text-sm font-semibold text-gray-900">{item.name}</h3>
+                        <p className="text-xs text-gray-600 mt-1 line-clamp-2">{item.description || 'No description'}</p>
+                        {Array.isArray(item.tags) && item.tags.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {item.tags.map(tag => (
+                              <span key={tag} className="px-1.5 py-0.5 rounded text-[11px] bg-gray-100 text-gray-600">#{tag}</span>
+                            ))}
+                          </div>
+                        )}
+
+                        <div className="flex items-end justify-between mt-auto pt-3">
+                          <div className="text-sm">
                             <span className={`font-semibold ${affordable ? 'text-emerald-600' : 'text-red-600'}`}>
                               {item.cost}
                             </span>
                             <span className="text-gray-500 ml-1 text-xs">coupons</span>
-                          </td>
-                          <td className="px-5 py-4 text-sm text-right">
-                            <span className={`font-semibold ${
-                              item.stock === 0 ? 'text-red-600' : 
-                              item.stock < 10 ? 'text-amber-600' : 
-                              'text-emerald-600'
+                            <div className={`text-xs ${
+                              item.stock === 0 ? 'text-red-600' :
+                              item.stock < 10 ? 'text-amber-600' :
+                              'text-gray-500'
                             }`}>
-                              {item.stock}
-                            </span>
-                          </td>
-                          <td className="px-5 py-4 text-sm text-center">
-                            {!available && (
-                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
-                                Out of Stock
-                              </span>
-                            )}
-                            {available && !affordable && (
-                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
-                                Too Expensive
-                              </span>
-                            )}
-                            {available && affordable && (
-                              <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-emerald-100 text-emerald-800">
-                                Available
-                              </span>
-                            )}
-                          </td>
-                          <td className="px-5 py-4 text-sm text-center">
-                            <button 
-                              onClick={() => openRedeemModal(item)}
-                              disabled={!canRedeem}
-                              className={`px-4 py-2 rounded-lg text-xs font-medium transition-colors ${
-                                canRedeem
-                                  ? 'bg-emerald-600 text-white hover:bg-emerald-700'
-                                  : 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                              }`}
-                              title={!canRedeem ? (!available ? 'Out of stock' : 'Not enough coupons') : 'Redeem this reward'}
-                            >
-                              {canRedeem ? 'Redeem' : 'Locked'}
-                            </button>
-                          </td>
-                        </tr>
-                      );
-                    })}
-                  </tbody>
-                </table>
+                              {item.stock} in stock
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => openRedeemModal(item)}
+                            disabled={!canRedeem}
+                            className={`px-4 py-2 rounded-lg text-xs font-medium transition-colors ${
+                              canRedeem
+                                ? 'bg-emerald-600 text-white hover:bg-emerald-700'
+                                : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                            }`}
+                            title={!canRedeem ? (!available ? 'Out of stock' : 'Not enough coupons') : 'Redeem this reward'}
+                          >
+                            {canRedeem ? 'Redeem' : 'Locked'}
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
               </div>
 
               {/* Pagination */}
@@ -593,8 +757,8 @@ export default function RewardsShop() {
                     <span className="font-semibold text-gray-900">{selectedItem.stock}</span>
                   </div>
                   <div className="flex justify-between text-sm">
-                    <span className="text-gray-600">Your balance:</span>
-                    <span className="font-semibold text-emerald-600">{couponBalance} coupons</span>
+                    <span className="text-gray-600">{voucher ? `Voucher ${voucher.code}:` : 'Your balance:'}</span>
+                    <span className="font-semibold text-emerald-600">{spendable} coupons</span>
                   </div>
                 </div>
 
@@ -638,8 +802,8 @@ export default function RewardsShop() {
                     <span className="font-bold text-gray-900">{selectedItem.cost * quantity} coupons</span>
                   </div>
                   <div className="flex justify-between text-sm">
-                    <span className="text-gray-700">Remaining Balance:</span>
-                    <span className="font-bold text-emerald-600">{couponBalance - (selectedItem.cost * quantity)} coupons</span>
+                    <span className="text-gray-700">{voucher ? 'Unused voucher points:' : 'Remaining Balance:'}</span>
+                    <span className="font-bold text-emerald-600">{spendable - (selectedItem.cost * quantity)} coupons</span>
                   </div>
                 </div>
               </div>
@@ -678,9 +842,15 @@ export default function RewardsShop() {
                   <HistoryIcon />
                   Redemption History
                 </h3>
+                {refundWindowHours && (
+                  <p className="text-xs text-gray-500 mt-1">Redemptions can be cancelled and refunded within {refundWindowHours} hour(s).</p>
+                )}
               </div>
               
               <div className="flex-1 overflow-y-auto px-6 py-4">
+                {refundError && (
+                  <div className="mb-3 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">{refundError}</div>
+                )}
                 {historyLoading ? (
                   <div className="flex items-center justify-center py-12">
                     <LoadingSpinner message="Loading history..." />
@@ -693,9 +863,14 @@ export default function RewardsShop() {
                 ) : (
                   <div className="space-y-3">
                     {redemptionHistory.map(redemption => (
-                      <div key={redemption.id} className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+                      <div key={redemption.id} className={`rounded-lg p-4 border ${redemption.refundedAt ? 'bg-white border-gray-200 opacity-75' : 'bg-gray-50 border-gray-200'}`}>
                         <div className="flex justify-between items-start mb-2">
-                          <h4 className="font-semibold text-gray-900">{redemption.item.name}</h4>
+                          <h4 className="font-semibold text-gray-900 flex items-center gap-2">
+                            {redemption.item.name}
+                            {redemption.refundedAt && (
+                              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700">Refunded</span>
+                            )}
+                          </h4>
                           <span className="text-xs text-gray-500">
                             {new Date(redemption.createdAt).toLocaleDateString()}
                           </span>
@@ -708,9 +883,54 @@ export default function RewardsShop() {
                             Cost: <span className="font-medium text-emerald-600">{redemption.totalCost} coupons</span>
                           </span>
                         </div>
+                        {redemption.voucher && (
+                          <p className="text-xs text-gray-500 mt-1">Paid with voucher <span className="font-mono">{redemption.voucher.code}</span></p>
+                        )}
                         {redemption.notes && (
                           <p className="text-sm text-gray-600 mt-2 italic">{redemption.notes}</p>
                         )}
+                        {redemption.refundedAt && (
+                          <p className="text-xs text-amber-700 mt-2">
+                            Cancelled {new Date(redemption.refundedAt).toLocaleString()}
+                            {redemption.refundedBy && <> by {redemption.refundedBy.username}</>}: {redemption.refundReason}
+                          </p>
+                        )}
+                        {redemption.refundable && hasPermission('inventory:manage') && refundTarget?.id !== redemption.id && (
+                          <button
+                            type="button"
+                            onClick={() => { setRefundTarget({ id: redemption.id, reason: '' }); setRefundError(null); }}
+                            className="mt-2 text-xs font-medium text-red-600 hover:text-red-700"
+                          >
+                            Cancel &amp; Refund
+                          </button>
+                        )}
+                        {refundTarget?.id === redemption.id && (
+                          <form onSubmit={handleRefund} className="mt-3 flex gap-2 flex-wrap">
+                            <input
+                              type="text"
+                              value={refundTarget.reason}
+                              onChange={(e) => setRefundTarget({ ...refundTarget, reason: e.target.value })}
+                              placeholder="Reason, e.g. wrong item scanned"
+                              autoFocus
+                              required
+                              className="flex-1 min-w-[180px] px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                            />
+                            <button
+                              type="submit"
+                              disabled={refundBusy || !refundTarget.reason.trim()}
+                              className="px-3 py-1.5 bg-red-600 text-white rounded-lg text-xs font-medium hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              Refund {redemption.totalCost} coupons
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => setRefundTarget(null)}
+                              className="px-3 py-1.5 border border-gray-300 rounded-lg text-xs font-medium text-gray-700 hover:bg-gray-50"
+                            >
+                              Keep
+                            </button>
+                          </form>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -2,17 +2,61 @@ import React, { useState, useMemo, useCallback, useEffect, memo } from 'react';
 import OpenInNewOutlinedIcon from '@mui/icons-material/OpenInNewOutlined';
 import SettingsOutlinedIcon from '@mui/icons-material/SettingsOutlined';
 import PersonOutlineOutlinedIcon from '@mui/icons-material/PersonOutlineOutlined';
+import BusinessOutlinedIcon from '@mui/icons-material/BusinessOutlined';
 import VisibilityOutlinedIcon from '@mui/icons-material/VisibilityOutlined';
 import VisibilityOffOutlinedIcon from '@mui/icons-material/VisibilityOffOutlined';
 import { useNavigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
 import { useAuth } from '../contexts/AuthContext';
 import { usePreferences } from '../contexts/PreferencesContext';
+import { getDevices } from '../config/api';
 import LoadingSpinner from './LoadingSpinner';
 
+const toggleClass = (on) => `relative w-12 h-7 rounded-full cursor-pointer transition-colors duration-200 border-0 outline-0 focus:shadow-[0_0_0_3px_rgba(31,136,61,0.3)] before:content-[''] before:absolute before:top-0.5 before:left-0.5 before:w-6 before:h-6 before:bg-white before:rounded-full before:transition-transform before:duration-200 before:shadow-md ${
+  on ? 'bg-[#1f883d] before:translate-x-5' : 'bg-[#d1d9e0]'
+}`;
+
+// Organization defaults admins can set; users who chose their own value keep it
+const ORG_TOGGLES = [
+  { key: 'binFullAlert', label: 'Bin Full Alert', description: 'Notify users when bins are full' },
+  { key: 'autoRefresh', label: 'Auto refresh', description: 'Automatically refresh data' },
+  { key: 'notifications', label: 'Notifications', description: 'Show notifications in the dashboard' },
+  { key: 'compactMode', label: 'Compact mode', description: 'Denser tables and lists' },
+];
+
+const ORG_SELECTS = [
+  { key: 'recordsPerPage', label: 'Records per page', description: 'Rows shown per page in tables', options: [5, 10, 20, 50, 100] },
+  { key: 'uiSize', label: 'UI size', description: 'Text size across the dashboard', options: ['small', 'medium', 'large'] },
+];
+
+// Whether a preference is the user's own choice or follows the organization default
+const PreferenceSource = ({ overridden, defaultLabel, onUseDefault }) => (
+  <p className="text-xs text-[#656d76] mt-1.5 mb-0">
+    {overridden ? (
+      <>
+        Your choice.{' '}
+        <button type="button" className="bg-transparent border-0 p-0 text-[#0969da] cursor-pointer hover:underline" onClick={onUseDefault}>
+          Use organization default{defaultLabel ? ` (${defaultLabel})` : ''}
+        </button>
+      </>
+    ) : 'Following the organization default'}
+  </p>
+);
+
 const Settings = () => {
   const navigate = useNavigate();
-  const { user, updateUser } = useAuth();
-  const { preferences, updatePreference, isLoading: prefsLoading } = usePreferences();
+  const { user, updateUser, hasPermission } = useAuth();
+  const {
+    preferences,
+    overrides,
+    orgDefaults,
+    updatePreference,
+    clearPreference,
+    resetPreferences,
+    saveOrgDefaults,
+    isLoading: prefsLoading
+  } = usePreferences();
+  const canManageDefaults = hasPermission('settings:manage');
   
   const [activeTab, setActiveTab] = useState('system');
   const [isLoading, setIsLoading] = useState(false);
@@ -62,6 +106,31 @@ const Settings = () => {
     }
   }, [preferences, updatePreference, showMessage]);
 
+  const handleUseDefault = useCallback(async (setting) => {
+    const success = await clearPreference(setting);
+    showMessage(success ? 'Now following the organization default' : 'Failed to update setting', success ? 'success' : 'error');
+  }, [clearPreference, showMessage]);
+
+  const handleResetPreferences = useCallback(async () => {
+    const success = await resetPreferences();
+    showMessage(success ? 'Preferences reset to the organization defaults' : 'Failed to reset preferences', success ? 'success' : 'error');
+  }, [resetPreferences, showMessage]);
+
+  const handleOrgDefaultChange = useCallback(async (setting, value) => {
+    const success = await saveOrgDefaults({ [setting]: value });
+    showMessage(success ? 'Organization default updated' : 'Failed to update organization default', success ? 'success' : 'error');
+  }, [saveOrgDefaults, showMessage]);
+
+  const hasOverrides = useMemo(
+    () => Object.values(overrides || {}).some((value) => value !== null && value !== undefined),
+    [overrides]
+  );
+
+  const describeDefault = useCallback((setting) => {
+    if (!orgDefaults) return null;
+    return orgDefaults[setting] ? 'On' : 'Off';
+  }, [orgDefaults]);
+
   const saveAccountChanges = useCallback(async (updateData, successMessage, onSuccess) => {
     setIsLoading(true);
     try {
@@ -154,15 +223,25 @@ const Settings = () => {
     );
   }, [profile.confirmPassword, profile.password, saveAccountChanges, showMessage]);
 
+  // Machine the kiosk screen stands in front of; it shows the vouchers that machine issues
+  const [kioskDeviceId, setKioskDeviceId] = useState('');
+  const { data: devices = [] } = useQuery({
+    queryKey: ['devices', 'active'],
+    queryFn: async () => (await getDevices(true)).data || [],
+    staleTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+
   const handleLaunchKiosk = useCallback(() => {
-    navigate('/kiosk');
-  }, [navigate]);
+    navigate(kioskDeviceId ? `/kiosk?device=${kioskDeviceId}` : '/kiosk');
+  }, [navigate, kioskDeviceId]);
 
-  // Memoize tabs array - removed accounts tab per PRD (single admin user)
+  // Memoize tabs array - accounts are managed on their own page; organization defaults need settings:manage
   const tabs = useMemo(() => [
     { id: 'system', label: 'System', icon: <SettingsOutlinedIcon fontSize="small" /> },
     { id: 'profile', label: 'Profile', icon: <PersonOutlineOutlinedIcon fontSize="small" /> },
-  ], []);
+    ...(canManageDefaults ? [{ id: 'organization', label: 'Organization Defaults', icon: <BusinessOutlinedIcon fontSize="small" /> }] : []),
+  ], [canManageDefaults]);
 
   // Memoize UI size class
   const uiSizeClass = useMemo(() => {
@@ -232,6 +311,11 @@ const Settings = () => {
                     <p className="text-[13px] text-[#656d76] m-0 leading-snug">
                       Receive notifications when bins are full
                     </p>
+                    <PreferenceSource
+                      overridden={overrides?.binFullAlert != null}
+                      defaultLabel={describeDefault('binFullAlert')}
+                      onUseDefault={() => handleUseDefault('binFullAlert')}
+                    />
                   </div>
                   <div className="flex-shrink-0 flex items-center">
                     <button
@@ -252,6 +336,11 @@ const Settings = () => {
                     <p className="text-[13px] text-[#656d76] m-0 leading-snug">
                       Automatically refresh data
                     </p>
+                    <PreferenceSource
+                      overridden={overrides?.autoRefresh != null}
+                      defaultLabel={describeDefault('autoRefresh')}
+                      onUseDefault={() => handleUseDefault('autoRefresh')}
+                    />
                   </div>
                   <div className="flex-shrink-0 flex items-center">
                     <button
@@ -271,9 +360,21 @@ const Settings = () => {
                     <label className="text-sm font-semibold text-[#1f2328] mb-1 block">Launch Kiosk</label>
                     <p className="text-[13px] text-[#656d76] m-0 leading-snug">
                       Open kiosk mode for Screen display with idle and waste-triggered videos.
+                      Pick the machine it stands in front of to show the vouchers for anonymous deposits.
                     </p>
                   </div>
-                  <div className="flex-shrink-0 flex items-center">
+                  <div className="flex-shrink-0 flex items-center gap-2">
+                    <select
+                      value={kioskDeviceId}
+                      onChange={(e) => setKioskDeviceId(e.target.value)}
+                      className="py-2 px-2 border border-[#d1d9e0] rounded-md text-sm bg-white text-[#1f2328] focus:outline-none focus:border-[#0969da]"
+                      aria-label="Kiosk machine"
+                    >
+                      <option value="">Last used machine</option>
+                      {devices.map((device) => (
+                        <option key={device.id} value={device.id}>{device.name}</option>
+                      ))}
+                    </select>
                     <button
                       type="button"
                       className="border rounded-md cursor-pointer text-sm font-medium py-2 px-3 transition-all duration-150 inline-flex items-center gap-2 bg-[#0969da] border-[#0969da] text-white hover:bg-[#0860ca] hover:border-[#0860ca]"
@@ -284,7 +385,83 @@ const Settings = () => {
                     </button>
                   </div>
                 </div>
+
+                {hasOverrides && (
+                  <div className="flex flex-col md:flex-row md:items-start md:justify-between p-4 px-5 border-t border-[#d1d9e0] gap-3 md:gap-0">
+                    <div className="flex-1 md:mr-4">
+                      <label className="text-sm font-semibold text-[#1f2328] mb-1 block">Reset preferences</label>
+                      <p className="text-[13px] text-[#656d76] m-0 leading-snug">
+                        Forget your own choices and follow the organization defaults again.
+                      </p>
+                    </div>
+                    <div className="flex-shrink-0 flex items-center">
+                      <button
+                        type="button"
+                        className="border rounded-md cursor-pointer text-sm font-medium py-2 px-3 transition-all duration-150 bg-[#f6f8fa] border-[#d1d9e0] text-[#1f2328] hover:bg-[#eaeef2]"
+                        onClick={handleResetPreferences}
+                      >
+                        Reset
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'organization' && canManageDefaults && (
+            <div className="bg-white border border-[#d1d9e0] rounded-md mb-6 overflow-hidden">
+              <div className="p-4 px-5 bg-[#f6f8fa] border-b border-[#d1d9e0]">
+                <h2 className="text-base font-semibold text-[#1f2328] m-0">Organization Defaults</h2>
+                <p className="text-sm text-[#656d76] mt-1 mb-0">
+                  Preferences everyone starts with. Users who changed a setting themselves keep their own choice.
+                </p>
               </div>
+              {!orgDefaults ? (
+                <div className="p-5 text-sm text-[#656d76]">Loading organization defaults...</div>
+              ) : (
+                <div className="p-0">
+                  {ORG_TOGGLES.map((setting) => (
+                    <div key={setting.key} className="flex flex-col md:flex-row md:items-start md:justify-between p-4 px-5 border-b border-[#d1d9e0] gap-3 md:gap-0">
+                      <div className="flex-1 md:mr-4">
+                        <label className="text-sm font-semibold text-[#1f2328] mb-1 block">{setting.label}</label>
+                        <p className="text-[13px] text-[#656d76] m-0 leading-snug">{setting.description}</p>
+                      </div>
+                      <div className="flex-shrink-0 flex items-center">
+                        <button
+                          className={toggleClass(orgDefaults[setting.key])}
+                          onClick={() => handleOrgDefaultChange(setting.key, !orgDefaults[setting.key])}
+                          aria-label={`Default ${setting.label}`}
+                        >
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  {ORG_SELECTS.map((setting) => (
+                    <div key={setting.key} className="flex flex-col md:flex-row md:items-start md:justify-between p-4 px-5 border-b border-[#d1d9e0] last:border-b-0 gap-3 md:gap-0">
+                      <div className="flex-1 md:mr-4">
+                        <label className="text-sm font-semibold text-[#1f2328] mb-1 block">{setting.label}</label>
+                        <p className="text-[13px] text-[#656d76] m-0 leading-snug">{setting.description}</p>
+                      </div>
+                      <div className="flex-shrink-0 flex items-center">
+                        <select
+                          value={orgDefaults[setting.key]}
+                          onChange={(e) => handleOrgDefaultChange(
+                            setting.key,
+                            typeof setting.options[0] === 'number' ? Number(e.target.value) : e.target.value
+                          )}
+                          className="py-1.5 px-2 border border-[#d1d9e0] rounded-md text-sm bg-white text-[#1f2328] focus:outline-none focus:border-[#0969da]"
+                          aria-label={`Default ${setting.label}`}
+                        >
+                          {setting.options.map((option) => (
+                            <option key={option} value={option}>{option}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
 
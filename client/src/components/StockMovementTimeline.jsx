@@ -0,0 +1,115 @@
+import { memo, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import HistoryOutlinedIcon from '@mui/icons-material/HistoryOutlined';
+import { getInventoryMovements } from '../config/api';
+import { MOVEMENT_TYPES, getMovementLabel, formatMovementQuantity } from '../utils/inventoryMovements';
+
+const PAGE_SIZE = 20;
+
+// Every stock change of one shop item, newest first, with who made it and why
+const StockMovementTimeline = memo(({ item, onClose }) => {
+  const [page, setPage] = useState(1);
+  const [type, setType] = useState('');
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['inventoryMovements', item.id, type, page],
+    queryFn: () => getInventoryMovements({ itemId: item.id, type, page, limit: PAGE_SIZE }),
+    placeholderData: (previous) => previous,
+  });
+
+  const movements = data?.data || [];
+  const pagination = data?.pagination;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={onClose}>
+      <div className="bg-white rounded-xl p-7 max-w-[640px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between gap-3 mb-5">
+          <div>
+            <h3 className="m-0 text-2xl text-gray-900 flex items-center gap-2">
+              <HistoryOutlinedIcon className="text-green-600" />
+              Stock History
+            </h3>
+            <p className="text-sm text-gray-600 mt-1">{item.name} · {item.stock} in stock</p>
+          </div>
+          <select
+            value={type}
+            onChange={(e) => { setType(e.target.value); setPage(1); }}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:outline-none focus:border-green-500"
+          >
+            <option value="">All changes</option>
+            {Object.entries(MOVEMENT_TYPES).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {isLoading ? (
+          <div className="py-10 text-center text-sm text-gray-500">Loading stock history...</div>
+        ) : error ? (
+          <div className="py-10 text-center text-sm text-red-600">{error.message}</div>
+        ) : movements.length === 0 ? (
+          <div className="py-10 text-center text-sm text-gray-500">No stock changes recorded yet</div>
+        ) : (
+          <ol className="relative border-l-2 border-gray-200 ml-2 space-y-5">
+            {movements.map((movement) => (
+              <li key={movement.id} className="ml-5">
+                <span className={`absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full border-2 border-white ${movement.quantity > 0 ? 'bg-green-500' : 'bg-red-500'}`} />
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${MOVEMENT_TYPES[movement.type]?.badge || 'bg-gray-100 text-gray-600'}`}>
+                    {getMovementLabel(movement.type)}
+                  </span>
+                  <span className={`font-bold text-sm tabular-nums ${movement.quantity > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatMovementQuantity(movement.quantity)}
+                  </span>
+                  <span className="text-sm text-gray-600 tabular-nums">
+                    {movement.stockBefore} → {movement.stockAfter}
+                  </span>
+                </div>
+                {movement.reason && <p className="text-sm text-gray-700 mt-1">{movement.reason}</p>}
+                <p className="text-xs text-gray-500 mt-0.5">
+                  {new Date(movement.createdAt).toLocaleString()}
+                  {movement.account && <> · by {movement.account.username}</>}
+                </p>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        <div className="flex items-center justify-between gap-3 mt-6">
+          {pagination && pagination.totalPages > 1 ? (
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <button
+                type="button"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="py-1.5 px-3 border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Newer
+              </button>
+              <span>Page {pagination.page} of {pagination.totalPages}</span>
+              <button
+                type="button"
+                onClick={() => setPage(page + 1)}
+                disabled={!pagination.hasNext}
+                className="py-1.5 px-3 border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Older
+              </button>
+            </div>
+          ) : <span />}
+          <button
+            type="button"
+            onClick={onClose}
+            className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+StockMovementTimeline.displayName = 'StockMovementTimeline';
+
+export default StockMovementTimeline;
@@ -0,0 +1,347 @@
+import { useState } from 'react';
+import { createWasteCategory, updateWasteCategory, deleteWasteCategory } from '../config/api';
+import { useWasteCategories } from '../contexts/useWasteCategories';
+import CategoryOutlinedIcon from '@mui/icons-material/CategoryOutlined';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+
+const EMPTY_FORM = { key: '', name: '', code: '', color: '#6b7280', binType: 1, sortOrder: '', densityKgPerLitre: '' };
+
+const inputClass = 'w-full py-2.5 px-2 border border-gray-300 rounded-md text-sm transition-colors bg-white text-gray-900 focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-200 disabled:bg-gray-100 disabled:text-gray-500';
+
+export default function WasteCategoryManagement() {
+  const { allCategories: categories, bins, isLoading, refreshCategories } = useWasteCategories();
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+  const [editing, setEditing] = useState(null); // null when closed, {} when adding, the category when editing
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const openAddModal = () => {
+    const nextSortOrder = categories.length > 0 ? Math.max(...categories.map((category) => category.sortOrder)) + 1 : 1;
+    setFormData({ ...EMPTY_FORM, sortOrder: nextSortOrder });
+    setEditing({});
+  };
+
+  const openEditModal = (category) => {
+    setFormData({
+      key: category.key,
+      name: category.name,
+      code: category.code,
+      color: category.color,
+      binType: category.binType,
+      sortOrder: category.sortOrder,
+      densityKgPerLitre: category.densityKgPerLitre ?? ''
+    });
+    setEditing(category);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      name: formData.name,
+      color: formData.color,
+      binType: Number.parseInt(formData.binType, 10),
+      sortOrder: Number.parseInt(formData.sortOrder, 10),
+      densityKgPerLitre: formData.densityKgPerLitre === '' ? null : Number(formData.densityKgPerLitre)
+    };
+
+    try {
+      if (editing.id) {
+        await updateWasteCategory(editing.id, payload);
+        setSuccessMessage(`${formData.name} updated`);
+      } else {
+        await createWasteCategory({ ...payload, key: formData.key, ...(formData.code && { code: formData.code }) });
+        setSuccessMessage(`${formData.name} added. Machines can now send counts as "${formData.key}".`);
+      }
+      setEditing(null);
+      refreshCategories();
+    } catch (err) {
+      setError(err.message || 'Failed to save waste category');
+    }
+  };
+
+  const handleToggleActive = async (category) => {
+    try {
+      await updateWasteCategory(category.id, { isActive: !category.isActive });
+      setSuccessMessage(`${category.name} ${category.isActive ? 'deactivated' : 'activated'}`);
+      refreshCategories();
+    } catch (err) {
+      setError(err.message || 'Failed to update waste category');
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!pendingDelete) return;
+    const category = pendingDelete;
+    setPendingDelete(null);
+
+    try {
+      await deleteWasteCategory(category.id);
+      setSuccessMessage(`${category.name} deleted`);
+      refreshCategories();
+    } catch (err) {
+      setError(err.message || 'Failed to delete waste category');
+    }
+  };
+
+  return (
+    <div className="p-4 md:p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Waste Categories</h1>
+          <p className="text-sm text-gray-600 mt-1">Types of waste the machines sort, and the bin each one goes into</p>
+        </div>
+        <button
+          className="w-full sm:w-auto px-5 py-2.5 border-none rounded-lg text-sm font-semibold cursor-pointer bg-green-600 text-white whitespace-nowrap transition-all hover:bg-green-700 hover:shadow-lg shadow-green-600/20"
+          onClick={openAddModal}
+        >
+          + Add Category
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {error}
+          <button onClick={() => setError(null)} className="bg-transparent border-none text-red-800 text-xl cursor-pointer px-2 hover:text-red-600">×</button>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg mb-5 flex justify-between items-center">
+          {successMessage}
+          <button onClick={() => setSuccessMessage(null)} className="bg-transparent border-none text-green-800 text-xl cursor-pointer px-2 hover:text-green-600">×</button>
+        </div>
+      )}
+
+      {/* Bins summary */}
+      {bins.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm mb-5">
+          <div className="text-xs font-semibold text-gray-600 mb-3 uppercase tracking-wide">Bins</div>
+          <div className="flex flex-wrap gap-2">
+            {bins.map((bin) => (
+              <span key={bin.binType} className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full bg-gray-100 text-xs text-gray-700">
+                <span className="font-semibold">Bin {bin.binType}</span> {bin.name}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center text-gray-500 shadow-sm">Loading categories...</div>
+      ) : categories.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-xl p-10 text-center shadow-sm">
+          <CategoryOutlinedIcon className="text-gray-400" style={{ fontSize: 48 }} />
+          <p className="text-gray-600 mt-3">No waste categories configured yet.</p>
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-600 uppercase tracking-wide">
+              <tr>
+                <th className="px-4 py-3 text-left font-semibold">Category</th>
+                <th className="px-4 py-3 text-left font-semibold">Key</th>
+                <th className="px-4 py-3 text-left font-semibold">Code</th>
+                <th className="px-4 py-3 text-left font-semibold">Bin</th>
+                <th className="px-4 py-3 text-left font-semibold">Order</th>
+                <th className="px-4 py-3 text-left font-semibold">Density (kg/L)</th>
+                <th className="px-4 py-3 text-left font-semibold">Status</th>
+                <th className="px-4 py-3 text-right font-semibold">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {categories.map((category) => (
+                <tr key={category.id} className={!category.isActive ? 'opacity-60' : ''}>
+                  <td className="px-4 py-3">
+                    <span className="inline-flex items-center gap-2 font-medium text-gray-900">
+                      <span className="w-3 h-3 rounded-full" style={{ backgroundColor: category.color }} />
+                      {category.name}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 font-mono text-xs text-gray-700">{category.key}</td>
+                  <td className="px-4 py-3 font-mono text-xs text-gray-700">{category.code}</td>
+                  <td className="px-4 py-3 text-gray-700">{category.binType}</td>
+                  <td className="px-4 py-3 text-gray-700">{category.sortOrder}</td>
+                  <td className="px-4 py-3 text-gray-700">{category.densityKgPerLitre ?? '—'}</td>
+                  <td className="px-4 py-3">
+                    <span className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-semibold ${category.isActive ? 'bg-emerald-100 text-emerald-800' : 'bg-gray-200 text-gray-700'}`}>
+                      {category.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => openEditModal(category)}
+                        className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50"
+                      >
+                        <EditOutlinedIcon fontSize="inherit" /> Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(category)}
+                        className="px-3 py-1.5 border border-gray-300 rounded-md text-xs font-medium bg-white text-gray-700 hover:bg-gray-50"
+                      >
+                        {category.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                      <button
+                        onClick={() => setPendingDelete(category)}
+                        className="inline-flex items-center gap-1 px-3 py-1.5 border border-transparent rounded-md text-xs font-medium bg-transparent text-gray-500 hover:text-red-600"
+                        title="Delete category"
+                      >
+                        <DeleteOutlineIcon fontSize="inherit" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add / Edit Category Modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-black/50 flex justify-center items-center z-[1000]" onClick={() => setEditing(null)}>
+          <div className="bg-white rounded-xl p-7 max-w-[500px] w-[90%] max-h-[90vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <h3 className="m-0 mb-5 text-2xl text-gray-900">{editing.id ? 'Edit Category' : 'Add Category'}</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g. E-Waste"
+                  maxLength={60}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4 mb-5">
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Key *</label>
+                  <input
+                    type="text"
+                    value={formData.key}
+                    onChange={(e) => setFormData({ ...formData, key: e.target.value })}
+                    placeholder="e.g. eWaste"
+                    pattern="[a-zA-Z][a-zA-Z0-9]{1,39}"
+                    disabled={Boolean(editing.id)}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Code</label>
+                  <input
+                    type="text"
+                    value={formData.code}
+                    onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                    placeholder="e.g. E_WASTE"
+                    pattern="[A-Z][A-Z0-9_]{1,39}"
+                    disabled={Boolean(editing.id)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              {!editing.id && (
+                <p className="text-xs text-gray-500 -mt-3 mb-5">
+                  Machines send counts under the key. The code is used for videos and notifications and defaults to the key in upper case. Neither can be changed later.
+                </p>
+              )}
+              <div className="grid grid-cols-3 gap-4 mb-5">
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Bin *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="20"
+                    value={formData.binType}
+                    onChange={(e) => setFormData({ ...formData, binType: e.target.value })}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Order *</label>
+                  <input
+                    type="number"
+                    value={formData.sortOrder}
+                    onChange={(e) => setFormData({ ...formData, sortOrder: e.target.value })}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block mb-2 font-medium text-gray-900">Color</label>
+                  <input
+                    type="color"
+                    value={formData.color}
+                    onChange={(e) => setFormData({ ...formData, color: e.target.value })}
+                    className="w-full h-[42px] p-1 border border-gray-300 rounded-md bg-white cursor-pointer"
+                  />
+                </div>
+              </div>
+              <div className="mb-5">
+                <label className="block mb-2 font-medium text-gray-900">Density (kg per litre)</label>
+                <input
+                  type="number"
+                  min="0.001"
+                  max="25"
+                  step="0.001"
+                  value={formData.densityKgPerLitre}
+                  onChange={(e) => setFormData({ ...formData, densityKgPerLitre: e.target.value })}
+                  placeholder="e.g. 0.05 for loose plastic bottles"
+                  className={inputClass}
+                />
+                <p className="text-xs text-gray-500 mt-1.5">Used to estimate volume from weights measured by the machine. Leave empty to skip volume for this category.</p>
+              </div>
+              <div className="flex gap-3 justify-end">
+                <button
+                  type="button"
+                  className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                  onClick={() => setEditing(null)}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all bg-green-600 text-white hover:bg-green-700"
+                >
+                  {editing.id ? 'Save' : 'Add'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Confirm Delete Modal */}
+      {pendingDelete && (
+        <div className="fixed inset-0 flex items-center justify-center z-50" style={{ backgroundColor: 'rgba(0, 0, 0, 0.5)' }}>
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl">
+            <h3 className="text-lg font-semibold mb-4 text-gray-900">Delete Category</h3>
+            <p className="text-gray-700 mb-6">
+              <span className="font-semibold">{pendingDelete.name}</span>: Categories with waste records cannot be deleted; deactivate them instead. This action cannot be undone.
+            </p>
+            <div className="flex gap-3 justify-end">
+              <button
+                className="py-2 px-4 border border-gray-300 rounded-md text-sm font-medium cursor-pointer transition-all bg-white text-gray-700 hover:bg-gray-50"
+                onClick={() => setPendingDelete(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="py-2 px-4 border-none rounded-md text-sm font-medium cursor-pointer transition-all text-white bg-red-600 hover:bg-red-700"
+                onClick={confirmDelete}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
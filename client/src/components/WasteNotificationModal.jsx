@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { API_ENDPOINTS } from '../config/api';
+import { useWasteCategories } from '../contexts/useWasteCategories';
 import RecyclingOutlinedIcon from '@mui/icons-material/RecyclingOutlined';
 import SpaOutlinedIcon from '@mui/icons-material/SpaOutlined';
 import DeleteOutlineOutlinedIcon from '@mui/icons-material/DeleteOutlineOutlined';
@@ -9,7 +10,15 @@ import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
 import TaskAltOutlinedIcon from '@mui/icons-material/TaskAltOutlined';
 import CloseRoundedIcon from '@mui/icons-material/CloseRounded';
 
+// Icons for the built-in categories; categories added later use the generic one
+const WASTE_TYPE_ICONS = {
+  'RECYCLABLE': <RecyclingOutlinedIcon fontSize="inherit" />,
+  'WET': <SpaOutlinedIcon fontSize="inherit" />,
+  'DRY': <DeleteOutlineOutlinedIcon fontSize="inherit" />
+};
+
 const WasteNotificationModal = ({ notification, onClose }) => {
+  const { getCategoryByCode } = useWasteCategories();
   const [videoUrl, setVideoUrl] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -75,32 +84,11 @@ const WasteNotificationModal = ({ notification, onClose }) => {
 
   if (!notification) return null;
 
-  const formatWasteType = (type) => {
-    const types = {
-      'RECYCLABLE': 'Recyclable Wastes',
-      'WET': 'Wet Wastes',
-      'DRY': 'Dry Wastes'
-    };
-    return types[type] || type;
-  };
-
-  const getWasteTypeIcon = (type) => {
-    const icons = {
-      'RECYCLABLE': <RecyclingOutlinedIcon fontSize="inherit" />, 
-      'WET': <SpaOutlinedIcon fontSize="inherit" />,
-      'DRY': <DeleteOutlineOutlinedIcon fontSize="inherit" />
-    };
-    return icons[type] || <Inventory2OutlinedIcon fontSize="inherit" />;
-  };
-
-  const getWasteTypeColor = (type) => {
-    const colors = {
-      'RECYCLABLE': '#16a34a', // green
-      'WET': '#ca8a04', // yellow
-      'DRY': '#dc2626' // red
-    };
-    return colors[type] || '#6b7280';
-  };
+  const formatWasteType = (type) => getCategoryByCode(type)?.name || type;
+
+  const getWasteTypeIcon = (type) => WASTE_TYPE_ICONS[type] || <Inventory2OutlinedIcon fontSize="inherit" />;
+
+  const getWasteTypeColor = (type) => getCategoryByCode(type)?.color || '#6b7280';
 
   return (
     <>
@@ -10,6 +10,7 @@ import RecyclingOutlinedIcon from '@mui/icons-material/RecyclingOutlined';
 import SpaOutlinedIcon from '@mui/icons-material/SpaOutlined';
 import DeleteOutlineOutlinedIcon from '@mui/icons-material/DeleteOutlineOutlined';
 import BarChartOutlinedIcon from '@mui/icons-material/BarChartOutlined';
+import ScaleOutlinedIcon from '@mui/icons-material/ScaleOutlined';
 import DescriptionOutlinedIcon from '@mui/icons-material/DescriptionOutlined';
 import ArrowUpwardOutlinedIcon from '@mui/icons-material/ArrowUpwardOutlined';
 import ArrowDownwardOutlinedIcon from '@mui/icons-material/ArrowDownwardOutlined';
@@ -20,9 +21,11 @@ import LastPageOutlinedIcon from '@mui/icons-material/LastPageOutlined';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import * as XLSX from 'xlsx';
-import { API_ENDPOINTS } from '../config/api';
+import { API_ENDPOINTS, getDevices, getNotificationStreamUrl } from '../config/api';
 import ExportModal from './ExportModal';
+import { useWasteCategories } from '../contexts/useWasteCategories';
 import { endOfLocalDay, formatLocalDateForApi, getLocalDateKey, parseLocalDate, startOfLocalDay } from '../utils/date';
+import { getWeightGrams, addWeights, formatKg } from '../utils/weight';
 
 // Skeleton row component
 const SkeletonRow = memo(() => (
@@ -31,13 +34,22 @@ const SkeletonRow = memo(() => (
     <td className="px-6 py-4"><div className="h-4 bg-gray-200 rounded w-16"></div></td>
     <td className="px-6 py-4"><div className="h-4 bg-gray-200 rounded w-20"></div></td>
     <td className="px-6 py-4"><div className="h-4 bg-gray-200 rounded w-16"></div></td>
+    <td className="px-6 py-4"><div className="h-4 bg-gray-200 rounded w-16"></div></td>
   </tr>
 ));
 
 SkeletonRow.displayName = 'SkeletonRow';
 
+// Icons for the built-in categories; categories added later use the generic one
+const CATEGORY_ICONS = {
+  recyclable: RecyclingOutlinedIcon,
+  biodegradable: SpaOutlinedIcon,
+};
+
+const getQuantity = (record, key) => record.quantities?.[key] || 0;
+
 // Fetch function for React Query
-const fetchAllWasteData = async ({ dateFrom, dateTo }) => {
+const fetchAllWasteData = async ({ dateFrom, dateTo, deviceId }) => {
   let allData = [];
   let currentPage = 1;
   let hasMoreData = true;
@@ -47,10 +59,13 @@ const fetchAllWasteData = async ({ dateFrom, dateTo }) => {
     
     if (dateFrom) params.append('dateFrom', dateFrom);
     if (dateTo) params.append('dateTo', dateTo);
+    if (deviceId && deviceId !== 'all') params.append('deviceId', deviceId);
     params.append('pageSize', '100');
     params.append('page', currentPage.toString());
     
-    const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`);
+    const response = await fetch(`${API_ENDPOINTS.WASTE_RECORDS}?${params.toString()}`, {
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+    });
 
     if (!response.ok) {
       throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
@@ -72,6 +87,8 @@ const fetchAllWasteData = async ({ dateFrom, dateTo }) => {
 
 const WasteTable = () => {
   const tableRef = useRef(null);
+  // Retired categories are kept so older records still show their counts
+  const { allCategories: categories } = useWasteCategories();
   const [viewMode, setViewMode] = useState('daily');
   const [dateFromObj, setDateFromObj] = useState(null);
   const [dateToObj, setDateToObj] = useState(null);
@@ -79,7 +96,8 @@ const WasteTable = () => {
   const [itemsPerPage, setItemsPerPage] = useState(10);
   const [sortBy, setSortBy] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
-  const [typeFilter, setTypeFilter] = useState('all'); // all, recyclable, biodegradable, nonBiodegradable
+  const [typeFilter, setTypeFilter] = useState('all'); // all or a category key
+  const [deviceId, setDeviceId] = useState('all');
   const [showExportModal, setShowExportModal] = useState(false);
   const [dismissedError, setDismissedError] = useState(false);
 
@@ -96,13 +114,20 @@ const WasteTable = () => {
 
   // Use React Query for data fetching with caching
   const { data: wasteData = [], isLoading: loading, error: queryError, refetch } = useQuery({
-    queryKey: ['wasteData', dateFrom, dateTo],
-    queryFn: () => fetchAllWasteData({ dateFrom, dateTo }),
+    queryKey: ['wasteData', dateFrom, dateTo, deviceId],
+    queryFn: () => fetchAllWasteData({ dateFrom, dateTo, deviceId }),
     staleTime: 30 * 1000, // 30 seconds - shorter to show latest records
     cacheTime: 5 * 60 * 1000, // 5 minutes
     refetchOnWindowFocus: true, // Enable to show latest records when user returns
   });
 
+  const { data: devices = [] } = useQuery({
+    queryKey: ['devices'],
+    queryFn: async () => (await getDevices()).data || [],
+    staleTime: 5 * 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+
   const error = useMemo(() => {
     if (!queryError) return null;
     setDismissedError(false); // Reset dismiss state when new error occurs
@@ -141,7 +166,7 @@ const WasteTable = () => {
 
   // Keep waste records live so the table updates without manual refresh.
   useEffect(() => {
-    const eventSource = new EventSource(API_ENDPOINTS.BIN_NOTIFICATIONS_STREAM);
+    const eventSource = new EventSource(getNotificationStreamUrl());
 
     eventSource.onmessage = (event) => {
       try {
@@ -175,21 +200,22 @@ const WasteTable = () => {
         monthlyData[monthKey] = {
           id: monthKey,
           date: monthKey + '-01', // First day of month for display
-          recyclable: 0,
-          biodegradable: 0,
-          nonBiodegradable: 0,
-          total: 0
+          quantities: {},
+          total: 0,
+          weightGrams: null
         };
       }
       
-      monthlyData[monthKey].recyclable += record.recyclable || 0;
-      monthlyData[monthKey].biodegradable += record.biodegradable || 0;
-      monthlyData[monthKey].nonBiodegradable += record.nonBiodegradable || 0;
-      monthlyData[monthKey].total += (record.recyclable || 0) + (record.biodegradable || 0) + (record.nonBiodegradable || 0);
+      categories.forEach((category) => {
+        monthlyData[monthKey].quantities[category.key] =
+          (monthlyData[monthKey].quantities[category.key] || 0) + getQuantity(record, category.key);
+      });
+      monthlyData[monthKey].total += record.total || 0;
+      monthlyData[monthKey].weightGrams = addWeights(monthlyData[monthKey].weightGrams, record.weightGrams ?? null);
     });
     
     return Object.values(monthlyData).sort((a, b) => new Date(b.date) - new Date(a.date));
-  }, []);
+  }, [categories]);
 
   // Format date based on view mode
   const formatDate = useCallback((dateString) => {
@@ -222,42 +248,22 @@ const WasteTable = () => {
       // Transform each record into individual rows per waste type
       const individualRows = [];
       wasteData.forEach(record => {
-        // Add recyclable row if quantity > 0
-        if (record.recyclable > 0) {
-          individualRows.push({
-            id: `${record.id}-recyclable`,
-            date: record.date,
-            time: record.recordedAt || record.createdAt,
-            type: 'Recyclable',
-            quantityInPcs: record.recyclable,
-            couponTaken: Math.floor(record.recyclable * 0.5), // Example calculation
-            originalType: 'recyclable'
-          });
-        }
-        // Add biodegradable row if quantity > 0
-        if (record.biodegradable > 0) {
-          individualRows.push({
-            id: `${record.id}-biodegradable`,
-            date: record.date,
-            time: record.recordedAt || record.createdAt,
-            type: 'Wet Wastes',
-            quantityInPcs: record.biodegradable,
-            couponTaken: 0,
-            originalType: 'biodegradable'
-          });
-        }
-        // Add non-biodegradable row if quantity > 0
-        if (record.nonBiodegradable > 0) {
-          individualRows.push({
-            id: `${record.id}-nonBiodegradable`,
-            date: record.date,
-            time: record.recordedAt || record.createdAt,
-            type: 'Dry Wastes',
-            quantityInPcs: record.nonBiodegradable,
-            couponTaken: 0,
-            originalType: 'nonBiodegradable'
-          });
-        }
+        // One row for each category the record has items in
+        categories.forEach((category) => {
+          const quantity = getQuantity(record, category.key);
+          if (quantity > 0) {
+            individualRows.push({
+              id: `${record.id}-${category.key}`,
+              date: record.date,
+              time: record.recordedAt || record.createdAt,
+              type: category.name,
+              quantityInPcs: quantity,
+              weightGrams: getWeightGrams(record, category.key),
+              couponTaken: category.key === 'recyclable' ? Math.floor(quantity * 0.5) : 0, // Example calculation
+              originalType: category.key
+            });
+          }
+        });
       });
       
       // Compile same-day records of the same type into single rows
@@ -274,6 +280,7 @@ const WasteTable = () => {
         } else {
           // Sum quantities
           groupedMap[key].quantityInPcs += row.quantityInPcs;
+          groupedMap[key].weightGrams = addWeights(groupedMap[key].weightGrams, row.weightGrams);
           groupedMap[key].couponTaken += row.couponTaken;
           groupedMap[key].ids.push(row.id);
           
@@ -323,24 +330,19 @@ const WasteTable = () => {
             aVal = a.quantityInPcs || a.total || 0;
             bVal = b.quantityInPcs || b.total || 0;
             return sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
-          case 'recyclable':
-            aVal = a.recyclable || 0;
-            bVal = b.recyclable || 0;
-            break;
-          case 'biodegradable':
-            aVal = a.biodegradable || 0;
-            bVal = b.biodegradable || 0;
-            break;
-          case 'nonBiodegradable':
-            aVal = a.nonBiodegradable || 0;
-            bVal = b.nonBiodegradable || 0;
-            break;
           case 'total':
-            aVal = (a.recyclable || 0) + (a.biodegradable || 0) + (a.nonBiodegradable || 0);
-            bVal = (b.recyclable || 0) + (b.biodegradable || 0) + (b.nonBiodegradable || 0);
+            aVal = a.total || 0;
+            bVal = b.total || 0;
+            break;
+          case 'weight':
+            aVal = a.weightGrams || 0;
+            bVal = b.weightGrams || 0;
             break;
           default:
-            return 0;
+            // Sorting by a category key
+            aVal = getQuantity(a, sortBy);
+            bVal = getQuantity(b, sortBy);
+            break;
         }
         
         return sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
@@ -348,7 +350,7 @@ const WasteTable = () => {
     }
     
     return data;
-  }, [viewMode, wasteData, aggregateByMonth, sortBy, sortOrder, typeFilter, formatDate]);
+  }, [viewMode, wasteData, aggregateByMonth, sortBy, sortOrder, typeFilter, categories]);
 
   // Calculate pagination (memoized)
   const { totalItems, totalPages, startIndex, endIndex, paginatedData } = useMemo(() => {
@@ -362,37 +364,35 @@ const WasteTable = () => {
 
   // Calculate statistics (memoized)
   const statistics = useMemo(() => {
+    const stats = { byCategory: {}, total: 0, weightGrams: null, totalDays: totalItems };
+    categories.forEach((category) => { stats.byCategory[category.key] = 0; });
+
     if (viewMode === 'monthly') {
       // For monthly view, use aggregated data
-      const stats = { recyclable: 0, biodegradable: 0, nonBiodegradable: 0, total: 0, totalDays: totalItems };
       processedData.forEach(record => {
-        stats.recyclable += record.recyclable || 0;
-        stats.biodegradable += record.biodegradable || 0;
-        stats.nonBiodegradable += record.nonBiodegradable || 0;
-        stats.total += (record.recyclable || 0) + (record.biodegradable || 0) + (record.nonBiodegradable || 0);
+        categories.forEach((category) => {
+          stats.byCategory[category.key] += getQuantity(record, category.key);
+        });
+        stats.total += record.total || 0;
+        stats.weightGrams = addWeights(stats.weightGrams, record.weightGrams);
       });
-      return stats;
     } else {
       // For daily view with individual records per type
-      const stats = { recyclable: 0, biodegradable: 0, nonBiodegradable: 0, total: 0, totalDays: totalItems };
       processedData.forEach(record => {
-        if (record.originalType === 'recyclable') {
-          stats.recyclable += record.quantityInPcs || 0;
-        } else if (record.originalType === 'biodegradable') {
-          stats.biodegradable += record.quantityInPcs || 0;
-        } else if (record.originalType === 'nonBiodegradable') {
-          stats.nonBiodegradable += record.quantityInPcs || 0;
+        if (stats.byCategory[record.originalType] !== undefined) {
+          stats.byCategory[record.originalType] += record.quantityInPcs || 0;
         }
         stats.total += record.quantityInPcs || 0;
+        stats.weightGrams = addWeights(stats.weightGrams, record.weightGrams);
       });
-      return stats;
     }
-  }, [processedData, totalItems, viewMode]);
+    return stats;
+  }, [processedData, totalItems, viewMode, categories]);
 
   // Reset to first page when data changes
   useEffect(() => {
     setCurrentPage(1);
-  }, [viewMode, dateFrom, dateTo, sortBy, sortOrder, typeFilter]);
+  }, [viewMode, dateFrom, dateTo, sortBy, sortOrder, typeFilter, deviceId]);
 
   // Handler for sorting
   const handleSort = useCallback((column) => {
@@ -449,14 +449,17 @@ const WasteTable = () => {
       const date = parseLocalDate(record.date);
       const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
       if (!monthlyData[monthKey]) {
-        monthlyData[monthKey] = { date: monthKey + '-01', recyclable: 0, biodegradable: 0, nonBiodegradable: 0 };
+        monthlyData[monthKey] = { date: monthKey + '-01', quantities: {}, weights: {} };
       }
-      monthlyData[monthKey].recyclable += record.recyclable || 0;
-      monthlyData[monthKey].biodegradable += record.biodegradable || 0;
-      monthlyData[monthKey].nonBiodegradable += record.nonBiodegradable || 0;
+      categories.forEach((category) => {
+        monthlyData[monthKey].quantities[category.key] =
+          (monthlyData[monthKey].quantities[category.key] || 0) + getQuantity(record, category.key);
+        monthlyData[monthKey].weights[category.key] =
+          addWeights(monthlyData[monthKey].weights[category.key] ?? null, getWeightGrams(record, category.key));
+      });
     });
     return Object.values(monthlyData).sort((a, b) => new Date(b.date) - new Date(a.date));
-  }, []);
+  }, [categories]);
 
   // Helper: aggregate raw records by day and type for daily exports
   const aggregateDailyByTypeForExport = useCallback((rawData) => {
@@ -466,55 +469,32 @@ const WasteTable = () => {
       const dateObj = parseLocalDate(record.date);
       const dateKey = getLocalDateKey(dateObj);
 
-      if ((record.recyclable || 0) > 0) {
-        const key = `${dateKey}-recyclable`;
-        if (!grouped[key]) {
-          grouped[key] = {
-            date: dateObj,
-            type: 'recyclable',
-            quantity: 0,
-          };
-        }
-        grouped[key].quantity += record.recyclable || 0;
-      }
-
-      if ((record.biodegradable || 0) > 0) {
-        const key = `${dateKey}-biodegradable`;
-        if (!grouped[key]) {
-          grouped[key] = {
-            date: dateObj,
-            type: 'biodegradable',
-            quantity: 0,
-          };
-        }
-        grouped[key].quantity += record.biodegradable || 0;
-      }
-
-      if ((record.nonBiodegradable || 0) > 0) {
-        const key = `${dateKey}-nonBiodegradable`;
-        if (!grouped[key]) {
-          grouped[key] = {
-            date: dateObj,
-            type: 'nonBiodegradable',
-            quantity: 0,
-          };
+      categories.forEach((category) => {
+        const quantity = getQuantity(record, category.key);
+        if (quantity > 0) {
+          const key = `${dateKey}-${category.key}`;
+          if (!grouped[key]) {
+            grouped[key] = {
+              date: dateObj,
+              type: category.key,
+              quantity: 0,
+              weightGrams: null,
+            };
+          }
+          grouped[key].quantity += quantity;
+          grouped[key].weightGrams = addWeights(grouped[key].weightGrams, getWeightGrams(record, category.key));
         }
-        grouped[key].quantity += record.nonBiodegradable || 0;
-      }
+      });
     });
 
+    const typeOrder = Object.fromEntries(categories.map((category, index) => [category.key, index]));
     return Object.values(grouped).sort((a, b) => {
       const dateDiff = new Date(b.date) - new Date(a.date);
       if (dateDiff !== 0) return dateDiff;
 
-      const typeOrder = {
-        recyclable: 0,
-        biodegradable: 1,
-        nonBiodegradable: 2,
-      };
       return typeOrder[a.type] - typeOrder[b.type];
     });
-  }, []);
+  }, [categories]);
 
   const handlePDFExport = useCallback((wasteTypes, dateFiltered, dateRange, customDateFrom, customDateTo) => {
     const doc = new jsPDF();
@@ -537,50 +517,42 @@ const WasteTable = () => {
     else if (dateRange === 'year') dateRangeLabel = 'Period: This year';
     else dateRangeLabel = 'Period: All time';
 
-    const typeLabels = [
-      wasteTypes.recyclable && 'Recyclable',
-      wasteTypes.biodegradable && 'Wet Wastes',
-      wasteTypes.nonBiodegradable && 'Dry Wastes'
-    ].filter(Boolean).join(', ');
+    const typeLabels = wasteTypes.map((category) => category.name).join(', ');
 
     doc.text(dateRangeLabel, 14, 30);
     doc.text(`Types: ${typeLabels}`, 14, 36);
     doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 42);
 
     // Build columns based on selected types
-    const head = ['Date', 'Time'];
-    if (wasteTypes.recyclable) head.push('Recyclable (pcs)');
-    if (wasteTypes.biodegradable) head.push('Wet Wastes (pcs)');
-    if (wasteTypes.nonBiodegradable) head.push('Dry Wastes (pcs)');
-    head.push('Total (pcs)');
+    const head = ['Date', 'Time', ...wasteTypes.map((category) => `${category.name} (pcs)`), 'Total (pcs)', 'Weight (kg)'];
 
     // Build rows
     let tableData;
-    let totals = { recyclable: 0, biodegradable: 0, nonBiodegradable: 0 };
+    const totals = Object.fromEntries(wasteTypes.map((category) => [category.key, 0]));
+    let totalWeightGrams = null;
 
     if (viewMode === 'monthly') {
       const aggregated = aggregateForExport(dateFiltered);
       tableData = aggregated.map(record => {
         // Only accumulate totals for selected types
-        if (wasteTypes.recyclable) totals.recyclable += record.recyclable || 0;
-        if (wasteTypes.biodegradable) totals.biodegradable += record.biodegradable || 0;
-        if (wasteTypes.nonBiodegradable) totals.nonBiodegradable += record.nonBiodegradable || 0;
-        
-        const selectedTotal =
-          (wasteTypes.recyclable ? record.recyclable || 0 : 0) +
-          (wasteTypes.biodegradable ? record.biodegradable || 0 : 0) +
-          (wasteTypes.nonBiodegradable ? record.nonBiodegradable || 0 : 0);
-        const row = [formatDate(record.date), '-'];
-        if (wasteTypes.recyclable) row.push(formatCount(record.recyclable));
-        if (wasteTypes.biodegradable) row.push(formatCount(record.biodegradable));
-        if (wasteTypes.nonBiodegradable) row.push(formatCount(record.nonBiodegradable));
-        row.push(formatCount(selectedTotal));
-        return row;
+        wasteTypes.forEach((category) => { totals[category.key] += getQuantity(record, category.key); });
+
+        const selectedTotal = wasteTypes.reduce((sum, category) => sum + getQuantity(record, category.key), 0);
+        const selectedWeight = wasteTypes.reduce((sum, category) => addWeights(sum, getWeightGrams(record, category.key)), null);
+        totalWeightGrams = addWeights(totalWeightGrams, selectedWeight);
+        return [
+          formatDate(record.date),
+          '-',
+          ...wasteTypes.map((category) => formatCount(getQuantity(record, category.key))),
+          formatCount(selectedTotal),
+          formatKg(selectedWeight)
+        ];
       });
     } else {
       // Daily — one summary row per day + type
       tableData = [];
-      const dailyTypeRows = aggregateDailyByTypeForExport(dateFiltered);
+      const dailyTypeRows = aggregateDailyByTypeForExport(dateFiltered)
+        .filter((entry) => totals[entry.type] !== undefined);
 
       let currentDateKey = null;
       dailyTypeRows.forEach((entry) => {
@@ -594,55 +566,27 @@ const WasteTable = () => {
 
         const timeCell = shouldShowDate ? '-' : '';
 
-        if (entry.type === 'recyclable' && wasteTypes.recyclable) {
-          totals.recyclable += entry.quantity;
-          tableData.push([
-            dateCell,
-            timeCell,
-            formatCount(entry.quantity),
-            ...(wasteTypes.biodegradable ? ['-'] : []),
-            ...(wasteTypes.nonBiodegradable ? ['-'] : []),
-            formatCount(entry.quantity)
-          ]);
-        }
-
-        if (entry.type === 'biodegradable' && wasteTypes.biodegradable) {
-          totals.biodegradable += entry.quantity;
-          tableData.push([
-            dateCell,
-            timeCell,
-            ...(wasteTypes.recyclable ? ['-'] : []),
-            formatCount(entry.quantity),
-            ...(wasteTypes.nonBiodegradable ? ['-'] : []),
-            formatCount(entry.quantity)
-          ]);
-        }
-
-        if (entry.type === 'nonBiodegradable' && wasteTypes.nonBiodegradable) {
-          totals.nonBiodegradable += entry.quantity;
-          tableData.push([
-            dateCell,
-            timeCell,
-            ...(wasteTypes.recyclable ? ['-'] : []),
-            ...(wasteTypes.biodegradable ? ['-'] : []),
-            formatCount(entry.quantity),
-            formatCount(entry.quantity)
-          ]);
-        }
+        totals[entry.type] += entry.quantity;
+        totalWeightGrams = addWeights(totalWeightGrams, entry.weightGrams);
+        tableData.push([
+          dateCell,
+          timeCell,
+          ...wasteTypes.map((category) => (category.key === entry.type ? formatCount(entry.quantity) : '-')),
+          formatCount(entry.quantity),
+          formatKg(entry.weightGrams)
+        ]);
       });
     }
 
     // Totals row
-    const grandTotal =
-      (wasteTypes.recyclable ? totals.recyclable : 0) +
-      (wasteTypes.biodegradable ? totals.biodegradable : 0) +
-      (wasteTypes.nonBiodegradable ? totals.nonBiodegradable : 0);
-    const totalsRow = ['TOTAL', ''];
-    if (wasteTypes.recyclable) totalsRow.push(formatCount(totals.recyclable));
-    if (wasteTypes.biodegradable) totalsRow.push(formatCount(totals.biodegradable));
-    if (wasteTypes.nonBiodegradable) totalsRow.push(formatCount(totals.nonBiodegradable));
-    totalsRow.push(formatCount(grandTotal));
-    tableData.push(totalsRow);
+    const grandTotal = Object.values(totals).reduce((sum, value) => sum + value, 0);
+    tableData.push([
+      'TOTAL',
+      '',
+      ...wasteTypes.map((category) => formatCount(totals[category.key])),
+      formatCount(grandTotal),
+      formatKg(totalWeightGrams)
+    ]);
 
     autoTable(doc, {
       head: [head],
@@ -664,11 +608,14 @@ const WasteTable = () => {
     }
 
     let exportRows = [];
-    let totals = { recyclable: 0, biodegradable: 0, nonBiodegradable: 0 };
+    const totals = Object.fromEntries(wasteTypes.map((category) => [category.key, 0]));
+    const weightTotals = Object.fromEntries(wasteTypes.map((category) => [category.key, null]));
+    const categoriesByKey = Object.fromEntries(wasteTypes.map((category) => [category.key, category]));
 
     if (viewMode === 'daily') {
       // Daily — one summary row per day + type
-      const dailyTypeRows = aggregateDailyByTypeForExport(dateFiltered);
+      const dailyTypeRows = aggregateDailyByTypeForExport(dateFiltered)
+        .filter((entry) => categoriesByKey[entry.type]);
       let currentDateKey = null;
 
       dailyTypeRows.forEach((entry) => {
@@ -676,45 +623,22 @@ const WasteTable = () => {
         const shouldShowDate = entryDateKey !== currentDateKey;
         currentDateKey = entryDateKey;
 
-        const row = {
+        totals[entry.type] += entry.quantity;
+        weightTotals[entry.type] = addWeights(weightTotals[entry.type], entry.weightGrams);
+        exportRows.push({
           Date: shouldShowDate ? parseLocalDate(entry.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : '',
           Time: shouldShowDate ? '-' : '',
-          Type: '',
-          'Quantity (pcs)': 0,
-          'Coupon Taken': 0,
-        };
-
-        if (entry.type === 'recyclable' && wasteTypes.recyclable) {
-          totals.recyclable += entry.quantity;
-          row.Type = 'Recyclable';
-          row['Quantity (pcs)'] = entry.quantity;
-          row['Coupon Taken'] = Math.floor(entry.quantity * 0.5);
-          exportRows.push(row);
-        }
-
-        if (entry.type === 'biodegradable' && wasteTypes.biodegradable) {
-          totals.biodegradable += entry.quantity;
-          row.Type = 'Wet Wastes';
-          row['Quantity (pcs)'] = entry.quantity;
-          row['Coupon Taken'] = 0;
-          exportRows.push(row);
-        }
-
-        if (entry.type === 'nonBiodegradable' && wasteTypes.nonBiodegradable) {
-          totals.nonBiodegradable += entry.quantity;
-          row.Type = 'Dry Wastes';
-          row['Quantity (pcs)'] = entry.quantity;
-          row['Coupon Taken'] = 0;
-          exportRows.push(row);
-        }
+          Type: categoriesByKey[entry.type].name,
+          'Quantity (pcs)': entry.quantity,
+          'Weight (kg)': formatKg(entry.weightGrams),
+          'Coupon Taken': entry.type === 'recyclable' ? Math.floor(entry.quantity * 0.5) : 0,
+        });
       });
 
-      const grandTotal =
-        (wasteTypes.recyclable ? totals.recyclable : 0) +
-        (wasteTypes.biodegradable ? totals.biodegradable : 0) +
-        (wasteTypes.nonBiodegradable ? totals.nonBiodegradable : 0);
+      const grandTotal = Object.values(totals).reduce((sum, value) => sum + value, 0);
+      const grandWeight = Object.values(weightTotals).reduce((sum, value) => addWeights(sum, value), null);
 
-      exportRows.push({ Date: 'TOTAL', Time: '', Type: '', 'Quantity (pcs)': grandTotal, 'Coupon Taken': '' });
+      exportRows.push({ Date: 'TOTAL', Time: '', Type: '', 'Quantity (pcs)': grandTotal, 'Weight (kg)': formatKg(grandWeight), 'Coupon Taken': '' });
 
       const ws = XLSX.utils.json_to_sheet(exportRows);
       const wb = XLSX.utils.book_new();
@@ -728,27 +652,24 @@ const WasteTable = () => {
 
     aggregated.forEach(record => {
       const row = { Date: formatDate(record.date) };
-      
-      if (wasteTypes.recyclable) {
-        totals.recyclable += record.recyclable || 0;
-        row['Recyclable (pcs)'] = record.recyclable || 0;
-      }
-      if (wasteTypes.biodegradable) {
-        totals.biodegradable += record.biodegradable || 0;
-        row['Wet Wastes (pcs)'] = record.biodegradable || 0;
-      }
-      if (wasteTypes.nonBiodegradable) {
-        totals.nonBiodegradable += record.nonBiodegradable || 0;
-        row['Dry Wastes (pcs)'] = record.nonBiodegradable || 0;
-      }
-      
+
+      wasteTypes.forEach((category) => {
+        const quantity = getQuantity(record, category.key);
+        totals[category.key] += quantity;
+        row[`${category.name} (pcs)`] = quantity;
+      });
+      wasteTypes.forEach((category) => {
+        const weightGrams = getWeightGrams(record, category.key);
+        weightTotals[category.key] = addWeights(weightTotals[category.key], weightGrams);
+        row[`${category.name} (kg)`] = formatKg(weightGrams);
+      });
+
       exportRows.push(row);
     });
 
     const totalsRow = { Date: 'TOTAL' };
-    if (wasteTypes.recyclable) totalsRow['Recyclable (pcs)'] = totals.recyclable;
-    if (wasteTypes.biodegradable) totalsRow['Wet Wastes (pcs)'] = totals.biodegradable;
-    if (wasteTypes.nonBiodegradable) totalsRow['Dry Wastes (pcs)'] = totals.nonBiodegradable;
+    wasteTypes.forEach((category) => { totalsRow[`${category.name} (pcs)`] = totals[category.key]; });
+    wasteTypes.forEach((category) => { totalsRow[`${category.name} (kg)`] = formatKg(weightTotals[category.key]); });
     exportRows.push(totalsRow);
 
     const ws = XLSX.utils.json_to_sheet(exportRows);
@@ -761,13 +682,11 @@ const WasteTable = () => {
   const handleExport = useCallback((options) => {
     const { format, includeTypes, dateRange, customDateFrom, customDateTo } = options;
 
-    // Map modal includeTypes to internal keys
-    // Use explicit checks to handle false values correctly
-    const wasteTypes = {
-      recyclable: includeTypes?.recyclable !== undefined ? includeTypes.recyclable : true,
-      biodegradable: includeTypes?.wet !== undefined ? includeTypes.wet : true,
-      nonBiodegradable: includeTypes?.dry !== undefined ? includeTypes.dry : true
-    };
+    // Categories ticked in the modal, in display order; retired categories are exported only if they have data
+    const wasteTypes = categories.filter((category) => (
+      includeTypes?.[category.key] !== false &&
+      (category.isActive || wasteData.some((record) => getQuantity(record, category.key) > 0))
+    ));
 
     // Apply the export modal's date range to the raw fetched data
     const dateFiltered = applyExportDateFilter(wasteData, dateRange, customDateFrom, customDateTo);
@@ -777,7 +696,7 @@ const WasteTable = () => {
     } else if (format === 'pdf') {
       handlePDFExport(wasteTypes, dateFiltered, dateRange, customDateFrom, customDateTo);
     }
-  }, [wasteData, applyExportDateFilter, handleExcelExport, handlePDFExport]);
+  }, [wasteData, categories, applyExportDateFilter, handleExcelExport, handlePDFExport]);
 
   // Pagination handlers (memoized)
   const scrollToTop = useCallback(() => {
@@ -806,6 +725,7 @@ const WasteTable = () => {
     setDateFromObj(null);
     setDateToObj(null);
     setTypeFilter('all');
+    setDeviceId('all');
     setViewMode('daily');
   }, []);
 
@@ -913,8 +833,8 @@ const WasteTable = () => {
               </div>
             </div>
 
-            {/* Row 2: Type Filter & Clear */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {/* Row 2: Type Filter, Machine & Clear */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               {viewMode === 'daily' && (
                 <div className="space-y-2">
                   <label className="block text-sm font-medium text-gray-700">Waste Type</label>
@@ -924,9 +844,27 @@ const WasteTable = () => {
                     className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 bg-white"
                   >
                     <option value="all">All Types</option>
-                    <option value="recyclable">Recyclable Only</option>
-                    <option value="biodegradable">Wet Wastes Only</option>
-                    <option value="nonBiodegradable">Dry Wastes Only</option>
+                    {categories.map((category) => (
+                      <option key={category.key} value={category.key}>{category.name} Only</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {devices.length > 1 && (
+                <div className="space-y-2">
+                  <label className="block text-sm font-medium text-gray-700">Machine</label>
+                  <select
+                    value={deviceId}
+                    onChange={(e) => setDeviceId(e.target.value)}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 bg-white"
+                  >
+                    <option value="all">All Machines</option>
+                    {devices.map((device) => (
+                      <option key={device.id} value={String(device.id)}>
+                        {device.name}{device.location ? ` (${device.location})` : ''}
+                      </option>
+                    ))}
                   </select>
                 </div>
               )}
@@ -986,44 +924,41 @@ const WasteTable = () => {
 
         {/* Statistics Section */}
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-            <div className="flex items-center justify-between mb-4">
-              <div className="flex items-center justify-center w-12 h-12 bg-emerald-100 rounded-lg">
-                <RecyclingOutlinedIcon className="text-emerald-600" />
-              </div>
-            </div>
-            <div className="text-2xl font-bold text-gray-900">{statistics.recyclable.toLocaleString()}</div>
-            <div className="text-sm font-medium text-gray-600 mt-1">Recyclable Wastes</div>
-          </div>
-
-          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-            <div className="flex items-center justify-between mb-4">
-              <div className="flex items-center justify-center w-12 h-12 bg-green-100 rounded-lg">
-                <SpaOutlinedIcon className="text-green-600" />
-              </div>
-            </div>
-            <div className="text-2xl font-bold text-gray-900">{statistics.biodegradable.toLocaleString()}</div>
-            <div className="text-sm font-medium text-gray-600 mt-1">Wet Wastes</div>
-          </div>
+          {categories
+            .filter((category) => category.isActive || statistics.byCategory[category.key] > 0)
+            .map((category) => {
+              const Icon = CATEGORY_ICONS[category.key] || DeleteOutlineOutlinedIcon;
+              return (
+                <div key={category.key} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center justify-center w-12 h-12 rounded-lg" style={{ backgroundColor: `${category.color}1a` }}>
+                      <Icon style={{ color: category.color }} />
+                    </div>
+                  </div>
+                  <div className="text-2xl font-bold text-gray-900">{(statistics.byCategory[category.key] || 0).toLocaleString()}</div>
+                  <div className="text-sm font-medium text-gray-600 mt-1">{category.name}</div>
+                </div>
+              );
+            })}
 
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <div className="flex items-center justify-between mb-4">
-              <div className="flex items-center justify-center w-12 h-12 bg-gray-100 rounded-lg">
-                <DeleteOutlineOutlinedIcon className="text-gray-600" />
+              <div className="flex items-center justify-center w-12 h-12 bg-blue-100 rounded-lg">
+                <BarChartOutlinedIcon className="text-blue-600" />
               </div>
             </div>
-            <div className="text-2xl font-bold text-gray-900">{statistics.nonBiodegradable.toLocaleString()}</div>
-            <div className="text-sm font-medium text-gray-600 mt-1">Dry Wastes</div>
+            <div className="text-2xl font-bold text-gray-900">{statistics.total.toLocaleString()}</div>
+            <div className="text-sm font-medium text-gray-600 mt-1">Total Waste</div>
           </div>
 
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <div className="flex items-center justify-between mb-4">
-              <div className="flex items-center justify-center w-12 h-12 bg-blue-100 rounded-lg">
-                <BarChartOutlinedIcon className="text-blue-600" />
+              <div className="flex items-center justify-center w-12 h-12 bg-indigo-100 rounded-lg">
+                <ScaleOutlinedIcon className="text-indigo-600" />
               </div>
             </div>
-            <div className="text-2xl font-bold text-gray-900">{statistics.total.toLocaleString()}</div>
-            <div className="text-sm font-medium text-gray-600 mt-1">Total Waste</div>
+            <div className="text-2xl font-bold text-gray-900">{formatKg(statistics.weightGrams)}{statistics.weightGrams !== null && ' kg'}</div>
+            <div className="text-sm font-medium text-gray-600 mt-1">Measured Weight</div>
           </div>
         </div>
 
@@ -1098,6 +1033,17 @@ const WasteTable = () => {
                           <span>Quantity (pcs)</span>
                         </div>
                       </th>
+                      <th
+                        onClick={() => handleSort('weight')}
+                        className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                      >
+                        <div className="flex items-center gap-2">
+                          {sortBy === 'weight' && (
+                            sortOrder === 'asc' ? <ArrowUpwardOutlinedIcon fontSize="inherit" /> : <ArrowDownwardOutlinedIcon fontSize="inherit" />
+                          )}
+                          <span>Weight (kg)</span>
+                        </div>
+                      </th>
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
@@ -1109,9 +1055,7 @@ const WasteTable = () => {
                         const isMonthly = viewMode === 'monthly';
                         
                         if (isMonthly) {
-                          const totalCount = (record.recyclable || 0) +
-                                             (record.biodegradable || 0) +
-                                             (record.nonBiodegradable || 0);
+                          const totalCount = record.total || 0;
                           return (
                             <tr key={record.id || globalIndex} className="hover:bg-gray-50">
                               <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -1124,6 +1068,9 @@ const WasteTable = () => {
                               <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                                 {formatCount(totalCount)}
                               </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                {formatKg(record.weightGrams)}
+                              </td>
                             </tr>
                           );
                         }
@@ -1143,6 +1090,9 @@ const WasteTable = () => {
                             <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                               {record.quantityInPcs || 0} pcs
                             </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {formatKg(record.weightGrams)}
+                            </td>
                           </tr>
                         );
                       })
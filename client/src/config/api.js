@@ -33,15 +33,25 @@ export const API_ENDPOINTS = {
   FORGOT_PASSWORD_VERIFY_OTP: `${API_BASE_URL}/api/accounts/forgot-password/verify-otp`,
   DEV_CLEAR_DATA: `${API_BASE_URL}/api/accounts/dev/clear-data`,
   USER_ROLE: `${API_BASE_URL}/api/accounts/role`,
+
+  // Account management
+  ACCOUNTS: `${API_BASE_URL}/api/accounts/manage/list`,
+  ACCOUNT_CREATE: `${API_BASE_URL}/api/accounts/manage/create`,
+  ACCOUNT: (id) => `${API_BASE_URL}/api/accounts/manage/${id}`,
+  ACCOUNT_ROLE: (id) => `${API_BASE_URL}/api/accounts/manage/${id}/role`,
+  ACCOUNT_ROLES: `${API_BASE_URL}/api/accounts/manage/roles`,
   
   // User preferences
   PREFERENCES: `${API_BASE_URL}/api/accounts/preferences`,
+  PREFERENCE_DEFAULTS: `${API_BASE_URL}/api/accounts/preferences/defaults`,
   
   // Waste records
   WASTE_RECORDS: `${API_BASE_URL}/api/waste/records`,
   WASTE_ANALYTICS: `${API_BASE_URL}/api/waste/analytics`,
   WASTE_ADD: `${API_BASE_URL}/api/waste/add`,
   WASTE_DELETE_TODAY: `${API_BASE_URL}/api/waste/delete-today`,
+  WASTE_CATEGORIES: `${API_BASE_URL}/api/waste/categories`,
+  WASTE_CATEGORY: (id) => `${API_BASE_URL}/api/waste/categories/${id}`,
   
   // Bin records
   BIN_RECORDS: `${API_BASE_URL}/api/bin/records`,
@@ -49,6 +59,13 @@ export const API_ENDPOINTS = {
   BIN_NOTIFICATIONS_STREAM: `${API_BASE_URL}/api/bin/notifications/stream`,
   BIN_ANALYTICS_SUMMARY: `${API_BASE_URL}/api/bin/analytics/summary`,
   BIN_ANALYTICS_NOTIFICATIONS: `${API_BASE_URL}/api/bin/analytics/notifications`,
+  BIN_LEVELS: `${API_BASE_URL}/api/bin/levels`,
+  BIN_LEVELS_LATEST: `${API_BASE_URL}/api/bin/levels/latest`,
+  BIN_LEVELS_HISTORY: `${API_BASE_URL}/api/bin/levels/history`,
+  BIN_LEVEL_THRESHOLDS: `${API_BASE_URL}/api/bin/levels/thresholds`,
+  BIN_EMPTIED: `${API_BASE_URL}/api/bin/emptied`,
+  BIN_ANALYTICS_COLLECTION: `${API_BASE_URL}/api/bin/analytics/collection`,
+  BIN_ANALYTICS_FORECAST: `${API_BASE_URL}/api/bin/analytics/forecast`,
   
   // Coupon endpoints
   COUPON_BALANCE: `${API_BASE_URL}/api/coupon/balance`,
@@ -56,6 +73,19 @@ export const API_ENDPOINTS = {
   COUPON_ADD: `${API_BASE_URL}/api/coupon/add`,
   COUPON_ADJUST: `${API_BASE_URL}/api/coupon/adjust`,
   COUPON_SUMMARY: `${API_BASE_URL}/api/coupon/summary`,
+  COUPON_DEPOSITORS: `${API_BASE_URL}/api/coupon/depositors`,
+  COUPON_DEPOSITOR: (id) => `${API_BASE_URL}/api/coupon/depositors/${id}`,
+  COUPON_VOUCHERS: `${API_BASE_URL}/api/coupon/vouchers`,
+  COUPON_VOUCHER: (code) => `${API_BASE_URL}/api/coupon/vouchers/${encodeURIComponent(code)}`,
+  COUPON_VOUCHER_REDEEM: (code) => `${API_BASE_URL}/api/coupon/vouchers/${encodeURIComponent(code)}/redeem`,
+  COUPON_RULES: `${API_BASE_URL}/api/coupon/rules`,
+  COUPON_RULE_RESTORE: (id) => `${API_BASE_URL}/api/coupon/rules/${id}/restore`,
+  COUPON_RECONCILIATIONS: `${API_BASE_URL}/api/coupon/reconciliation`,
+  COUPON_RECONCILIATION_RUN: `${API_BASE_URL}/api/coupon/reconciliation/run`,
+  COUPON_RECONCILIATION_CORRECT: `${API_BASE_URL}/api/coupon/reconciliation/correct`,
+  COUPON_BATCHES: `${API_BASE_URL}/api/coupon/batches`,
+  COUPON_BATCH_RETIRE: (id) => `${API_BASE_URL}/api/coupon/batches/${id}/retire`,
+  COUPON_STOCK_ALERT: `${API_BASE_URL}/api/coupon/stock-alert`,
   
   // Profit & Rewards endpoints
   PROFIT_RECORDS: `${API_BASE_URL}/api/profit/records`,
@@ -64,6 +94,18 @@ export const API_ENDPOINTS = {
   PROFIT_DELETE: `${API_BASE_URL}/api/profit/delete`,
   PROFIT_SUMMARY: `${API_BASE_URL}/api/profit/summary`,
   PROFIT_NET_PROFIT: `${API_BASE_URL}/api/profit/net-profit`,
+  PROFIT_DAILY: `${API_BASE_URL}/api/profit/daily`,
+  PROFIT_FORECAST: `${API_BASE_URL}/api/profit/forecast`,
+  REWARD_BUDGETS: `${API_BASE_URL}/api/profit/budgets`,
+  REWARD_BUDGET: (month) => `${API_BASE_URL}/api/profit/budgets/${month}`,
+  RECYCLABLE_SALES: `${API_BASE_URL}/api/sales`,
+  RECYCLABLE_SALE: (id) => `${API_BASE_URL}/api/sales/${id}`,
+  RECYCLABLES_IN_STORAGE: `${API_BASE_URL}/api/sales/storage`,
+  BUYERS: `${API_BASE_URL}/api/sales/buyers`,
+  BUYER: (id) => `${API_BASE_URL}/api/sales/buyers/${id}`,
+  BUYER_PRICES: (id) => `${API_BASE_URL}/api/sales/buyers/${id}/prices`,
+  BUYER_PRICE: (priceId) => `${API_BASE_URL}/api/sales/buyers/prices/${priceId}`,
+  BUYER_PRICE_COMPARISON: `${API_BASE_URL}/api/sales/buyers/prices`,
   
   // Video endpoints
   VIDEO_MAPPING: `${API_BASE_URL}/api/video/mapping`,
@@ -81,8 +123,24 @@ export const API_ENDPOINTS = {
   INVENTORY_ITEMS: `${API_BASE_URL}/api/inventory`,
   INVENTORY_ITEM: (id) => `${API_BASE_URL}/api/inventory/${id}`,
   INVENTORY_STOCK: (id) => `${API_BASE_URL}/api/inventory/${id}/stock`,
+  INVENTORY_MOVEMENTS: `${API_BASE_URL}/api/inventory/movements`,
+  INVENTORY_ITEM_IMAGE: (id) => `${API_BASE_URL}/api/inventory/${id}/image`,
+  INVENTORY_CATEGORIES: `${API_BASE_URL}/api/inventory/categories`,
+  INVENTORY_CATEGORY: (id) => `${API_BASE_URL}/api/inventory/categories/${id}`,
+  PURCHASE_ORDERS: `${API_BASE_URL}/api/inventory/purchase-orders`,
+  PURCHASE_ORDER_SUGGESTIONS: `${API_BASE_URL}/api/inventory/purchase-orders/suggestions`,
+  PURCHASE_ORDER_RECEIVE: (id) => `${API_BASE_URL}/api/inventory/purchase-orders/${id}/receive`,
+  PURCHASE_ORDER_CANCEL: (id) => `${API_BASE_URL}/api/inventory/purchase-orders/${id}/cancel`,
   INVENTORY_REDEEM: (id) => `${API_BASE_URL}/api/inventory/${id}/redeem`,
   INVENTORY_REDEMPTION_HISTORY: `${API_BASE_URL}/api/inventory/redemptions/history`,
+  INVENTORY_REDEMPTION_REFUND: (id) => `${API_BASE_URL}/api/inventory/redemptions/${id}/refund`,
+
+  // Device (sorting machine) endpoints
+  DEVICES: `${API_BASE_URL}/api/devices`,
+  DEVICE_HEARTBEAT: `${API_BASE_URL}/api/devices/heartbeat`,
+  DEVICE: (id) => `${API_BASE_URL}/api/devices/${id}`,
+  DEVICE_ROTATE_KEY: (id) => `${API_BASE_URL}/api/devices/${id}/rotate-key`,
+  DEVICE_REVOKE_KEY: (id) => `${API_BASE_URL}/api/devices/${id}/revoke-key`,
 };
 
 // Helper function to get auth headers
@@ -94,9 +152,21 @@ const getAuthHeaders = () => {
   };
 };
 
+// EventSource cannot send headers, so the notification stream takes the token as a query parameter.
+// Kiosk screens pass the machine they stand in front of to also receive its vouchers.
+export const getNotificationStreamUrl = ({ deviceId } = {}) => {
+  const params = new URLSearchParams();
+  const token = localStorage.getItem('token');
+  if (token) params.set('token', token);
+  if (deviceId) params.set('deviceId', deviceId);
+  return `${API_ENDPOINTS.BIN_NOTIFICATIONS_STREAM}?${params}`;
+};
+
 // Inventory API functions
 export const getInventoryItems = async (activeOnly = true) => {
-  const response = await fetch(`${API_ENDPOINTS.INVENTORY_ITEMS}?activeOnly=${activeOnly}`);
+  const response = await fetch(`${API_ENDPOINTS.INVENTORY_ITEMS}?activeOnly=${activeOnly}`, {
+    headers: getAuthHeaders()
+  });
   if (!response.ok) {
     const error = await response.json();
     throw new Error(error.message || 'Failed to fetch inventory items');
@@ -105,7 +175,9 @@ export const getInventoryItems = async (activeOnly = true) => {
 };
 
 export const getInventoryItem = async (id) => {
-  const response = await fetch(API_ENDPOINTS.INVENTORY_ITEM(id));
+  const response = await fetch(API_ENDPOINTS.INVENTORY_ITEM(id), {
+    headers: getAuthHeaders()
+  });
   if (!response.ok) {
     const error = await response.json();
     throw new Error(error.message || 'Failed to fetch inventory item');
@@ -139,11 +211,11 @@ export const updateInventoryItem = async (id, itemData) => {
   return await response.json();
 };
 
-export const updateItemStock = async (id, adjustment) => {
+export const updateItemStock = async (id, adjustment, { type, reason } = {}) => {
   const response = await fetch(API_ENDPOINTS.INVENTORY_STOCK(id), {
     method: 'PATCH',
     headers: getAuthHeaders(),
-    body: JSON.stringify({ adjustment })
+    body: JSON.stringify({ adjustment, type, reason })
   });
   if (!response.ok) {
     const error = await response.json();
@@ -152,38 +224,867 @@ export const updateItemStock = async (id, adjustment) => {
   return await response.json();
 };
 
-export const deleteInventoryItem = async (id) => {
-  const response = await fetch(API_ENDPOINTS.INVENTORY_ITEM(id), {
+// params: { itemId?, type?, startDate?, endDate?, page?, limit? }
+export const getInventoryMovements = async (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const response = await fetch(`${API_ENDPOINTS.INVENTORY_MOVEMENTS}?${query}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch stock movements');
+  }
+  return await response.json();
+};
+
+// Locally stored images come back as /uploads/... paths on the API server
+export const resolveImageUrl = (url) => (url && url.startsWith('/') ? `${API_BASE_URL}${url}` : url);
+
+export const uploadItemImage = async (id, file) => {
+  const token = localStorage.getItem('token');
+  const body = new FormData();
+  body.append('image', file);
+
+  // No Content-Type header: the browser sets the multipart boundary
+  const response = await fetch(API_ENDPOINTS.INVENTORY_ITEM_IMAGE(id), {
+    method: 'POST',
+    headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+    body
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to upload item image');
+  }
+  return await response.json();
+};
+
+export const deleteItemImage = async (id) => {
+  const response = await fetch(API_ENDPOINTS.INVENTORY_ITEM_IMAGE(id), {
     method: 'DELETE',
     headers: getAuthHeaders()
   });
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.message || 'Failed to delete inventory item');
+    throw new Error(error.message || 'Failed to remove item image');
   }
   return await response.json();
 };
 
-export const redeemInventoryItem = async (id, quantity, notes = null) => {
-  const response = await fetch(API_ENDPOINTS.INVENTORY_REDEEM(id), {
+export const getInventoryCategories = async () => {
+  const response = await fetch(API_ENDPOINTS.INVENTORY_CATEGORIES, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch inventory categories');
+  }
+  return await response.json();
+};
+
+export const createInventoryCategory = async (categoryData) => {
+  const response = await fetch(API_ENDPOINTS.INVENTORY_CATEGORIES, {
     method: 'POST',
     headers: getAuthHeaders(),
-    body: JSON.stringify({ quantity, notes })
+    body: JSON.stringify(categoryData)
   });
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.message || 'Failed to redeem item');
+    throw new Error(error.message || 'Failed to create category');
   }
   return await response.json();
 };
 
-export const getRedemptionHistory = async (page = 1, limit = 20) => {
-  const response = await fetch(`${API_ENDPOINTS.INVENTORY_REDEMPTION_HISTORY}?page=${page}&limit=${limit}`, {
+export const updateInventoryCategory = async (id, categoryData) => {
+  const response = await fetch(API_ENDPOINTS.INVENTORY_CATEGORY(id), {
+    method: 'PATCH',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(categoryData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to update category');
+  }
+  return await response.json();
+};
+
+export const deleteInventoryCategory = async (id) => {
+  const response = await fetch(API_ENDPOINTS.INVENTORY_CATEGORY(id), {
+    method: 'DELETE',
     headers: getAuthHeaders()
   });
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.message || 'Failed to fetch redemption history');
+    throw new Error(error.message || 'Failed to delete category');
+  }
+  return await response.json();
+};
+
+export const getDailyProfit = async (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const response = await fetch(`${API_ENDPOINTS.PROFIT_DAILY}?${query}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch daily profit');
+  }
+  return await response.json();
+};
+
+export const getProfitForecast = async (month) => {
+  const response = await fetch(`${API_ENDPOINTS.PROFIT_FORECAST}${month ? `?month=${month}` : ''}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to forecast profit');
+  }
+  return await response.json();
+};
+
+export const getRewardBudgets = async (year) => {
+  const response = await fetch(`${API_ENDPOINTS.REWARD_BUDGETS}?year=${year}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch reward budgets');
+  }
+  return await response.json();
+};
+
+export const getRewardBudget = async (month) => {
+  const response = await fetch(API_ENDPOINTS.REWARD_BUDGET(month), {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch reward budget');
+  }
+  return await response.json();
+};
+
+export const saveRewardBudget = async (month, budget) => {
+  const response = await fetch(API_ENDPOINTS.REWARD_BUDGET(month), {
+    method: 'PUT',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(budget)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to save reward budget');
+  }
+  return await response.json();
+};
+
+export const deleteRewardBudget = async (month) => {
+  const response = await fetch(API_ENDPOINTS.REWARD_BUDGET(month), {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to delete reward budget');
+  }
+  return await response.json();
+};
+
+export const getRecyclableSales = async (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const response = await fetch(`${API_ENDPOINTS.RECYCLABLE_SALES}?${query}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch sales');
+  }
+  return await response.json();
+};
+
+export const createRecyclableSale = async (sale) => {
+  const response = await fetch(API_ENDPOINTS.RECYCLABLE_SALES, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(sale)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to record sale');
+  }
+  return await response.json();
+};
+
+export const deleteRecyclableSale = async (id) => {
+  const response = await fetch(API_ENDPOINTS.RECYCLABLE_SALE(id), {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to delete sale');
+  }
+  return await response.json();
+};
+
+export const getRecyclablesInStorage = async () => {
+  const response = await fetch(API_ENDPOINTS.RECYCLABLES_IN_STORAGE, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to estimate recyclables in storage');
+  }
+  return await response.json();
+};
+
+export const getBuyers = async (includeInactive = false) => {
+  const response = await fetch(`${API_ENDPOINTS.BUYERS}?includeInactive=${includeInactive}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch buyers');
+  }
+  return await response.json();
+};
+
+export const createBuyer = async (buyer) => {
+  const response = await fetch(API_ENDPOINTS.BUYERS, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(buyer)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to create buyer');
+  }
+  return await response.json();
+};
+
+export const updateBuyer = async (id, updates) => {
+  const response = await fetch(API_ENDPOINTS.BUYER(id), {
+    method: 'PATCH',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(updates)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to update buyer');
+  }
+  return await response.json();
+};
+
+export const deleteBuyer = async (id) => {
+  const response = await fetch(API_ENDPOINTS.BUYER(id), {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to delete buyer');
+  }
+  return await response.json();
+};
+
+export const getBuyerPrices = async (id) => {
+  const response = await fetch(API_ENDPOINTS.BUYER_PRICES(id), {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch buyer prices');
+  }
+  return await response.json();
+};
+
+export const addBuyerPrice = async (id, price) => {
+  const response = await fetch(API_ENDPOINTS.BUYER_PRICES(id), {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(price)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to add buyer price');
+  }
+  return await response.json();
+};
+
+export const deleteBuyerPrice = async (priceId) => {
+  const response = await fetch(API_ENDPOINTS.BUYER_PRICE(priceId), {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to delete price');
+  }
+  return await response.json();
+};
+
+export const compareBuyerPrices = async (categoryId, unit = 'KG') => {
+  const response = await fetch(`${API_ENDPOINTS.BUYER_PRICE_COMPARISON}?categoryId=${categoryId}&unit=${unit}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to compare buyer prices');
+  }
+  return await response.json();
+};
+
+export const getPurchaseOrders = async (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const response = await fetch(`${API_ENDPOINTS.PURCHASE_ORDERS}?${query}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch purchase orders');
+  }
+  return await response.json();
+};
+
+export const getReorderSuggestions = async () => {
+  const response = await fetch(API_ENDPOINTS.PURCHASE_ORDER_SUGGESTIONS, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch reorder suggestions');
+  }
+  return await response.json();
+};
+
+export const createPurchaseOrder = async (order) => {
+  const response = await fetch(API_ENDPOINTS.PURCHASE_ORDERS, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(order)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to create purchase order');
+  }
+  return await response.json();
+};
+
+export const receivePurchaseOrder = async (id, lines) => {
+  const response = await fetch(API_ENDPOINTS.PURCHASE_ORDER_RECEIVE(id), {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ lines })
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to receive purchase order');
+  }
+  return await response.json();
+};
+
+export const cancelPurchaseOrder = async (id) => {
+  const response = await fetch(API_ENDPOINTS.PURCHASE_ORDER_CANCEL(id), {
+    method: 'POST',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to cancel purchase order');
   }
   return await response.json();
-};
\ No newline at end of file
+};
+
+export const deleteInventoryItem = async (id) => {
+  const response = await fetch(API_ENDPOINTS.INVENTORY_ITEM(id), {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to delete inventory item');
+  }
+  return await response.json();
+};
+
+// payment may be { voucherCode } or { depositorId }; the shared coupon balance is used otherwise
+export const redeemInventoryItem = async (id, quantity, notes = null, payment = {}) => {
+  const response = await fetch(API_ENDPOINTS.INVENTORY_REDEEM(id), {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ quantity, notes, ...payment })
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to redeem item');
+  }
+  return await response.json();
+};
+
+export const getRedemptionHistory = async (page = 1, limit = 20) => {
+  const response = await fetch(`${API_ENDPOINTS.INVENTORY_REDEMPTION_HISTORY}?page=${page}&limit=${limit}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch redemption history');
+  }
+  return await response.json();
+};
+
+export const refundRedemption = async (id, reason) => {
+  const response = await fetch(API_ENDPOINTS.INVENTORY_REDEMPTION_REFUND(id), {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ reason })
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to cancel redemption');
+  }
+  return await response.json();
+};
+
+// Device API functions
+export const getDevices = async (activeOnly = false) => {
+  const response = await fetch(`${API_ENDPOINTS.DEVICES}?activeOnly=${activeOnly}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch devices');
+  }
+  return await response.json();
+};
+
+export const createDevice = async (deviceData) => {
+  const response = await fetch(API_ENDPOINTS.DEVICES, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(deviceData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to register device');
+  }
+  return await response.json();
+};
+
+export const updateDevice = async (id, deviceData) => {
+  const response = await fetch(API_ENDPOINTS.DEVICE(id), {
+    method: 'PATCH',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(deviceData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to update device');
+  }
+  return await response.json();
+};
+
+export const rotateDeviceKey = async (id) => {
+  const response = await fetch(API_ENDPOINTS.DEVICE_ROTATE_KEY(id), {
+    method: 'POST',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to rotate device key');
+  }
+  return await response.json();
+};
+
+export const revokeDeviceKey = async (id) => {
+  const response = await fetch(API_ENDPOINTS.DEVICE_REVOKE_KEY(id), {
+    method: 'POST',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to revoke device key');
+  }
+  return await response.json();
+};
+
+export const deleteDevice = async (id) => {
+  const response = await fetch(API_ENDPOINTS.DEVICE(id), {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to delete device');
+  }
+  return await response.json();
+};
+
+// Waste category API functions
+export const getWasteCategories = async (includeInactive = false) => {
+  const response = await fetch(`${API_ENDPOINTS.WASTE_CATEGORIES}?includeInactive=${includeInactive}`);
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch waste categories');
+  }
+  return await response.json();
+};
+
+export const createWasteCategory = async (categoryData) => {
+  const response = await fetch(API_ENDPOINTS.WASTE_CATEGORIES, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(categoryData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to create waste category');
+  }
+  return await response.json();
+};
+
+export const updateWasteCategory = async (id, categoryData) => {
+  const response = await fetch(API_ENDPOINTS.WASTE_CATEGORY(id), {
+    method: 'PUT',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(categoryData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to update waste category');
+  }
+  return await response.json();
+};
+
+export const deleteWasteCategory = async (id) => {
+  const response = await fetch(API_ENDPOINTS.WASTE_CATEGORY(id), {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to delete waste category');
+  }
+  return await response.json();
+};
+
+// Bin fill level API functions
+export const getLatestBinLevels = async (deviceId = 'all') => {
+  const query = deviceId !== 'all' ? `?deviceId=${deviceId}` : '';
+  const response = await fetch(`${API_ENDPOINTS.BIN_LEVELS_LATEST}${query}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch bin fill levels');
+  }
+  return await response.json();
+};
+
+export const updateBinThreshold = async (thresholdData) => {
+  const response = await fetch(API_ENDPOINTS.BIN_LEVEL_THRESHOLDS, {
+    method: 'PUT',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(thresholdData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to update warning threshold');
+  }
+  return await response.json();
+};
+
+// Bin collection API functions
+export const markBinEmptied = async (collectionData) => {
+  const response = await fetch(API_ENDPOINTS.BIN_EMPTIED, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(collectionData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to mark bin as emptied');
+  }
+  return await response.json();
+};
+
+export const getBinCollectionStats = async (deviceId = 'all', days = 30) => {
+  const params = new URLSearchParams({ days });
+  if (deviceId !== 'all') params.append('deviceId', deviceId);
+  const response = await fetch(`${API_ENDPOINTS.BIN_ANALYTICS_COLLECTION}?${params}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch bin collection stats');
+  }
+  return await response.json();
+};
+
+export const getBinForecast = async (deviceId = 'all') => {
+  const query = deviceId !== 'all' ? `?deviceId=${deviceId}` : '';
+  const response = await fetch(`${API_ENDPOINTS.BIN_ANALYTICS_FORECAST}${query}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch bin forecast');
+  }
+  return await response.json();
+};
+
+// Depositor wallet API functions
+export const getDepositors = async (search = '') => {
+  const params = new URLSearchParams({ limit: '100' });
+  if (search) params.set('search', search);
+  const response = await fetch(`${API_ENDPOINTS.COUPON_DEPOSITORS}?${params.toString()}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch depositors');
+  }
+  return await response.json();
+};
+
+export const updateDepositor = async (id, depositorData) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_DEPOSITOR(id), {
+    method: 'PUT',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(depositorData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to update depositor');
+  }
+  return await response.json();
+};
+
+// Reward voucher API functions
+export const validateVoucher = async (code) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_VOUCHER(code), {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to validate voucher');
+  }
+  return await response.json();
+};
+
+export const redeemVoucherAtCounter = async (code, notes = null) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_VOUCHER_REDEEM(code), {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ notes })
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to redeem voucher');
+  }
+  return await response.json();
+};
+
+// Coupon rule API functions
+export const getCouponRules = async () => {
+  const response = await fetch(API_ENDPOINTS.COUPON_RULES, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch coupon rules');
+  }
+  return await response.json();
+};
+
+export const createCouponRule = async (ruleData) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_RULES, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(ruleData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to save coupon rule');
+  }
+  return await response.json();
+};
+
+export const restoreCouponRule = async (id) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_RULE_RESTORE(id), {
+    method: 'POST',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to restore coupon rule');
+  }
+  return await response.json();
+};
+
+// Coupon ledger reconciliation API functions
+export const getCouponReconciliations = async (page = 1, limit = 20) => {
+  const response = await fetch(`${API_ENDPOINTS.COUPON_RECONCILIATIONS}?page=${page}&limit=${limit}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch ledger checks');
+  }
+  return await response.json();
+};
+
+export const runCouponReconciliation = async () => {
+  const response = await fetch(API_ENDPOINTS.COUPON_RECONCILIATION_RUN, {
+    method: 'POST',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to check coupon ledger');
+  }
+  return await response.json();
+};
+
+export const correctCouponLedger = async (correctionData) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_RECONCILIATION_CORRECT, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(correctionData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to correct coupon ledger');
+  }
+  return await response.json();
+};
+
+// Coupon batch API functions
+export const getCouponBatches = async (status = 'open') => {
+  const response = await fetch(`${API_ENDPOINTS.COUPON_BATCHES}?status=${status}`, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch coupon batches');
+  }
+  return await response.json();
+};
+
+export const addCouponBatch = async (batchData) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_ADD, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(batchData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to add coupon batch');
+  }
+  return await response.json();
+};
+
+export const retireCouponBatch = async (id, retireData = {}) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_BATCH_RETIRE(id), {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(retireData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to retire coupon batch');
+  }
+  return await response.json();
+};
+
+// Low coupon stock alert API functions
+export const getCouponStockAlert = async () => {
+  const response = await fetch(API_ENDPOINTS.COUPON_STOCK_ALERT, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch stock alert settings');
+  }
+  return await response.json();
+};
+
+export const updateCouponStockAlert = async (settings) => {
+  const response = await fetch(API_ENDPOINTS.COUPON_STOCK_ALERT, {
+    method: 'PUT',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(settings)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to update stock alert settings');
+  }
+  return await response.json();
+};
+
+// Account management API functions
+export const getAccounts = async () => {
+  const response = await fetch(API_ENDPOINTS.ACCOUNTS, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch accounts');
+  }
+  return await response.json();
+};
+
+export const getAccountRoles = async () => {
+  const response = await fetch(API_ENDPOINTS.ACCOUNT_ROLES, {
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to fetch roles');
+  }
+  return await response.json();
+};
+
+export const createAccount = async (accountData) => {
+  const response = await fetch(API_ENDPOINTS.ACCOUNT_CREATE, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(accountData)
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to create account');
+  }
+  return await response.json();
+};
+
+export const assignAccountRole = async (id, role) => {
+  const response = await fetch(API_ENDPOINTS.ACCOUNT_ROLE(id), {
+    method: 'PUT',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ role })
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to assign role');
+  }
+  return await response.json();
+};
+
+export const deleteAccount = async (id) => {
+  const response = await fetch(API_ENDPOINTS.ACCOUNT(id), {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to delete account');
+  }
+  return await response.json();
+};
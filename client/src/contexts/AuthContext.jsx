@@ -117,6 +117,9 @@ export const AuthProvider = ({ children }) => {
     localStorage.setItem('user', JSON.stringify(userData));
   };
 
+  // Whether the signed-in user's role grants a permission, e.g. 'inventory:manage'
+  const hasPermission = (permission) => Boolean(user?.permissions?.includes(permission));
+
   const getToken = () => {
     return localStorage.getItem('token');
   };
@@ -169,6 +172,7 @@ export const AuthProvider = ({ children }) => {
     login,
     logout,
     updateUser,
+    hasPermission,
     getToken,
     isTokenValid,
     setupAxiosInterceptors,
@@ -2,7 +2,8 @@ import { createContext, useContext, useState, useEffect, useCallback, useRef } f
 import LoadingSpinner from '../components/LoadingSpinner';
 import { useAuth } from './AuthContext';
 import { usePreferences } from './PreferencesContext';
-import { API_ENDPOINTS } from '../config/api';
+import { useWasteCategories } from './useWasteCategories';
+import { API_ENDPOINTS, markBinEmptied, getNotificationStreamUrl } from '../config/api';
 
 export const BinNotificationContext = createContext();
 
@@ -39,19 +40,10 @@ export const useBinNotifications = () => {
   return context;
 };
 
-// Helper function to map bin type to display name
-const getBinName = (binType) => {
-  const binTypes = {
-    1: 'Recyclable Wastes',
-    2: 'Wet Wastes',
-    3: 'Dry Wastes'
-  };
-  return binTypes[binType] || 'Unknown';
-};
-
 export const BinNotificationProvider = ({ children }) => {
   const { user } = useAuth();
   const { preferences } = usePreferences();
+  const { bins, getBinName } = useWasteCategories();
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
@@ -59,15 +51,20 @@ export const BinNotificationProvider = ({ children }) => {
   const [latestNotification, setLatestNotification] = useState(null);
   const [showWasteModal, setShowWasteModal] = useState(false);
   const [latestWasteNotification, setLatestWasteNotification] = useState(null);
+  const [couponStockAlertAt, setCouponStockAlertAt] = useState(null);
   
   // Use refs to store current values without causing re-renders
   const userRef = useRef(user);
   const preferencesRef = useRef(preferences);
+  const latestNotificationRef = useRef(latestNotification);
+  const getBinNameRef = useRef(getBinName);
   const seenNotifications = useRef(loadSeenNotifications());
   
   // Update refs when values change
   useEffect(() => { userRef.current = user; }, [user]);
   useEffect(() => { preferencesRef.current = preferences; }, [preferences]);
+  useEffect(() => { latestNotificationRef.current = latestNotification; }, [latestNotification]);
+  useEffect(() => { getBinNameRef.current = getBinName; }, [getBinName]);
 
   // Fetch bin records from API - using refs to avoid dependency issues
   const fetchBinNotifications = useCallback(async () => {
@@ -78,7 +75,9 @@ export const BinNotificationProvider = ({ children }) => {
 
     try {
       setIsLoading(true);
-      const response = await fetch(`${API_ENDPOINTS.BIN_RECORDS}?limit=50&sortBy=fullAt&sortOrder=desc`);
+      const response = await fetch(`${API_ENDPOINTS.BIN_RECORDS}?limit=50&sortBy=fullAt&sortOrder=desc`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
       
       if (!response.ok) {
         throw new Error('Failed to fetch bin notifications');
@@ -89,23 +88,32 @@ export const BinNotificationProvider = ({ children }) => {
       if (data.success && data.data?.records) {
         const binRecords = data.data.records.map(record => {
           const binType = record.binType || 1;
-          const binName = getBinName(binType);
+          const binName = getBinNameRef.current(binType);
           
           return {
             id: record.id,
             type: 'bin_full',
             title: `${binName} Bin Full Alert`,
-            message: `The ${binName.toLowerCase()} bin is full and needs to be emptied.`,
+            message: record.emptiedAt
+              ? `The ${binName.toLowerCase()} bin was emptied${record.emptiedBy ? ` by ${record.emptiedBy.username}` : ''}.`
+              : `The ${binName.toLowerCase()} bin is full and needs to be emptied.`,
             timestamp: new Date(record.fullAt),
-            isRead: seenNotifications.current.has(record.id.toString()),
+            isRead: Boolean(record.emptiedAt) || seenNotifications.current.has(record.id.toString()),
             icon: '🗑️',
             priority: 'high',
             binType: binType,
-            binName: binName
+            binName: binName,
+            deviceId: record.deviceId,
+            emptiedAt: record.emptiedAt ? new Date(record.emptiedAt) : null,
+            emptiedBy: record.emptiedBy?.username || null
           };
         });
 
-        setNotifications(binRecords);
+        // Keep live device and fill level alerts, which are not part of the bin records
+        setNotifications(prev => [
+          ...prev.filter((notif) => notif.type === 'device_offline' || notif.type === 'bin_level_warning' || notif.type === 'budget_alert'),
+          ...binRecords
+        ].sort((a, b) => b.timestamp - a.timestamp));
       }
     } catch (error) {
       console.error('Error fetching bin notifications:', error);
@@ -160,6 +168,39 @@ export const BinNotificationProvider = ({ children }) => {
     }
   }, [latestNotification, markAsRead]);
 
+  // Mark the bin full alerts closed by a collection as emptied, and drop the modal if it shows one of them
+  const applyBinEmptied = useCallback((collection) => {
+    const recordIds = new Set((collection.recordIds || [collection.recordId]).map((id) => id?.toString()));
+
+    recordIds.forEach((id) => seenNotifications.current.add(id));
+    persistSeenNotifications(seenNotifications.current);
+
+    setNotifications(prev => prev.map((notif) => (
+      notif.type === 'bin_full' && recordIds.has(notif.id.toString())
+        ? {
+            ...notif,
+            isRead: true,
+            emptiedAt: new Date(collection.emptiedAt),
+            emptiedBy: collection.emptiedBy?.username || null,
+            message: `The ${notif.binName.toLowerCase()} bin was emptied${collection.emptiedBy ? ` by ${collection.emptiedBy.username}` : ''}.`
+          }
+        : notif
+    )));
+
+    const current = latestNotificationRef.current;
+    if (current && recordIds.has(current.id.toString())) {
+      setShowModal(false);
+      setLatestNotification(null);
+    }
+  }, []);
+
+  // Confirm that the bin behind a full alert has been collected
+  const confirmBinEmptied = useCallback(async (recordId) => {
+    const result = await markBinEmptied({ recordId });
+    applyBinEmptied(result.data);
+    return result.data;
+  }, [applyBinEmptied]);
+
   // Close waste notification modal
   const closeWasteModal = useCallback(() => {
     setShowWasteModal(false);
@@ -175,7 +216,9 @@ export const BinNotificationProvider = ({ children }) => {
   // Get latest bin full notification
   const getLatestBinFull = useCallback(async () => {
     try {
-      const response = await fetch(`${API_ENDPOINTS.BIN_RECORDS}/latest`);
+      const response = await fetch(`${API_ENDPOINTS.BIN_RECORDS}/latest`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+      });
       if (response.ok) {
         const data = await response.json();
         return data.success ? data.data : null;
@@ -201,7 +244,7 @@ export const BinNotificationProvider = ({ children }) => {
     console.log('Setting up SSE connection for real-time bin notifications...');
     
     // Create SSE connection
-    const eventSource = new EventSource(API_ENDPOINTS.BIN_NOTIFICATIONS_STREAM);
+    const eventSource = new EventSource(getNotificationStreamUrl());
     
     eventSource.onmessage = (event) => {
       try {
@@ -220,8 +263,9 @@ export const BinNotificationProvider = ({ children }) => {
           
           const wasteNotification = {
             type: 'WASTE_INSERTED',
-            wasteType: data.data.recyclable > 0 ? 'RECYCLABLE' : (data.data.biodegradable > 0 ? 'WET' : 'DRY'),
-            quantity: (data.data.recyclable || 0) + (data.data.biodegradable || 0) + (data.data.nonBiodegradable || 0),
+            // Code of the first category with items, set by the server
+            wasteType: data.data.wasteType,
+            quantity: data.data.total || 0,
             wasteRecordId: data.data.id,
             timestamp: data.timestamp || new Date().toISOString()
           };
@@ -236,6 +280,108 @@ export const BinNotificationProvider = ({ children }) => {
           return;
         }
         
+        // A machine stopped sending heartbeats
+        if (data.type === 'DEVICE_OFFLINE') {
+          const device = data.data || {};
+          const notificationId = `device-offline-${device.deviceId}-${data.timestamp}`;
+          if (seenNotifications.current.has(notificationId)) {
+            return;
+          }
+
+          const notification = {
+            id: notificationId,
+            type: 'device_offline',
+            title: `${device.name || 'Machine'} is Offline`,
+            message: `No heartbeat received${device.location ? ` from ${device.location}` : ''}. Check the machine's power and Wi-Fi.`,
+            timestamp: new Date(data.timestamp),
+            isRead: false,
+            priority: 'high',
+            deviceId: device.deviceId
+          };
+
+          setNotifications(prev => (
+            prev.some((notif) => notif.id.toString() === notificationId) ? prev : [notification, ...prev]
+          ));
+          return;
+        }
+
+        // A bin crossed its warning threshold before being completely full
+        if (data.type === 'BIN_LEVEL_WARNING') {
+          const warning = data.data || {};
+          const notificationId = `bin-level-${warning.readingId}`;
+          if (seenNotifications.current.has(notificationId)) {
+            return;
+          }
+
+          const binName = getBinNameRef.current(warning.binType);
+          const notification = {
+            id: notificationId,
+            type: 'bin_level_warning',
+            title: `${binName} Bin ${Math.round(warning.level)}% Full`,
+            message: `The ${binName.toLowerCase()} bin${warning.deviceName ? ` on ${warning.deviceName}` : ''} passed its ${warning.warningLevel}% warning level. Plan to empty it soon.`,
+            timestamp: new Date(data.timestamp),
+            isRead: false,
+            priority: 'medium',
+            binType: warning.binType,
+            binName: binName
+          };
+
+          setNotifications(prev => (
+            prev.some((notif) => notif.id.toString() === notificationId) ? prev : [notification, ...prev]
+          ));
+          return;
+        }
+
+        // Reward spending for the month is projected to go over its budget, or already has
+        if (data.type === 'BUDGET_ALERT') {
+          const alert = data.data || {};
+          const notificationId = `budget-${alert.month}-${alert.level}`;
+          if (seenNotifications.current.has(notificationId)) {
+            return;
+          }
+
+          const formatPeso = (value) => `₱${Number(value || 0).toFixed(2)}`;
+          const notification = {
+            id: notificationId,
+            type: 'budget_alert',
+            title: alert.level === 'EXCEEDED' ? 'Reward Budget Exceeded' : 'Reward Spending Pacing Over Budget',
+            message: alert.level === 'EXCEEDED'
+              ? `${formatPeso(alert.spent)} spent against this month's ${formatPeso(alert.budget)} budget.`
+              : `${formatPeso(alert.spent)} spent so far; at this pace the month ends around ${formatPeso(alert.projectedSpend)} against a ${formatPeso(alert.budget)} budget.`,
+            timestamp: new Date(data.timestamp),
+            isRead: false,
+            priority: alert.level === 'EXCEEDED' ? 'high' : 'medium'
+          };
+
+          setNotifications(prev => (
+            prev.some((notif) => notif.id.toString() === notificationId) ? prev : [notification, ...prev]
+          ));
+          return;
+        }
+
+        // The coupon stock dropped to the admin's threshold; the dashboard refreshes its stock notification
+        if (data.type === 'COUPON_LOW_STOCK') {
+          setCouponStockAlertAt(data.timestamp || new Date().toISOString());
+          return;
+        }
+
+        if (data.type === 'DEVICE_ONLINE') {
+          console.log('Device back online:', data.data);
+          return;
+        }
+
+        // Someone confirmed a collection; update the matching full alerts on every dashboard
+        if (data.type === 'BIN_EMPTIED') {
+          applyBinEmptied(data.data || {});
+          return;
+        }
+
+        // Buffered uploads from a machine that was offline; no modal for historical events
+        if (data.type === 'WASTE_BATCH_INSERTED') {
+          console.log('Waste batch received:', data.data);
+          return;
+        }
+        
         // Process bin notification
         const binRecord = data;
         console.log('Real-time bin notification received:', binRecord);
@@ -248,7 +394,7 @@ export const BinNotificationProvider = ({ children }) => {
         
         // Create notification object with bin type info
         const binType = binRecord.binType || 1;
-        const binName = getBinName(binType);
+        const binName = getBinNameRef.current(binType);
         
         const notification = {
           id: binRecord.id,
@@ -260,7 +406,10 @@ export const BinNotificationProvider = ({ children }) => {
           icon: '🗑️',
           priority: 'high',
           binType: binType,
-          binName: binName
+          binName: binName,
+          deviceId: binRecord.deviceId,
+          emptiedAt: null,
+          emptiedBy: null
         };
         
         // Check if we've already seen this notification
@@ -311,6 +460,13 @@ export const BinNotificationProvider = ({ children }) => {
     };
   }, [user?.id, preferences.binFullAlert]);
 
+  // Bin names come from the waste categories; relabel the alerts once they have loaded or changed
+  useEffect(() => {
+    if (bins.length > 0 && userRef.current) {
+      fetchBinNotifications();
+    }
+  }, [bins, fetchBinNotifications]);
+
   // Force refresh notifications (for testing)
   const forceRefresh = useCallback(() => {
     console.log('Force refreshing bin notifications...');
@@ -346,7 +502,9 @@ export const BinNotificationProvider = ({ children }) => {
     clearAllNotifications,
     closeModal,
     closeWasteModal,
-    getLatestBinFull
+    confirmBinEmptied,
+    getLatestBinFull,
+    couponStockAlertAt
   };
 
   return (
@@ -12,23 +12,35 @@ export const usePreferences = () => {
   return context;
 };
 
+// Shown until the signed-in user's preferences are loaded
+const DEFAULT_PREFERENCES = {
+  theme: 'light',
+  binFullAlert: true,
+  recordsPerPage: 10,
+  uiSize: 'medium',
+  notifications: true,
+  autoRefresh: true,
+  compactMode: false,
+  language: 'en',
+  timezone: 'UTC',
+  dateFormat: 'MM/DD/YYYY'
+};
+
 export const PreferencesProvider = ({ children }) => {
   const { user } = useAuth();
-  const [preferences, setPreferences] = useState({
-    theme: 'light',
-    binFullAlert: true,
-    recordsPerPage: 10,
-    uiSize: 'medium',
-    notifications: true,
-    autoRefresh: true,
-    compactMode: false,
-    language: 'en',
-    timezone: 'UTC',
-    dateFormat: 'MM/DD/YYYY'
-  });
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  // The user's own choices (null follows the organization default) and the organization defaults
+  const [overrides, setOverrides] = useState({});
+  const [orgDefaults, setOrgDefaults] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  const applyPreferences = (data) => {
+    setPreferences(data.preferences);
+    setOverrides(data.overrides || {});
+    setOrgDefaults(data.defaults || null);
+  };
+
   // Load preferences when user logs in
   const loadPreferences = async () => {
     if (!user) return;
@@ -48,7 +60,7 @@ export const PreferencesProvider = ({ children }) => {
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
-          setPreferences(data.preferences);
+          applyPreferences(data);
         } else {
           throw new Error(data.error || 'Failed to load preferences');
         }
@@ -85,7 +97,7 @@ export const PreferencesProvider = ({ children }) => {
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
-          setPreferences(data.preferences);
+          applyPreferences(data);
           return true;
         } else {
           throw new Error(data.error || 'Failed to save preferences');
@@ -104,22 +116,51 @@ export const PreferencesProvider = ({ children }) => {
 
   // Update specific preference
   const updatePreference = async (key, value) => {
-    const newPreferences = { ...preferences, [key]: value };
-    const success = await savePreferences({ [key]: value });
-    if (success) {
-      setPreferences(newPreferences);
-    }
-    return success;
+    return await savePreferences({ [key]: value });
   };
 
   // Update multiple preferences
   const updatePreferences = async (updates) => {
-    const newPreferences = { ...preferences, ...updates };
-    const success = await savePreferences(updates);
-    if (success) {
-      setPreferences(newPreferences);
+    return await savePreferences(updates);
+  };
+
+  // Drop the user's own value so the organization default applies again
+  const clearPreference = async (key) => {
+    return await savePreferences({ [key]: null });
+  };
+
+  // Change the organization-wide defaults (needs the settings:manage permission)
+  const saveOrgDefaults = async (updates) => {
+    if (!user) return false;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const token = localStorage.getItem('token') || sessionStorage.getItem('token');
+      const response = await fetch(API_ENDPOINTS.PREFERENCE_DEFAULTS, {
+        method: 'PUT',
+        headers: {
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(updates)
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || data.message || 'Failed to save organization defaults');
+      }
+    } catch (error) {
+      console.error('Error saving organization defaults:', error);
+      setError(error.message);
+      setIsLoading(false);
+      return false;
     }
-    return success;
+
+    // Preferences the user has not chosen follow the new defaults
+    await loadPreferences();
+    return true;
   };
 
   // Reset preferences to default
@@ -142,7 +183,7 @@ export const PreferencesProvider = ({ children }) => {
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
-          setPreferences(data.preferences);
+          applyPreferences(data);
           return true;
         } else {
           throw new Error(data.error || 'Failed to reset preferences');
@@ -165,27 +206,22 @@ export const PreferencesProvider = ({ children }) => {
       loadPreferences();
     } else {
       // Reset to defaults when user logs out
-      setPreferences({
-        theme: 'light',
-        binFullAlert: true,
-        recordsPerPage: 10,
-        uiSize: 'medium',
-        notifications: true,
-        autoRefresh: true,
-        compactMode: false,
-        language: 'en',
-        timezone: 'UTC',
-        dateFormat: 'MM/DD/YYYY'
-      });
+      setPreferences(DEFAULT_PREFERENCES);
+      setOverrides({});
+      setOrgDefaults(null);
     }
   }, [user]);
 
   const value = {
     preferences,
+    overrides,
+    orgDefaults,
     isLoading,
     error,
     updatePreference,
     updatePreferences,
+    clearPreference,
+    saveOrgDefaults,
     resetPreferences,
     loadPreferences
   };
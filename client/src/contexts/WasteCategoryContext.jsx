@@ -0,0 +1,57 @@
+import { useMemo, useCallback } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { getWasteCategories } from '../config/api';
+import { WasteCategoryContext } from './useWasteCategories';
+
+// Waste categories configured by admins, shared by every screen that shows per-category counts
+export const WasteCategoryProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+
+  // Inactive categories are kept so historical records can still be labelled
+  const { data, isLoading } = useQuery({
+    queryKey: ['wasteCategories'],
+    queryFn: () => getWasteCategories(true),
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const allCategories = useMemo(() => data?.data || [], [data]);
+  const categories = useMemo(() => allCategories.filter((category) => category.isActive), [allCategories]);
+  const bins = useMemo(() => data?.bins || [], [data]);
+
+  const getCategoryByKey = useCallback(
+    (key) => allCategories.find((category) => category.key === key) || null,
+    [allCategories]
+  );
+
+  const getCategoryByCode = useCallback(
+    (code) => allCategories.find((category) => category.code === code?.toUpperCase()) || null,
+    [allCategories]
+  );
+
+  const getBinName = useCallback(
+    (binType) => bins.find((bin) => bin.binType === Number(binType))?.name || `Bin ${binType}`,
+    [bins]
+  );
+
+  const refreshCategories = useCallback(
+    () => queryClient.invalidateQueries({ queryKey: ['wasteCategories'] }),
+    [queryClient]
+  );
+
+  const value = useMemo(() => ({
+    categories,
+    allCategories,
+    bins,
+    isLoading,
+    getCategoryByKey,
+    getCategoryByCode,
+    getBinName,
+    refreshCategories,
+  }), [categories, allCategories, bins, isLoading, getCategoryByKey, getCategoryByCode, getBinName, refreshCategories]);
+
+  return (
+    <WasteCategoryContext.Provider value={value}>
+      {children}
+    </WasteCategoryContext.Provider>
+  );
+};
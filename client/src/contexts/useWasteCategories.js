@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Kept apart from WasteCategoryProvider so that module only exports a component (fast refresh)
+export const WasteCategoryContext = createContext();
+
+export const useWasteCategories = () => {
+  const context = useContext(WasteCategoryContext);
+  if (!context) {
+    throw new Error('useWasteCategories must be used within a WasteCategoryProvider');
+  }
+  return context;
+};
@@ -0,0 +1,18 @@
+export const MOVEMENT_TYPES = {
+  RESTOCK: { label: 'Restock', badge: 'bg-emerald-100 text-emerald-700' },
+  ADJUSTMENT: { label: 'Adjustment', badge: 'bg-blue-100 text-blue-700' },
+  REDEMPTION: { label: 'Redemption', badge: 'bg-purple-100 text-purple-700' },
+  REFUND: { label: 'Refund', badge: 'bg-amber-100 text-amber-700' },
+  WRITE_OFF: { label: 'Write-off', badge: 'bg-gray-200 text-gray-700' },
+  DAMAGE: { label: 'Damage', badge: 'bg-red-100 text-red-700' },
+};
+
+// Types that can be posted by hand for an addition or a removal; the first is the default
+export const MANUAL_MOVEMENT_TYPES = {
+  add: ['RESTOCK', 'ADJUSTMENT'],
+  remove: ['ADJUSTMENT', 'WRITE_OFF', 'DAMAGE'],
+};
+
+export const getMovementLabel = (type) => MOVEMENT_TYPES[type]?.label || type;
+
+export const formatMovementQuantity = (quantity) => (quantity > 0 ? `+${quantity}` : String(quantity));
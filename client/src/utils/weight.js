@@ -0,0 +1,10 @@
+// Measured weight of one category in a waste record, in grams; null when it was not weighed
+export const getWeightGrams = (record, key) => record.weights?.[key] ?? null;
+
+// Adds two measured weights, keeping null only when neither side was weighed
+export const addWeights = (a, b) => (a === null && b === null ? null : (a || 0) + (b || 0));
+
+export const gramsToKg = (grams) => Math.round(grams) / 1000;
+
+// "1.24" for 1240 g, or '—' when nothing was weighed
+export const formatKg = (grams) => (grams === null || grams === undefined ? '—' : gramsToKg(grams).toFixed(2));
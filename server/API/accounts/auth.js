@@ -2,9 +2,10 @@ import express from 'express';
 import cors from 'cors';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
-import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import { prisma } from '../../utils/database.js';
+import { createMailerTransport, getMailSender } from '../../utils/mailer.js';
+import { toAccountUser, requirePermission } from '../../utils/permissions.js';
 
 // Configure
 dotenv.config();
@@ -20,61 +21,6 @@ const FORGOT_OTP_EXPIRY_MS = 10 * 60 * 1000;
 
 let forgotPasswordOtpState = null;
 
-const verifyAdmin = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
-    }
-
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    const user = await prisma.account.findUnique({
-      where: { id: decoded.userId }
-    });
-
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token. User not found.' });
-    }
-
-    if (user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required.' });
-    }
-
-    req.user = {
-      id: user.id,
-      username: user.username,
-      role: user.role
-    };
-    next();
-  } catch (error) {
-    return res.status(401).json({ message: 'Invalid token.' });
-  }
-};
-
-const createMailerTransport = () => {
-  const smtpHost = process.env.SMTP_HOST;
-  const smtpPort = Number(process.env.SMTP_PORT || 587);
-  const smtpUser = process.env.SMTP_USER || process.env.EMAIL_USER;
-  const smtpPass = process.env.SMTP_PASS || process.env.EMAIL_PASS;
-
-  if (!smtpHost || !smtpUser || !smtpPass) {
-    return null;
-  }
-
-  return nodemailer.createTransport({
-    host: smtpHost,
-    port: smtpPort,
-    secure: smtpPort === 465,
-    auth: {
-      user: smtpUser,
-      pass: smtpPass
-    }
-  });
-};
-
 const generateSixDigitOtp = () => String(Math.floor(100000 + Math.random() * 900000));
 
 // Setup login system with database
@@ -110,20 +56,14 @@ router.post('/login', async (req, res) => {
       userId: user.id,
       username: user.username,
       name: user.username, // Using username as name since no separate name field
-      role: user.role || 'user' // Use actual role from database
+      role: user.role // Use actual role from database
     };
     const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 
-    // Return token and user info
+    // Return token and user info, with what the role allows so the dashboard can hide what it does not
     return res.json({ 
       token,
-      user: {
-        id: user.id,
-        username: user.username,
-        name: user.username,
-        email: user.email,
-        role: user.role || 'user'
-      }
+      user: toAccountUser(user)
     });
 
   } catch (error) {
@@ -164,13 +104,7 @@ router.get('/validate', async (req, res) => {
 
       return res.json({ 
         valid: true, 
-        user: {
-          id: user.id,
-          username: user.username,
-          name: user.username,
-          email: user.email,
-          role: user.role || 'user'
-        }
+        user: toAccountUser(user)
       });
     } catch (jwtError) {
       console.log('Validate - JWT error:', jwtError.message);
@@ -204,7 +138,7 @@ router.post('/forgot-password/request-otp', async (req, res) => {
     }
 
     const recipient = process.env.FORGOT_PASSWORD_TO || DEFAULT_FORGOT_EMAIL || user.email;
-    const sender = process.env.SMTP_FROM || process.env.SMTP_USER || process.env.EMAIL_USER;
+    const sender = getMailSender();
     const transporter = createMailerTransport();
 
     if (!transporter || !sender) {
@@ -354,7 +288,7 @@ router.post('/forgot-password/verify-otp', async (req, res) => {
 });
 
 // Developer/admin-only utility to clear waste and coupon activity data.
-router.post('/dev/clear-data', verifyAdmin, async (req, res) => {
+router.post('/dev/clear-data', requirePermission('system:clear-data'), async (req, res) => {
   try {
     const { confirmationText } = req.body;
 
@@ -366,19 +300,33 @@ router.post('/dev/clear-data', verifyAdmin, async (req, res) => {
     }
 
     const result = await prisma.$transaction(async (tx) => {
+      const vouchersDeleted = await tx.rewardVoucher.deleteMany({});
+      const reconciliationsDeleted = await tx.couponReconciliation.deleteMany({});
       const wasteDeleted = await tx.waste_items.deleteMany({});
       const couponTransactionsDeleted = await tx.couponTransaction.deleteMany({});
+      const couponBatchesDeleted = await tx.couponBatch.deleteMany({});
       const couponReset = await tx.coupon.updateMany({
         data: {
           balance: 0,
           used: 0
         }
       });
+      const walletsReset = await tx.depositor.updateMany({
+        data: {
+          balance: 0,
+          earned: 0,
+          redeemed: 0
+        }
+      });
 
       return {
         wasteDeleted: wasteDeleted.count,
         couponTransactionsDeleted: couponTransactionsDeleted.count,
-        couponsReset: couponReset.count
+        couponsReset: couponReset.count,
+        walletsReset: walletsReset.count,
+        vouchersDeleted: vouchersDeleted.count,
+        reconciliationsDeleted: reconciliationsDeleted.count,
+        couponBatchesDeleted: couponBatchesDeleted.count
       };
     });
 
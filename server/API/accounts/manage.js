@@ -1,9 +1,9 @@
 import express from 'express';
 import cors from 'cors';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
 import { prisma } from '../../utils/database.js';
+import { ROLES, PERMISSIONS, isValidRole, getRoleName, verifyToken, requirePermission } from '../../utils/permissions.js';
 
 // Configure
 dotenv.config();
@@ -11,34 +11,44 @@ dotenv.config();
 // Route: /api/accounts/manage
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 const SALT_ROUNDS = 10;
 
+const accountSelect = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Add the role's display name; accounts have no active flag, so they are always active
+const withRoleName = (account) => ({
+  ...account,
+  roleName: getRoleName(account.role),
+  active: true
+});
+
+// True when taking the admin role away from this account would leave no admin to manage accounts
+const isLastAdmin = async (account) => {
+  if (account.role !== 'admin') return false;
+  const adminCount = await prisma.account.count({ where: { role: 'admin' } });
+  return adminCount <= 1;
+};
+
 // GET /api/accounts/manage/list - Get all accounts
-router.get('/list', async (req, res) => {
+router.get('/list', requirePermission('accounts:manage'), async (req, res) => {
   try {
     const accounts = await prisma.account.findMany({
-      select: {
-        id: true,
-        username: true,
-        createdAt: true,
-        updatedAt: true
-      },
+      select: accountSelect,
       orderBy: {
         createdAt: 'asc'
       }
     });
 
-    // Add role information (since it's not in the database, we'll use a default)
-    const accountsWithRole = accounts.map(account => ({
-      ...account,
-      role: account.username === 'admin' ? 'Administrator' : 'User',
-      active: true // Default to active since we don't have an active field
-    }));
-
     return res.json({
       success: true,
-      accounts: accountsWithRole
+      accounts: accounts.map(withRoleName)
     });
   } catch (error) {
     console.error('Error fetching accounts:', error);
@@ -49,10 +59,20 @@ router.get('/list', async (req, res) => {
   }
 });
 
+// GET /api/accounts/manage/roles - The roles accounts can be given and the permissions each one grants
+router.get('/roles', requirePermission('accounts:manage'), async (req, res) => {
+  return res.json({
+    success: true,
+    roles: ROLES,
+    permissions: Object.entries(PERMISSIONS).map(([id, description]) => ({ id, description }))
+  });
+});
+
 // POST /api/accounts/manage/create - Create new account
-router.post('/create', async (req, res) => {
+// Expected body: { username, password, role? } (role defaults to staff)
+router.post('/create', requirePermission('accounts:manage'), async (req, res) => {
   try {
-    const { username, password, role } = req.body;
+    const { username, password, role = 'staff' } = req.body;
 
     // Validate input
     if (!username || !password) {
@@ -76,6 +96,13 @@ router.post('/create', async (req, res) => {
       });
     }
 
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.map((item) => item.id).join(', ')}`
+      });
+    }
+
     // Check if username already exists
     const existingUser = await prisma.account.findUnique({
       where: { username }
@@ -95,27 +122,16 @@ router.post('/create', async (req, res) => {
     const newAccount = await prisma.account.create({
       data: {
         username,
-        password: hashedPassword
+        password: hashedPassword,
+        role
       },
-      select: {
-        id: true,
-        username: true,
-        createdAt: true,
-        updatedAt: true
-      }
+      select: accountSelect
     });
 
-    // Add role information
-    const accountWithRole = {
-      ...newAccount,
-      role: role || 'User',
-      active: true
-    };
-
     return res.status(201).json({
       success: true,
       message: 'Account created successfully',
-      account: accountWithRole
+      account: withRoleName(newAccount)
     });
   } catch (error) {
     console.error('Error creating account:', error);
@@ -126,8 +142,68 @@ router.post('/create', async (req, res) => {
   }
 });
 
+// PUT /api/accounts/manage/:id/role - Assign a role to an account
+// Expected body: { role }
+router.put('/:id/role', requirePermission('accounts:manage'), async (req, res) => {
+  try {
+    const accountId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (isNaN(accountId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid account ID'
+      });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.map((item) => item.id).join(', ')}`
+      });
+    }
+
+    const account = await prisma.account.findUnique({
+      where: { id: accountId }
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (role !== 'admin' && await isLastAdmin(account)) {
+      return res.status(409).json({
+        success: false,
+        message: 'At least one account must keep the Administrator role',
+        error: 'LAST_ADMIN'
+      });
+    }
+
+    const updatedAccount = await prisma.account.update({
+      where: { id: accountId },
+      data: { role },
+      select: accountSelect
+    });
+
+    return res.json({
+      success: true,
+      message: `${updatedAccount.username} is now ${getRoleName(role)}`,
+      account: withRoleName(updatedAccount)
+    });
+  } catch (error) {
+    console.error('Error assigning role:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to assign role'
+    });
+  }
+});
+
 // DELETE /api/accounts/manage/:id - Delete account
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('accounts:manage'), async (req, res) => {
   try {
     const accountId = parseInt(req.params.id);
 
@@ -160,6 +236,21 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    if (accountId === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastAdmin(account)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete the last Administrator account',
+        error: 'LAST_ADMIN'
+      });
+    }
+
     // Delete the account
     await prisma.account.delete({
       where: { id: accountId }
@@ -178,8 +269,9 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// PUT /api/accounts/manage/:id - Update account
-router.put('/:id', async (req, res) => {
+// PUT /api/accounts/manage/:id - Update account details (your own, or any with accounts:manage)
+// Roles are assigned through PUT /api/accounts/manage/:id/role
+router.put('/:id', verifyToken, async (req, res) => {
   try {
     const accountId = parseInt(req.params.id);
     const { username, password, email } = req.body;
@@ -192,6 +284,15 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (accountId !== req.user.id && !req.user.permissions.includes('accounts:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Your role does not allow this action.',
+        error: 'PERMISSION_DENIED',
+        missingPermissions: ['accounts:manage']
+      });
+    }
+
     // Check if account exists
     const account = await prisma.account.findUnique({
       where: { id: accountId }
@@ -261,26 +362,13 @@ router.put('/:id', async (req, res) => {
     const updatedAccount = await prisma.account.update({
       where: { id: accountId },
       data: updateData,
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        createdAt: true,
-        updatedAt: true
-      }
+      select: accountSelect
     });
 
-    // Add role information
-    const accountWithRole = {
-      ...updatedAccount,
-      role: updatedAccount.username === 'admin' ? 'Administrator' : 'User',
-      active: true
-    };
-
     return res.json({
       success: true,
       message: 'Account updated successfully',
-      account: accountWithRole
+      account: withRoleName(updatedAccount)
     });
   } catch (error) {
     console.error('Error updating account:', error);
@@ -1,83 +1,24 @@
 import express from 'express';
-import { prisma } from '../../utils/database.js';
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { verifyToken, requirePermission } from '../../utils/permissions.js';
+import { parsePreferenceInput, getPreferenceDefaults, getUserPreferences, toPreferenceDefaults } from '../../utils/preferences.js';
 
 // Configure
 dotenv.config();
 
+// Route: /api/accounts/preferences
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-// Helper: resolve an accountId to use for preferences when auth is disabled
-// Strategy: prefer username 'admin', else first account. If none, return null.
-async function resolveAccountId() {
+// GET /api/accounts/preferences - The signed-in user's preferences
+// preferences are the effective values; overrides are the user's own choices (null follows the organization default)
+router.get('/', verifyToken, async (req, res) => {
   try {
-    const admin = await prisma.account.findUnique({ where: { username: 'admin' } });
-    if (admin) return admin.id;
-
-    const first = await prisma.account.findFirst({ orderBy: { id: 'asc' } });
-    if (first) return first.id;
-
-    return null;
-  } catch (e) {
-    console.error('Error resolving accountId for preferences:', e);
-    return null;
-  }
-}
-
-// Get user preferences
-router.get('/', async (req, res) => {
-  try {
-    const userId = await resolveAccountId();
-    
-    console.log('GET Using userId:', userId); // Debug log
-    
-    if (!userId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No accounts found to attach preferences. Create an account first.' 
-      });
-    }
-    
-    // Get user preferences, create default if none exist
-    let preferences = await prisma.userPreferences.findUnique({
-      where: { accountId: userId }
-    });
-
-    if (!preferences) {
-      // Create default preferences for the user
-      preferences = await prisma.userPreferences.create({
-        data: {
-          accountId: userId,
-          theme: 'light',
-          binFullAlert: true,
-          recordsPerPage: 10,
-          uiSize: 'medium',
-          notifications: true,
-          autoRefresh: true,
-          compactMode: false,
-          language: 'en',
-          timezone: 'UTC',
-          dateFormat: 'MM/DD/YYYY'
-        }
-      });
-    }
+    const result = await getUserPreferences(req.user.id);
 
     res.json({
       success: true,
-      preferences: {
-        theme: preferences.theme,
-        binFullAlert: preferences.binFullAlert,
-        recordsPerPage: preferences.recordsPerPage,
-        uiSize: preferences.uiSize,
-        notifications: preferences.notifications,
-        autoRefresh: preferences.autoRefresh,
-        compactMode: preferences.compactMode,
-        language: preferences.language,
-        timezone: preferences.timezone,
-        dateFormat: preferences.dateFormat
-      }
+      ...result
     });
   } catch (error) {
     console.error('Error fetching preferences:', error);
@@ -88,105 +29,31 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Update user preferences
-router.put('/', async (req, res) => {
+// PUT /api/accounts/preferences - Change the signed-in user's preferences
+// Expected body: any preference fields; null for a field goes back to the organization default
+router.put('/', verifyToken, async (req, res) => {
   try {
-    const userId = await resolveAccountId();
-    
-    console.log('PUT Using userId:', userId); // Debug log
-    
-    if (!userId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No accounts found to attach preferences. Create an account first.' 
-      });
-    }
-    const {
-      theme,
-      binFullAlert,
-      recordsPerPage,
-      uiSize,
-      notifications,
-      autoRefresh,
-      compactMode,
-      language,
-      timezone,
-      dateFormat
-    } = req.body;
+    const parsed = parsePreferenceInput(req.body, { allowNull: true });
 
-    // Validate input
-    const validThemes = ['light', 'dark'];
-    const validUiSizes = ['small', 'medium', 'large'];
-    const validRecordsPerPage = [5, 10, 20, 50, 100];
-
-    if (theme && !validThemes.includes(theme)) {
+    if (parsed.error) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Invalid theme value' 
+        error: parsed.error 
       });
     }
 
-    if (uiSize && !validUiSizes.includes(uiSize)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid UI size value' 
+    await retryOperation(async () => {
+      return await prisma.userPreferences.upsert({
+        where: { accountId: req.user.id },
+        update: parsed.data,
+        create: { accountId: req.user.id, ...parsed.data }
       });
-    }
-
-    if (recordsPerPage && !validRecordsPerPage.includes(recordsPerPage)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid records per page value' 
-      });
-    }
-
-    // Prepare update data (only include provided fields)
-    const updateData = {};
-    if (theme !== undefined) updateData.theme = theme;
-    if (binFullAlert !== undefined) updateData.binFullAlert = binFullAlert;
-    if (recordsPerPage !== undefined) updateData.recordsPerPage = recordsPerPage;
-    if (uiSize !== undefined) updateData.uiSize = uiSize;
-    if (notifications !== undefined) updateData.notifications = notifications;
-    if (autoRefresh !== undefined) updateData.autoRefresh = autoRefresh;
-    if (compactMode !== undefined) updateData.compactMode = compactMode;
-    if (language !== undefined) updateData.language = language;
-    if (timezone !== undefined) updateData.timezone = timezone;
-    if (dateFormat !== undefined) updateData.dateFormat = dateFormat;
-
-    // Update or create preferences
-    const preferences = await prisma.userPreferences.upsert({
-      where: { accountId: userId },
-      update: updateData,
-      create: {
-        accountId: userId,
-        theme: theme || 'light',
-        binFullAlert: binFullAlert !== undefined ? binFullAlert : true,
-        recordsPerPage: recordsPerPage || 10,
-        uiSize: uiSize || 'medium',
-        notifications: notifications !== undefined ? notifications : true,
-        autoRefresh: autoRefresh !== undefined ? autoRefresh : true,
-        compactMode: compactMode !== undefined ? compactMode : false,
-        language: language || 'en',
-        timezone: timezone || 'UTC',
-        dateFormat: dateFormat || 'MM/DD/YYYY'
-      }
     });
 
     res.json({
       success: true,
       message: 'Preferences updated successfully',
-      preferences: {
-        theme: preferences.theme,
-        binFullAlert: preferences.binFullAlert,
-        recordsPerPage: preferences.recordsPerPage,
-        uiSize: preferences.uiSize,
-        notifications: preferences.notifications,
-        autoRefresh: preferences.autoRefresh,
-        compactMode: preferences.compactMode,
-        language: preferences.language,
-        timezone: preferences.timezone,
-        dateFormat: preferences.dateFormat
-      }
+      ...(await getUserPreferences(req.user.id))
     });
   } catch (error) {
     console.error('Error updating preferences:', error);
@@ -197,68 +64,78 @@ router.put('/', async (req, res) => {
   }
 });
 
-// Reset preferences to default
-router.post('/reset', async (req, res) => {
+// POST /api/accounts/preferences/reset - Drop the signed-in user's choices so every preference follows the organization default
+router.post('/reset', verifyToken, async (req, res) => {
   try {
-    const userId = await resolveAccountId();
+    await retryOperation(async () => {
+      return await prisma.userPreferences.deleteMany({
+        where: { accountId: req.user.id }
+      });
+    });
 
-    if (!userId) {
+    res.json({
+      success: true,
+      message: 'Preferences reset to the organization defaults',
+      ...(await getUserPreferences(req.user.id))
+    });
+  } catch (error) {
+    console.error('Error resetting preferences:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to reset user preferences' 
+    });
+  }
+});
+
+// GET /api/accounts/preferences/defaults - The organization-wide defaults
+router.get('/defaults', verifyToken, async (req, res) => {
+  try {
+    const defaults = await getPreferenceDefaults();
+
+    res.json({
+      success: true,
+      defaults: toPreferenceDefaults(defaults)
+    });
+  } catch (error) {
+    console.error('Error fetching preference defaults:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch preference defaults'
+    });
+  }
+});
+
+// PUT /api/accounts/preferences/defaults - Change the organization-wide defaults
+// Expected body: any preference fields. Users who chose their own value for a field keep it.
+router.put('/defaults', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const parsed = parsePreferenceInput(req.body);
+
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        error: 'No accounts found to attach preferences. Create an account first.'
+        error: parsed.error
       });
     }
 
-    const preferences = await prisma.userPreferences.upsert({
-      where: { accountId: userId },
-      update: {
-        theme: 'light',
-        binFullAlert: true,
-        recordsPerPage: 10,
-        uiSize: 'medium',
-        notifications: true,
-        autoRefresh: true,
-        compactMode: false,
-        language: 'en',
-        timezone: 'UTC',
-        dateFormat: 'MM/DD/YYYY'
-      },
-      create: {
-        accountId: userId,
-        theme: 'light',
-        binFullAlert: true,
-        recordsPerPage: 10,
-        uiSize: 'medium',
-        notifications: true,
-        autoRefresh: true,
-        compactMode: false,
-        language: 'en',
-        timezone: 'UTC',
-        dateFormat: 'MM/DD/YYYY'
-      }
+    const current = await getPreferenceDefaults();
+    const defaults = await retryOperation(async () => {
+      return await prisma.preferenceDefaults.update({
+        where: { id: current.id },
+        data: parsed.data
+      });
     });
 
     res.json({
       success: true,
-      message: 'Preferences reset to default values',
-      preferences: {
-        theme: preferences.theme,
-        binFullAlert: preferences.binFullAlert,
-        recordsPerPage: preferences.recordsPerPage,
-        uiSize: preferences.uiSize,
-        notifications: preferences.notifications,
-        autoRefresh: preferences.autoRefresh,
-        compactMode: preferences.compactMode,
-        language: preferences.language,
-        timezone: preferences.timezone,
-        dateFormat: preferences.dateFormat
-      }
+      message: 'Organization defaults updated',
+      defaults: toPreferenceDefaults(defaults)
     });
   } catch (error) {
-    console.error('Error resetting preferences:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to reset user preferences' 
+    console.error('Error updating preference defaults:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update preference defaults'
     });
   }
 });
@@ -1,23 +1,29 @@
 import express from 'express';
 import { prisma, retryOperation } from '../../utils/database.js';
 import { broadcastBinNotification } from './notifications.js';
+import { resolveDevice } from '../../utils/devices.js';
+import { idempotent } from '../../utils/idempotency.js';
+import { getWasteCategories, getBinTypes, getBinName, describeBinTypes } from '../../utils/wasteCategories.js';
 
 // Route Path ( '/api/bin/full' )
 const router = express.Router();
 
 // POST /api/bin/full - Called by the machine when bin becomes full
-// Expected body: { bin: 1|2|3 } where 1=Recyclable, 2=Biodegradable, 3=Non-Biodegradable
-router.post('/', async (req, res) => {
+// Expected body: { bin } - a bin number that at least one active waste category is sorted into
+// Optional: { eventId } or an Idempotency-Key header; retries with the same key get the original response
+// The sending machine is resolved by the resolveDevice middleware (req.device)
+router.post('/', resolveDevice, idempotent('bin.full'), async (req, res) => {
   try {
     console.log('Bin full notification received at:', new Date().toISOString());
     
     const { bin } = req.body;
+    const categories = await getWasteCategories();
     
     // Validate bin type
-    if (!bin || ![1, 2, 3].includes(Number(bin))) {
+    if (!bin || !getBinTypes(categories).includes(Number(bin))) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid bin type. Must be 1 (Recyclable), 2 (Biodegradable), or 3 (Non-Biodegradable)',
+        message: `Invalid bin type. Must be ${describeBinTypes(categories)}`,
         received: bin
       });
     }
@@ -30,6 +36,10 @@ router.post('/', async (req, res) => {
         data: {
           fullAt: new Date(),
           binType: binType,
+          deviceId: req.device.id,
+        },
+        include: {
+          device: { select: { id: true, name: true, location: true } }
         },
       });
     });
@@ -46,6 +56,9 @@ router.post('/', async (req, res) => {
         id: newBinRecord.id,
         fullAt: newBinRecord.fullAt,
         binType: newBinRecord.binType,
+        binName: getBinName(newBinRecord.binType, categories),
+        deviceId: newBinRecord.deviceId,
+        device: newBinRecord.device,
         createdAt: newBinRecord.createdAt
       }
     });
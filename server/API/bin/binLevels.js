@@ -0,0 +1,325 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { resolveDevice, parseDeviceIdParam } from '../../utils/devices.js';
+import { idempotent } from '../../utils/idempotency.js';
+import { broadcastBinNotification } from './notifications.js';
+import { getWasteCategories, getBinTypes, getBinName, describeBinTypes } from '../../utils/wasteCategories.js';
+
+// Route Path ( '/api/bin/levels' )
+const router = express.Router();
+
+// Used for bins that have no threshold configured yet
+const DEFAULT_WARNING_LEVEL = parseInt(process.env.BIN_WARNING_LEVEL) || 80;
+
+// A warning is re-armed once the level drops this far below the threshold (e.g. after emptying)
+const WARNING_RESET_MARGIN = 10;
+
+const invalidBinResponse = (res, bin, categories) => {
+  return res.status(400).json({
+    success: false,
+    message: `Invalid bin type. Must be ${describeBinTypes(categories)}`,
+    received: bin
+  });
+};
+
+// POST /api/bin/levels - Called by the machine with a fill-level sensor reading
+// Expected body: { bin, level: 0-100 } where bin is a bin number used by an active waste category
+// Crossing the bin's warning threshold notifies dashboards once, until the level drops again
+router.post('/', resolveDevice, idempotent('bin.level'), async (req, res) => {
+  try {
+    const { bin, level } = req.body;
+
+    const categories = await getWasteCategories();
+    if (!bin || !getBinTypes(categories).includes(Number(bin))) {
+      return invalidBinResponse(res, bin, categories);
+    }
+
+    if (typeof level !== 'number' || level < 0 || level > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid level. Must be a number between 0 and 100 (percent full).',
+        received: level
+      });
+    }
+
+    const binType = Number(bin);
+    const deviceId = req.device.id;
+
+    const [reading, threshold] = await retryOperation(async () => {
+      return await Promise.all([
+        prisma.binFillReading.create({
+          data: { deviceId, binType, fillLevel: level }
+        }),
+        prisma.binThreshold.findUnique({
+          where: { deviceId_binType: { deviceId, binType } }
+        })
+      ]);
+    });
+
+    const warningLevel = threshold?.warningLevel ?? DEFAULT_WARNING_LEVEL;
+    const wasWarning = threshold?.isWarning ?? false;
+    let warningTriggered = false;
+
+    if (level >= warningLevel && !wasWarning) {
+      // Only the request that flips the flag sends the warning
+      const { count } = await retryOperation(async () => {
+        if (!threshold) {
+          await prisma.binThreshold.upsert({
+            where: { deviceId_binType: { deviceId, binType } },
+            create: { deviceId, binType, warningLevel },
+            update: {}
+          });
+        }
+        return await prisma.binThreshold.updateMany({
+          where: { deviceId, binType, isWarning: false },
+          data: { isWarning: true, lastWarnedAt: new Date() }
+        });
+      });
+      warningTriggered = count > 0;
+    } else if (wasWarning && level < warningLevel - WARNING_RESET_MARGIN) {
+      await retryOperation(async () => {
+        return await prisma.binThreshold.update({
+          where: { deviceId_binType: { deviceId, binType } },
+          data: { isWarning: false }
+        });
+      });
+    }
+
+    if (warningTriggered) {
+      const warning = {
+        deviceId,
+        deviceName: req.device.name,
+        location: req.device.location,
+        binType,
+        binName: getBinName(binType, categories),
+        level,
+        warningLevel,
+        readingId: reading.id
+      };
+
+      try {
+        await retryOperation(async () => {
+          return await prisma.wasteNotification.create({
+            data: {
+              type: 'BIN_LEVEL_WARNING',
+              wasteType: categories.find((category) => category.binType === binType)?.code || `BIN_${binType}`,
+              quantity: Math.round(level),
+              isRead: false,
+              metadata: warning
+            }
+          });
+        });
+      } catch (error) {
+        console.warn('Could not create notification:', error.message);
+      }
+
+      broadcastBinNotification({
+        type: 'BIN_LEVEL_WARNING',
+        data: warning,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Fill level recorded successfully',
+      data: {
+        id: reading.id,
+        binType,
+        fillLevel: reading.fillLevel,
+        recordedAt: reading.recordedAt,
+        deviceId,
+        warningLevel,
+        warningTriggered
+      }
+    });
+  } catch (error) {
+    console.error('Error recording fill level:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record fill level',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET /api/bin/levels/latest - Latest fill level of every bin on every active machine (for gauges)
+// Optional ?deviceId= limits results to a single machine
+router.get('/latest', requirePermission('waste:read'), async (req, res) => {
+  try {
+    const deviceId = parseDeviceIdParam(req.query.deviceId);
+    if (deviceId === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid deviceId. Must be a positive number.',
+        received: req.query.deviceId
+      });
+    }
+
+    const devices = await retryOperation(async () => {
+      return await prisma.device.findMany({
+        where: { isActive: true, ...(deviceId && { id: deviceId }) },
+        select: {
+          id: true,
+          name: true,
+          location: true,
+          binSettings: true
+        },
+        orderBy: { name: 'asc' }
+      });
+    });
+
+    const categories = await getWasteCategories();
+    const bins = await retryOperation(async () => {
+      return await Promise.all(devices.flatMap((device) => getBinTypes(categories).map(async (binType) => {
+        const latest = await prisma.binFillReading.findFirst({
+          where: { deviceId: device.id, binType },
+          orderBy: { recordedAt: 'desc' }
+        });
+        const threshold = device.binSettings.find((setting) => setting.binType === binType);
+
+        return {
+          deviceId: device.id,
+          deviceName: device.name,
+          location: device.location,
+          binType,
+          binName: getBinName(binType, categories),
+          fillLevel: latest?.fillLevel ?? null,
+          recordedAt: latest?.recordedAt ?? null,
+          warningLevel: threshold?.warningLevel ?? DEFAULT_WARNING_LEVEL,
+          isWarning: threshold?.isWarning ?? false
+        };
+      })));
+    });
+
+    res.json({
+      success: true,
+      data: bins
+    });
+  } catch (error) {
+    console.error('Error fetching latest fill levels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fill levels',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET /api/bin/levels/history - Fill level time series for one bin
+// Required ?deviceId= and ?bin=; optional ?dateFrom=, ?dateTo=, ?limit= (default 500)
+router.get('/history', requirePermission('waste:read'), async (req, res) => {
+  try {
+    const { bin, dateFrom, dateTo, limit = 500 } = req.query;
+    const deviceId = parseDeviceIdParam(req.query.deviceId);
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'deviceId is required and must be a positive number.',
+        received: req.query.deviceId
+      });
+    }
+
+    const categories = await getWasteCategories();
+    if (!bin || !getBinTypes(categories).includes(Number(bin))) {
+      return invalidBinResponse(res, bin, categories);
+    }
+
+    const where = { deviceId, binType: Number(bin) };
+    if (dateFrom || dateTo) {
+      where.recordedAt = {};
+      if (dateFrom) where.recordedAt.gte = new Date(dateFrom);
+      if (dateTo) where.recordedAt.lte = new Date(dateTo);
+    }
+
+    const readings = await retryOperation(async () => {
+      return await prisma.binFillReading.findMany({
+        where,
+        orderBy: { recordedAt: 'desc' },
+        take: Math.min(parseInt(limit) || 500, 5000),
+        select: { id: true, fillLevel: true, recordedAt: true }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deviceId,
+        binType: Number(bin),
+        readings: readings.reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching fill level history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fill level history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// PUT /api/bin/levels/thresholds - Set the warning level of a bin
+// Expected body: { deviceId, bin, warningLevel: 1-100 }
+router.put('/thresholds', requirePermission('waste:configure'), async (req, res) => {
+  try {
+    const { bin, warningLevel } = req.body;
+    const deviceId = parseDeviceIdParam(req.body.deviceId);
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'deviceId is required and must be a positive number.',
+        received: req.body.deviceId
+      });
+    }
+
+    const categories = await getWasteCategories();
+    if (!bin || !getBinTypes(categories).includes(Number(bin))) {
+      return invalidBinResponse(res, bin, categories);
+    }
+
+    if (!Number.isInteger(warningLevel) || warningLevel < 1 || warningLevel > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'warningLevel must be a whole number between 1 and 100.',
+        received: warningLevel
+      });
+    }
+
+    const binType = Number(bin);
+    const threshold = await retryOperation(async () => {
+      return await prisma.binThreshold.upsert({
+        where: { deviceId_binType: { deviceId, binType } },
+        create: { deviceId, binType, warningLevel },
+        // Re-arm so the new level is checked on the next reading
+        update: { warningLevel, isWarning: false }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Warning threshold updated',
+      data: threshold
+    });
+  } catch (error) {
+    console.error('Error updating bin threshold:', error);
+
+    if (error.code === 'P2003') {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update warning threshold',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,9 +1,129 @@
 import express from 'express';
+import { Prisma } from '@prisma/client';
 import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { parseDeviceIdParam } from '../../utils/devices.js';
+import { getWasteCategories, getBinTypes, getBinName } from '../../utils/wasteCategories.js';
 
 // Route Path ( '/api/bin/analytics' )
 const router = express.Router();
 
+// Every analytics endpoint accepts an optional ?deviceId= to scope results to one machine
+const resolveDeviceFilter = (req, res, next) => {
+  const deviceId = parseDeviceIdParam(req.query.deviceId);
+
+  if (deviceId === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid deviceId. Must be a positive number.',
+      received: req.query.deviceId
+    });
+  }
+
+  req.deviceFilter = deviceId ? { deviceId } : {};
+  req.deviceSql = deviceId ? Prisma.sql`AND deviceId = ${deviceId}` : Prisma.empty;
+  next();
+};
+
+router.use(requirePermission('waste:read'), resolveDeviceFilter);
+
+// A full bin should be emptied within this many minutes; later collections count as SLA breaches
+const COLLECTION_SLA_MINUTES = parseInt(process.env.BIN_COLLECTION_SLA_MINUTES) || 120;
+
+const minutesBetween = (from, to) => Math.max(0, Math.round((new Date(to) - new Date(from)) / (1000 * 60)));
+
+// How far back the forecast learns fill cycles from, and the window used for the current inflow rate
+const FORECAST_LOOKBACK_DAYS = 90;
+const INFLOW_WINDOW_HOURS = 7 * 24;
+
+// A fill level reading older than this is not trusted as the bin's current state
+const FILL_READING_MAX_AGE_HOURS = 6;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Estimate when one bin will next be full from its past fill cycles and the machine's waste inflow.
+// A cycle runs from the bin being emptied (or, before collections were tracked, its previous full event)
+// to the next full event; the items deposited in a cycle approximate the bin's capacity.
+const forecastBin = ({ fullEvents, deposits, latestReading, now }) => {
+  const cycles = [];
+  for (let i = 1; i < fullEvents.length; i++) {
+    const previous = fullEvents[i - 1];
+    const start = previous.emptiedAt || previous.fullAt;
+    const end = fullEvents[i].fullAt;
+    if (end <= start) continue;
+
+    const items = deposits
+      .filter((deposit) => deposit.recordedAt > start && deposit.recordedAt <= end)
+      .reduce((sum, deposit) => sum + deposit.count, 0);
+    cycles.push({ hours: (end - start) / (1000 * 60 * 60), items });
+  }
+
+  const lastEvent = fullEvents[fullEvents.length - 1];
+  const cycleStart = lastEvent ? (lastEvent.emptiedAt || lastEvent.fullAt) : null;
+  const itemsSinceEmptied = deposits
+    .filter((deposit) => !cycleStart || deposit.recordedAt > cycleStart)
+    .reduce((sum, deposit) => sum + deposit.count, 0);
+
+  const inflowSince = new Date(now.getTime() - INFLOW_WINDOW_HOURS * 60 * 60 * 1000);
+  const recentItems = deposits
+    .filter((deposit) => deposit.recordedAt > inflowSince)
+    .reduce((sum, deposit) => sum + deposit.count, 0);
+  const inflowPerHour = recentItems / INFLOW_WINDOW_HOURS;
+
+  const capacities = cycles.map((cycle) => cycle.items).filter((items) => items > 0);
+  const estimatedCapacity = capacities.length > 0 ? Math.round(median(capacities)) : null;
+
+  const result = {
+    status: 'filling',
+    predictedFullAt: null,
+    hoursUntilFull: null,
+    method: null,
+    confidence: cycles.length >= 5 ? 'high' : cycles.length >= 2 ? 'medium' : 'low',
+    cyclesObserved: cycles.length,
+    itemsSinceEmptied,
+    estimatedCapacity,
+    inflowPerHour: Number(inflowPerHour.toFixed(2))
+  };
+
+  // Still waiting to be emptied
+  if (lastEvent && !lastEvent.emptiedAt) {
+    return { ...result, status: 'full', predictedFullAt: lastEvent.fullAt, hoursUntilFull: 0, method: 'reported' };
+  }
+
+  const readingIsCurrent = latestReading
+    && (!cycleStart || latestReading.recordedAt > cycleStart)
+    && now - latestReading.recordedAt <= FILL_READING_MAX_AGE_HOURS * 60 * 60 * 1000;
+
+  let hoursUntilFull = null;
+  if (estimatedCapacity && inflowPerHour > 0) {
+    // Prefer the sensor's view of how full the bin is over counting deposits
+    const remaining = readingIsCurrent
+      ? estimatedCapacity * (1 - Math.min(latestReading.fillLevel, 100) / 100)
+      : Math.max(estimatedCapacity - itemsSinceEmptied, 0);
+    hoursUntilFull = remaining / inflowPerHour;
+    result.method = readingIsCurrent ? 'fill_level' : 'inflow';
+  } else if (cycles.length > 0 && cycleStart) {
+    // No recent deposits to extrapolate from; fall back to how long bins usually take to fill
+    const averageHours = cycles.reduce((sum, cycle) => sum + cycle.hours, 0) / cycles.length;
+    hoursUntilFull = Math.max(averageHours - (now - cycleStart) / (1000 * 60 * 60), 0);
+    result.method = 'interval';
+  }
+
+  if (hoursUntilFull === null) {
+    return { ...result, status: 'unknown', method: 'insufficient_data', confidence: 'low' };
+  }
+
+  return {
+    ...result,
+    hoursUntilFull: Number(hoursUntilFull.toFixed(1)),
+    predictedFullAt: new Date(now.getTime() + hoursUntilFull * 60 * 60 * 1000)
+  };
+};
+
 // GET /api/bin/analytics - Main analytics endpoint
 router.get('/', async (req, res) => {
   try {
@@ -39,7 +159,8 @@ router.get('/', async (req, res) => {
           fullAt: {
             gte: startDate,
             lte: endDate
-          }
+          },
+          ...req.deviceFilter
         },
         orderBy: {
           fullAt: 'asc'
@@ -212,7 +333,7 @@ router.get('/daily', async (req, res) => {
           DATE(fullAt) as date,
           COUNT(*) as binFullCount
         FROM bin_records 
-        WHERE fullAt >= ${startDate} AND fullAt <= ${endDate}
+        WHERE fullAt >= ${startDate} AND fullAt <= ${endDate} ${req.deviceSql}
         GROUP BY DATE(fullAt)
         ORDER BY date DESC
       `;
@@ -276,7 +397,7 @@ router.get('/monthly', async (req, res) => {
           MONTH(fullAt) as month,
           COUNT(*) as binFullCount
         FROM bin_records 
-        WHERE fullAt >= DATE_SUB(NOW(), INTERVAL ${monthsNum} MONTH)
+        WHERE fullAt >= DATE_SUB(NOW(), INTERVAL ${monthsNum} MONTH) ${req.deviceSql}
         GROUP BY YEAR(fullAt), MONTH(fullAt)
         ORDER BY year DESC, month DESC
       `;
@@ -317,6 +438,207 @@ router.get('/monthly', async (req, res) => {
   }
 });
 
+// GET /api/bin/analytics/collection - How quickly full bins are emptied
+// Optional ?days= (default 30) sets the window for response time and breach counts
+// Bins awaiting collection are always current, regardless of the window
+router.get('/collection', async (req, res) => {
+  try {
+    const daysNum = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = new Date();
+    since.setDate(since.getDate() - daysNum);
+
+    const [collected, outstanding] = await retryOperation(async () => {
+      return await prisma.$transaction([
+        // Only collections confirmed by staff; events migrated from before tracking have no emptiedBy
+        prisma.bin.findMany({
+          where: {
+            emptiedAt: { gte: since },
+            emptiedById: { not: null },
+            ...req.deviceFilter
+          },
+          select: { fullAt: true, emptiedAt: true }
+        }),
+        prisma.bin.findMany({
+          where: {
+            emptiedAt: null,
+            ...req.deviceFilter
+          },
+          include: {
+            device: { select: { id: true, name: true, location: true } }
+          },
+          orderBy: { fullAt: 'asc' }
+        })
+      ]);
+    });
+
+    const responseTimes = collected.map((record) => minutesBetween(record.fullAt, record.emptiedAt));
+    const lateCollections = responseTimes.filter((minutes) => minutes > COLLECTION_SLA_MINUTES).length;
+
+    // One entry per physical bin, keyed on its oldest outstanding full event
+    const categories = await getWasteCategories();
+    const now = new Date();
+    const awaitingMap = new Map();
+    outstanding.forEach((record) => {
+      const key = `${record.deviceId ?? 'none'}-${record.binType}`;
+      if (awaitingMap.has(key)) {
+        awaitingMap.get(key).pendingEvents++;
+        return;
+      }
+
+      const waitingMinutes = minutesBetween(record.fullAt, now);
+      awaitingMap.set(key, {
+        recordId: record.id,
+        deviceId: record.deviceId,
+        device: record.device,
+        binType: record.binType,
+        binName: getBinName(record.binType, categories),
+        fullSince: record.fullAt,
+        waitingMinutes,
+        overdue: waitingMinutes > COLLECTION_SLA_MINUTES,
+        pendingEvents: 1
+      });
+    });
+
+    const awaitingCollection = Array.from(awaitingMap.values());
+    const overdueBins = awaitingCollection.filter((bin) => bin.overdue).length;
+
+    res.status(200).json({
+      success: true,
+      message: 'Bin collection analytics retrieved successfully',
+      data: {
+        period: `${daysNum} days`,
+        slaMinutes: COLLECTION_SLA_MINUTES,
+        collections: responseTimes.length,
+        averageResponseMinutes: responseTimes.length > 0
+          ? Math.round(responseTimes.reduce((sum, minutes) => sum + minutes, 0) / responseTimes.length)
+          : null,
+        longestResponseMinutes: responseTimes.length > 0 ? Math.max(...responseTimes) : null,
+        awaitingCount: awaitingCollection.length,
+        awaitingCollection,
+        slaBreaches: {
+          total: lateCollections + overdueBins,
+          lateCollections,
+          overdueBins
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving bin collection analytics:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve bin collection analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// GET /api/bin/analytics/forecast - Estimated time until each bin on each active machine is next full
+// Soonest first; bins without enough history are listed last with status "unknown"
+router.get('/forecast', async (req, res) => {
+  try {
+    const now = new Date();
+    const since = new Date(now);
+    since.setDate(since.getDate() - FORECAST_LOOKBACK_DAYS);
+
+    const devices = await retryOperation(async () => {
+      return await prisma.device.findMany({
+        where: {
+          isActive: true,
+          ...(req.deviceFilter.deviceId && { id: req.deviceFilter.deviceId })
+        },
+        select: { id: true, name: true, location: true },
+        orderBy: { name: 'asc' }
+      });
+    });
+
+    const deviceIds = devices.map((device) => device.id);
+
+    const [fullEvents, wasteRecords, readings] = await retryOperation(async () => {
+      return await prisma.$transaction([
+        prisma.bin.findMany({
+          where: {
+            deviceId: { in: deviceIds },
+            // Always include outstanding events, however old, so a full bin is never forecast as filling
+            OR: [{ fullAt: { gte: since } }, { emptiedAt: null }]
+          },
+          select: { deviceId: true, binType: true, fullAt: true, emptiedAt: true },
+          orderBy: { fullAt: 'asc' }
+        }),
+        prisma.waste_items.findMany({
+          where: {
+            deviceId: { in: deviceIds },
+            recordedAt: { gte: since }
+          },
+          select: {
+            deviceId: true,
+            recordedAt: true,
+            quantities: { select: { quantity: true, category: { select: { binType: true } } } }
+          }
+        }),
+        prisma.binFillReading.findMany({
+          where: {
+            deviceId: { in: deviceIds },
+            recordedAt: { gte: new Date(now.getTime() - FILL_READING_MAX_AGE_HOURS * 60 * 60 * 1000) }
+          },
+          orderBy: { recordedAt: 'desc' }
+        })
+      ]);
+    });
+
+    const categories = await getWasteCategories();
+
+    // Items counted into a bin are those of every category currently sorted into it
+    const forecasts = devices.flatMap((device) => getBinTypes(categories).map((binType) => {
+      const deposits = wasteRecords
+        .filter((record) => record.deviceId === device.id)
+        .map((record) => ({
+          recordedAt: record.recordedAt,
+          count: record.quantities
+            .filter((item) => item.category.binType === binType)
+            .reduce((sum, item) => sum + item.quantity, 0)
+        }))
+        .filter((deposit) => deposit.count > 0);
+
+      return {
+        deviceId: device.id,
+        deviceName: device.name,
+        location: device.location,
+        binType,
+        binName: getBinName(binType, categories),
+        ...forecastBin({
+          fullEvents: fullEvents.filter((event) => event.deviceId === device.id && event.binType === binType),
+          deposits,
+          latestReading: readings.find((reading) => reading.deviceId === device.id && reading.binType === binType),
+          now
+        })
+      };
+    }));
+
+    forecasts.sort((a, b) => (a.hoursUntilFull ?? Infinity) - (b.hoursUntilFull ?? Infinity));
+
+    res.status(200).json({
+      success: true,
+      message: 'Bin fill forecast generated successfully',
+      data: {
+        generatedAt: now,
+        lookbackDays: FORECAST_LOOKBACK_DAYS,
+        forecasts
+      }
+    });
+
+  } catch (error) {
+    console.error('Error generating bin forecast:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate bin forecast',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // GET /api/bin/analytics/summary - Get overall bin statistics summary
 router.get('/summary', async (req, res) => {
   try {
@@ -337,7 +659,8 @@ router.get('/summary', async (req, res) => {
           where: {
             fullAt: {
               gte: today
-            }
+            },
+            ...req.deviceFilter
           }
         }),
         
@@ -346,7 +669,8 @@ router.get('/summary', async (req, res) => {
           where: {
             fullAt: {
               gte: thisWeek
-            }
+            },
+            ...req.deviceFilter
           }
         }),
         
@@ -355,12 +679,14 @@ router.get('/summary', async (req, res) => {
           where: {
             fullAt: {
               gte: thisMonth
-            }
+            },
+            ...req.deviceFilter
           }
         }),
         
         // Last record
         prisma.bin.findFirst({
+          where: req.deviceFilter,
           orderBy: {
             fullAt: 'desc'
           }
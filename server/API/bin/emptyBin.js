@@ -0,0 +1,182 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { parseDeviceIdParam } from '../../utils/devices.js';
+import { broadcastBinNotification } from './notifications.js';
+import { getWasteCategories, getBinTypes, getBinName, describeBinTypes } from '../../utils/wasteCategories.js';
+
+// Route Path ( '/api/bin/emptied' )
+const router = express.Router();
+
+// POST /api/bin/emptied - Staff confirm that a full bin has been collected
+// Expected body: { recordId } of the bin full event, or { deviceId, bin } to close whatever is outstanding
+// Optional: { emptiedAt } when logging a collection after the fact (defaults to now)
+// Emptying a bin closes every outstanding full event of that machine's bin, since one collection clears them all
+router.post('/', requirePermission('bins:empty'), async (req, res) => {
+  try {
+    const { recordId, bin } = req.body;
+    let emptiedAt = new Date();
+
+    if (req.body.emptiedAt !== undefined) {
+      emptiedAt = new Date(req.body.emptiedAt);
+      if (isNaN(emptiedAt.getTime()) || emptiedAt.getTime() > Date.now() + 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid emptiedAt. Must be a valid date that is not in the future.',
+          received: req.body.emptiedAt
+        });
+      }
+    }
+
+    let target;
+
+    if (recordId !== undefined) {
+      const id = parseInt(recordId);
+      if (!id || id < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recordId. Must be a positive number.',
+          received: recordId
+        });
+      }
+
+      const record = await retryOperation(async () => {
+        return await prisma.bin.findUnique({
+          where: { id },
+          include: { emptiedBy: { select: { id: true, username: true } } }
+        });
+      });
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bin record not found'
+        });
+      }
+
+      if (record.emptiedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'This bin full event has already been marked as emptied',
+          error: 'ALREADY_EMPTIED',
+          data: {
+            id: record.id,
+            emptiedAt: record.emptiedAt,
+            emptiedBy: record.emptiedBy
+          }
+        });
+      }
+
+      target = { deviceId: record.deviceId, binType: record.binType };
+    } else {
+      const deviceId = parseDeviceIdParam(req.body.deviceId);
+
+      if (!deviceId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide either recordId, or deviceId and bin.',
+          received: { recordId, deviceId: req.body.deviceId, bin }
+        });
+      }
+
+      const categories = await getWasteCategories();
+      if (!bin || !getBinTypes(categories).includes(Number(bin))) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid bin type. Must be ${describeBinTypes(categories)}`,
+          received: bin
+        });
+      }
+
+      target = { deviceId, binType: Number(bin) };
+    }
+
+    const outstanding = await retryOperation(async () => {
+      return await prisma.bin.findMany({
+        where: {
+          ...target,
+          emptiedAt: null,
+          fullAt: { lte: emptiedAt }
+        },
+        orderBy: { fullAt: 'asc' },
+        select: { id: true, fullAt: true }
+      });
+    });
+
+    if (outstanding.length === 0) {
+      return res.status(recordId !== undefined ? 400 : 404).json({
+        success: false,
+        message: recordId !== undefined
+          ? 'emptiedAt cannot be earlier than the time the bin became full'
+          : 'This bin has no outstanding full event awaiting collection',
+        error: recordId !== undefined ? 'EMPTIED_BEFORE_FULL' : 'NOTHING_TO_EMPTY'
+      });
+    }
+
+    const recordIds = outstanding.map((record) => record.id);
+
+    // Guarded on emptiedAt so two people confirming at once cannot both claim the collection
+    const { count } = await retryOperation(async () => {
+      return await prisma.bin.updateMany({
+        where: { id: { in: recordIds }, emptiedAt: null },
+        data: { emptiedAt, emptiedById: req.user.id }
+      });
+    });
+
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This bin was marked as emptied by someone else in the meantime',
+        error: 'ALREADY_EMPTIED'
+      });
+    }
+
+    // Re-arm the fill level warning so the next fill is reported again
+    if (target.deviceId) {
+      try {
+        await retryOperation(async () => {
+          return await prisma.binThreshold.updateMany({
+            where: { ...target, isWarning: true },
+            data: { isWarning: false }
+          });
+        });
+      } catch (error) {
+        console.warn('Could not reset bin level warning:', error.message);
+      }
+    }
+
+    const fullSince = outstanding[0].fullAt;
+    const collection = {
+      recordId: outstanding[0].id,
+      recordIds,
+      deviceId: target.deviceId,
+      binType: target.binType,
+      binName: getBinName(target.binType, await getWasteCategories()),
+      fullAt: fullSince,
+      emptiedAt,
+      emptiedBy: { id: req.user.id, username: req.user.username },
+      responseMinutes: Math.max(0, Math.round((emptiedAt - fullSince) / (1000 * 60)))
+    };
+
+    broadcastBinNotification({
+      type: 'BIN_EMPTIED',
+      data: collection,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Bin marked as emptied',
+      data: collection
+    });
+  } catch (error) {
+    console.error('Error marking bin as emptied:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark bin as emptied',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+export default router;
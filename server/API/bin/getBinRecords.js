@@ -1,10 +1,19 @@
 import express from 'express';
 import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { parseDeviceIdParam } from '../../utils/devices.js';
 
 const router = express.Router();
 
+// Device summary included with every bin record
+const deviceSelect = { select: { id: true, name: true, location: true } };
+
+// Who confirmed the collection, for emptied records
+const emptiedBySelect = { select: { id: true, username: true } };
+
 // GET /api/bin/records - Get all bin full notifications with pagination
-router.get('/', async (req, res) => {
+// Optional ?deviceId= limits results to a single machine, ?status=awaiting|emptied to collection state
+router.get('/', requirePermission('waste:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -12,9 +21,20 @@ router.get('/', async (req, res) => {
       sortBy = 'fullAt',
       sortOrder = 'desc',
       dateFrom,
-      dateTo
+      dateTo,
+      deviceId,
+      status
     } = req.query;
 
+    const deviceIdNum = parseDeviceIdParam(deviceId);
+    if (deviceIdNum === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid deviceId. Must be a positive number.',
+        received: deviceId
+      });
+    }
+
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
@@ -30,12 +50,21 @@ router.get('/', async (req, res) => {
         dateFilter.fullAt.lte = new Date(dateTo);
       }
     }
+    if (deviceIdNum) {
+      dateFilter.deviceId = deviceIdNum;
+    }
+    if (status === 'awaiting') {
+      dateFilter.emptiedAt = null;
+    } else if (status === 'emptied') {
+      dateFilter.emptiedAt = { not: null };
+    }
 
     // Get records with retry operation for reliability
     const [records, totalCount] = await retryOperation(async () => {
       return await prisma.$transaction([
         prisma.bin.findMany({
           where: dateFilter,
+          include: { device: deviceSelect, emptiedBy: emptiedBySelect },
           orderBy: {
             [sortBy]: sortOrder
           },
@@ -78,10 +107,21 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/bin/records/latest - Get the most recent bin full notification
-router.get('/latest', async (req, res) => {
+router.get('/latest', requirePermission('waste:read'), async (req, res) => {
   try {
+    const deviceIdNum = parseDeviceIdParam(req.query.deviceId);
+    if (deviceIdNum === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid deviceId. Must be a positive number.',
+        received: req.query.deviceId
+      });
+    }
+
     const latestRecord = await retryOperation(async () => {
       return await prisma.bin.findFirst({
+        where: deviceIdNum ? { deviceId: deviceIdNum } : {},
+        include: { device: deviceSelect, emptiedBy: emptiedBySelect },
         orderBy: {
           fullAt: 'desc'
         }
@@ -8,11 +8,15 @@ import addBinRecordRouter from './addBinRecord.js';
 import getBinRecordsRouter from './getBinRecords.js';
 import binAnalyticsRouter from './bin_analytics.js';
 import notificationsRouter from './notifications.js';
+import binLevelsRouter from './binLevels.js';
+import emptyBinRouter from './emptyBin.js';
 
 // Register all routes
 router.use('/full', addBinRecordRouter);           // POST /api/bin/full
 router.use('/records', getBinRecordsRouter);       // GET /api/bin/records, /api/bin/records/latest
 router.use('/analytics', binAnalyticsRouter);      // GET /api/bin/analytics/*
 router.use('/notifications', notificationsRouter); // GET /api/bin/notifications/stream
+router.use('/levels', binLevelsRouter);            // POST /api/bin/levels, GET /api/bin/levels/latest, /history
+router.use('/emptied', emptyBinRouter);            // POST /api/bin/emptied
 
 export default router;
\ No newline at end of file
@@ -1,26 +1,36 @@
 import express from 'express';
+import { acceptQueryToken, requirePermission } from '../../utils/permissions.js';
+import { parseDeviceIdParam } from '../../utils/devices.js';
 
 const router = express.Router();
 
-// Store active SSE connections
-const activeConnections = new Set();
+// Store active SSE connections with the machine each one follows (kiosk screens) and what its user may see
+const activeConnections = new Map();
 
 // SSE endpoint for real-time bin notifications
-router.get('/stream', (req, res) => {
+// Carries deposits, device and stock alerts, so it needs a signed-in user; pass the token as ?token=
+// Optional ?deviceId= follows one machine: the kiosk in front of it also gets the vouchers that machine issues
+router.get('/stream', acceptQueryToken, requirePermission('waste:read'), (req, res) => {
+  const deviceId = parseDeviceIdParam(req.query.deviceId);
+  if (deviceId === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid device ID'
+    });
+  }
+
   // Set SSE headers
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Connection': 'keep-alive'
   });
 
   // Send initial connection message
   res.write('data: {"type":"connected","message":"SSE connection established"}\n\n');
 
   // Add connection to active set
-  activeConnections.add(res);
+  activeConnections.set(res, { deviceId: deviceId ?? null, permissions: req.user.permissions });
   console.log(`SSE connection opened. Active connections: ${activeConnections.size}`);
 
   // Handle client disconnect
@@ -48,7 +58,26 @@ export const broadcastBinNotification = (binRecord) => {
   console.log(`Broadcasting bin notification to ${activeConnections.size} connections`);
   
   // Send to all active connections
-  activeConnections.forEach(connection => {
+  activeConnections.forEach((subscription, connection) => {
+    try {
+      connection.write(eventData);
+    } catch (error) {
+      console.error('Error sending SSE message:', error);
+      activeConnections.delete(connection);
+    }
+  });
+};
+
+// Send an event only to the screens following one machine whose user may see vouchers.
+// Used for vouchers, which must not reach every connected dashboard.
+export const sendDeviceNotification = (deviceId, event) => {
+  const eventData = `data: ${JSON.stringify(event)}\n\n`;
+
+  activeConnections.forEach((subscription, connection) => {
+    if (subscription.deviceId !== deviceId || !subscription.permissions.includes('coupons:read')) {
+      return;
+    }
+
     try {
       connection.write(eventData);
     } catch (error) {
@@ -0,0 +1,165 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { getTodayDate, toPublicBatch, retireBatch, retireExpiredBatches, getBatchSummary } from '../../utils/couponBatches.js';
+import { checkCouponStock } from './stockAlert.js';
+
+// Route Path ( '/api/coupon/batches' )
+const router = express.Router();
+
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+let expiryTimer = null;
+
+// Retire batches that passed their expiry date even when no deposits come in to trigger it
+export const checkCouponBatchExpiry = async () => {
+  const retired = await retryOperation(async () => {
+    return await prisma.$transaction(async (tx) => retireExpiredBatches(tx));
+  });
+
+  for (const { batch, transaction } of retired) {
+    console.log(`Coupon batch ${batch.batchNumber} expired; ${transaction ? -transaction.amount : 0} coupon(s) retired from stock`.yellow);
+  }
+
+  if (retired.length > 0) {
+    await checkCouponStock();
+  }
+};
+
+// Start the periodic expiry check (called once from app.js)
+export const startCouponBatchExpiry = () => {
+  if (expiryTimer) return;
+
+  expiryTimer = setInterval(() => {
+    checkCouponBatchExpiry().catch((error) => {
+      console.error('Error retiring expired coupon batches:', error);
+    });
+  }, EXPIRY_CHECK_INTERVAL_MS);
+  expiryTimer.unref();
+};
+
+// GET /api/coupon/batches - Printed coupon batches with what is left of each, oldest first
+// Optional ?status=open (default, not yet retired), active, depleted, expired, retired or all; ?page=, ?limit=
+// summary lists upcoming expirations and the stock that is not in any batch
+router.get('/', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+    const today = getTodayDate();
+
+    const where = {};
+    if (status === 'open') {
+      where.retiredAt = null;
+    } else if (status === 'active') {
+      where.retiredAt = null;
+      where.remaining = { gt: 0 };
+      where.OR = [{ expiresAt: null }, { expiresAt: { gte: today } }];
+    } else if (status === 'depleted') {
+      where.retiredAt = null;
+      where.remaining = 0;
+    } else if (status === 'expired') {
+      where.expiresAt = { lt: today };
+    } else if (status === 'retired') {
+      where.retiredAt = { not: null };
+    }
+
+    const [batches, total, coupon, summary] = await retryOperation(async () => {
+      return await Promise.all([
+        prisma.couponBatch.findMany({
+          where,
+          orderBy: [{ printedAt: 'asc' }, { id: 'asc' }],
+          skip,
+          take: limitNum
+        }),
+        prisma.couponBatch.count({ where }),
+        prisma.coupon.findFirst({ orderBy: { id: 'desc' } }),
+        getBatchSummary()
+      ]);
+    });
+
+    res.json({
+      success: true,
+      data: batches.map(toPublicBatch),
+      summary: {
+        ...summary,
+        stock: coupon?.balance ?? 0,
+        unbatchedStock: Math.max(0, (coupon?.balance ?? 0) - summary.batchedStock)
+      },
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupon batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon batches',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/coupon/batches/:id/retire - Take what is left of a batch out of stock, e.g. damaged or recalled coupons
+// Expected body: { reason?, notes? }
+router.post('/:id/retire', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { reason, notes } = req.body;
+
+    const result = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const batch = await tx.couponBatch.findUnique({ where: { id } });
+
+        if (!batch) {
+          throw new Error('Batch not found');
+        }
+        if (batch.retiredAt) {
+          throw new Error('Batch already retired');
+        }
+
+        return await retireBatch(tx, batch, reason || `Batch ${batch.batchNumber} retired`, notes || null);
+      });
+    });
+
+    checkCouponStock();
+
+    res.json({
+      success: true,
+      message: `Batch ${result.batch.batchNumber} retired${result.transaction ? `; ${-result.transaction.amount} coupon(s) removed from stock` : ''}`,
+      data: {
+        batch: toPublicBatch(result.batch),
+        transaction: result.transaction
+      }
+    });
+  } catch (error) {
+    console.error('Error retiring coupon batch:', error);
+
+    if (error.message === 'Batch not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    if (error.message === 'Batch already retired') {
+      return res.status(409).json({
+        success: false,
+        message: 'This batch has already been retired'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retire coupon batch',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,12 +1,74 @@
 import express from 'express';
 import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { findDepositor, toDepositorSummary } from '../../utils/depositors.js';
+import { parseBatchInput, addCouponBatch, drawFromBatches, retireExpiredBatches } from '../../utils/couponBatches.js';
 
 const router = express.Router();
 
+import vouchersRouter from './vouchers.js';
+router.use('/vouchers', vouchersRouter);
+
+import rulesRouter from './rules.js';
+router.use('/rules', rulesRouter);
+
+import reconciliationRouter from './reconciliation.js';
+router.use('/reconciliation', reconciliationRouter);
+
+import batchesRouter from './batches.js';
+router.use('/batches', batchesRouter);
+
+import stockAlertRouter, { getStockAlertSettings, checkCouponStock } from './stockAlert.js';
+router.use('/stock-alert', stockAlertRouter);
+
+// Points held in depositor wallets, not yet spent on rewards
+const getWalletTotals = async () => {
+  const totals = await retryOperation(async () => {
+    return await prisma.depositor.aggregate({
+      _sum: { balance: true },
+      _count: { _all: true }
+    });
+  });
+  return {
+    depositors: totals._count._all,
+    outstanding: totals._sum.balance || 0
+  };
+};
+
 // GET /api/coupon/balance - Get current coupon balance
-router.get('/balance', async (req, res) => {
+// Optional ?depositorId=, ?rfid= or ?studentNumber= returns that depositor's wallet instead
+router.get('/balance', requirePermission('coupons:read'), async (req, res) => {
   try {
-    const coupon = await retryOperation(async () => {
+    const lookup = await findDepositor(req.query);
+
+    if (lookup.error) {
+      return res.status(400).json({
+        success: false,
+        message: lookup.error
+      });
+    }
+
+    if (lookup.requested) {
+      if (!lookup.depositor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Depositor not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          balance: lookup.depositor.balance,
+          used: lookup.depositor.redeemed,
+          available: lookup.depositor.balance,
+          earned: lookup.depositor.earned,
+          depositor: toDepositorSummary(lookup.depositor)
+        }
+      });
+    }
+
+    let coupon = await retryOperation(async () => {
       return await prisma.coupon.findFirst({
         orderBy: { id: 'desc' }
       });
@@ -14,28 +76,27 @@ router.get('/balance', async (req, res) => {
 
     if (!coupon) {
       // Initialize if doesn't exist
-      const newCoupon = await retryOperation(async () => {
+      coupon = await retryOperation(async () => {
         return await prisma.coupon.create({
           data: { balance: 0, used: 0 }
         });
       });
-
-      return res.json({
-        success: true,
-        data: {
-          balance: newCoupon.balance,
-          used: newCoupon.used,
-          available: newCoupon.balance
-        }
-      });
     }
 
+    const stockAlert = await getStockAlertSettings();
+
     res.json({
       success: true,
       data: {
         balance: coupon.balance,
         used: coupon.used,
-        available: coupon.balance
+        available: coupon.balance,
+        wallets: await getWalletTotals(),
+        lowStock: {
+          threshold: stockAlert.threshold,
+          isLow: coupon.balance <= stockAlert.threshold,
+          lastAlertedAt: stockAlert.lastAlertedAt
+        }
       }
     });
   } catch (error) {
@@ -48,8 +109,120 @@ router.get('/balance', async (req, res) => {
   }
 });
 
+// GET /api/coupon/depositors - Per-person wallet balances
+// Optional ?search= (identifier or name), ?page=, ?limit=
+router.get('/depositors', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const { search, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+    if (search && search.trim()) {
+      where.OR = [
+        { identifier: { contains: search.trim() } },
+        { name: { contains: search.trim() } }
+      ];
+    }
+
+    const [depositors, total] = await retryOperation(async () => {
+      return await prisma.$transaction([
+        prisma.depositor.findMany({
+          where,
+          orderBy: [{ balance: 'desc' }, { id: 'asc' }],
+          skip,
+          take: limitNum,
+          include: { _count: { select: { wasteRecords: true } } }
+        }),
+        prisma.depositor.count({ where })
+      ]);
+    });
+
+    res.json({
+      success: true,
+      data: depositors.map((depositor) => ({
+        ...toDepositorSummary(depositor),
+        deposits: depositor._count.wasteRecords,
+        createdAt: depositor.createdAt,
+        updatedAt: depositor.updatedAt
+      })),
+      totals: await getWalletTotals(),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching depositors:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch depositors',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/coupon/depositors/:id - Name a depositor or deactivate a lost card
+// Expected body: any of { name, isActive }
+router.put('/depositors/:id', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const { name, isActive } = req.body;
+
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'name must be a string of at most 100 characters.'
+      });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false.'
+      });
+    }
+
+    const depositor = await retryOperation(async () => {
+      return await prisma.depositor.update({
+        where: { id: parseInt(req.params.id) },
+        data: {
+          ...(name !== undefined && { name: name ? name.trim() : null }),
+          ...(isActive !== undefined && { isActive })
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Depositor updated',
+      data: toDepositorSummary(depositor)
+    });
+  } catch (error) {
+    console.error('Error updating depositor:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Depositor not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update depositor',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/coupon/transactions - Get transaction history with filters
-router.get('/transactions', async (req, res) => {
+// Optional ?depositorId= limits the ledger to one depositor's wallet
+router.get('/transactions', requirePermission('coupons:read'), async (req, res) => {
   try {
     const { 
       period = 'all',  // all, year, month, week, day, hour
@@ -57,7 +230,8 @@ router.get('/transactions', async (req, res) => {
       month,
       page = 1,
       limit = 50,
-      type  // ADD, USE, ADJUST
+      type,  // ADD, USE, ADJUST, REDEEM, EXPIRE, REFUND
+      depositorId
     } = req.query;
 
     const pageNum = parseInt(page);
@@ -96,6 +270,9 @@ router.get('/transactions', async (req, res) => {
     if (type) {
       where.type = type;
     }
+    if (depositorId) {
+      where.depositorId = parseInt(depositorId);
+    }
 
     const [transactions, total] = await retryOperation(async () => {
       return await prisma.$transaction([
@@ -103,7 +280,12 @@ router.get('/transactions', async (req, res) => {
           where,
           orderBy: { createdAt: 'desc' },
           skip,
-          take: limitNum
+          take: limitNum,
+          include: {
+            depositor: { select: { id: true, identifierType: true, identifier: true, name: true } },
+            rule: { select: { id: true, version: true } },
+            batchAllocations: { select: { quantity: true, batch: { select: { id: true, batchNumber: true } } } }
+          }
         }),
         prisma.couponTransaction.count({ where })
       ]);
@@ -130,66 +312,49 @@ router.get('/transactions', async (req, res) => {
   }
 });
 
-// POST /api/coupon/add - Admin adds coupons
-router.post('/add', async (req, res) => {
+// POST /api/coupon/add - Add a printed batch of coupons to the stock
+// Expected body: { amount, batchNumber, supplier?, printedAt?: 'YYYY-MM-DD' (default today), expiresAt?: 'YYYY-MM-DD', notes? }
+// Coupons without expiresAt never expire
+router.post('/add', requirePermission('coupons:manage'), async (req, res) => {
   try {
-    const { amount, notes } = req.body;
+    const parsed = parseBatchInput(req.body);
 
-    if (!amount || amount <= 0) {
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        message: 'Amount must be a positive number'
+        message: parsed.error
       });
     }
 
-    // Get current balance
-    let coupon = await retryOperation(async () => {
-      return await prisma.coupon.findFirst({
-        orderBy: { id: 'desc' }
+    const { batch, transaction, coupon, previousBalance } = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        return await addCouponBatch(tx, parsed.data);
       });
     });
 
-    if (!coupon) {
-      coupon = await retryOperation(async () => {
-        return await prisma.coupon.create({
-          data: { balance: 0, used: 0 }
-        });
-      });
-    }
-
-    const newBalance = coupon.balance + amount;
-
-    // Update balance and create transaction
-    const [updatedCoupon, transaction] = await retryOperation(async () => {
-      return await prisma.$transaction([
-        prisma.coupon.update({
-          where: { id: coupon.id },
-          data: { balance: newBalance }
-        }),
-        prisma.couponTransaction.create({
-          data: {
-            type: 'ADD',
-            amount,
-            balance: newBalance,
-            reason: 'Admin added coupons',
-            notes
-          }
-        })
-      ]);
-    });
+    checkCouponStock();
 
     res.json({
       success: true,
-      message: `Added ${amount} coupons successfully`,
+      message: `Added ${batch.quantity} coupons from batch ${batch.batchNumber}`,
       data: {
-        previousBalance: coupon.balance,
-        addedAmount: amount,
-        newBalance: updatedCoupon.balance,
+        previousBalance,
+        addedAmount: batch.quantity,
+        newBalance: coupon.balance,
+        batch,
         transaction
       }
     });
   } catch (error) {
     console.error('Error adding coupons:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A batch with this batch number already exists'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to add coupons',
@@ -198,8 +363,9 @@ router.post('/add', async (req, res) => {
   }
 });
 
-// POST /api/coupon/adjust - Admin manually adjusts balance
-router.post('/adjust', async (req, res) => {
+// POST /api/coupon/adjust - Manually adjust the balance
+// Deductions are taken from the oldest batches first; credits are stock outside any batch
+router.post('/adjust', requirePermission('coupons:manage'), async (req, res) => {
   try {
     const { amount, reason, notes } = req.body;
 
@@ -217,52 +383,48 @@ router.post('/adjust', async (req, res) => {
       });
     }
 
-    let coupon = await retryOperation(async () => {
-      return await prisma.coupon.findFirst({
-        orderBy: { id: 'desc' }
-      });
-    });
+    const { updatedCoupon, transaction } = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const coupon = await tx.coupon.findFirst({ orderBy: { id: 'desc' } }) ||
+          await tx.coupon.create({ data: { balance: 0, used: 0 } });
 
-    if (!coupon) {
-      coupon = await retryOperation(async () => {
-        return await prisma.coupon.create({
-          data: { balance: 0, used: 0 }
+        // Deductions are guarded on the balance so a concurrent deposit cannot take the stock below zero
+        const changed = await tx.coupon.updateMany({
+          where: amount < 0 ? { id: coupon.id, balance: { gte: -amount } } : { id: coupon.id },
+          data: { balance: { increment: amount } }
         });
-      });
-    }
 
-    const newBalance = coupon.balance + amount;
+        if (changed.count === 0) {
+          throw new Error('Negative balance');
+        }
 
-    if (newBalance < 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Adjustment would result in negative balance'
-      });
-    }
+        const updatedCoupon = await tx.coupon.findUnique({ where: { id: coupon.id } });
 
-    const [updatedCoupon, transaction] = await retryOperation(async () => {
-      return await prisma.$transaction([
-        prisma.coupon.update({
-          where: { id: coupon.id },
-          data: { balance: newBalance }
-        }),
-        prisma.couponTransaction.create({
+        const transaction = await tx.couponTransaction.create({
           data: {
             type: 'ADJUST',
             amount,
-            balance: newBalance,
+            balance: updatedCoupon.balance,
             reason,
             notes
           }
-        })
-      ]);
+        });
+
+        if (amount < 0) {
+          await drawFromBatches(tx, transaction.id, -amount);
+        }
+
+        return { updatedCoupon, transaction };
+      });
     });
 
+    checkCouponStock();
+
     res.json({
       success: true,
       message: `Adjusted coupons by ${amount}`,
       data: {
-        previousBalance: coupon.balance,
+        previousBalance: updatedCoupon.balance - amount,
         adjustment: amount,
         newBalance: updatedCoupon.balance,
         transaction
@@ -270,6 +432,14 @@ router.post('/adjust', async (req, res) => {
     });
   } catch (error) {
     console.error('Error adjusting coupons:', error);
+
+    if (error.message === 'Negative balance') {
+      return res.status(400).json({
+        success: false,
+        message: 'Adjustment would result in negative balance'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to adjust coupons',
@@ -279,7 +449,7 @@ router.post('/adjust', async (req, res) => {
 });
 
 // GET /api/coupon/summary - Summary by time period
-router.get('/summary', async (req, res) => {
+router.get('/summary', requirePermission('coupons:read'), async (req, res) => {
   try {
     const { period = 'month' } = req.query;
 
@@ -323,6 +493,9 @@ router.get('/summary', async (req, res) => {
           added: 0,
           used: 0,
           adjusted: 0,
+          redeemed: 0,
+          expired: 0,
+          refunded: 0,
           transactions: 0
         };
       }
@@ -334,6 +507,12 @@ router.get('/summary', async (req, res) => {
         summary[key].used += Math.abs(tx.amount);
       } else if (tx.type === 'ADJUST') {
         summary[key].adjusted += tx.amount;
+      } else if (tx.type === 'REDEEM') {
+        summary[key].redeemed += Math.abs(tx.amount);
+      } else if (tx.type === 'EXPIRE') {
+        summary[key].expired += Math.abs(tx.amount);
+      } else if (tx.type === 'REFUND') {
+        summary[key].refunded += tx.amount;
       }
     });
 
@@ -352,50 +531,95 @@ router.get('/summary', async (req, res) => {
 });
 
 // Internal function to consume coupons (called by waste record creation)
-export const consumeCoupons = async (wasteRecordId, amount = 1) => {
+// Pass a transaction client (tx) to consume as part of a larger interactive transaction
+// With a depositorId the coupons drawn from stock are credited to that depositor's wallet;
+// ruleId and notes record the earning rule version that worked out the amount.
+// Coupons come from the oldest batch first, after expired batches have been retired.
+export const consumeCoupons = async (wasteRecordId, amount = 1, tx = null, { depositorId = null, ruleId = null, notes = null } = {}) => {
   try {
-    let coupon = await retryOperation(async () => {
-      return await prisma.coupon.findFirst({
+    const run = (operation) => tx
+      ? operation(tx)
+      : retryOperation(() => prisma.$transaction(operation));
+
+    const result = await run(async (client) => {
+      await retireExpiredBatches(client);
+
+      const coupon = await client.coupon.findFirst({
         orderBy: { id: 'desc' }
       });
-    });
 
-    if (!coupon) {
-      console.warn('No coupon record found, skipping consumption');
-      return null;
-    }
+      if (!coupon) {
+        console.warn('No coupon record found, skipping consumption');
+        return null;
+      }
 
-    if (coupon.balance < amount) {
-      console.warn('Insufficient coupon balance');
-      return null;
-    }
+      let depositor = null;
+      if (depositorId) {
+        depositor = await client.depositor.findUnique({
+          where: { id: depositorId }
+        });
 
-    const newBalance = coupon.balance - amount;
-    const newUsed = coupon.used + amount;
+        // Deactivated wallets (lost or blocked cards) keep their deposits but earn nothing
+        if (!depositor || !depositor.isActive) {
+          console.warn(`Depositor ${depositorId} is not active, skipping consumption`);
+          return null;
+        }
+      }
 
-const [updatedCoupon, transaction] = await retryOperation(async () => {
-      return await prisma.$transaction([
-        prisma.coupon.update({
-          where: { id: coupon.id },
-          data: {
-            balance: newBalance,
-            used: newUsed
-          }
-        }),
-        prisma.couponTransaction.create({
+      // Guarded on the balance so concurrent deposits cannot take the stock below zero
+      const taken = await client.coupon.updateMany({
+        where: { id: coupon.id, balance: { gte: amount } },
+        data: {
+          balance: { decrement: amount },
+          used: { increment: amount }
+        }
+      });
+
+      if (taken.count === 0) {
+        console.warn('Insufficient coupon balance');
+        return null;
+      }
+
+      const updatedCoupon = await client.coupon.findUnique({
+        where: { id: coupon.id }
+      });
+
+      const updatedDepositor = depositor
+        ? await client.depositor.update({
+          where: { id: depositor.id },
           data: {
-            type: 'USE',
-            amount: -amount,
-            balance: newBalance,
-            reason: 'Waste record processed',
-            wasteRecordId,
-            notes: `Auto-consumed ${amount} coupon(s) for waste processing`     
+            balance: { increment: amount },
+            earned: { increment: amount }
           }
         })
-      ]);
+        : null;
+
+      const transaction = await client.couponTransaction.create({
+        data: {
+          type: 'USE',
+          amount: -amount,
+          balance: updatedCoupon.balance,
+          reason: 'Waste record processed',
+          wasteRecordId,
+          depositorId: depositor?.id ?? null,
+          depositorBalance: updatedDepositor?.balance ?? null,
+          ruleId,
+          notes: notes || (depositor
+            ? `Earned ${amount} coupon(s) for waste processing`
+            : `Auto-consumed ${amount} coupon(s) for waste processing`)
+        }
+      });
+
+      await drawFromBatches(client, transaction.id, amount);
+
+      return { updatedCoupon, transaction, depositor: updatedDepositor };
     });
 
-    return { updatedCoupon, transaction };
+    // Inside a caller's transaction the stock is checked by the caller once it commits
+    if (!tx) {
+      checkCouponStock();
+    }
+    return result;
   } catch (error) {
     console.error('Error consuming coupons:', error);
     throw error;
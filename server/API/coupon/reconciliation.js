@@ -0,0 +1,218 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { reconcileCouponLedger, recordReconciliation } from '../../utils/couponLedger.js';
+import { drawFromBatches } from '../../utils/couponBatches.js';
+import { checkCouponStock } from './stockAlert.js';
+
+// Route Path ( '/api/coupon/reconciliation' )
+const router = express.Router();
+
+// How often the scheduled job checks the ledger (hours)
+const RECONCILE_INTERVAL_HOURS = parseInt(process.env.COUPON_RECONCILE_INTERVAL_HOURS) || 6;
+let reconcileTimer = null;
+
+const checkLedger = async (trigger) => {
+  return await retryOperation(async () => {
+    return await prisma.$transaction(async (tx) => {
+      const report = await reconcileCouponLedger(tx);
+      return await recordReconciliation(tx, report, trigger);
+    }, { timeout: 30000 });
+  });
+};
+
+// Scheduled check; discrepancies are logged and kept in the audit history for an admin to correct
+export const runCouponReconciliation = async () => {
+  const reconciliation = await checkLedger('SCHEDULED');
+
+  if (reconciliation.discrepancyCount > 0) {
+    console.warn(`Coupon ledger check #${reconciliation.id} found ${reconciliation.discrepancyCount} discrepancy(ies)`.yellow);
+  }
+  return reconciliation;
+};
+
+// Start the periodic ledger check (called once from app.js)
+export const startCouponReconciliation = () => {
+  if (reconcileTimer) return;
+
+  reconcileTimer = setInterval(() => {
+    runCouponReconciliation().catch((error) => {
+      console.error('Error reconciling coupon ledger:', error);
+    });
+  }, RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000);
+  reconcileTimer.unref();
+};
+
+// GET /api/coupon/reconciliation - Ledger check history, newest first
+// Optional ?page=, ?limit=, ?onlyDiscrepancies=true
+router.get('/', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, onlyDiscrepancies } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+    const where = onlyDiscrepancies === 'true' ? { discrepancyCount: { gt: 0 } } : {};
+
+    const [reconciliations, total] = await retryOperation(async () => {
+      return await prisma.$transaction([
+        prisma.couponReconciliation.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take: limitNum,
+          include: { correctedBy: { select: { id: true, username: true } } }
+        }),
+        prisma.couponReconciliation.count({ where })
+      ]);
+    });
+
+    res.json({
+      success: true,
+      data: reconciliations,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupon reconciliations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon reconciliations',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/coupon/reconciliation/run - Check the ledger now and keep the result
+router.post('/run', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const reconciliation = await checkLedger('MANUAL');
+
+    res.status(201).json({
+      success: true,
+      message: reconciliation.discrepancyCount > 0
+        ? `Found ${reconciliation.discrepancyCount} discrepancy(ies)`
+        : 'Coupon ledger matches the stored balances',
+      data: reconciliation
+    });
+  } catch (error) {
+    console.error('Error reconciling coupon ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile coupon ledger',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/coupon/reconciliation/correct - Post a compensating ADJUST entry so the ledger and the stock agree
+// Expected body: { reason, notes?, countedBalance? }
+// Without countedBalance the stored stock is taken as correct and the ledger is brought in line with it;
+// with it (e.g. after counting the printed coupons) both are set to the counted figure.
+// The used counter is reset to the USE entries and open batches are trimmed to the stock.
+// The check before the correction is kept with who made it and why.
+router.post('/correct', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const { reason, notes, countedBalance } = req.body;
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason is required for ledger corrections'
+      });
+    }
+
+    if (countedBalance !== undefined && countedBalance !== null && (!Number.isInteger(countedBalance) || countedBalance < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'countedBalance must be a whole number of coupons, 0 or more'
+      });
+    }
+
+    const result = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const report = await reconcileCouponLedger(tx);
+        const targetBalance = countedBalance ?? report.storedBalance;
+        const amount = targetBalance - report.ledgerBalance;
+
+        // Nothing to correct; returned rather than thrown so retryOperation does not run it again
+        if (report.isBalanced && amount === 0) {
+          return null;
+        }
+
+        const coupon = report.couponId
+          ? await tx.coupon.update({
+            where: { id: report.couponId },
+            data: { balance: targetBalance, used: report.ledgerUsed }
+          })
+          : await tx.coupon.create({
+            data: { balance: targetBalance, used: report.ledgerUsed }
+          });
+
+        const transaction = await tx.couponTransaction.create({
+          data: {
+            type: 'ADJUST',
+            amount,
+            balance: coupon.balance,
+            reason: `Ledger correction: ${reason.trim()}`,
+            notes: notes || null
+          }
+        });
+
+        if (amount < 0) {
+          await drawFromBatches(tx, transaction.id, -amount);
+        }
+
+        // Open batches cannot hold more coupons than the stock
+        const batched = await tx.couponBatch.aggregate({ _sum: { remaining: true }, where: { retiredAt: null } });
+        const excess = (batched._sum.remaining || 0) - coupon.balance;
+        if (excess > 0) {
+          await drawFromBatches(tx, transaction.id, excess);
+        }
+
+        const reconciliation = await recordReconciliation(tx, report, 'CORRECTION', {
+          correctionTransactionId: transaction.id,
+          correctionAmount: amount,
+          reason: reason.trim(),
+          correctedById: req.user.id
+        });
+
+        return { reconciliation, transaction, coupon };
+      }, { timeout: 30000 });
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'The coupon ledger already matches the stored balances; nothing to correct'
+      });
+    }
+
+    checkCouponStock();
+
+    res.status(201).json({
+      success: true,
+      message: `Posted a correction of ${result.transaction.amount} coupon(s)`,
+      data: {
+        reconciliation: result.reconciliation,
+        transaction: result.transaction,
+        newBalance: result.coupon.balance
+      }
+    });
+  } catch (error) {
+    console.error('Error correcting coupon ledger:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to correct coupon ledger',
+      error: error.message
+    });
+  }
+});
+
+export default router;
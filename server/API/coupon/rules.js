@@ -0,0 +1,168 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { getWasteCategories } from '../../utils/wasteCategories.js';
+import { getActiveCouponRule, invalidateCouponRule, validateCouponRule } from '../../utils/couponRules.js';
+
+// Route Path ( '/api/coupon/rules' )
+const router = express.Router();
+
+// Save rule fields as the next version; versions are never edited so old transactions keep their meaning
+const createRuleVersion = async (data, accountId) => {
+  const rule = await retryOperation(async () => {
+    const latest = await prisma.couponRule.findFirst({ orderBy: { version: 'desc' } });
+    return await prisma.couponRule.create({
+      data: {
+        ...data,
+        version: (latest?.version ?? 0) + 1,
+        createdById: accountId
+      },
+      include: { createdBy: { select: { id: true, username: true } } }
+    });
+  });
+
+  invalidateCouponRule();
+  return rule;
+};
+
+// GET /api/coupon/rules - List every rule version, newest first, with how many transactions used each
+// `active` is the rule deposits earn under now; it is the environment fallback (version 0) until one is saved
+router.get('/', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const rules = await retryOperation(async () => {
+      return await prisma.couponRule.findMany({
+        orderBy: { version: 'desc' },
+        include: {
+          createdBy: { select: { id: true, username: true } },
+          _count: { select: { transactions: true } }
+        }
+      });
+    });
+
+    const active = await getActiveCouponRule();
+
+    res.json({
+      success: true,
+      data: rules.map(({ _count, ...rule }) => ({
+        ...rule,
+        transactionCount: _count.transactions,
+        isActive: rule.id === active.id
+      })),
+      active
+    });
+  } catch (error) {
+    console.error('Error fetching coupon rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon rules',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/coupon/rules/active - The rule deposits earn under now
+router.get('/active', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getActiveCouponRule()
+    });
+  } catch (error) {
+    console.error('Error fetching active coupon rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch active coupon rule',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/coupon/rules - Save a new rule version, which applies to deposits from now on
+// Expected body: { defaultRate, categoryRates?: { <category key>: points per item }, minItems?,
+//   dailyCapPerDepositor?: number | null, promotions?: [{ name, startsAt, endsAt, multiplier, categories? }], notes? }
+router.post('/', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const categories = await getWasteCategories({ includeInactive: true });
+    const validated = validateCouponRule(req.body, categories);
+
+    if (validated.error) {
+      return res.status(400).json({
+        success: false,
+        message: validated.error
+      });
+    }
+
+    const rule = await createRuleVersion(validated.data, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Coupon rule version ${rule.version} is now active`,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error creating coupon rule:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another rule version was saved at the same time. Reload and try again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon rule',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/coupon/rules/:id/restore - Make an earlier version active again by copying it as a new version
+router.post('/:id/restore', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const previous = await retryOperation(async () => {
+      return await prisma.couponRule.findUnique({ where: { id } });
+    });
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon rule not found'
+      });
+    }
+
+    const rule = await createRuleVersion({
+      defaultRate: previous.defaultRate,
+      categoryRates: previous.categoryRates,
+      minItems: previous.minItems,
+      dailyCapPerDepositor: previous.dailyCapPerDepositor,
+      promotions: previous.promotions,
+      notes: `Restored from version ${previous.version}`
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${previous.version} restored as version ${rule.version}`,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error restoring coupon rule:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another rule version was saved at the same time. Reload and try again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore coupon rule',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,256 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { createMailerTransport, getMailSender } from '../../utils/mailer.js';
+import { broadcastBinNotification } from '../bin/notifications.js';
+
+// Route Path ( '/api/coupon/stock-alert' )
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+const parseRecipients = (value) => {
+  return String(value || '')
+    .split(/[\s,;]+/)
+    .map((email) => email.trim())
+    .filter(Boolean);
+};
+
+// The alert settings row, created with the defaults the first time it is needed
+export const getStockAlertSettings = async () => {
+  return await retryOperation(async () => {
+    return await prisma.couponStockAlert.findFirst({ orderBy: { id: 'asc' } }) ||
+      await prisma.couponStockAlert.create({ data: {} });
+  });
+};
+
+const sendLowStockEmail = async (settings, balance) => {
+  const transporter = createMailerTransport();
+  const sender = getMailSender();
+
+  if (!transporter || !sender) {
+    console.warn('Low coupon stock email not sent: SMTP config is missing.');
+    return;
+  }
+
+  // Without a configured list, every admin with an email address is told
+  let recipients = parseRecipients(settings.emailRecipients);
+  if (recipients.length === 0) {
+    const admins = await retryOperation(async () => {
+      return await prisma.account.findMany({
+        where: { role: 'admin', email: { not: null } },
+        select: { email: true }
+      });
+    });
+    recipients = admins.map((admin) => admin.email).filter(Boolean);
+  }
+
+  if (recipients.length === 0) {
+    console.warn('Low coupon stock email not sent: no recipients.');
+    return;
+  }
+
+  await transporter.sendMail({
+    from: sender,
+    to: recipients.join(', '),
+    subject: balance <= 0 ? '[Waste-Ed] Coupon stock depleted' : '[Waste-Ed] Coupon stock is low',
+    text: `Waste-Ed Coupon Stock\n\nThe coupon dispenser has ${balance} coupon(s) left (alert threshold: ${settings.threshold}).\n` +
+      'Add a new batch of printed coupons so deposits keep earning rewards.'
+  });
+};
+
+const sendLowStockAlert = async (settings, balance, alertedAt) => {
+  try {
+    await retryOperation(async () => {
+      return await prisma.wasteNotification.create({
+        data: {
+          type: 'COUPON_LOW_STOCK',
+          wasteType: 'COUPON',
+          quantity: balance,
+          isRead: false,
+          metadata: { balance, threshold: settings.threshold }
+        }
+      });
+    });
+  } catch (error) {
+    console.warn('Could not create notification:', error.message);
+  }
+
+  broadcastBinNotification({
+    type: 'COUPON_LOW_STOCK',
+    data: { balance, threshold: settings.threshold, alertedAt },
+    timestamp: alertedAt.toISOString()
+  });
+
+  if (settings.emailEnabled) {
+    try {
+      await sendLowStockEmail(settings, balance);
+    } catch (error) {
+      console.warn('Could not send low coupon stock email:', error.message);
+    }
+  }
+};
+
+// Compare the coupon stock with the alert threshold after it changed. Alerts once when the stock
+// drops to the threshold or below; the alert re-arms when the stock rises above it again, but a new
+// crossing within the cooldown stays quiet. Never throws, so callers do not need to wait for it.
+export const checkCouponStock = async () => {
+  try {
+    const [coupon, settings] = await Promise.all([
+      retryOperation(async () => prisma.coupon.findFirst({ orderBy: { id: 'desc' } })),
+      getStockAlertSettings()
+    ]);
+    const balance = coupon?.balance ?? 0;
+
+    if (balance > settings.threshold) {
+      if (settings.isLow) {
+        await retryOperation(async () => {
+          return await prisma.couponStockAlert.updateMany({
+            where: { id: settings.id, isLow: true },
+            data: { isLow: false }
+          });
+        });
+      }
+      return null;
+    }
+
+    if (settings.isLow) return null;
+
+    // Only the update that flips the flag reports it, so a crossing is announced once
+    const { count } = await retryOperation(async () => {
+      return await prisma.couponStockAlert.updateMany({
+        where: { id: settings.id, isLow: false },
+        data: { isLow: true }
+      });
+    });
+
+    if (count === 0) return null;
+
+    const cooldownMs = settings.cooldownMinutes * 60 * 1000;
+    if (settings.lastAlertedAt && Date.now() - settings.lastAlertedAt.getTime() < cooldownMs) {
+      console.log(`Coupon stock at ${balance}, below the threshold again within the cooldown; no alert sent`);
+      return null;
+    }
+
+    const alertedAt = new Date();
+    await retryOperation(async () => {
+      return await prisma.couponStockAlert.update({
+        where: { id: settings.id },
+        data: { lastAlertedAt: alertedAt }
+      });
+    });
+
+    console.warn(`Coupon stock is low: ${balance} left (threshold ${settings.threshold})`.yellow);
+    await sendLowStockAlert(settings, balance, alertedAt);
+    return { balance, threshold: settings.threshold, alertedAt };
+  } catch (error) {
+    console.error('Error checking coupon stock:', error);
+    return null;
+  }
+};
+
+// GET /api/coupon/stock-alert - Low stock alert settings and whether the stock is below the threshold
+router.get('/', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const [settings, coupon] = await Promise.all([
+      getStockAlertSettings(),
+      retryOperation(async () => prisma.coupon.findFirst({ orderBy: { id: 'desc' } }))
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...settings,
+        balance: coupon?.balance ?? 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupon stock alert settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon stock alert settings',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/coupon/stock-alert - Update the low stock alert settings
+// Expected body: { threshold?, cooldownMinutes?, emailEnabled?, emailRecipients? }
+// emailRecipients is a comma separated list; when empty, admins with an email address are emailed
+router.put('/', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const { threshold, cooldownMinutes, emailEnabled, emailRecipients } = req.body;
+    const data = {};
+
+    if (threshold !== undefined) {
+      if (!Number.isInteger(threshold) || threshold < 0 || threshold > 100000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Threshold must be a whole number of coupons between 0 and 100000'
+        });
+      }
+      data.threshold = threshold;
+    }
+
+    if (cooldownMinutes !== undefined) {
+      if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > 10080) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cooldown must be between 0 and 10080 minutes (7 days)'
+        });
+      }
+      data.cooldownMinutes = cooldownMinutes;
+    }
+
+    if (emailEnabled !== undefined) {
+      if (typeof emailEnabled !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'emailEnabled must be true or false'
+        });
+      }
+      data.emailEnabled = emailEnabled;
+    }
+
+    if (emailRecipients !== undefined) {
+      const recipients = parseRecipients(emailRecipients);
+      const invalid = recipients.filter((email) => !EMAIL_PATTERN.test(email));
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid email address(es): ${invalid.join(', ')}`
+        });
+      }
+      data.emailRecipients = recipients.length > 0 ? recipients.join(', ') : null;
+    }
+
+    const current = await getStockAlertSettings();
+    await retryOperation(async () => {
+      return await prisma.couponStockAlert.update({
+        where: { id: current.id },
+        data
+      });
+    });
+
+    // A raised threshold can put the current stock below it straight away
+    const alert = await checkCouponStock();
+
+    res.json({
+      success: true,
+      message: alert
+        ? `Settings updated; the stock of ${alert.balance} is at or below the threshold and an alert was sent`
+        : 'Coupon stock alert settings updated',
+      data: await getStockAlertSettings()
+    });
+  } catch (error) {
+    console.error('Error updating coupon stock alert settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon stock alert settings',
+      error: error.message
+    });
+  }
+});
+
+export default router;
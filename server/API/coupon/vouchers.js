@@ -0,0 +1,166 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { normalizeVoucherCode, getVoucherStatus, toPublicVoucher, redeemVoucher } from '../../utils/vouchers.js';
+
+// Route Path ( '/api/coupon/vouchers' )
+const router = express.Router();
+
+const VOUCHER_ERRORS = {
+  'Voucher not found': { status: 404, message: 'Voucher not found' },
+  'Voucher already redeemed': { status: 409, message: 'This voucher has already been redeemed' },
+  'Voucher expired': { status: 409, message: 'This voucher has expired' },
+  'Voucher does not cover the cost': { status: 400, message: 'This voucher is not worth enough coupons' }
+};
+
+// GET /api/coupon/vouchers - List issued vouchers, newest first
+// Optional ?status=valid|redeemed|expired, ?page=, ?limit=
+router.get('/', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+    const now = new Date();
+
+    const where = {};
+    if (status === 'valid') {
+      where.isRedeemed = false;
+      where.expiresAt = { gt: now };
+    } else if (status === 'expired') {
+      where.isRedeemed = false;
+      where.expiresAt = { lte: now };
+    } else if (status === 'redeemed') {
+      where.isRedeemed = true;
+    }
+
+    const [vouchers, total] = await retryOperation(async () => {
+      return await prisma.$transaction([
+        prisma.rewardVoucher.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take: limitNum,
+          include: { redeemedBy: { select: { id: true, username: true } } }
+        }),
+        prisma.rewardVoucher.count({ where })
+      ]);
+    });
+
+    res.json({
+      success: true,
+      data: await Promise.all(vouchers.map(async (voucher) => ({
+        ...(await toPublicVoucher(voucher)),
+        redeemedBy: voucher.redeemedBy
+      }))),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching vouchers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vouchers',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/coupon/vouchers/:code - Check a scanned or typed voucher before honoring it
+// :code may be the code itself or the full QR payload; `valid` is true only for unexpired, unused vouchers
+router.get('/:code', requirePermission('coupons:read'), async (req, res) => {
+  try {
+    const code = normalizeVoucherCode(req.params.code);
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'That is not a valid voucher code.'
+      });
+    }
+
+    const voucher = await retryOperation(async () => {
+      return await prisma.rewardVoucher.findUnique({ where: { code } });
+    });
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+
+    const status = getVoucherStatus(voucher);
+
+    res.json({
+      success: true,
+      valid: status === 'valid',
+      data: await toPublicVoucher(voucher)
+    });
+  } catch (error) {
+    console.error('Error validating voucher:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate voucher',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/coupon/vouchers/:code/redeem - Honor a voucher at the counter
+// Expected body: { notes? } describing what was handed over. Use POST /api/inventory/:id/redeem
+// with { voucherCode } instead when the reward comes from the shop inventory.
+router.post('/:code/redeem', requirePermission('coupons:redeem'), async (req, res) => {
+  try {
+    const code = normalizeVoucherCode(req.params.code);
+    const { notes } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'That is not a valid voucher code.'
+      });
+    }
+
+    const { voucher } = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        return await redeemVoucher(tx, code, {
+          cost: 0,
+          accountId: req.user.id,
+          reason: 'Voucher honored at counter',
+          notes: notes || null
+        });
+      });
+    });
+
+    res.json({
+      success: true,
+      message: `Voucher ${voucher.code} redeemed for ${voucher.points} coupon(s)`,
+      data: await toPublicVoucher(voucher)
+    });
+  } catch (error) {
+    console.error('Error redeeming voucher:', error);
+
+    const known = VOUCHER_ERRORS[error.message];
+    if (known) {
+      return res.status(known.status).json({
+        success: false,
+        message: known.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to redeem voucher',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,415 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { generateApiKey, generateApiSecret, toPublicDevice, resolveDevice, HEARTBEAT_INTERVAL_SECONDS } from '../../utils/devices.js';
+import { broadcastBinNotification } from '../bin/notifications.js';
+
+// Route Path ( '/api/devices' )
+const router = express.Router();
+
+// GET /api/devices - List registered machines (API keys are never included)
+router.get('/', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const { activeOnly = 'false' } = req.query;
+
+    const devices = await retryOperation(async () => {
+      return await prisma.device.findMany({
+        where: activeOnly === 'true' ? { isActive: true } : {},
+        orderBy: { name: 'asc' }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: devices.map(toPublicDevice)
+    });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch devices',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/devices/heartbeat - Called periodically by the machine (signed like other device requests)
+// Expected body: { firmwareVersion?: string, uptime?: seconds, sensors?: { [sensorName]: 'ok' | 'error' | ... } }
+router.post('/heartbeat', resolveDevice, async (req, res) => {
+  try {
+    const { firmwareVersion, uptime, sensors } = req.body;
+
+    if (firmwareVersion !== undefined && (typeof firmwareVersion !== 'string' || firmwareVersion.length > 191)) {
+      return res.status(400).json({
+        success: false,
+        message: 'firmwareVersion must be a string of at most 191 characters.',
+        received: firmwareVersion
+      });
+    }
+
+    if (uptime !== undefined && (typeof uptime !== 'number' || uptime < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'uptime must be a non-negative number of seconds.',
+        received: uptime
+      });
+    }
+
+    if (sensors !== undefined && (sensors === null || typeof sensors !== 'object' || Array.isArray(sensors))) {
+      return res.status(400).json({
+        success: false,
+        message: 'sensors must be an object keyed by sensor name.',
+        received: sensors
+      });
+    }
+
+    const wasOnline = req.device.isOnline;
+    const device = await retryOperation(async () => {
+      return await prisma.device.update({
+        where: { id: req.device.id },
+        data: {
+          isOnline: true,
+          lastSeenAt: new Date(),
+          ...(firmwareVersion !== undefined && { firmware: firmwareVersion }),
+          ...(uptime !== undefined && { uptime: Math.floor(uptime) }),
+          ...(sensors !== undefined && { sensorHealth: sensors })
+        }
+      });
+    });
+
+    if (!wasOnline) {
+      broadcastBinNotification({
+        type: 'DEVICE_ONLINE',
+        data: { deviceId: device.id, name: device.name, location: device.location },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Heartbeat received',
+      data: {
+        serverTime: new Date().toISOString(),
+        nextHeartbeatIn: HEARTBEAT_INTERVAL_SECONDS
+      }
+    });
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record heartbeat',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/devices/:id - Get a single machine with record counts
+router.get('/:id', requirePermission('devices:read'), async (req, res) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID. Must be a number.',
+        received: req.params.id
+      });
+    }
+
+    const device = await retryOperation(async () => {
+      return await prisma.device.findUnique({
+        where: { id: deviceId },
+        include: {
+          _count: {
+            select: { wasteItems: true, binRecords: true }
+          }
+        }
+      });
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicDevice(device)
+    });
+  } catch (error) {
+    console.error('Error fetching device:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch device',
+      error: error.message
+    });
+  }
+});
+
+// Shape returned when credentials are issued; the secret is never readable afterwards
+const withCredentials = (device) => ({
+  ...toPublicDevice(device),
+  apiKey: device.apiKey,
+  apiSecret: device.apiSecret
+});
+
+// POST /api/devices - Register a new machine
+// The generated API key and signing secret are only returned in this response
+router.post('/', requirePermission('devices:manage'), async (req, res) => {
+  try {
+    const { name, location } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device name is required'
+      });
+    }
+
+    const device = await retryOperation(async () => {
+      return await prisma.device.create({
+        data: {
+          name: String(name).trim(),
+          location: location ? String(location).trim() : null,
+          apiKey: generateApiKey(),
+          apiSecret: generateApiSecret(),
+          keyRotatedAt: new Date()
+        }
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully. Store the API key and secret now; they will not be shown again.',
+      data: withCredentials(device)
+    });
+  } catch (error) {
+    console.error('Error creating device:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A device with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create device',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/devices/:id - Update machine details
+router.patch('/:id', requirePermission('devices:manage'), async (req, res) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID. Must be a number.',
+        received: req.params.id
+      });
+    }
+
+    const { name, location, isActive } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Device name cannot be empty'
+        });
+      }
+      updateData.name = String(name).trim();
+    }
+    if (location !== undefined) updateData.location = location ? String(location).trim() : null;
+    if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+
+    const device = await retryOperation(async () => {
+      return await prisma.device.update({
+        where: { id: deviceId },
+        data: updateData
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      data: toPublicDevice(device)
+    });
+  } catch (error) {
+    console.error('Error updating device:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A device with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update device',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/devices/:id/rotate-key - Issue a new API key and signing secret
+// The old credentials stop working immediately
+router.post('/:id/rotate-key', requirePermission('devices:manage'), async (req, res) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID. Must be a number.',
+        received: req.params.id
+      });
+    }
+
+    const device = await retryOperation(async () => {
+      return await prisma.device.update({
+        where: { id: deviceId },
+        data: {
+          apiKey: generateApiKey(),
+          apiSecret: generateApiSecret(),
+          keyRotatedAt: new Date(),
+          keyRevokedAt: null
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Device key rotated. Store the new API key and secret now; they will not be shown again.',
+      data: withCredentials(device)
+    });
+  } catch (error) {
+    console.error('Error rotating device key:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate device key',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/devices/:id/revoke-key - Revoke the signing secret so the machine can no longer submit
+router.post('/:id/revoke-key', requirePermission('devices:manage'), async (req, res) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID. Must be a number.',
+        received: req.params.id
+      });
+    }
+
+    const device = await retryOperation(async () => {
+      return await prisma.device.update({
+        where: { id: deviceId },
+        data: {
+          apiSecret: null,
+          keyRevokedAt: new Date()
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Device key revoked',
+      data: toPublicDevice(device)
+    });
+  } catch (error) {
+    console.error('Error revoking device key:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke device key',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/devices/:id - Remove a machine that has no records
+router.delete('/:id', requirePermission('devices:manage'), async (req, res) => {
+  try {
+    const deviceId = parseInt(req.params.id);
+
+    if (isNaN(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID. Must be a number.',
+        received: req.params.id
+      });
+    }
+
+    await retryOperation(async () => {
+      return await prisma.device.delete({
+        where: { id: deviceId }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Device deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting device:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    // Foreign key violation - records still reference this device
+    if (error.code === 'P2003') {
+      return res.status(409).json({
+        success: false,
+        message: 'This device has waste or bin records. Deactivate it instead of deleting.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete device',
+      error: error.message
+    });
+  }
+});
+
+export default router;
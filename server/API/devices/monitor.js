@@ -0,0 +1,78 @@
+import { prisma, retryOperation } from '../../utils/database.js';
+import { OFFLINE_AFTER_SECONDS } from '../../utils/devices.js';
+import { broadcastBinNotification } from '../bin/notifications.js';
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+let monitorTimer = null;
+
+// Mark devices that stopped sending heartbeats as offline and alert connected dashboards
+export const checkDeviceHeartbeats = async () => {
+  const cutoff = new Date(Date.now() - OFFLINE_AFTER_SECONDS * 1000);
+
+  const silentDevices = await retryOperation(async () => {
+    return await prisma.device.findMany({
+      where: {
+        isActive: true,
+        isOnline: true,
+        lastSeenAt: { lt: cutoff }
+      }
+    });
+  });
+
+  for (const device of silentDevices) {
+    // Only the update that flips the flag reports it, so an outage is announced once
+    const { count } = await retryOperation(async () => {
+      return await prisma.device.updateMany({
+        where: { id: device.id, isOnline: true, lastSeenAt: { lt: cutoff } },
+        data: { isOnline: false }
+      });
+    });
+
+    if (count === 0) continue;
+
+    console.warn(`Device "${device.name}" missed heartbeats (last seen ${device.lastSeenAt.toISOString()})`.yellow);
+
+    try {
+      await retryOperation(async () => {
+        return await prisma.wasteNotification.create({
+          data: {
+            type: 'DEVICE_OFFLINE',
+            wasteType: 'DEVICE',
+            isRead: false,
+            metadata: {
+              deviceId: device.id,
+              deviceName: device.name,
+              location: device.location,
+              lastSeenAt: device.lastSeenAt
+            }
+          }
+        });
+      });
+    } catch (error) {
+      console.warn('Could not create notification:', error.message);
+    }
+
+    broadcastBinNotification({
+      type: 'DEVICE_OFFLINE',
+      data: {
+        deviceId: device.id,
+        name: device.name,
+        location: device.location,
+        lastSeenAt: device.lastSeenAt
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Start the periodic heartbeat check (called once from app.js)
+export const startDeviceMonitor = () => {
+  if (monitorTimer) return;
+
+  monitorTimer = setInterval(() => {
+    checkDeviceHeartbeats().catch((error) => {
+      console.error('Error checking device heartbeats:', error);
+    });
+  }, CHECK_INTERVAL_MS);
+  monitorTimer.unref();
+};
@@ -35,10 +35,16 @@ router.use('/coupon', couponRouter);
 import profitRouter from './profit/index.js';
 router.use('/profit', profitRouter);
 
+import salesRouter from './sales/index.js';
+router.use('/sales', salesRouter);
+
 import videoRouter from './video/index.js';
 router.use('/video', videoRouter);
 
 import inventoryRouter from './inventory/index.js';
 router.use('/inventory', inventoryRouter);
 
+import devicesRouter from './devices/index.js';
+router.use('/devices', devicesRouter);
+
 export default router;
\ No newline at end of file
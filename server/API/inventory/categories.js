@@ -0,0 +1,179 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+
+// Route Path ( '/api/inventory/categories' )
+const router = express.Router();
+
+
+// Validate category fields. Returns { error } or { data }; on update only the given fields are checked
+const parseCategoryInput = ({ name, description, sortOrder }, { partial = false } = {}) => {
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 60) {
+      return { error: 'Name is required and can be up to 60 characters' };
+    }
+    data.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    data.description = typeof description === 'string' && description.trim() ? description.trim().slice(0, 191) : null;
+  }
+
+  if (sortOrder !== undefined) {
+    const order = parseInt(sortOrder);
+    if (Number.isNaN(order)) {
+      return { error: 'Sort order must be a whole number' };
+    }
+    data.sortOrder = order;
+  }
+
+  return { data };
+};
+
+// GET /api/inventory/categories - Shop categories in display order, with how many active items each has
+router.get('/', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const categories = await retryOperation(async () => {
+      return await prisma.inventoryCategory.findMany({
+        orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+        include: { _count: { select: { items: { where: { isActive: true } } } } }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: categories.map(({ _count, ...category }) => ({ ...category, itemCount: _count.items }))
+    });
+  } catch (error) {
+    console.error('Error fetching inventory categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inventory categories',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/inventory/categories - Create a category
+// Expected body: { name, description?, sortOrder? }
+router.post('/', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const parsed = parseCategoryInput(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const category = await retryOperation(async () => {
+      return await prisma.inventoryCategory.create({ data: parsed.data });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Category created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating inventory category:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create category',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/inventory/categories/:id - Rename, describe or reorder a category
+router.patch('/:id', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const parsed = parseCategoryInput(req.body, { partial: true });
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const category = await retryOperation(async () => {
+      return await prisma.inventoryCategory.update({
+        where: { id: parseInt(req.params.id) },
+        data: parsed.data
+      });
+    });
+
+    res.json({
+      success: true,
+      data: category,
+      message: 'Category updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating inventory category:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update category',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/inventory/categories/:id - Delete a category; its items stay in the shop without a category
+router.delete('/:id', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    await retryOperation(async () => {
+      return await prisma.inventoryCategory.delete({
+        where: { id: parseInt(req.params.id) }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting inventory category:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete category',
+      error: error.message
+    });
+  }
+});
+
+export default router;
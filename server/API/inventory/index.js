@@ -1,70 +1,127 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
+import multer from 'multer';
 import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { findDepositor } from '../../utils/depositors.js';
+import { normalizeVoucherCode, redeemVoucher, reopenVoucher } from '../../utils/vouchers.js';
+import { drawFromBatches, returnToBatches } from '../../utils/couponBatches.js';
+import { checkCouponStock } from '../coupon/stockAlert.js';
+import { checkBudgetPacing } from '../profit/budgets.js';
+import { MOVEMENT_TYPES, parseManualMovement, moveStock, setStock } from '../../utils/inventoryMovements.js';
+import { saveImage, removeImage, IMAGE_TYPES, MAX_IMAGE_SIZE } from '../../utils/imageStorage.js';
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-// Middleware to verify JWT token
-const verifyToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
+import categoriesRouter from './categories.js';
+router.use('/categories', categoriesRouter);
+import purchaseOrdersRouter from './purchaseOrders.js';
+router.use('/purchase-orders', purchaseOrdersRouter);
+
+// Configure multer for item photos (memory storage, handed to the image storage adapter)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG, WebP or GIF images are allowed'), false);
     }
+  }
+});
 
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    const user = await prisma.account.findUnique({
-      where: { id: decoded.userId }
+// Answer upload errors (wrong type, too large) with a 400 instead of the default error page
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? `Images can be up to ${MAX_IMAGE_SIZE / (1024 * 1024)}MB` : error.message
     });
+  });
+};
+
+const MAX_TAGS = 10;
 
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid token. User not found.' });
+// Validate the category, tags and sort order of an item. Returns { error } or { data } with only the given fields.
+// tags may be an array or a comma separated string; they are stored lowercase without duplicates.
+const parseItemDetails = ({ categoryId, tags, sortOrder }) => {
+  const data = {};
+
+  if (categoryId !== undefined) {
+    if (categoryId === null || categoryId === '') {
+      data.categoryId = null;
+    } else {
+      const id = parseInt(categoryId);
+      if (Number.isNaN(id)) {
+        return { error: 'categoryId must be a category id or null' };
+      }
+      data.categoryId = id;
     }
+  }
 
-    req.user = {
-      id: user.id,
-      username: user.username,
-      role: user.role
-    };
-    next();
-  } catch (error) {
-    return res.status(401).json({ message: 'Invalid token.' });
+  if (tags !== undefined) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const normalized = [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+    if (normalized.length > MAX_TAGS || normalized.some((tag) => tag.length > 30)) {
+      return { error: `Up to ${MAX_TAGS} tags of at most 30 characters each` };
+    }
+    data.tags = normalized;
   }
-};
 
-// Middleware to check if user is admin
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin privileges required.'
-    });
+  if (sortOrder !== undefined) {
+    const order = parseInt(sortOrder);
+    if (Number.isNaN(order)) {
+      return { error: 'Sort order must be a whole number' };
+    }
+    data.sortOrder = order;
   }
+
+  return { data };
 };
 
-// GET /api/inventory - Get all inventory items (public)
-router.get('/', async (req, res) => {
+const categorySelect = { select: { id: true, name: true } };
+
+// How long after a redemption it can still be cancelled and refunded (hours)
+const REFUND_WINDOW_HOURS = parseInt(process.env.REDEMPTION_REFUND_WINDOW_HOURS) || 24;
+
+// Redemptions made before payments were linked to ledger entries cannot be reversed automatically
+const isRefundable = (redemption, now = Date.now()) => {
+  return !redemption.refundedAt &&
+    Boolean(redemption.couponTransactionId) &&
+    now - new Date(redemption.createdAt).getTime() <= REFUND_WINDOW_HOURS * 60 * 60 * 1000;
+};
+
+// GET /api/inventory - Get all inventory items
+// Optional ?categoryId= (or none for uncategorized items), ?tag=; items come in sort order, then by name
+router.get('/', requirePermission('inventory:read'), async (req, res) => {
   try {
-    const { activeOnly = 'true' } = req.query;
+    const { activeOnly = 'true', categoryId, tag } = req.query;
     
     const where = activeOnly === 'true' ? { isActive: true } : {};
+    if (categoryId === 'none') {
+      where.categoryId = null;
+    } else if (categoryId) {
+      where.categoryId = parseInt(categoryId);
+    }
     
     const items = await retryOperation(async () => {
       return await prisma.inventoryItem.findMany({
         where,
-        orderBy: { name: 'asc' }
+        include: { category: categorySelect },
+        orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
       });
     });
 
+    // Tags are a JSON array, so the tag filter runs here rather than in the query
+    const tagFilter = typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+
     res.json({
       success: true,
-      data: items
+      data: tagFilter ? items.filter((item) => Array.isArray(item.tags) && item.tags.includes(tagFilter)) : items
     });
   } catch (error) {
     console.error('Error fetching inventory items:', error);
@@ -76,8 +133,86 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/inventory/movements - Stock movement log, newest first
+// Optional ?itemId=, ?type=, ?startDate= / ?endDate= (YYYY-MM-DD), ?page=, ?limit=
+router.get('/movements', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { itemId, type, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+    if (itemId) where.itemId = parseInt(itemId);
+
+    if (type) {
+      if (!MOVEMENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Type must be one of ${MOVEMENT_TYPES.join(', ')}`
+        });
+      }
+      where.type = type;
+    }
+
+    for (const [value, bound] of [[startDate, 'gte'], [endDate, 'lte']]) {
+      if (!value) continue;
+      // Built from the parts so the day runs from local midnight, not UTC midnight
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+      const [year, month, day] = match ? match.slice(1).map(Number) : [];
+      const date = bound === 'gte'
+        ? new Date(year, month - 1, day)
+        : new Date(year, month - 1, day, 23, 59, 59, 999);
+      if (!match || isNaN(date.getTime()) || date.getDate() !== day) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format. Please use YYYY-MM-DD format.',
+          received: value
+        });
+      }
+      where.createdAt = { ...where.createdAt, [bound]: date };
+    }
+
+    const [movements, total] = await retryOperation(async () => {
+      return await prisma.$transaction([
+        prisma.inventoryMovement.findMany({
+          where,
+          include: {
+            item: { select: { id: true, name: true } },
+            account: { select: { id: true, username: true } }
+          },
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip,
+          take: limitNum
+        }),
+        prisma.inventoryMovement.count({ where })
+      ]);
+    });
+
+    res.json({
+      success: true,
+      data: movements,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching inventory movements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inventory movements',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/inventory/:id - Get specific inventory item
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('inventory:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -85,6 +220,7 @@ router.get('/:id', async (req, res) => {
       return await prisma.inventoryItem.findUnique({
         where: { id: parseInt(id) },
         include: {
+          category: categorySelect,
           redemptions: {
             orderBy: { createdAt: 'desc' },
             take: 10
@@ -114,10 +250,18 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/inventory - Create new inventory item (admin only)
-router.post('/', verifyToken, isAdmin, async (req, res) => {
+// POST /api/inventory - Create new inventory item
+router.post('/', requirePermission('inventory:manage'), async (req, res) => {
   try {
     const { name, description, cost, price, stock, isActive } = req.body;
+    const details = parseItemDetails(req.body);
+
+    if (details.error) {
+      return res.status(400).json({
+        success: false,
+        message: details.error
+      });
+    }
 
     if (!name || cost === undefined) {
       return res.status(400).json({
@@ -133,16 +277,38 @@ router.post('/', verifyToken, isAdmin, async (req, res) => {
       });
     }
 
+    const initialStock = stock !== undefined ? parseInt(stock) : 0;
+
+    if (Number.isNaN(initialStock) || initialStock < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock cannot be negative'
+      });
+    }
+
     const item = await retryOperation(async () => {
-      return await prisma.inventoryItem.create({
-        data: {
-          name,
-          description: description || null,
-          cost: parseInt(cost),
-          price: price !== undefined && price !== null && price !== '' ? parseFloat(price) : null,
-          stock: stock !== undefined ? parseInt(stock) : 0,
-          isActive: isActive !== undefined ? isActive : true
-        }
+      return await prisma.$transaction(async (tx) => {
+        const created = await tx.inventoryItem.create({
+          data: {
+            name,
+            description: description || null,
+            cost: parseInt(cost),
+            price: price !== undefined && price !== null && price !== '' ? parseFloat(price) : null,
+            stock: 0,
+            isActive: isActive !== undefined ? isActive : true,
+            ...details.data
+          },
+          include: { category: categorySelect }
+        });
+
+        if (initialStock === 0) return created;
+
+        const { item: stocked } = await moveStock(tx, created.id, initialStock, {
+          type: 'RESTOCK',
+          reason: 'Initial stock',
+          accountId: req.user.id
+        });
+        return { ...stocked, category: created.category };
       });
     });
 
@@ -161,6 +327,13 @@ router.post('/', verifyToken, isAdmin, async (req, res) => {
       });
     }
 
+    if (error.code === 'P2003') {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to create inventory item',
@@ -169,13 +342,21 @@ router.post('/', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
-// PATCH /api/inventory/:id - Update inventory item (admin only)
-router.patch('/:id', verifyToken, isAdmin, async (req, res) => {
+// PATCH /api/inventory/:id - Update inventory item
+router.patch('/:id', requirePermission('inventory:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description, cost, price, stock, isActive } = req.body;
+    const details = parseItemDetails(req.body);
+
+    if (details.error) {
+      return res.status(400).json({
+        success: false,
+        message: details.error
+      });
+    }
 
-    const updateData = {};
+    const updateData = { ...details.data };
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
     if (cost !== undefined) {
@@ -190,13 +371,31 @@ router.patch('/:id', verifyToken, isAdmin, async (req, res) => {
     if (price !== undefined) {
       updateData.price = price !== null && price !== '' ? parseFloat(price) : null;
     }
-    if (stock !== undefined) updateData.stock = parseInt(stock);
     if (isActive !== undefined) updateData.isActive = isActive;
 
+    const newStock = stock !== undefined ? parseInt(stock) : undefined;
+    if (newStock !== undefined && (Number.isNaN(newStock) || newStock < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock cannot be negative'
+      });
+    }
+
+    // A stock typed into the edit form is logged as an adjustment to the counted figure
     const item = await retryOperation(async () => {
-      return await prisma.inventoryItem.update({
-        where: { id: parseInt(id) },
-        data: updateData
+      return await prisma.$transaction(async (tx) => {
+        if (newStock !== undefined) {
+          await setStock(tx, parseInt(id), newStock, {
+            reason: 'Stock corrected in the item editor',
+            accountId: req.user.id
+          });
+        }
+
+        return await tx.inventoryItem.update({
+          where: { id: parseInt(id) },
+          data: updateData,
+          include: { category: categorySelect }
+        });
       });
     });
 
@@ -208,7 +407,7 @@ router.patch('/:id', verifyToken, isAdmin, async (req, res) => {
   } catch (error) {
     console.error('Error updating inventory item:', error);
     
-    if (error.code === 'P2025') {
+    if (error.code === 'P2025' || error.message === 'Item not found') {
       return res.status(404).json({
         success: false,
         message: 'Item not found'
@@ -222,6 +421,13 @@ router.patch('/:id', verifyToken, isAdmin, async (req, res) => {
       });
     }
 
+    if (error.code === 'P2003') {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to update inventory item',
@@ -230,44 +436,39 @@ router.patch('/:id', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
-// PATCH /api/inventory/:id/stock - Adjust stock (admin only)
-router.patch('/:id/stock', verifyToken, isAdmin, async (req, res) => {
+// PATCH /api/inventory/:id/stock - Adjust stock
+// Expected body: { adjustment, type?, reason? }
+// type is RESTOCK, ADJUSTMENT, WRITE_OFF or DAMAGE (default RESTOCK when adding, ADJUSTMENT when removing);
+// a reason is required for everything but a restock
+router.patch('/:id/stock', requirePermission('inventory:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { adjustment } = req.body;
+    const parsed = parseManualMovement(req.body);
 
-    if (adjustment === undefined || typeof adjustment !== 'number') {
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        message: 'Adjustment amount is required and must be a number'
+        message: parsed.error
       });
     }
 
-    const item = await retryOperation(async () => {
-      const currentItem = await prisma.inventoryItem.findUnique({
-        where: { id: parseInt(id) }
-      });
+    const { quantity, type, reason } = parsed.data;
 
-      if (!currentItem) {
-        throw new Error('Item not found');
-      }
-
-      const newStock = currentItem.stock + parseInt(adjustment);
-      
-      if (newStock < 0) {
-        throw new Error('Stock cannot be negative');
-      }
-
-      return await prisma.inventoryItem.update({
-        where: { id: parseInt(id) },
-        data: { stock: newStock }
+    const { item, movement } = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        return await moveStock(tx, parseInt(id), quantity, {
+          type,
+          reason,
+          accountId: req.user.id
+        });
       });
     });
 
     res.json({
       success: true,
       data: item,
-      message: `Stock ${adjustment > 0 ? 'increased' : 'decreased'} by ${Math.abs(adjustment)}`
+      movement,
+      message: `Stock ${quantity > 0 ? 'increased' : 'decreased'} by ${Math.abs(quantity)}`
     });
   } catch (error) {
     console.error('Error adjusting stock:', error);
@@ -294,17 +495,25 @@ router.patch('/:id/stock', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
-// DELETE /api/inventory/:id - Delete inventory item (admin only)
-router.delete('/:id', verifyToken, isAdmin, async (req, res) => {
+// DELETE /api/inventory/:id - Delete inventory item
+router.delete('/:id', requirePermission('inventory:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    await retryOperation(async () => {
+    const item = await retryOperation(async () => {
       return await prisma.inventoryItem.delete({
         where: { id: parseInt(id) }
       });
     });
 
+    if (item.imagePath) {
+      try {
+        await removeImage(item.imagePath);
+      } catch (error) {
+        console.warn('Could not delete item image:', error.message);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Inventory item deleted successfully'
@@ -327,11 +536,118 @@ router.delete('/:id', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
+// POST /api/inventory/:id/image - Upload or replace an item photo
+// multipart/form-data with an "image" file (JPEG, PNG, WebP or GIF, up to 5MB)
+router.post('/:id/image', requirePermission('inventory:manage'), uploadImage, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided'
+      });
+    }
+
+    const existing = await retryOperation(async () => {
+      return await prisma.inventoryItem.findUnique({ where: { id } });
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const { imageUrl, imagePath } = await saveImage(req.file.buffer, 'inventory', req.file.originalname, req.file.mimetype);
+
+    const item = await retryOperation(async () => {
+      return await prisma.inventoryItem.update({
+        where: { id },
+        data: { imageUrl, imagePath },
+        include: { category: categorySelect }
+      });
+    });
+
+    if (existing.imagePath) {
+      try {
+        await removeImage(existing.imagePath);
+      } catch (error) {
+        console.warn('Could not delete old item image:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: item,
+      message: 'Image uploaded successfully'
+    });
+  } catch (error) {
+    console.error('Error uploading item image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload item image',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/inventory/:id/image - Remove an item photo
+router.delete('/:id/image', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const existing = await retryOperation(async () => {
+      return await prisma.inventoryItem.findUnique({ where: { id } });
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const item = await retryOperation(async () => {
+      return await prisma.inventoryItem.update({
+        where: { id },
+        data: { imageUrl: null, imagePath: null },
+        include: { category: categorySelect }
+      });
+    });
+
+    if (existing.imagePath) {
+      try {
+        await removeImage(existing.imagePath);
+      } catch (error) {
+        console.warn('Could not delete item image:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: item,
+      message: 'Image removed'
+    });
+  } catch (error) {
+    console.error('Error removing item image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item image',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/inventory/:id/redeem - Redeem an item with coupons
-router.post('/:id/redeem', verifyToken, async (req, res) => {
+// Optional { depositorId } or { rfid } / { studentNumber } spends points from that depositor's wallet;
+// Optional { voucherCode } (typed or scanned QR payload) pays with a single-use deposit voucher instead;
+// without either the shared coupon balance is used
+router.post('/:id/redeem', requirePermission('inventory:redeem'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity = 1, notes } = req.body;
+    const { quantity = 1, notes, depositorId, rfid, studentNumber, voucherCode } = req.body;
 
     if (quantity < 1) {
       return res.status(400).json({
@@ -340,6 +656,34 @@ router.post('/:id/redeem', verifyToken, async (req, res) => {
       });
     }
 
+    const lookup = await findDepositor({ depositorId, rfid, studentNumber });
+    if (lookup.error) {
+      return res.status(400).json({
+        success: false,
+        message: lookup.error
+      });
+    }
+    if (lookup.requested && !lookup.depositor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Depositor not found'
+      });
+    }
+
+    const voucher = voucherCode ? normalizeVoucherCode(voucherCode) : null;
+    if (voucherCode && !voucher) {
+      return res.status(400).json({
+        success: false,
+        message: 'That is not a valid voucher code.'
+      });
+    }
+    if (voucher && lookup.depositor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pay with either a depositor wallet or a voucher, not both.'
+      });
+    }
+
     const result = await retryOperation(async () => {
       return await prisma.$transaction(async (tx) => {
         // Get the item
@@ -370,21 +714,129 @@ router.post('/:id/redeem', verifyToken, async (req, res) => {
 
         const totalCost = item.cost * parseInt(quantity);
 
-        if (coupon.balance < totalCost) {
-          throw new Error('Insufficient coupon balance');
+        const takeFromStock = async (redemption) => {
+          const { item: updatedItem } = await moveStock(tx, item.id, -parseInt(quantity), {
+            type: 'REDEMPTION',
+            reason: `Redemption #${redemption.id}`,
+            accountId: req.user.id,
+            redemptionId: redemption.id
+          });
+          return updatedItem;
+        };
+
+        if (voucher) {
+          const redemption = await tx.inventoryRedemption.create({
+            data: {
+              itemId: parseInt(id),
+              quantity: parseInt(quantity),
+              totalCost,
+              unitPrice: item.lastUnitCost ?? item.price,
+              notes: notes || null
+            }
+          });
+
+          const updatedItem = await takeFromStock(redemption);
+
+          // Single use: any points the item did not need are not kept
+          const { voucher: redeemedVoucher, transaction } = await redeemVoucher(tx, voucher, {
+            cost: totalCost,
+            accountId: req.user.id,
+            redemptionId: redemption.id,
+            reason: `Redeemed ${quantity}x ${item.name}`,
+            notes: notes || null
+          });
+
+          return {
+            redemption: await tx.inventoryRedemption.update({
+              where: { id: redemption.id },
+              data: { couponTransactionId: transaction.id }
+            }),
+            item: updatedItem,
+            newBalance: coupon.balance,
+            voucher: { code: redeemedVoucher.code, points: redeemedVoucher.points, unusedPoints: redeemedVoucher.points - totalCost }
+          };
+        }
+
+        if (lookup.depositor) {
+          // Wallet points were already drawn from stock when they were earned, so only the wallet changes
+          const depositor = await tx.depositor.findUnique({
+            where: { id: lookup.depositor.id }
+          });
+
+          if (!depositor.isActive) {
+            throw new Error('Depositor is not active');
+          }
+
+          // Guarded on the balance so two redemptions at once cannot spend the wallet below zero
+          const spent = await tx.depositor.updateMany({
+            where: { id: depositor.id, balance: { gte: totalCost } },
+            data: {
+              balance: { decrement: totalCost },
+              redeemed: { increment: totalCost }
+            }
+          });
+
+          if (spent.count === 0) {
+            throw new Error('Insufficient coupon balance');
+          }
+
+          const updatedDepositor = await tx.depositor.findUnique({
+            where: { id: depositor.id }
+          });
+
+          const transaction = await tx.couponTransaction.create({
+            data: {
+              type: 'REDEEM',
+              amount: -totalCost,
+              balance: coupon.balance,
+              reason: `Redeemed ${quantity}x ${item.name}`,
+              depositorId: depositor.id,
+              depositorBalance: updatedDepositor.balance,
+              notes: notes || null
+            }
+          });
+
+          const redemption = await tx.inventoryRedemption.create({
+            data: {
+              itemId: parseInt(id),
+              quantity: parseInt(quantity),
+              totalCost,
+              unitPrice: item.lastUnitCost ?? item.price,
+              depositorId: depositor.id,
+              couponTransactionId: transaction.id,
+              notes: notes || null
+            }
+          });
+
+          const updatedItem = await takeFromStock(redemption);
+
+          return {
+            redemption,
+            item: updatedItem,
+            newBalance: updatedDepositor.balance,
+            depositorId: depositor.id
+          };
         }
 
-        // Update coupon balance
-        const updatedCoupon = await tx.coupon.update({
-          where: { id: coupon.id },
+        // Update coupon balance, guarded so concurrent redemptions cannot take it below zero
+        const taken = await tx.coupon.updateMany({
+          where: { id: coupon.id, balance: { gte: totalCost } },
           data: {
-            balance: coupon.balance - totalCost,
-            used: coupon.used + totalCost
+            balance: { decrement: totalCost },
+            used: { increment: totalCost }
           }
         });
 
+        if (taken.count === 0) {
+          throw new Error('Insufficient coupon balance');
+        }
+
+        const updatedCoupon = await tx.coupon.findUnique({
+          where: { id: coupon.id }
+        });
+
         // Record coupon transaction
-        await tx.couponTransaction.create({
+        const transaction = await tx.couponTransaction.create({
           data: {
             type: 'USE',
             amount: -totalCost,
@@ -394,11 +846,7 @@ router.post('/:id/redeem', verifyToken, async (req, res) => {
           }
         });
 
-        // Update item stock
-        const updatedItem = await tx.inventoryItem.update({
-          where: { id: parseInt(id) },
-          data: { stock: item.stock - parseInt(quantity) }
-        });
+        await drawFromBatches(tx, transaction.id, totalCost);
 
         // Record redemption
         const redemption = await tx.inventoryRedemption.create({
@@ -406,10 +854,15 @@ router.post('/:id/redeem', verifyToken, async (req, res) => {
             itemId: parseInt(id),
             quantity: parseInt(quantity),
             totalCost,
+            unitPrice: item.lastUnitCost ?? item.price,
+            couponTransactionId: transaction.id,
             notes: notes || null
           }
         });
 
+        // Update item stock
+        const updatedItem = await takeFromStock(redemption);
+
         return {
           redemption,
           item: updatedItem,
@@ -418,6 +871,9 @@ router.post('/:id/redeem', verifyToken, async (req, res) => {
       });
     });
 
+    checkCouponStock();
+    checkBudgetPacing();
+
     res.json({
       success: true,
       data: result,
@@ -440,7 +896,7 @@ router.post('/:id/redeem', verifyToken, async (req, res) => {
       });
     }
 
-    if (error.message === 'Insufficient stock') {
+    if (error.message === 'Insufficient stock' || error.message === 'Stock cannot be negative') {
       return res.status(400).json({
         success: false,
         message: 'Not enough items in stock'
@@ -454,6 +910,34 @@ router.post('/:id/redeem', verifyToken, async (req, res) => {
       });
     }
 
+    if (error.message === 'Voucher not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+
+    if (error.message === 'Voucher already redeemed' || error.message === 'Voucher expired') {
+      return res.status(409).json({
+        success: false,
+        message: error.message === 'Voucher expired' ? 'This voucher has expired' : 'This voucher has already been redeemed'
+      });
+    }
+
+    if (error.message === 'Voucher does not cover the cost') {
+      return res.status(400).json({
+        success: false,
+        message: 'This voucher is not worth enough coupons for this item'
+      });
+    }
+
+    if (error.message === 'Depositor is not active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This depositor\'s wallet has been deactivated'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to redeem item',
@@ -462,8 +946,200 @@ router.post('/:id/redeem', verifyToken, async (req, res) => {
   }
 });
 
+// POST /api/inventory/redemptions/:id/refund - Cancel a redemption within the refund window
+// Expected body: { reason }
+// The item goes back in stock and a REFUND entry linked to the payment gives the coupons back where they
+// came from: the coupon stock and the batches it was drawn from, the depositor's wallet, or the voucher,
+// which can then be used again.
+router.post('/redemptions/:id/refund', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason is required to cancel a redemption'
+      });
+    }
+
+    const result = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const redemption = await tx.inventoryRedemption.findUnique({
+          where: { id },
+          include: { item: true, voucher: true, couponTransaction: true }
+        });
+
+        if (!redemption) {
+          throw new Error('Redemption not found');
+        }
+        if (redemption.refundedAt) {
+          throw new Error('Redemption already refunded');
+        }
+        if (!isRefundable(redemption)) {
+          throw new Error(redemption.couponTransactionId ? 'Refund window passed' : 'Redemption cannot be refunded');
+        }
+
+        // Guarded on refundedAt so two staff cancelling at once cannot both refund it
+        const claimed = await tx.inventoryRedemption.updateMany({
+          where: { id, refundedAt: null },
+          data: { refundedAt: new Date(), refundedById: req.user.id, refundReason: reason.trim() }
+        });
+
+        if (claimed.count === 0) {
+          throw new Error('Redemption already refunded');
+        }
+
+        const payment = redemption.couponTransaction;
+        const coupon = await tx.coupon.findFirst({ orderBy: { id: 'desc' } });
+
+        if (payment.type === 'USE' && !coupon) {
+          throw new Error('Coupon system not initialized');
+        }
+
+        const entry = {
+          type: 'REFUND',
+          reason: `Refunded ${redemption.quantity}x ${redemption.item.name}`,
+          notes: reason.trim(),
+          refundOfId: payment.id
+        };
+
+        if (payment.type === 'USE') {
+          const updatedCoupon = await tx.coupon.update({
+            where: { id: coupon.id },
+            data: {
+              balance: { increment: redemption.totalCost },
+              used: { decrement: redemption.totalCost }
+            }
+          });
+          Object.assign(entry, { amount: redemption.totalCost, balance: updatedCoupon.balance });
+        } else if (redemption.voucher) {
+          // The whole voucher was spent, so the whole voucher comes back
+          await reopenVoucher(tx, redemption.voucher);
+          Object.assign(entry, {
+            amount: -payment.amount,
+            balance: coupon?.balance ?? 0,
+            wasteRecordId: redemption.voucher.wasteRecordId,
+            notes: `Voucher ${redemption.voucher.code} - ${reason.trim()}`
+          });
+        } else {
+          const depositor = payment.depositorId
+            ? await tx.depositor.findUnique({ where: { id: payment.depositorId } })
+            : null;
+
+          if (!depositor) {
+            throw new Error('Depositor not found');
+          }
+
+          const updatedDepositor = await tx.depositor.update({
+            where: { id: depositor.id },
+            data: {
+              balance: { increment: redemption.totalCost },
+              redeemed: { decrement: redemption.totalCost }
+            }
+          });
+          Object.assign(entry, {
+            amount: redemption.totalCost,
+            balance: coupon?.balance ?? 0,
+            depositorId: depositor.id,
+            depositorBalance: updatedDepositor.balance
+          });
+        }
+
+        const transaction = await tx.couponTransaction.create({ data: entry });
+
+        // Coupons taken from the stock go back to their batches, so FIFO order and expiry still apply
+        if (payment.type === 'USE') {
+          await returnToBatches(tx, payment.id, transaction.id);
+        }
+
+        const { item } = await moveStock(tx, redemption.itemId, redemption.quantity, {
+          type: 'REFUND',
+          reason: `Redemption #${id} cancelled: ${reason.trim()}`,
+          accountId: req.user.id,
+          redemptionId: id
+        });
+
+        const refunded = await tx.inventoryRedemption.update({
+          where: { id },
+          data: { refundTransactionId: transaction.id },
+          include: { refundedBy: { select: { id: true, username: true } } }
+        });
+
+        return { redemption: refunded, item, transaction };
+      });
+    });
+
+    checkCouponStock();
+
+    res.json({
+      success: true,
+      message: `Cancelled ${result.redemption.quantity}x ${result.item.name}; ${result.transaction.amount} coupon(s) refunded`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error refunding redemption:', error);
+
+    if (error.message === 'Redemption not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Redemption not found'
+      });
+    }
+
+    if (error.message === 'Redemption already refunded') {
+      return res.status(409).json({
+        success: false,
+        message: 'This redemption has already been cancelled'
+      });
+    }
+
+    if (error.message === 'Refund window passed') {
+      return res.status(409).json({
+        success: false,
+        message: `Redemptions can only be cancelled within ${REFUND_WINDOW_HOURS} hour(s)`
+      });
+    }
+
+    if (error.message === 'Redemption cannot be refunded') {
+      return res.status(409).json({
+        success: false,
+        message: 'This redemption was made before refunds were tracked; correct it with a manual adjustment'
+      });
+    }
+
+    if (error.message === 'Voucher expired') {
+      return res.status(409).json({
+        success: false,
+        message: 'The voucher that paid for this redemption has expired and cannot be given back'
+      });
+    }
+
+    if (error.message === 'Depositor not found') {
+      return res.status(409).json({
+        success: false,
+        message: 'The depositor wallet that paid for this redemption no longer exists'
+      });
+    }
+
+    if (error.message === 'Coupon system not initialized') {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no coupon stock to return these coupons to'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund redemption',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/inventory/redemptions/history - Get redemption history
-router.get('/redemptions/history', verifyToken, async (req, res) => {
+// Each redemption says whether it can still be cancelled (refundable) within refundWindowHours
+router.get('/redemptions/history', requirePermission('inventory:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     
@@ -480,6 +1156,15 @@ router.get('/redemptions/history', verifyToken, async (req, res) => {
                 name: true,
                 description: true
               }
+            },
+            depositor: {
+              select: { id: true, identifierType: true, identifier: true, name: true }
+            },
+            voucher: {
+              select: { code: true, points: true }
+            },
+            refundedBy: {
+              select: { id: true, username: true }
             }
           },
           orderBy: { createdAt: 'desc' },
@@ -490,10 +1175,16 @@ router.get('/redemptions/history', verifyToken, async (req, res) => {
       ]);
     });
 
+    const now = Date.now();
+
     res.json({
       success: true,
       data: {
-        redemptions,
+        redemptions: redemptions.map((redemption) => ({
+          ...redemption,
+          refundable: isRefundable(redemption, now)
+        })),
+        refundWindowHours: REFUND_WINDOW_HOURS,
         pagination: {
           page: pageNum,
           limit: limitNum,
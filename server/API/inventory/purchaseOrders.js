@@ -0,0 +1,486 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { moveStock } from '../../utils/inventoryMovements.js';
+
+// Route Path ( '/api/inventory/purchase-orders' )
+const router = express.Router();
+
+// Items below this stock are suggested for reordering, topped up to the reorder target
+const LOW_STOCK_THRESHOLD = parseInt(process.env.INVENTORY_LOW_STOCK_THRESHOLD) || 20;
+const REORDER_TARGET = parseInt(process.env.INVENTORY_REORDER_TARGET) || 50;
+
+const PURCHASE_ORDER_STATUSES = ['ORDERED', 'RECEIVED', 'CANCELLED'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const orderInclude = {
+  lines: {
+    include: { item: { select: { id: true, name: true, stock: true } } },
+    orderBy: { id: 'asc' }
+  },
+  createdBy: { select: { id: true, username: true } },
+  receivedBy: { select: { id: true, username: true } },
+  expense: { select: { id: true, date: true, rewardsSpent: true } }
+};
+
+// Validate a new order ({ supplier, notes?, lines: [{ itemId, quantity, unitCost }] }). Returns { error } or { data }.
+const parseOrderInput = ({ supplier, notes, lines }) => {
+  if (typeof supplier !== 'string' || !supplier.trim() || supplier.trim().length > 100) {
+    return { error: 'Supplier is required and can be up to 100 characters' };
+  }
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: 'Add at least one item to the order' };
+  }
+
+  const parsedLines = [];
+  for (const line of lines) {
+    const itemId = parseInt(line?.itemId);
+    const quantity = Number(line?.quantity);
+    const unitCost = Number(line?.unitCost);
+
+    if (Number.isNaN(itemId)) {
+      return { error: 'Every line needs an itemId' };
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: 'Quantities must be whole numbers greater than 0' };
+    }
+    if (line?.unitCost === '' || line?.unitCost === null || !Number.isFinite(unitCost) || unitCost < 0) {
+      return { error: 'Unit costs must be 0 or more' };
+    }
+    if (parsedLines.some((parsed) => parsed.itemId === itemId)) {
+      return { error: 'Each item can only be on the order once' };
+    }
+
+    parsedLines.push({ itemId, quantity, unitCost: roundMoney(unitCost) });
+  }
+
+  return {
+    data: {
+      supplier: supplier.trim(),
+      notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null,
+      lines: parsedLines
+    }
+  };
+};
+
+// Validate delivered quantities ([{ id, receivedQuantity }]); lines left out count as delivered in full
+const parseReceivedLines = (lines) => {
+  if (lines === undefined) {
+    return { data: new Map() };
+  }
+
+  if (!Array.isArray(lines)) {
+    return { error: 'lines must be a list of { id, receivedQuantity }' };
+  }
+
+  const received = new Map();
+  for (const line of lines) {
+    const id = parseInt(line?.id);
+    const quantity = Number(line?.receivedQuantity);
+
+    if (Number.isNaN(id) || !Number.isInteger(quantity) || quantity < 0) {
+      return { error: 'Received quantities must be whole numbers of 0 or more' };
+    }
+    received.set(id, quantity);
+  }
+
+  return { data: received };
+};
+
+// GET /api/inventory/purchase-orders - List purchase orders, newest first
+// Query: status?, page?, limit?
+router.get('/', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+    if (status) {
+      if (!PURCHASE_ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of ${PURCHASE_ORDER_STATUSES.join(', ')}`
+        });
+      }
+      where.status = status;
+    }
+
+    const [orders, total] = await retryOperation(async () => {
+      return await prisma.$transaction([
+        prisma.purchaseOrder.findMany({
+          where,
+          include: orderInclude,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip,
+          take: limitNum
+        }),
+        prisma.purchaseOrder.count({ where })
+      ]);
+    });
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/inventory/purchase-orders/suggestions - Active items running low, with how many to order
+// The suggested quantity tops the item up to the reorder target, minus what is already on open orders.
+// The last supplier and unit cost the item was ordered at are included to prefill a new order.
+router.get('/suggestions', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const suggestions = await retryOperation(async () => {
+      const items = await prisma.inventoryItem.findMany({
+        where: { isActive: true, stock: { lt: LOW_STOCK_THRESHOLD } },
+        select: { id: true, name: true, stock: true, price: true, lastUnitCost: true },
+        orderBy: [{ stock: 'asc' }, { name: 'asc' }]
+      });
+
+      if (items.length === 0) {
+        return [];
+      }
+
+      const itemIds = items.map((item) => item.id);
+      const [openLines, pastLines] = await Promise.all([
+        prisma.purchaseOrderLine.groupBy({
+          by: ['itemId'],
+          where: { itemId: { in: itemIds }, purchaseOrder: { status: 'ORDERED' } },
+          _sum: { quantity: true }
+        }),
+        prisma.purchaseOrderLine.findMany({
+          where: { itemId: { in: itemIds }, purchaseOrder: { status: { not: 'CANCELLED' } } },
+          select: { itemId: true, unitCost: true, purchaseOrder: { select: { supplier: true } } },
+          orderBy: { id: 'desc' }
+        })
+      ]);
+
+      const onOrder = new Map(openLines.map((line) => [line.itemId, line._sum.quantity || 0]));
+      const lastOrdered = new Map();
+      for (const line of pastLines) {
+        if (!lastOrdered.has(line.itemId)) lastOrdered.set(line.itemId, line);
+      }
+
+      return items.map((item) => {
+        const ordered = onOrder.get(item.id) || 0;
+        const last = lastOrdered.get(item.id);
+        return {
+          itemId: item.id,
+          name: item.name,
+          stock: item.stock,
+          onOrder: ordered,
+          suggestedQuantity: Math.max(REORDER_TARGET - item.stock - ordered, 0),
+          lastUnitCost: last ? last.unitCost : item.lastUnitCost ?? item.price,
+          lastSupplier: last ? last.purchaseOrder.supplier : null
+        };
+      });
+    });
+
+    res.json({
+      success: true,
+      data: suggestions,
+      threshold: LOW_STOCK_THRESHOLD,
+      reorderTarget: REORDER_TARGET
+    });
+  } catch (error) {
+    console.error('Error fetching reorder suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reorder suggestions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/inventory/purchase-orders/:id - Get one purchase order with its lines
+router.get('/:id', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const order = await retryOperation(async () => {
+      return await prisma.purchaseOrder.findUnique({
+        where: { id: parseInt(req.params.id) },
+        include: orderInclude
+      });
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/inventory/purchase-orders - Place a purchase order with a supplier
+// Expected body: { supplier, notes?, lines: [{ itemId, quantity, unitCost }] }
+router.post('/', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const parsed = parseOrderInput(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { supplier, notes, lines } = parsed.data;
+
+    const order = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const items = await tx.inventoryItem.findMany({
+          where: { id: { in: lines.map((line) => line.itemId) } },
+          select: { id: true, name: true }
+        });
+        const names = new Map(items.map((item) => [item.id, item.name]));
+
+        if (names.size !== lines.length) {
+          throw new Error('Item not found');
+        }
+
+        return await tx.purchaseOrder.create({
+          data: {
+            supplier,
+            notes,
+            totalCost: roundMoney(lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0)),
+            createdById: req.user.id,
+            lines: {
+              create: lines.map((line) => ({ ...line, itemName: names.get(line.itemId) }))
+            }
+          },
+          include: orderInclude
+        });
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: order,
+      message: `Purchase order #${order.id} placed with ${order.supplier}`
+    });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+
+    if (error.message === 'Item not found') {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more items on the order no longer exist'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create purchase order',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/inventory/purchase-orders/:id/receive - Mark an order received
+// Expected body: { lines?: [{ id, receivedQuantity }] } - lines left out were delivered in full.
+// Posts the delivered quantities to stock as RESTOCK movements and books their cost in profit_rewards.
+// Each delivered line's unit cost is kept as the item's lastUnitCost, which later redemptions are valued at;
+// the item's price is left as set.
+router.post('/:id/receive', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const parsed = parseReceivedLines(req.body.lines);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const order = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const existing = await tx.purchaseOrder.findUnique({
+          where: { id },
+          include: { lines: true }
+        });
+
+        if (!existing) {
+          throw new Error('Purchase order not found');
+        }
+
+        if ([...parsed.data.keys()].some((lineId) => !existing.lines.some((line) => line.id === lineId))) {
+          throw new Error('Line not found');
+        }
+
+        const receivedAt = new Date();
+
+        // Guarded on the status so an order cannot be received twice or received after it was cancelled
+        const claimed = await tx.purchaseOrder.updateMany({
+          where: { id, status: 'ORDERED' },
+          data: { status: 'RECEIVED', receivedAt, receivedById: req.user.id }
+        });
+
+        if (claimed.count === 0) {
+          throw new Error('Purchase order is not open');
+        }
+
+        let totalCost = 0;
+        for (const line of existing.lines) {
+          const receivedQuantity = parsed.data.get(line.id) ?? line.quantity;
+          totalCost += receivedQuantity * line.unitCost;
+
+          await tx.purchaseOrderLine.update({
+            where: { id: line.id },
+            data: { receivedQuantity }
+          });
+
+          // Lines whose item was deleted since the order was placed are still paid for but have no stock to add
+          if (line.itemId && receivedQuantity > 0) {
+            await moveStock(tx, line.itemId, receivedQuantity, {
+              type: 'RESTOCK',
+              reason: `Received on purchase order #${id} from ${existing.supplier}`,
+              accountId: req.user.id,
+              purchaseOrderId: id
+            });
+
+            await tx.inventoryItem.update({
+              where: { id: line.itemId },
+              data: { lastUnitCost: line.unitCost }
+            });
+          }
+        }
+
+        totalCost = roundMoney(totalCost);
+
+        if (totalCost > 0) {
+          await tx.profitReward.create({
+            data: {
+              date: receivedAt,
+              profitFromRecyclables: 0,
+              rewardsSpent: totalCost,
+              netProfit: -totalCost,
+              notes: `Purchase order #${id} from ${existing.supplier}`,
+              purchaseOrderId: id
+            }
+          });
+        }
+
+        return await tx.purchaseOrder.update({
+          where: { id },
+          data: { totalCost },
+          include: orderInclude
+        });
+      });
+    });
+
+    res.json({
+      success: true,
+      data: order,
+      message: `Purchase order #${order.id} received`
+    });
+  } catch (error) {
+    console.error('Error receiving purchase order:', error);
+
+    if (error.message === 'Purchase order not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (error.message === 'Line not found') {
+      return res.status(400).json({
+        success: false,
+        message: 'Received quantities refer to a line that is not on this order'
+      });
+    }
+
+    if (error.message === 'Purchase order is not open') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only open purchase orders can be received'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive purchase order',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/inventory/purchase-orders/:id/cancel - Cancel an open order; nothing is added to stock or spent
+router.post('/:id/cancel', requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const result = await retryOperation(async () => {
+      const cancelled = await prisma.purchaseOrder.updateMany({
+        where: { id, status: 'ORDERED' },
+        data: { status: 'CANCELLED', cancelledAt: new Date() }
+      });
+
+      return {
+        cancelled: cancelled.count > 0,
+        order: await prisma.purchaseOrder.findUnique({ where: { id }, include: orderInclude })
+      };
+    });
+
+    if (!result.order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!result.cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only open purchase orders can be cancelled'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.order,
+      message: `Purchase order #${id} cancelled`
+    });
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel purchase order',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,262 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { parseMonth, toMonthKey, getBudgetStatus, getBudgetOverview } from '../../utils/budgets.js';
+import { broadcastBinNotification } from '../bin/notifications.js';
+
+// Route Path ( '/api/profit/budgets' )
+const router = express.Router();
+
+const PACING_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Alert levels in the order they escalate
+const ALERT_LEVELS = ['PACING', 'EXCEEDED'];
+let pacingTimer = null;
+
+const formatPeso = (value) => `₱${Number(value).toFixed(2)}`;
+
+const sendBudgetAlert = async (status, alertedAt) => {
+  const data = {
+    month: status.month,
+    level: status.status,
+    budget: status.budget.amount,
+    spent: status.spent,
+    projectedSpend: status.projectedSpend,
+    couponLimit: status.coupons.limit,
+    couponsUsed: status.coupons.used,
+    projectedCoupons: status.coupons.projected
+  };
+
+  try {
+    await retryOperation(async () => {
+      return await prisma.wasteNotification.create({
+        data: {
+          type: 'BUDGET_ALERT',
+          wasteType: 'BUDGET',
+          isRead: false,
+          metadata: data
+        }
+      });
+    });
+  } catch (error) {
+    console.warn('Could not create notification:', error.message);
+  }
+
+  broadcastBinNotification({
+    type: 'BUDGET_ALERT',
+    data: { ...data, alertedAt },
+    timestamp: alertedAt.toISOString()
+  });
+};
+
+// Compare this month's reward spending with its budget. Alerts when the month's projection goes over the
+// budget (PACING) and again when the spend itself does (EXCEEDED), each once per month; saving the budget
+// re-arms it. Never throws, so callers do not need to wait for it.
+export const checkBudgetPacing = async () => {
+  try {
+    const status = await retryOperation(async () => {
+      return await getBudgetStatus(parseMonth(toMonthKey(new Date())));
+    });
+
+    if (!status.budget || status.status === 'ON_TRACK') return null;
+    if (ALERT_LEVELS.indexOf(status.budget.alertLevel) >= ALERT_LEVELS.indexOf(status.status)) return null;
+
+    // Only the update that raises the level reports it, so each level is announced once
+    const alertedAt = new Date();
+    const { count } = await retryOperation(async () => {
+      return await prisma.rewardBudget.updateMany({
+        where: { id: status.budget.id, alertLevel: status.budget.alertLevel },
+        data: { alertLevel: status.status, alertedAt }
+      });
+    });
+
+    if (count === 0) return null;
+
+    console.warn(`Reward budget for ${status.month} is ${status.status === 'EXCEEDED' ? 'exceeded' : 'pacing over'}: ` +
+      `${formatPeso(status.spent)} spent, ${formatPeso(status.projectedSpend)} projected of ${formatPeso(status.budget.amount)}`.yellow);
+    await sendBudgetAlert(status, alertedAt);
+    return { level: status.status, alertedAt };
+  } catch (error) {
+    console.error('Error checking reward budget pacing:', error);
+    return null;
+  }
+};
+
+// Start the periodic pacing check (called once from app.js); deposits change the projection between redemptions
+export const startBudgetMonitor = () => {
+  if (pacingTimer) return;
+
+  pacingTimer = setInterval(() => {
+    checkBudgetPacing();
+  }, PACING_CHECK_INTERVAL_MS);
+  pacingTimer.unref();
+};
+
+// GET /api/profit/budgets - Every month of a year with its budget, actual spend and coupon usage
+// Query: year? (default this year)
+router.get('/', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+
+    if (Number.isNaN(year) || year < 2000 || year > 9999) {
+      return res.status(400).json({
+        success: false,
+        message: 'year must be a four digit year'
+      });
+    }
+
+    const months = await retryOperation(async () => {
+      return await getBudgetOverview(year);
+    });
+
+    res.json({
+      success: true,
+      data: months
+    });
+  } catch (error) {
+    console.error('Error fetching reward budgets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reward budgets',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/profit/budgets/:month - A month's budget against actual and projected spend (month as YYYY-MM)
+router.get('/:month', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const month = parseMonth(req.params.month);
+
+    if (!month) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const status = await retryOperation(async () => {
+      return await getBudgetStatus(month);
+    });
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error fetching reward budget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reward budget',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/profit/budgets/:month - Set a month's budget
+// Expected body: { amount, couponLimit?: number | null, notes? }
+router.put('/:month', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    const month = parseMonth(req.params.month);
+    const { amount, couponLimit, notes } = req.body;
+
+    if (!month) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const budgetAmount = Number(amount);
+    if (amount === null || amount === '' || !Number.isFinite(budgetAmount) || budgetAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Budget amount must be a non-negative number'
+      });
+    }
+
+    if (couponLimit !== undefined && couponLimit !== null && (!Number.isInteger(couponLimit) || couponLimit < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon limit must be a whole number of coupons, or null for no limit'
+      });
+    }
+
+    const data = {
+      amount: Math.round(budgetAmount * 100) / 100,
+      // A changed budget is judged afresh, so its alerts are re-armed
+      alertLevel: null
+    };
+    if (couponLimit !== undefined) data.couponLimit = couponLimit;
+    if (notes !== undefined) data.notes = typeof notes === 'string' && notes.trim() ? notes.trim() : null;
+
+    await retryOperation(async () => {
+      return await prisma.rewardBudget.upsert({
+        where: { month: month.stored },
+        create: { ...data, month: month.stored, createdById: req.user.id },
+        update: data
+      });
+    });
+
+    const alert = month.key === toMonthKey(new Date()) ? await checkBudgetPacing() : null;
+    const status = await retryOperation(async () => {
+      return await getBudgetStatus(month);
+    });
+
+    res.json({
+      success: true,
+      message: alert
+        ? `Budget saved; spending is ${alert.level === 'EXCEEDED' ? 'already over it' : 'on pace to go over it'} and an alert was sent`
+        : `Budget for ${month.key} saved`,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error saving reward budget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save reward budget',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/profit/budgets/:month - Remove a month's budget
+router.delete('/:month', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    const month = parseMonth(req.params.month);
+
+    if (!month) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    await retryOperation(async () => {
+      return await prisma.rewardBudget.delete({
+        where: { month: month.stored }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: `Budget for ${month.key} removed`
+    });
+  } catch (error) {
+    console.error('Error deleting reward budget:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'No budget set for that month'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete reward budget',
+      error: error.message
+    });
+  }
+});
+
+export default router;
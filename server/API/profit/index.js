@@ -1,10 +1,17 @@
 import express from 'express';
 import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { getProfitDateRange, computeDailyProfit, summarizeDays } from '../../utils/profit.js';
+import { parseMonth, toMonthKey, forecastMonth } from '../../utils/budgets.js';
+import budgetsRouter, { checkBudgetPacing } from './budgets.js';
 
 const router = express.Router();
 
-// GET /api/profit/records - Get all profit records with filters
-router.get('/records', async (req, res) => {
+router.use('/budgets', budgetsRouter);
+
+// GET /api/profit/records - Get the manual adjustment records with filters
+// Purchase order spend is left out; /daily and /summary report it as restock
+router.get('/records', requirePermission('profit:read'), async (req, res) => {
   try {
     const {
       period = 'all',
@@ -40,7 +47,7 @@ router.get('/records', async (req, res) => {
       dateFilter.gte = new Date(now.setHours(0, 0, 0, 0));
     }
 
-    const where = {};
+    const where = { purchaseOrderId: null };
     if (Object.keys(dateFilter).length > 0) {
       where.date = dateFilter;
     }
@@ -78,8 +85,8 @@ router.get('/records', async (req, res) => {
   }
 });
 
-// POST /api/profit/add - Add new profit/reward record
-router.post('/add', async (req, res) => {
+// POST /api/profit/add - Add a manual adjustment (income or spending outside sales and redemptions)
+router.post('/add', requirePermission('profit:manage'), async (req, res) => {
   try {
     const { profitAmount, expenseAmount, revenue, source, description } = req.body;
 
@@ -119,6 +126,8 @@ router.post('/add', async (req, res) => {
       });
     });
 
+    checkBudgetPacing();
+
     res.status(201).json({
       success: true,
       message: 'Profit/reward record added successfully',
@@ -135,7 +144,7 @@ router.post('/add', async (req, res) => {
 });
 
 // PUT /api/profit/update/:id - Update existing record
-router.put('/update/:id', async (req, res) => {
+router.put('/update/:id', requirePermission('profit:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { date, profitFromRecyclables, rewardsSpent, notes } = req.body;
@@ -156,6 +165,14 @@ router.put('/update/:id', async (req, res) => {
       });
     }
 
+    // Spend booked from a received purchase order follows the order; only its notes can be changed here
+    if (existing.purchaseOrderId && (date || profitFromRecyclables !== undefined || rewardsSpent !== undefined)) {
+      return res.status(409).json({
+        success: false,
+        message: `This record was booked from purchase order #${existing.purchaseOrderId}; only its notes can be edited`
+      });
+    }
+
     // Calculate new net profit
     const profit = profitFromRecyclables !== undefined 
       ? parseFloat(profitFromRecyclables) 
@@ -199,11 +216,25 @@ router.put('/update/:id', async (req, res) => {
 });
 
 // DELETE /api/profit/delete/:id - Delete record
-router.delete('/delete/:id', async (req, res) => {
+router.delete('/delete/:id', requirePermission('profit:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const recordId = parseInt(id);
 
+    const existing = await retryOperation(async () => {
+      return await prisma.profitReward.findUnique({
+        where: { id: recordId },
+        select: { purchaseOrderId: true }
+      });
+    });
+
+    if (existing?.purchaseOrderId) {
+      return res.status(409).json({
+        success: false,
+        message: `This record was booked from purchase order #${existing.purchaseOrderId} and cannot be deleted`
+      });
+    }
+
     const deleted = await retryOperation(async () => {
       return await prisma.profitReward.delete({
         where: { id: recordId }
@@ -232,66 +263,57 @@ router.delete('/delete/:id', async (req, res) => {
   }
 });
 
-// GET /api/profit/summary - Aggregated summary
-router.get('/summary', async (req, res) => {
+// GET /api/profit/daily - Profit per day computed from recyclable sales, redemptions and manual adjustments
+// Query: period?, year?, month?, startDate?, endDate? (YYYY-MM-DD, inclusive)
+router.get('/daily', requirePermission('profit:read'), async (req, res) => {
   try {
-    const { period = 'all', year, month } = req.query;
-
-    const dateFilter = {};
-    const now = new Date();
+    const range = getProfitDateRange(req.query);
 
-    // Check month first (more specific than year)
-    if (period === 'month' || month) {
-      const targetMonth = month ? parseInt(month) - 1 : now.getMonth();
-      const targetYear = year ? parseInt(year) : now.getFullYear();
-      dateFilter.gte = new Date(targetYear, targetMonth, 1);
-      dateFilter.lt = new Date(targetYear, targetMonth + 1, 1);
-    } else if (period === 'year' || year) {
-      const targetYear = year ? parseInt(year) : now.getFullYear();
-      dateFilter.gte = new Date(targetYear, 0, 1);
-      dateFilter.lt = new Date(targetYear + 1, 0, 1);
-    } else if (period === 'week') {
-      const weekAgo = new Date(now);
-      weekAgo.setDate(weekAgo.getDate() - 7);
-      dateFilter.gte = weekAgo;
-    } else if (period === 'day') {
-      dateFilter.gte = new Date(now.setHours(0, 0, 0, 0));
-    }
-
-    const where = {};
-    if (Object.keys(dateFilter).length > 0) {
-      where.date = dateFilter;
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Please use YYYY-MM-DD format.'
+      });
     }
 
-    const records = await retryOperation(async () => {
-      return await prisma.profitReward.findMany({ where });
+    const days = await retryOperation(async () => {
+      return await computeDailyProfit(range);
     });
 
-    const summary = {
-      totalProfit: 0,
-      totalRewardsSpent: 0,
-      totalNetProfit: 0,
-      recordCount: records.length,
-      averageProfit: 0,
-      averageRewards: 0,
-      averageNetProfit: 0
-    };
-
-    records.forEach(record => {
-      summary.totalProfit += record.profitFromRecyclables;
-      summary.totalRewardsSpent += record.rewardsSpent;
-      summary.totalNetProfit += record.netProfit;
+    res.json({
+      success: true,
+      data: days
+    });
+  } catch (error) {
+    console.error('Error computing daily profit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute daily profit',
+      error: error.message
     });
+  }
+});
 
-    if (records.length > 0) {
-      summary.averageProfit = summary.totalProfit / records.length;
-      summary.averageRewards = summary.totalRewardsSpent / records.length;
-      summary.averageNetProfit = summary.totalNetProfit / records.length;
+// GET /api/profit/summary - Aggregated summary of the computed daily profit
+router.get('/summary', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const { period = 'all' } = req.query;
+    const range = getProfitDateRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Please use YYYY-MM-DD format.'
+      });
     }
 
+    const days = await retryOperation(async () => {
+      return await computeDailyProfit(range);
+    });
+
     res.json({
       success: true,
-      data: summary,
+      data: summarizeDays(days),
       period
     });
   } catch (error) {
@@ -304,52 +326,37 @@ router.get('/summary', async (req, res) => {
   }
 });
 
-// GET /api/profit/net-profit - Calculate net profit with filters
-router.get('/net-profit', async (req, res) => {
+// GET /api/profit/net-profit - Net profit per day, oldest first, with filters
+router.get('/net-profit', requirePermission('profit:read'), async (req, res) => {
   try {
-    const { period = 'all', year, month } = req.query;
+    const range = getProfitDateRange(req.query);
 
-    const dateFilter = {};
-    const now = new Date();
-
-    if (period === 'year' || year) {
-      const targetYear = year ? parseInt(year) : now.getFullYear();
-      dateFilter.gte = new Date(targetYear, 0, 1);
-      dateFilter.lt = new Date(targetYear + 1, 0, 1);
-    } else if (period === 'month' || month) {
-      const targetMonth = month ? parseInt(month) - 1 : now.getMonth();
-      const targetYear = year ? parseInt(year) : now.getFullYear();
-      dateFilter.gte = new Date(targetYear, targetMonth, 1);
-      dateFilter.lt = new Date(targetYear, targetMonth + 1, 1);
-    }
-
-    const where = {};
-    if (Object.keys(dateFilter).length > 0) {
-      where.date = dateFilter;
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format. Please use YYYY-MM-DD format.'
+      });
     }
 
-    const records = await retryOperation(async () => {
-      return await prisma.profitReward.findMany({
-        where,
-        orderBy: { date: 'asc' }
-      });
+    const days = await retryOperation(async () => {
+      return await computeDailyProfit(range);
     });
 
-    const netProfitData = records.map(record => ({
-      date: record.date,
-      profit: record.profitFromRecyclables,
-      rewards: record.rewardsSpent,
-      netProfit: record.netProfit
+    const netProfitData = [...days].reverse().map(day => ({
+      date: day.date,
+      profit: day.profitFromRecyclables,
+      rewards: day.rewardsSpent,
+      netProfit: day.netProfit
     }));
 
-    const totalNetProfit = records.reduce((sum, r) => sum + r.netProfit, 0);
+    const totalNetProfit = summarizeDays(days).totalNetProfit;
 
     res.json({
       success: true,
       data: {
         totalNetProfit,
         records: netProfitData,
-        count: records.length
+        count: days.length
       }
     });
   } catch (error) {
@@ -362,4 +369,35 @@ router.get('/net-profit', async (req, res) => {
   }
 });
 
+// GET /api/profit/forecast - Month-to-date profit and a projection of the month-end net profit
+// Query: month? (YYYY-MM, default this month). The rest of the month follows the trend of recent deposits.
+router.get('/forecast', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const month = parseMonth(req.query.month || toMonthKey(new Date()));
+
+    if (!month) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be in YYYY-MM format'
+      });
+    }
+
+    const forecast = await retryOperation(async () => {
+      return await forecastMonth(month);
+    });
+
+    res.json({
+      success: true,
+      data: forecast
+    });
+  } catch (error) {
+    console.error('Error forecasting profit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to forecast profit',
+      error: error.message
+    });
+  }
+});
+
 export default router;
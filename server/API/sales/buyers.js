@@ -0,0 +1,423 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { toDayKey } from '../../utils/profit.js';
+import { SALE_UNITS, getCurrentPrices } from '../../utils/buyerPrices.js';
+
+// Route Path ( '/api/sales/buyers' )
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const priceInclude = {
+  buyer: { select: { id: true, name: true, isActive: true } },
+  category: { select: { id: true, key: true, name: true, color: true } },
+  createdBy: { select: { id: true, username: true } }
+};
+
+// Validate directory fields. Returns { error } or { data }; on update only the given fields are checked.
+const parseBuyerInput = ({ name, contactName, phone, address, notes, isActive }, { partial = false } = {}) => {
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return { error: 'Buyer name is required and can be up to 100 characters' };
+    }
+    data.name = name.trim();
+  }
+
+  for (const [key, value] of [['contactName', contactName], ['phone', phone], ['address', address], ['notes', notes]]) {
+    if (value === undefined) continue;
+    data[key] = typeof value === 'string' && value.trim() ? value.trim() : null;
+  }
+
+  if (isActive !== undefined) {
+    data.isActive = Boolean(isActive);
+  }
+
+  return { data };
+};
+
+// Validate a price list entry. effectiveDate defaults to today.
+const parsePriceInput = ({ categoryId, unit, pricePerUnit, effectiveDate, notes }) => {
+  const id = parseInt(categoryId);
+  if (Number.isNaN(id)) {
+    return { error: 'categoryId must be the waste category the price is for' };
+  }
+
+  const priceUnit = unit || 'KG';
+  if (!SALE_UNITS.includes(priceUnit)) {
+    return { error: `Unit must be one of ${SALE_UNITS.join(', ')}` };
+  }
+
+  const price = Number(pricePerUnit);
+  if (pricePerUnit === null || pricePerUnit === '' || !Number.isFinite(price) || price <= 0) {
+    return { error: 'Price per unit must be greater than 0' };
+  }
+
+  if (effectiveDate && (!DATE_PATTERN.test(String(effectiveDate)) || isNaN(new Date(String(effectiveDate)).getTime()))) {
+    return { error: 'effectiveDate must be a date in YYYY-MM-DD format' };
+  }
+
+  return {
+    data: {
+      categoryId: id,
+      unit: priceUnit,
+      pricePerUnit: price,
+      effectiveDate: new Date(effectiveDate ? String(effectiveDate) : toDayKey(new Date())),
+      notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null
+    }
+  };
+};
+
+// GET /api/sales/buyers - List buyers with the prices they pay today
+// Query: includeInactive? ('true' to list deactivated buyers too)
+router.get('/', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+
+    const [buyers, currentPrices] = await retryOperation(async () => {
+      return await Promise.all([
+        prisma.buyer.findMany({
+          where: includeInactive ? {} : { isActive: true },
+          include: { _count: { select: { sales: true } } },
+          orderBy: { name: 'asc' }
+        }),
+        getCurrentPrices({ includeInactive })
+      ]);
+    });
+
+    res.json({
+      success: true,
+      data: buyers.map(({ _count, ...buyer }) => ({
+        ...buyer,
+        salesCount: _count.sales,
+        currentPrices: currentPrices
+          .filter((price) => price.buyerId === buyer.id)
+          .map((price) => ({
+            id: price.id,
+            category: price.category,
+            unit: price.unit,
+            pricePerUnit: price.pricePerUnit,
+            effectiveDate: price.effectiveDate
+          }))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching buyers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch buyers',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/sales/buyers/prices - Compare buyers for a material: today's prices best first, plus every dated entry
+// Query: categoryId (required), unit? (default KG)
+router.get('/prices', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.query.categoryId);
+    const unit = req.query.unit || 'KG';
+
+    if (Number.isNaN(categoryId) || !SALE_UNITS.includes(unit)) {
+      return res.status(400).json({
+        success: false,
+        message: `categoryId is required and unit must be one of ${SALE_UNITS.join(', ')}`
+      });
+    }
+
+    const [currentPrices, history] = await retryOperation(async () => {
+      return await Promise.all([
+        getCurrentPrices({ categoryId, unit }),
+        prisma.buyerPrice.findMany({
+          where: { categoryId, unit },
+          include: priceInclude,
+          orderBy: [{ effectiveDate: 'asc' }, { id: 'asc' }]
+        })
+      ]);
+    });
+
+    const ranking = currentPrices
+      .sort((a, b) => b.pricePerUnit - a.pricePerUnit)
+      .map((price) => ({
+        buyer: price.buyer,
+        pricePerUnit: price.pricePerUnit,
+        effectiveDate: price.effectiveDate
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        categoryId,
+        unit,
+        ranking,
+        best: ranking[0] || null,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Error comparing buyer prices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare buyer prices',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/sales/buyers - Add a buyer to the directory
+// Expected body: { name, contactName?, phone?, address?, notes? }
+router.post('/', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    const parsed = parseBuyerInput(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const buyer = await retryOperation(async () => {
+      return await prisma.buyer.create({ data: parsed.data });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: buyer,
+      message: `${buyer.name} added to buyers`
+    });
+  } catch (error) {
+    console.error('Error creating buyer:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A buyer with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create buyer',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/sales/buyers/:id - Update a buyer's details or (de)activate it
+router.patch('/:id', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    const parsed = parseBuyerInput(req.body, { partial: true });
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const buyer = await retryOperation(async () => {
+      return await prisma.buyer.update({
+        where: { id: parseInt(req.params.id) },
+        data: parsed.data
+      });
+    });
+
+    res.json({
+      success: true,
+      data: buyer,
+      message: 'Buyer updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating buyer:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Buyer not found'
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A buyer with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update buyer',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/sales/buyers/:id - Remove a buyer and its price list; buyers with sales can only be deactivated
+router.delete('/:id', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const salesCount = await retryOperation(async () => {
+      return await prisma.recyclableSale.count({ where: { buyerId: id } });
+    });
+
+    if (salesCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This buyer has ${salesCount} recorded sale(s). Deactivate it instead to keep the sales history.`
+      });
+    }
+
+    await retryOperation(async () => {
+      return await prisma.buyer.delete({ where: { id } });
+    });
+
+    res.json({
+      success: true,
+      message: 'Buyer deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting buyer:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Buyer not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete buyer',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/sales/buyers/:id/prices - A buyer's full price history, newest first
+router.get('/:id/prices', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    const buyer = await retryOperation(async () => {
+      return await prisma.buyer.findUnique({
+        where: { id },
+        include: {
+          prices: {
+            include: priceInclude,
+            orderBy: [{ effectiveDate: 'desc' }, { id: 'desc' }]
+          }
+        }
+      });
+    });
+
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Buyer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buyer.prices
+    });
+  } catch (error) {
+    console.error('Error fetching buyer prices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch buyer prices',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/sales/buyers/:id/prices - Add a price list entry; it applies from effectiveDate until a later entry
+// Expected body: { categoryId, unit?: 'KG' | 'PIECE', pricePerUnit, effectiveDate?: 'YYYY-MM-DD' (default today), notes? }
+router.post('/:id/prices', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    const parsed = parsePriceInput(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const price = await retryOperation(async () => {
+      return await prisma.buyerPrice.create({
+        data: {
+          ...parsed.data,
+          buyerId: parseInt(req.params.id),
+          createdById: req.user.id
+        },
+        include: priceInclude
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: price,
+      message: `${price.category.name} price for ${price.buyer.name} saved`
+    });
+  } catch (error) {
+    console.error('Error adding buyer price:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'This buyer already has a price for that material and unit on that date'
+      });
+    }
+
+    if (error.code === 'P2003') {
+      return res.status(400).json({
+        success: false,
+        message: 'Buyer or waste category not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add buyer price',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/sales/buyers/prices/:priceId - Delete a price list entry entered by mistake
+router.delete('/prices/:priceId', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    await retryOperation(async () => {
+      return await prisma.buyerPrice.delete({
+        where: { id: parseInt(req.params.priceId) }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Price deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting buyer price:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Price not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete price',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,386 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { toDayKey } from '../../utils/profit.js';
+import { SALE_UNITS, getCurrentPrices, estimateStorageValue } from '../../utils/buyerPrices.js';
+import buyersRouter from './buyers.js';
+
+// Route Path ( '/api/sales' )
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const saleInclude = {
+  category: { select: { id: true, key: true, name: true, color: true } },
+  buyer: { select: { id: true, name: true } },
+  recordedBy: { select: { id: true, username: true } }
+};
+
+// Validate sale fields. Returns { error } or { data }; on update only the given fields are checked.
+// date defaults to today and amount is always quantity x pricePerUnit. With a buyerId from the directory
+// buyerName and pricePerUnit may be left out; they are filled in by applyBuyer.
+const parseSaleInput = ({ date, buyerId, buyerName, categoryId, unit, quantity, pricePerUnit, notes }, { partial = false } = {}) => {
+  const data = {};
+
+  if (date !== undefined || !partial) {
+    if (date) {
+      if (!DATE_PATTERN.test(String(date)) || isNaN(new Date(String(date)).getTime())) {
+        return { error: 'date must be a date in YYYY-MM-DD format' };
+      }
+      data.date = new Date(String(date));
+    } else {
+      data.date = new Date(toDayKey(new Date()));
+    }
+
+    if (data.date > new Date(toDayKey(new Date()))) {
+      return { error: 'Sales cannot be dated in the future' };
+    }
+  }
+
+  if (buyerId !== undefined && buyerId !== null && buyerId !== '') {
+    const id = parseInt(buyerId);
+    if (Number.isNaN(id)) {
+      return { error: 'buyerId must be a buyer from the directory' };
+    }
+    data.buyerId = id;
+  } else if (buyerId !== undefined || buyerName !== undefined || !partial) {
+    // A typed-in name is a buyer outside the directory
+    data.buyerId = null;
+  }
+
+  if (buyerName !== undefined || (!partial && !data.buyerId)) {
+    if (typeof buyerName !== 'string' || !buyerName.trim() || buyerName.trim().length > 100) {
+      return { error: 'Buyer is required and can be up to 100 characters' };
+    }
+    data.buyerName = buyerName.trim();
+  }
+
+  if (categoryId !== undefined || !partial) {
+    const id = parseInt(categoryId);
+    if (Number.isNaN(id)) {
+      return { error: 'categoryId must be the waste category that was sold' };
+    }
+    data.categoryId = id;
+  }
+
+  if (unit !== undefined || !partial) {
+    const saleUnit = unit || 'KG';
+    if (!SALE_UNITS.includes(saleUnit)) {
+      return { error: `Unit must be one of ${SALE_UNITS.join(', ')}` };
+    }
+    data.unit = saleUnit;
+  }
+
+  for (const [key, value, label] of [['quantity', quantity, 'Quantity'], ['pricePerUnit', pricePerUnit, 'Price per unit']]) {
+    if (value === undefined && (partial || (key === 'pricePerUnit' && data.buyerId))) continue;
+    const number = Number(value);
+    if (value === null || value === '' || !Number.isFinite(number) || number <= 0) {
+      return { error: `${label} must be greater than 0` };
+    }
+    data[key] = number;
+  }
+
+  if (data.unit === 'PIECE' && data.quantity !== undefined && !Number.isInteger(data.quantity)) {
+    return { error: 'Items sold by the piece need a whole number quantity' };
+  }
+
+  if (notes !== undefined) {
+    data.notes = typeof notes === 'string' && notes.trim() ? notes.trim() : null;
+  }
+
+  return { data };
+};
+
+// Take the buyer's name from the directory and, when no price was given, the price the buyer pays on the sale date
+const applyBuyer = async (tx, data, sale = data) => {
+  if (!data.buyerId) return data;
+
+  const buyer = await tx.buyer.findUnique({ where: { id: data.buyerId } });
+  if (!buyer) {
+    throw new Error('Buyer not found');
+  }
+
+  const applied = { ...data, buyerName: buyer.name };
+  if (sale.pricePerUnit === undefined) {
+    const [price] = await getCurrentPrices({
+      buyerId: buyer.id,
+      categoryId: sale.categoryId,
+      unit: sale.unit,
+      asOf: sale.date,
+      includeInactive: true
+    }, tx);
+
+    if (!price) {
+      throw new Error('No buyer price');
+    }
+    applied.pricePerUnit = price.pricePerUnit;
+  }
+
+  return applied;
+};
+
+// Responses for the errors applyBuyer and the sale routes throw
+const sendSaleError = (res, error) => {
+  if (error.message === 'Buyer not found') {
+    return res.status(400).json({
+      success: false,
+      message: 'Buyer not found'
+    });
+  }
+
+  if (error.message === 'No buyer price') {
+    return res.status(400).json({
+      success: false,
+      message: 'The buyer has no price for this material yet; enter the price per unit'
+    });
+  }
+
+  if (error.code === 'P2003') {
+    return res.status(400).json({
+      success: false,
+      message: 'Waste category not found'
+    });
+  }
+
+  return null;
+};
+
+router.use('/buyers', buyersRouter);
+
+// GET /api/sales/storage - Collected recyclables not sold yet and what they would fetch at today's best buyer prices
+router.get('/storage', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const storage = await retryOperation(async () => {
+      return await estimateStorageValue();
+    });
+
+    res.json({
+      success: true,
+      data: storage
+    });
+  } catch (error) {
+    console.error('Error estimating recyclables in storage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to estimate recyclables in storage',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/sales - List recyclable sales, newest first
+// Query: startDate?, endDate? (YYYY-MM-DD, inclusive), categoryId?, buyerId?, buyer? (name contains), page?, limit?
+router.get('/', requirePermission('profit:read'), async (req, res) => {
+  try {
+    const { startDate, endDate, categoryId, buyerId, buyer, page = 1, limit = 50 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+    if (categoryId) where.categoryId = parseInt(categoryId);
+    if (buyerId) where.buyerId = parseInt(buyerId);
+    if (buyer) where.buyerName = { contains: String(buyer) };
+
+    for (const [value, bound] of [[startDate, 'gte'], [endDate, 'lte']]) {
+      if (!value) continue;
+      if (!DATE_PATTERN.test(String(value))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format. Please use YYYY-MM-DD format.',
+          received: value
+        });
+      }
+      where.date = { ...where.date, [bound]: new Date(String(value)) };
+    }
+
+    const [sales, total, totals] = await retryOperation(async () => {
+      return await prisma.$transaction([
+        prisma.recyclableSale.findMany({
+          where,
+          include: saleInclude,
+          orderBy: [{ date: 'desc' }, { id: 'desc' }],
+          skip,
+          take: limitNum
+        }),
+        prisma.recyclableSale.count({ where }),
+        prisma.recyclableSale.aggregate({ where, _sum: { amount: true } })
+      ]);
+    });
+
+    res.json({
+      success: true,
+      data: sales,
+      totalAmount: roundMoney(totals._sum.amount || 0),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching recyclable sales:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recyclable sales',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/sales - Record a sale of collected recyclables
+// Expected body: { date?: 'YYYY-MM-DD' (default today), buyerId? | buyerName, categoryId, unit?: 'KG' | 'PIECE', quantity,
+//   pricePerUnit? (default the buyer's price on that date), notes? }
+router.post('/', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    const parsed = parseSaleInput(req.body);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const sale = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const data = await applyBuyer(tx, parsed.data);
+
+        return await tx.recyclableSale.create({
+          data: {
+            ...data,
+            amount: roundMoney(data.quantity * data.pricePerUnit),
+            recordedById: req.user.id
+          },
+          include: saleInclude
+        });
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: sale,
+      message: `Sale to ${sale.buyerName} recorded`
+    });
+  } catch (error) {
+    console.error('Error recording recyclable sale:', error);
+
+    if (sendSaleError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record sale',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/sales/:id - Correct a recorded sale; the amount is recomputed
+router.patch('/:id', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const parsed = parseSaleInput(req.body, { partial: true });
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const sale = await retryOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const existing = await tx.recyclableSale.findUnique({ where: { id } });
+
+        if (!existing) {
+          throw new Error('Sale not found');
+        }
+
+        // Changing the buyer renames the sale but keeps its price unless a new one is given
+        const data = await applyBuyer(tx, parsed.data, { ...existing, ...parsed.data });
+
+        const merged = { ...existing, ...data };
+        if (merged.unit === 'PIECE' && !Number.isInteger(merged.quantity)) {
+          throw new Error('Fractional pieces');
+        }
+
+        return await tx.recyclableSale.update({
+          where: { id },
+          data: {
+            ...data,
+            amount: roundMoney(merged.quantity * merged.pricePerUnit)
+          },
+          include: saleInclude
+        });
+      });
+    });
+
+    res.json({
+      success: true,
+      data: sale,
+      message: 'Sale updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating recyclable sale:', error);
+
+    if (error.message === 'Sale not found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    if (error.message === 'Fractional pieces') {
+      return res.status(400).json({
+        success: false,
+        message: 'Items sold by the piece need a whole number quantity'
+      });
+    }
+
+    if (sendSaleError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update sale',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/sales/:id - Delete a sale recorded by mistake
+router.delete('/:id', requirePermission('profit:manage'), async (req, res) => {
+  try {
+    await retryOperation(async () => {
+      return await prisma.recyclableSale.delete({
+        where: { id: parseInt(req.params.id) }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Sale deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting recyclable sale:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete sale',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
 import { uploadVideo, deleteVideo, listVideosByWasteType, getSignedVideoUrl } from '../../utils/firebase.js';
+import { getWasteCategories } from '../../utils/wasteCategories.js';
 import multer from 'multer';
 
 const router = express.Router();
@@ -22,7 +24,7 @@ const upload = multer({
 });
 
 // GET /api/video/mapping - Get all video mappings
-router.get('/mapping', async (req, res) => {
+router.get('/mapping', requirePermission('waste:read'), async (req, res) => {
   try {
     const mappings = await retryOperation(async () => {
       return await prisma.videoMapping.findMany({
@@ -45,7 +47,7 @@ router.get('/mapping', async (req, res) => {
 });
 
 // GET /api/video/mapping/:wasteType - Get video for specific waste type
-router.get('/mapping/:wasteType', async (req, res) => {
+router.get('/mapping/:wasteType', requirePermission('waste:read'), async (req, res) => {
   try {
     const { wasteType } = req.params;
     const normalizedType = wasteType.toUpperCase();
@@ -78,7 +80,7 @@ router.get('/mapping/:wasteType', async (req, res) => {
 });
 
 // POST /api/video/upload - Upload video for waste type
-router.post('/upload', upload.single('video'), async (req, res) => {
+router.post('/upload', requirePermission('waste:configure'), upload.single('video'), async (req, res) => {
   try {
     const { wasteType, thumbnail, duration } = req.body;
 
@@ -97,7 +99,7 @@ router.post('/upload', upload.single('video'), async (req, res) => {
     }
 
     const normalizedType = wasteType.toUpperCase();
-    const validTypes = ['WET', 'DRY', 'RECYCLABLE'];
+    const validTypes = (await getWasteCategories()).map((category) => category.code);
 
     if (!validTypes.includes(normalizedType)) {
       return res.status(400).json({
@@ -173,7 +175,7 @@ router.post('/upload', upload.single('video'), async (req, res) => {
 });
 
 // PUT /api/video/update/:wasteType - Update video mapping metadata
-router.put('/update/:wasteType', async (req, res) => {
+router.put('/update/:wasteType', requirePermission('waste:configure'), async (req, res) => {
   try {
     const { wasteType } = req.params;
     const { thumbnail, duration, videoUrl, videoPath } = req.body;
@@ -216,7 +218,7 @@ router.put('/update/:wasteType', async (req, res) => {
 });
 
 // DELETE /api/video/delete/:wasteType - Delete video and mapping
-router.delete('/delete/:wasteType', async (req, res) => {
+router.delete('/delete/:wasteType', requirePermission('waste:configure'), async (req, res) => {
   try {
     const { wasteType } = req.params;
     const normalizedType = wasteType.toUpperCase();
@@ -264,7 +266,7 @@ router.delete('/delete/:wasteType', async (req, res) => {
 });
 
 // GET /api/video/list/:wasteType - List all videos in Firebase for waste type
-router.get('/list/:wasteType', async (req, res) => {
+router.get('/list/:wasteType', requirePermission('waste:configure'), async (req, res) => {
   try {
     const { wasteType } = req.params;
     const normalizedType = wasteType.toUpperCase();
@@ -290,7 +292,7 @@ router.get('/list/:wasteType', async (req, res) => {
 });
 
 // GET /api/video/signed-url/:wasteType - Get signed URL for private access
-router.get('/signed-url/:wasteType', async (req, res) => {
+router.get('/signed-url/:wasteType', requirePermission('waste:read'), async (req, res) => {
   try {
     const { wasteType } = req.params;
     const { expiresIn = 60 } = req.query;
@@ -0,0 +1,338 @@
+import { prisma, retryOperation } from '../../utils/database.js';
+import { consumeCoupons } from '../coupon/index.js';
+import { checkCouponStock } from '../coupon/stockAlert.js';
+import { broadcastBinNotification } from '../bin/notifications.js';
+import { getWasteCategories, parseWasteQuantities, getPrimaryCategory, toWasteRecord, wasteQuantitiesInclude } from '../../utils/wasteCategories.js';
+import { parseDepositorIdentifier, findOrCreateDepositor, toDepositorSummary } from '../../utils/depositors.js';
+import { getActiveCouponRule, calculateCouponAward, getPointsEarnedOnDay } from '../../utils/couponRules.js';
+
+const MAX_BATCH_SIZE = 500;
+const MAX_EVENT_AGE_DAYS = 30;
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+const IDEMPOTENCY_SCOPE = 'waste.add';
+
+// Device timestamps may be ISO strings or Unix time (seconds or milliseconds)
+const parseDeviceTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  let date;
+  if (typeof value === 'number') {
+    date = new Date(value < 1e12 ? value * 1000 : value);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Same YYYY-MM-DD date handling as addRecord, but for the event's own timestamp
+const toRecordDate = (recordedAt) => {
+  const dateString = recordedAt.getFullYear() + '-' +
+                     String(recordedAt.getMonth() + 1).padStart(2, '0') + '-' +
+                     String(recordedAt.getDate()).padStart(2, '0');
+  return new Date(dateString);
+};
+
+// Returns { error } for an invalid event, or { parsed, depositor } with its category counts and who deposited it
+const validateEvent = (event, categories) => {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return { error: 'Event must be an object.' };
+  }
+
+  const { recordedAt, eventId } = event;
+
+  const parsed = parseWasteQuantities(event, categories);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+
+  const identified = parseDepositorIdentifier(event);
+  if (identified.error) {
+    return { error: identified.error };
+  }
+
+  const timestamp = parseDeviceTimestamp(recordedAt);
+  if (!timestamp) {
+    return { error: 'recordedAt is required and must be an ISO date or Unix timestamp.' };
+  }
+
+  const now = Date.now();
+  if (timestamp.getTime() > now + FUTURE_TOLERANCE_MS) {
+    return { error: 'recordedAt is in the future. Check the device clock.' };
+  }
+
+  if (timestamp.getTime() < now - MAX_EVENT_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `recordedAt is older than ${MAX_EVENT_AGE_DAYS} days.` };
+  }
+
+  if (eventId !== undefined && eventId !== null && (!String(eventId).trim() || String(eventId).trim().length > 191)) {
+    return { error: 'eventId must be a non-empty string of at most 191 characters.' };
+  }
+
+  return { parsed, depositor: identified.depositor };
+};
+
+// Same response body as POST /api/waste/add, so a later single retry of the event gets a matching reply
+const buildCreatedResponse = (record, categories, depositor = null) => ({
+  success: true,
+  message: 'Waste record created successfully',
+  action: 'created',
+  data: toWasteRecord(record, categories),
+  depositor: toDepositorSummary(depositor)
+});
+
+// POST /api/waste/batch
+// Expected body: { events: [{ quantities: { <category key>: number }, weights?, depositor?, recordedAt, eventId? }, ...] }
+// Like /api/waste/add, category counts may also be top-level fields of each event
+// Uploads events buffered by a machine while it was offline. recordedAt is the device timestamp
+// and is stored as-is. Valid events are written in one transaction in chronological order, with
+// coupons consumed per event under the active coupon rule, with promotions and daily caps
+// judged by each event's recordedAt. Events already received (same eventId or timestamp) are reported
+// as duplicates instead of being written again. Returns one result per event, in request order.
+export const addWasteBatch = async (req, res) => {
+  try {
+    const { events } = req.body;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a non-empty events array.',
+        required: ['events']
+      });
+    }
+
+    if (events.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many events. A batch can contain at most ${MAX_BATCH_SIZE} events.`,
+        received: events.length
+      });
+    }
+
+    const deviceId = req.device.id;
+    const categories = await getWasteCategories({ includeInactive: true });
+    const results = new Array(events.length);
+    const accepted = [];
+    const seenKeys = new Set();
+    const seenTimestamps = new Set();
+
+    // Validate and drop duplicates within the batch itself
+    events.forEach((event, index) => {
+      const eventId = event?.eventId !== undefined && event?.eventId !== null ? String(event.eventId).trim() : null;
+      const { error, parsed, depositor } = validateEvent(event, categories);
+
+      if (error) {
+        results[index] = { index, eventId, status: 'invalid', message: error };
+        return;
+      }
+
+      const recordedAt = parseDeviceTimestamp(event.recordedAt);
+
+      if ((eventId && seenKeys.has(eventId)) || seenTimestamps.has(recordedAt.getTime())) {
+        results[index] = { index, eventId, status: 'duplicate', message: 'Event appears more than once in this batch.' };
+        return;
+      }
+
+      if (eventId) seenKeys.add(eventId);
+      seenTimestamps.add(recordedAt.getTime());
+      accepted.push({ index, eventId, recordedAt, parsed, depositor });
+    });
+
+    // Drop events that were already received in an earlier request
+    const [existingKeys, existingRecords] = await retryOperation(async () => {
+      return await Promise.all([
+        prisma.idempotencyKey.findMany({
+          where: {
+            deviceId,
+            scope: IDEMPOTENCY_SCOPE,
+            requestKey: { in: [...seenKeys] }
+          }
+        }),
+        prisma.waste_items.findMany({
+          where: {
+            deviceId,
+            recordedAt: { in: accepted.map((item) => item.recordedAt) }
+          },
+          select: { id: true, recordedAt: true }
+        })
+      ]);
+    });
+
+    const keysByValue = new Map(existingKeys.map((key) => [key.requestKey, key]));
+    const recordsByTime = new Map(existingRecords.map((record) => [record.recordedAt.getTime(), record]));
+
+    const toCreate = accepted.filter((item) => {
+      const existingKey = item.eventId ? keysByValue.get(item.eventId) : null;
+
+      if (existingKey) {
+        results[item.index] = existingKey.statusCode === null
+          ? { index: item.index, eventId: item.eventId, status: 'in_progress', message: 'This event is still being processed by another request.' }
+          : { index: item.index, eventId: item.eventId, status: 'duplicate', message: 'Event was already received.', record: existingKey.response?.data || null };
+        return false;
+      }
+
+      const existingRecord = recordsByTime.get(item.recordedAt.getTime());
+      if (existingRecord) {
+        results[item.index] = { index: item.index, eventId: item.eventId, status: 'duplicate', message: 'A record with this timestamp already exists.', record: { id: existingRecord.id } };
+        return false;
+      }
+
+      return true;
+    });
+
+    // Coupons are consumed in the order the deposits actually happened
+    toCreate.sort((a, b) => a.recordedAt - b.recordedAt || a.index - b.index);
+
+    const couponRule = await getActiveCouponRule();
+    let created = [];
+
+    if (toCreate.length > 0) {
+      try {
+        created = await retryOperation(async () => {
+          return await prisma.$transaction(async (tx) => {
+            const written = [];
+
+            for (const item of toCreate) {
+              const { quantities, total: totalWaste } = item.parsed;
+              const depositor = item.depositor ? await findOrCreateDepositor(item.depositor, tx) : null;
+
+              const record = await tx.waste_items.create({
+                data: {
+                  date: toRecordDate(item.recordedAt),
+                  recordedAt: item.recordedAt,
+                  total: totalWaste,
+                  deviceId,
+                  depositorId: depositor?.id ?? null,
+                  quantities: {
+                    create: quantities.map(({ category, quantity, weightGrams }) => ({ categoryId: category.id, quantity, weightGrams }))
+                  }
+                },
+                include: wasteQuantitiesInclude
+              });
+
+              let couponsConsumed = 0;
+              let wallet = depositor;
+              if (totalWaste > 0) {
+                const earnedToday = depositor ? await getPointsEarnedOnDay(depositor.id, item.recordedAt, tx) : 0;
+                const award = calculateCouponAward(couponRule, { quantities, at: item.recordedAt, identified: Boolean(depositor), earnedToday });
+                const consumption = award.points > 0
+                  ? await consumeCoupons(record.id, award.points, tx, { depositorId: depositor?.id, ruleId: award.ruleId, notes: award.summary })
+                  : null;
+                couponsConsumed = consumption ? award.points : 0;
+                wallet = consumption?.depositor || wallet;
+              }
+
+              if (item.eventId) {
+                await tx.idempotencyKey.create({
+                  data: {
+                    deviceId,
+                    scope: IDEMPOTENCY_SCOPE,
+                    requestKey: item.eventId,
+                    statusCode: 201,
+                    response: buildCreatedResponse(record, categories, wallet)
+                  }
+                });
+              }
+
+              written.push({ item, record, couponsConsumed, wallet });
+            }
+
+            return written;
+          }, { timeout: 30000 });
+        });
+      } catch (transactionError) {
+        // Another request wrote one of these events at the same time; nothing from this batch was saved
+        if (transactionError.code === 'P2002') {
+          return res.status(409).json({
+            success: false,
+            message: 'Some events were received by another request at the same time. No events were saved; retry the batch.',
+            error: 'BATCH_CONFLICT'
+          });
+        }
+        throw transactionError;
+      }
+    }
+
+    for (const { item, record, couponsConsumed, wallet } of created) {
+      results[item.index] = {
+        index: item.index,
+        eventId: item.eventId,
+        status: 'created',
+        record: buildCreatedResponse(record, categories).data,
+        couponsConsumed,
+        depositor: toDepositorSummary(wallet)
+      };
+    }
+
+    if (created.length > 0) {
+      checkCouponStock();
+
+      // Create waste notifications (for the notification system)
+      try {
+        await retryOperation(async () => {
+          return await prisma.wasteNotification.createMany({
+            data: created.map(({ item, record }) => ({
+              type: 'WASTE_INSERTED',
+              wasteType: getPrimaryCategory(item.parsed.quantities)?.code || 'NONE',
+              wasteRecordId: record.id,
+              quantity: record.total,
+              isRead: false,
+              metadata: { deviceId, deviceName: req.device.name, batch: true }
+            }))
+          });
+        });
+      } catch (error) {
+        console.warn('Could not create notifications:', error.message);
+      }
+
+      // One real-time update for the whole batch instead of one per event
+      try {
+        broadcastBinNotification({
+          type: 'WASTE_BATCH_INSERTED',
+          data: {
+            deviceId,
+            count: created.length,
+            recordIds: created.map(({ record }) => record.id)
+          },
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.warn('Could not broadcast update:', error.message);
+      }
+    }
+
+    const summary = {
+      received: events.length,
+      created: created.length,
+      duplicates: results.filter((result) => result.status === 'duplicate').length,
+      inProgress: results.filter((result) => result.status === 'in_progress').length,
+      invalid: results.filter((result) => result.status === 'invalid').length
+    };
+
+    return res.status(created.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `Processed ${events.length} event(s): ${summary.created} created, ${summary.duplicates} duplicate, ${summary.invalid} invalid`,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error adding waste batch:', error);
+
+    if (error.code === 'P1001') {
+      return res.status(503).json({
+        success: false,
+        message: 'Database connection failed. Please try again.',
+        error: 'Database unavailable'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while saving waste batch. No events were saved.',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+    });
+  }
+};
+
+export default addWasteBatch;
@@ -1,39 +1,45 @@
 import { prisma, retryOperation } from '../../utils/database.js';
 import { consumeCoupons } from '../coupon/index.js';
-import { broadcastBinNotification } from '../bin/notifications.js';
+import { broadcastBinNotification, sendDeviceNotification } from '../bin/notifications.js';
+import { getWasteCategories, parseWasteQuantities, getPrimaryCategory, toWasteRecord, wasteQuantitiesInclude } from '../../utils/wasteCategories.js';
+import { parseDepositorIdentifier, findOrCreateDepositor, toDepositorSummary } from '../../utils/depositors.js';
+import { issueVoucher, toPublicVoucher } from '../../utils/vouchers.js';
+import { getActiveCouponRule, calculateCouponAward, getPointsEarnedOnDay } from '../../utils/couponRules.js';
 
 // POST /api/waste/add
-// Expected body: { recyclable: number, biodegradable: number, nonBiodegradable: number }
+// Expected body: { quantities: { <category key>: number, ... } }, e.g. { quantities: { recyclable: 2, glass: 1 } }
+// Category keys may also be sent as top-level fields: { recyclable: number, biodegradable: number, nonBiodegradable: number }
+// Categories left out count as zero; see GET /api/waste/categories for the active keys
+// Optional: { weights: { <category key>: grams } } from machines with a load cell, for categories counted above
+// Optional: { depositor: { rfid } } or { depositor: { studentNumber } } (or top-level rfid / studentNumber)
+// credits the coupons earned to that person's wallet; unknown cards are registered on first use
+// Anonymous deposits that earn coupons get a single-use voucher instead, returned as `voucher` with a QR code
+// and shown on the kiosk following this machine (see GET /api/bin/notifications/stream?deviceId=)
+// The coupons earned are worked out by the active coupon rule (see /api/coupon/rules) and returned as `coupons`
+// The sending machine is resolved by the resolveDevice middleware (req.device)
+// Optional: { eventId } or an Idempotency-Key header; retries with the same key get the original response
 // Date is automatically set to today's date on the server
 // Now supports multiple entries per day with different timestamps
 export const addWasteRecord = async (req, res) => {
   try {
-    const { recyclable, biodegradable, nonBiodegradable } = req.body;
+    const categories = await getWasteCategories({ includeInactive: true });
+    const parsed = parseWasteQuantities(req.body, categories);
 
-    // Validate required fields
-    if (recyclable === undefined || biodegradable === undefined || nonBiodegradable === undefined) {
+    if (parsed.error) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields. Please provide recyclable, biodegradable, and nonBiodegradable amounts.',
-        required: ['recyclable', 'biodegradable', 'nonBiodegradable']
+        message: parsed.error,
+        categories: categories.filter((category) => category.isActive).map((category) => category.key)
       });
     }
 
-    // Validate data types
-    if (typeof recyclable !== 'number' || typeof biodegradable !== 'number' || typeof nonBiodegradable !== 'number') {
-      return res.status(400).json({
-        success: false,
-        message: 'All waste amounts must be numbers.',
-        received: { recyclable: typeof recyclable, biodegradable: typeof biodegradable, nonBiodegradable: typeof nonBiodegradable }
-      });
-    }
+    const { quantities, total: totalWaste } = parsed;
 
-    // Validate non-negative values
-    if (recyclable < 0 || biodegradable < 0 || nonBiodegradable < 0) {
+    const identified = parseDepositorIdentifier(req.body);
+    if (identified.error) {
       return res.status(400).json({
         success: false,
-        message: 'Waste amounts cannot be negative.',
-        received: { recyclable, biodegradable, nonBiodegradable }
+        message: identified.error
       });
     }
 
@@ -47,39 +53,74 @@ export const addWasteRecord = async (req, res) => {
     const recordedAt = new Date(); // Exact timestamp for multiple entries per day
 
     try {
+      const depositor = identified.depositor ? await findOrCreateDepositor(identified.depositor) : null;
+
       // Create the record with timestamp (allows multiple entries per day)
       const result = await retryOperation(async () => {
         return await prisma.waste_items.create({
           data: {
-            recyclable,
-            biodegradable,
-            nonBiodegradable,
             date: todayDate,
-            recordedAt: recordedAt
-          }
+            recordedAt: recordedAt,
+            total: totalWaste,
+            deviceId: req.device.id,
+            depositorId: depositor?.id ?? null,
+            quantities: {
+              create: quantities.map(({ category, quantity, weightGrams }) => ({ categoryId: category.id, quantity, weightGrams }))
+            }
+          },
+          include: wasteQuantitiesInclude
         });
       });
 
-      // Deduct coupons for ALL waste types (recyclable, wet, dry)
-      const couponRate = parseInt(process.env.COUPON_CONSUMPTION_RATE || '1');
-      const totalWaste = (recyclable || 0) + (biodegradable || 0) + (nonBiodegradable || 0);
+      const record = toWasteRecord(result, categories);
+      const primaryCategory = getPrimaryCategory(quantities);
+
+      // Deduct the coupons the active rule awards for this deposit
+      let wallet = depositor;
+      let voucher = null;
+      let award = null;
+      let consumed = 0;
       if (totalWaste > 0) {
         try {
-          await consumeCoupons(result.id, totalWaste * couponRate);
-          console.log(`✓ Consumed ${totalWaste * couponRate} coupons for waste record ${result.id}`.green);
+          const rule = await getActiveCouponRule();
+          const earnedToday = depositor ? await getPointsEarnedOnDay(depositor.id, recordedAt) : 0;
+          award = calculateCouponAward(rule, { quantities, at: recordedAt, identified: Boolean(depositor), earnedToday });
+
+          const consumption = award.points > 0
+            ? await consumeCoupons(result.id, award.points, null, { depositorId: depositor?.id, ruleId: award.ruleId, notes: award.summary })
+            : null;
+          consumed = consumption ? award.points : 0;
+          wallet = consumption?.depositor || wallet;
+          console.log(`✓ ${award.summary} for waste record ${result.id}`.green);
+
+          if (consumption && !depositor) {
+            const issued = await retryOperation(async () => {
+              return await issueVoucher(prisma, { wasteRecordId: result.id, points: award.points });
+            });
+            voucher = await toPublicVoucher(issued, { withQr: true });
+          }
         } catch (error) {
           console.warn('Could not consume coupons:', error.message);
           // Don't fail the request if coupon consumption fails
         }
       }
 
-      // Broadcast real-time update to connected clients
+      // Broadcast real-time update to connected clients; the voucher only goes to this machine's kiosk
       try {
         broadcastBinNotification({
           type: 'WASTE_INSERTED',
-          data: result,
+          data: { ...record, wasteType: primaryCategory?.code || null, hasVoucher: Boolean(voucher) },
           timestamp: new Date().toISOString()
         });
+
+        if (voucher) {
+          sendDeviceNotification(req.device.id, {
+            type: 'VOUCHER_ISSUED',
+            deviceId: req.device.id,
+            data: voucher,
+            timestamp: new Date().toISOString()
+          });
+        }
       } catch (error) {
         console.warn('Could not broadcast update:', error.message);
       }
@@ -90,10 +131,11 @@ export const addWasteRecord = async (req, res) => {
           return await prisma.wasteNotification.create({
             data: {
               type: 'WASTE_INSERTED',
-              wasteType: recyclable > 0 ? 'RECYCLABLE' : (biodegradable > 0 ? 'WET' : 'DRY'),
+              wasteType: primaryCategory?.code || 'NONE',
               wasteRecordId: result.id,
-              quantity: recyclable + biodegradable + nonBiodegradable,
-              isRead: false
+              quantity: totalWaste,
+              isRead: false,
+              metadata: { deviceId: req.device.id, deviceName: req.device.name }
             }
           });
         });
@@ -105,16 +147,10 @@ export const addWasteRecord = async (req, res) => {
         success: true,
         message: 'Waste record created successfully',
         action: 'created',
-        data: {
-          id: result.id,
-          date: result.date,
-          recordedAt: result.recordedAt,
-          recyclable: result.recyclable,
-          biodegradable: result.biodegradable,
-          nonBiodegradable: result.nonBiodegradable,
-          total: result.recyclable + result.biodegradable + result.nonBiodegradable,
-          createdAt: result.createdAt
-        }
+        data: record,
+        depositor: toDepositorSummary(wallet),
+        coupons: award && { earned: consumed, ruleVersion: award.ruleVersion, reason: award.reason },
+        voucher
       });
 
     } catch (createError) {
@@ -1,8 +1,26 @@
 import { prisma } from '../../utils/database.js';
+import { parseDeviceIdParam } from '../../utils/devices.js';
+import {
+  getWasteCategories,
+  getQuantityMap,
+  getWeightMap,
+  gramsToKg,
+  estimateVolumeLitres,
+  wasteQuantitiesInclude
+} from '../../utils/wasteCategories.js';
 
 const analytics = async (req, res) => {
   try {
-    const { period = 'monthly', metric = 'weight' } = req.query;
+    const { period = 'monthly', metric = 'weight', deviceId } = req.query;
+
+    const deviceIdNum = parseDeviceIdParam(deviceId);
+    if (deviceIdNum === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid deviceId. Must be a positive number.',
+        received: deviceId
+      });
+    }
     
     // Calculate date range and grouping based on period
     const now = new Date();
@@ -27,14 +45,19 @@ const analytics = async (req, res) => {
         groupBy = 'month';
     }
 
+    const categories = await getWasteCategories({ includeInactive: true });
+    const categoriesByKey = new Map(categories.map((category) => [category.key, category]));
+
     // Get waste records within date range
     const records = await prisma.waste_items.findMany({
       where: {
         date: {
           gte: startDate,
           lte: now
-        }
+        },
+        ...(deviceIdNum ? { deviceId: deviceIdNum } : {})
       },
+      include: wasteQuantitiesInclude,
       orderBy: {
         date: 'asc'
       }
@@ -64,64 +87,90 @@ const analytics = async (req, res) => {
           date: groupKey,
           weight: 0,
           volume: 0,
+          weighedRecords: 0,
           count: 0,
-          recyclable: 0,
-          organic: 0,
-          general: 0,
-          hazardous: 0
+          ...Object.fromEntries(categories.map((category) => [category.key, 0]))
         });
       }
       
       const periodData = trendsMap.get(groupKey);
-      // Use the actual waste amounts from the database
-      periodData.weight += (record.recyclable + record.biodegradable + record.nonBiodegradable) || 0;
-      periodData.volume += (record.recyclable + record.biodegradable + record.nonBiodegradable) * 1.2 || 0; // Estimate volume
       periodData.count += 1;
+
+      // Weight in kg only counts deposits the machine actually weighed; volume needs a category density as well
+      const weights = getWeightMap(record, categories);
+      if (Object.keys(weights).length > 0) periodData.weighedRecords += 1;
+      Object.entries(weights).forEach(([key, grams]) => {
+        periodData.weight += gramsToKg(grams);
+        periodData.volume += estimateVolumeLitres(grams, categoriesByKey.get(key)) || 0;
+      });
       
       // Categorize by waste type
-      periodData.recyclable += record.recyclable || 0;
-      periodData.organic += record.biodegradable || 0;
-      periodData.general += record.nonBiodegradable || 0;
+      Object.entries(getQuantityMap(record, categories)).forEach(([key, quantity]) => {
+        periodData[key] += quantity;
+      });
     });
 
-    const trends = Array.from(trendsMap.values());
+    const trends = Array.from(trendsMap.values()).map((periodData) => ({
+      ...periodData,
+      weight: Number(periodData.weight.toFixed(3)),
+      volume: Number(periodData.volume.toFixed(1))
+    }));
 
     // Calculate summary statistics in a single pass for efficiency
     let totalRecords = records.length;
-    let totalRecyclable = 0;
-    let totalBiodegradable = 0;
-    let totalNonBiodegradable = 0;
+    const categoryTotals = Object.fromEntries(categories.map((category) => [category.key, 0]));
+    const categoryWeights = Object.fromEntries(categories.map((category) => [category.key, 0]));
+    let weighedRecords = 0;
 
     records.forEach(record => {
-      totalRecyclable += record.recyclable || 0;
-      totalBiodegradable += record.biodegradable || 0;
-      totalNonBiodegradable += record.nonBiodegradable || 0;
+      Object.entries(getQuantityMap(record, categories)).forEach(([key, quantity]) => {
+        categoryTotals[key] += quantity;
+      });
+
+      const weights = getWeightMap(record, categories);
+      if (Object.keys(weights).length > 0) weighedRecords += 1;
+      Object.entries(weights).forEach(([key, grams]) => {
+        categoryWeights[key] += grams;
+      });
     });
 
-    const totalItems = totalRecyclable + totalBiodegradable + totalNonBiodegradable;
+    const totalItems = Object.values(categoryTotals).reduce((sum, quantity) => sum + quantity, 0);
 
     // Calculate percentages based on items, not records
-    const recyclablePercentage = totalItems > 0 ? ((totalRecyclable / totalItems) * 100).toFixed(1) : 0;
-    const biodegradablePercentage = totalItems > 0 ? ((totalBiodegradable / totalItems) * 100).toFixed(1) : 0;
-    const nonBiodegradablePercentage = totalItems > 0 ? ((totalNonBiodegradable / totalItems) * 100).toFixed(1) : 0;
-    
+    const categoryBreakdown = categories.map((category) => ({
+      key: category.key,
+      name: category.name,
+      color: category.color,
+      count: categoryTotals[category.key],
+      percentage: totalItems > 0 ? ((categoryTotals[category.key] / totalItems) * 100).toFixed(1) : 0,
+      weightKg: gramsToKg(categoryWeights[category.key]),
+      volumeLitres: estimateVolumeLitres(categoryWeights[category.key], category)
+    }));
+
+    const totalWeightKg = categoryBreakdown.reduce((sum, category) => sum + category.weightKg, 0);
+    // Only categories with a density contribute, so this is a lower bound when some are unset
+    const totalVolumeLitres = categoryBreakdown.reduce((sum, category) => sum + (category.volumeLitres || 0), 0);
+
     // Calculate efficiency as recyclable percentage
-    const efficiency = recyclablePercentage;
+    const efficiency = categoryBreakdown.find((category) => category.key === 'recyclable')?.percentage || 0;
 
     res.json({
       success: true,
       data: {
         totalRecords,
         totalItems,
-        recyclableCount: totalRecyclable,
-        biodegradableCount: totalBiodegradable,
-        nonBiodegradableCount: totalNonBiodegradable,
-        recyclablePercentage,
-        biodegradablePercentage,
-        nonBiodegradablePercentage,
+        totalWeightKg: Number(totalWeightKg.toFixed(3)),
+        totalVolumeLitres: Number(totalVolumeLitres.toFixed(1)),
+        weighedRecords,
+        // recyclableCount, recyclablePercentage, ... for each category
+        ...Object.fromEntries(categoryBreakdown.flatMap((category) => [
+          [`${category.key}Count`, category.count],
+          [`${category.key}Percentage`, category.percentage]
+        ])),
+        categories: categoryBreakdown,
         efficiency,
         dailyTrends: trends,
-        monthlyData: generateMonthlyData(trends),
+        monthlyData: generateMonthlyData(trends, categories),
         peakDay: findPeakDay(trends),
         trends: {
           total: totalRecords > 0 ? 12.5 : 0 // Mock trend
@@ -140,7 +189,7 @@ const analytics = async (req, res) => {
 };
 
 // Helper function to generate monthly data
-const generateMonthlyData = (dailyTrends) => {
+const generateMonthlyData = (dailyTrends, categories) => {
   const monthlyMap = new Map();
   
   dailyTrends.forEach(day => {
@@ -150,17 +199,15 @@ const generateMonthlyData = (dailyTrends) => {
       monthlyMap.set(month, {
         label: new Date(month + '-01').toLocaleDateString('en-US', { year: 'numeric', month: 'short' }),
         total: 0,
-        recyclable: 0,
-        biodegradable: 0,
-        nonBiodegradable: 0
+        ...Object.fromEntries(categories.map((category) => [category.key, 0]))
       });
     }
     
     const monthData = monthlyMap.get(month);
     monthData.total += day.count;
-    monthData.recyclable += day.recyclable;
-    monthData.biodegradable += day.organic;
-    monthData.nonBiodegradable += day.general;
+    categories.forEach((category) => {
+      monthData[category.key] += day[category.key];
+    });
   });
   
   return Array.from(monthlyMap.values()).slice(-6); // Last 6 months
@@ -0,0 +1,279 @@
+import express from 'express';
+import { prisma, retryOperation } from '../../utils/database.js';
+import { requirePermission } from '../../utils/permissions.js';
+import {
+  getWasteCategories,
+  invalidateWasteCategories,
+  getBinTypes,
+  getBinName,
+  RESERVED_CATEGORY_KEYS,
+  CATEGORY_KEY_PATTERN,
+  CATEGORY_CODE_PATTERN
+} from '../../utils/wasteCategories.js';
+
+// Route Path ( '/api/waste/categories' )
+const router = express.Router();
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// "eWaste" -> "E_WASTE"
+const toCategoryCode = (key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+// Validate the editable fields shared by create and update; returns an error message or null
+const validateCategoryFields = ({ name, color, binType, sortOrder, isActive, densityKgPerLitre }) => {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 60)) {
+    return 'name must be a non-empty string of at most 60 characters.';
+  }
+  if (color !== undefined && (typeof color !== 'string' || !COLOR_PATTERN.test(color))) {
+    return 'color must be a hex color such as #16a34a.';
+  }
+  if (binType !== undefined && (!Number.isInteger(binType) || binType < 1 || binType > 20)) {
+    return 'binType must be a whole number between 1 and 20.';
+  }
+  if (sortOrder !== undefined && !Number.isInteger(sortOrder)) {
+    return 'sortOrder must be a whole number.';
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'isActive must be true or false.';
+  }
+  if (densityKgPerLitre !== undefined && densityKgPerLitre !== null &&
+      (typeof densityKgPerLitre !== 'number' || !(densityKgPerLitre > 0) || densityKgPerLitre > 25)) {
+    return 'densityKgPerLitre must be a number above 0 and at most 25, or null.';
+  }
+  return null;
+};
+
+// GET /api/waste/categories - List waste categories in display order
+// Optional ?includeInactive=true also returns retired categories (used for historical records)
+// Left public on purpose: machines read the category keys with their device key, not a user token
+router.get('/', async (req, res) => {
+  try {
+    const categories = await getWasteCategories({ includeInactive: req.query.includeInactive === 'true' });
+    const activeCategories = await getWasteCategories();
+
+    res.json({
+      success: true,
+      data: categories,
+      bins: getBinTypes(activeCategories).map((binType) => ({
+        binType,
+        name: getBinName(binType, activeCategories),
+        categories: activeCategories.filter((category) => category.binType === binType).map((category) => category.key)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching waste categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waste categories',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/waste/categories - Add a waste category
+// Expected body: { key, name, code?, color?, binType?, sortOrder?, densityKgPerLitre? }
+// key is the field machines send counts under and cannot be changed later
+router.post('/', requirePermission('waste:configure'), async (req, res) => {
+  try {
+    const { key, name, color, binType = 1, sortOrder, densityKgPerLitre } = req.body;
+    const code = req.body.code ?? (typeof key === 'string' ? toCategoryCode(key) : undefined);
+
+    if (typeof key !== 'string' || !CATEGORY_KEY_PATTERN.test(key) || RESERVED_CATEGORY_KEYS.includes(key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'key must start with a letter and contain only letters and digits (2-40 characters), and cannot be a reserved record field.',
+        received: key
+      });
+    }
+
+    if (typeof code !== 'string' || !CATEGORY_CODE_PATTERN.test(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'code must be upper-case letters, digits or underscores (2-40 characters), e.g. E_WASTE.',
+        received: code
+      });
+    }
+
+    if (name === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required.'
+      });
+    }
+
+    const fieldError = validateCategoryFields({ name, color, binType, sortOrder, densityKgPerLitre });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError
+      });
+    }
+
+    const category = await retryOperation(async () => {
+      const last = await prisma.wasteCategory.findFirst({ orderBy: { sortOrder: 'desc' } });
+      return await prisma.wasteCategory.create({
+        data: {
+          key,
+          code,
+          name: name.trim(),
+          binType,
+          sortOrder: sortOrder ?? (last ? last.sortOrder + 1 : 1),
+          densityKgPerLitre: densityKgPerLitre ?? null,
+          ...(color && { color })
+        }
+      });
+    });
+
+    invalidateWasteCategories();
+
+    res.status(201).json({
+      success: true,
+      message: 'Waste category created',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error creating waste category:', error);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A category with this key or code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create waste category',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/waste/categories/:id - Update a waste category
+// Expected body: any of { name, color, binType, sortOrder, isActive, densityKgPerLitre }
+// key and code are fixed once created, since machines, exports and video mappings refer to them
+router.put('/:id', requirePermission('waste:configure'), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+    const { name, color, binType, sortOrder, isActive, densityKgPerLitre } = req.body;
+
+    if (req.body.key !== undefined || req.body.code !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'key and code cannot be changed. Deactivate this category and add a new one instead.'
+      });
+    }
+
+    const fieldError = validateCategoryFields({ name, color, binType, sortOrder, isActive, densityKgPerLitre });
+    if (fieldError) {
+      return res.status(400).json({
+        success: false,
+        message: fieldError
+      });
+    }
+
+    if (isActive === false) {
+      const remaining = await retryOperation(async () => {
+        return await prisma.wasteCategory.count({ where: { isActive: true, id: { not: categoryId } } });
+      });
+      if (remaining === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one waste category must stay active.'
+        });
+      }
+    }
+
+    const category = await retryOperation(async () => {
+      return await prisma.wasteCategory.update({
+        where: { id: categoryId },
+        data: {
+          ...(name !== undefined && { name: name.trim() }),
+          ...(color !== undefined && { color }),
+          ...(binType !== undefined && { binType }),
+          ...(sortOrder !== undefined && { sortOrder }),
+          ...(isActive !== undefined && { isActive }),
+          ...(densityKgPerLitre !== undefined && { densityKgPerLitre })
+        }
+      });
+    });
+
+    invalidateWasteCategories();
+
+    res.json({
+      success: true,
+      message: 'Waste category updated',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error updating waste category:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Waste category not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update waste category',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/waste/categories/:id - Delete an unused waste category
+router.delete('/:id', requirePermission('waste:configure'), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+
+    const remaining = await retryOperation(async () => {
+      return await prisma.wasteCategory.count({ where: { isActive: true, id: { not: categoryId } } });
+    });
+    if (remaining === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one waste category must stay active.'
+      });
+    }
+
+    await retryOperation(async () => {
+      return await prisma.wasteCategory.delete({
+        where: { id: categoryId }
+      });
+    });
+
+    invalidateWasteCategories();
+
+    res.json({
+      success: true,
+      message: 'Waste category deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting waste category:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Waste category not found'
+      });
+    }
+
+    // Foreign key violation - waste records still count items in this category
+    if (error.code === 'P2003') {
+      return res.status(409).json({
+        success: false,
+        message: 'This category has waste records. Deactivate it instead of deleting.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete waste category',
+      error: error.message
+    });
+  }
+});
+
+export default router;
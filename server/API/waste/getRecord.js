@@ -1,4 +1,6 @@
 import { prisma, retryOperation } from '../../utils/database.js';
+import { parseDeviceIdParam } from '../../utils/devices.js';
+import { getWasteCategories, getQuantityMap, getWeightMap, gramsToKg, toWasteRecord, wasteQuantitiesInclude } from '../../utils/wasteCategories.js';
 
 const parseDateOnly = (value) => {
   if (typeof value !== 'string') return null;
@@ -20,19 +22,24 @@ const formatDateOnly = (value) => {
   ].join('-');
 };
 
+// minRecyclable / maxGlass style query parameter names for a category key
+const rangeParamName = (prefix, key) => `${prefix}${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+
 // GET /api/waste/records
 // Optimized for TanStack React Table with pagination, search, and filters
 // Query parameters: 
 // - page=1 (page number, 1-based)
 // - pageSize=10 (items per page, max 100)
 // - search="" (global search across all fields)
-// - sortBy=date (field to sort by: date, recyclable, biodegradable, nonBiodegradable, total)
+// - sortBy=date (field to sort by: date, total, createdAt, updatedAt or a category key such as recyclable)
 // - sortOrder=desc (asc or desc)
 // - dateFrom=YYYY-MM-DD (filter from date)
 // - dateTo=YYYY-MM-DD (filter to date)
+// - deviceId=1 (only records sent by this machine)
+// - category=recyclable (only records containing this category)
 // - minTotal=0 (minimum daily total filter)
 // - maxTotal=1000 (maximum daily total filter)
-// - minRecyclable, maxRecyclable, minBiodegradable, maxBiodegradable, minNonBiodegradable, maxNonBiodegradable
+// - min<Category>, max<Category> per category key, e.g. minRecyclable, maxNonBiodegradable, minGlass
 const getWasteRecords = async (req, res) => {
   try {
     const {
@@ -43,16 +50,15 @@ const getWasteRecords = async (req, res) => {
       sortOrder = 'desc',
       dateFrom,
       dateTo,
+      deviceId,
+      category,
       minTotal,
-      maxTotal,
-      minRecyclable,
-      maxRecyclable,
-      minBiodegradable,
-      maxBiodegradable,
-      minNonBiodegradable,
-      maxNonBiodegradable
+      maxTotal
     } = req.query;
 
+    const categories = await getWasteCategories({ includeInactive: true });
+    const categoriesByKey = new Map(categories.map((item) => [item.key, item]));
+
     // Validate pagination parameters
     const pageNum = parseInt(page);
     const pageSizeNum = parseInt(pageSize);
@@ -74,7 +80,7 @@ const getWasteRecords = async (req, res) => {
     }
 
     // Validate sort parameters
-    const validSortFields = ['date', 'recyclable', 'biodegradable', 'nonBiodegradable', 'total', 'createdAt', 'updatedAt'];
+    const validSortFields = ['date', 'total', 'createdAt', 'updatedAt', ...categoriesByKey.keys()];
     if (!validSortFields.includes(sortBy)) {
       return res.status(400).json({
         success: false,
@@ -95,6 +101,19 @@ const getWasteRecords = async (req, res) => {
     // Build where clause for filtering
     let whereClause = {};
 
+    // Device filtering
+    const deviceIdNum = parseDeviceIdParam(deviceId);
+    if (deviceIdNum === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid deviceId. Must be a positive number.',
+        received: deviceId
+      });
+    }
+    if (deviceIdNum) {
+      whereClause.deviceId = deviceIdNum;
+    }
+
     // Date range filtering
     if (dateFrom || dateTo) {
       whereClause.date = {};
@@ -126,104 +145,127 @@ const getWasteRecords = async (req, res) => {
       }
     }
 
-    // Numeric range filters
-    const numericFilters = [
-      { param: minRecyclable, field: 'recyclable', type: 'gte' },
-      { param: maxRecyclable, field: 'recyclable', type: 'lte' },
-      { param: minBiodegradable, field: 'biodegradable', type: 'gte' },
-      { param: maxBiodegradable, field: 'biodegradable', type: 'lte' },
-      { param: minNonBiodegradable, field: 'nonBiodegradable', type: 'gte' },
-      { param: maxNonBiodegradable, field: 'nonBiodegradable', type: 'lte' }
-    ];
-
-    numericFilters.forEach(({ param, field, type }) => {
-      if (param !== undefined) {
-        const value = parseInt(param);
-        if (!isNaN(value) && value >= 0) {
-          if (!whereClause[field]) whereClause[field] = {};
-          whereClause[field][type] = value;
-        }
+    if (category !== undefined) {
+      const filterCategory = categoriesByKey.get(category);
+      if (!filterCategory) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid category. Must be one of: ${[...categoriesByKey.keys()].join(', ')}`,
+          received: category
+        });
       }
-    });
+      whereClause.quantities = { some: { categoryId: filterCategory.id, quantity: { gt: 0 } } };
+    }
 
-    // Build query options
-    let queryOptions = {
-      where: whereClause,
-      skip: (pageNum - 1) * pageSizeNum,
-      take: pageSizeNum
-    };
+    // Total range filters
+    const totalFilter = {};
+    if (minTotal !== undefined && !isNaN(parseInt(minTotal))) totalFilter.gte = parseInt(minTotal);
+    if (maxTotal !== undefined && !isNaN(parseInt(maxTotal))) totalFilter.lte = parseInt(maxTotal);
+    if (Object.keys(totalFilter).length > 0) {
+      whereClause.total = totalFilter;
+    }
+
+    // Per-category range filters; a category with no row for the record counts as zero
+    const categoryFilters = [];
+    categories.forEach((item) => {
+      const min = parseInt(req.query[rangeParamName('min', item.key)]);
+      const max = parseInt(req.query[rangeParamName('max', item.key)]);
 
-    // Handle sorting (special case for 'total' which is calculated)
-    if (sortBy === 'total') {
-      // For total sorting, we'll sort by the sum of all three fields
-      queryOptions.orderBy = [
-        { recyclable: sortOrder },
-        { biodegradable: sortOrder },
-        { nonBiodegradable: sortOrder }
-      ];
-    } else {
-      queryOptions.orderBy = { [sortBy]: sortOrder };
+      if (!isNaN(min) && min > 0) {
+        categoryFilters.push({ quantities: { some: { categoryId: item.id, quantity: { gte: min } } } });
+      }
+      if (!isNaN(max) && max >= 0) {
+        categoryFilters.push({ quantities: { none: { categoryId: item.id, quantity: { gt: max } } } });
+      }
+    });
+    if (categoryFilters.length > 0) {
+      whereClause.AND = categoryFilters;
     }
 
+    const includeOptions = {
+      device: { select: { id: true, name: true, location: true } },
+      ...wasteQuantitiesInclude
+    };
+    const sortCategory = categoriesByKey.get(sortBy);
+
     // Get records and total count with retry logic
     const [allRecords, totalCount] = await retryOperation(async () => {
-      return await prisma.$transaction([
-        prisma.waste_items.findMany(queryOptions),
-        prisma.waste_items.count({ where: whereClause })
-      ]);
+      if (!sortCategory) {
+        return await prisma.$transaction([
+          prisma.waste_items.findMany({
+            where: whereClause,
+            include: includeOptions,
+            orderBy: { [sortBy]: sortOrder },
+            skip: (pageNum - 1) * pageSizeNum,
+            take: pageSizeNum
+          }),
+          prisma.waste_items.count({ where: whereClause })
+        ]);
+      }
+
+      // Category counts live in their own table, so order the matching ids here and load one page
+      const candidates = await prisma.waste_items.findMany({
+        where: whereClause,
+        select: {
+          id: true,
+          date: true,
+          quantities: { where: { categoryId: sortCategory.id }, select: { quantity: true } }
+        }
+      });
+
+      const direction = sortOrder === 'desc' ? -1 : 1;
+      candidates.sort((a, b) => {
+        const difference = (a.quantities[0]?.quantity || 0) - (b.quantities[0]?.quantity || 0);
+        return difference !== 0 ? difference * direction : b.date - a.date;
+      });
+
+      const pageIds = candidates
+        .slice((pageNum - 1) * pageSizeNum, pageNum * pageSizeNum)
+        .map((candidate) => candidate.id);
+      const pageRecords = await prisma.waste_items.findMany({
+        where: { id: { in: pageIds } },
+        include: includeOptions
+      });
+      pageRecords.sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id));
+
+      return [pageRecords, candidates.length];
     });
 
+    const recordsWithQuantities = allRecords.map((record) => ({
+      record,
+      quantities: getQuantityMap(record, categories)
+    }));
+
     // Apply search filter if provided (post-database filter for flexibility)
-    let filteredRecords = allRecords;
+    let filteredRecords = recordsWithQuantities;
     if (search.trim()) {
       const searchTerm = search.toLowerCase();
-      filteredRecords = allRecords.filter(record => {
-        const total = record.recyclable + record.biodegradable + record.nonBiodegradable;
+      filteredRecords = recordsWithQuantities.filter(({ record, quantities }) => {
         const dateStr = formatDateOnly(record.date);
-        
+
         return (
           dateStr.includes(searchTerm) ||
-          record.recyclable.toString().includes(searchTerm) ||
-          record.biodegradable.toString().includes(searchTerm) ||
-          record.nonBiodegradable.toString().includes(searchTerm) ||
-          total.toString().includes(searchTerm)
+          Object.values(quantities).some((quantity) => quantity.toString().includes(searchTerm)) ||
+          record.total.toString().includes(searchTerm)
         );
       });
     }
 
-    // Apply total range filters (post-database filter)
-    if (minTotal !== undefined || maxTotal !== undefined) {
-      filteredRecords = filteredRecords.filter(record => {
-        const total = record.recyclable + record.biodegradable + record.nonBiodegradable;
-        const minTotalNum = minTotal ? parseInt(minTotal) : 0;
-        const maxTotalNum = maxTotal ? parseInt(maxTotal) : Infinity;
-        return total >= minTotalNum && total <= maxTotalNum;
+    // Calculate statistics for the filtered results
+    const categoryTotals = Object.fromEntries(categories.map((item) => [item.key, 0]));
+    const categoryWeightGrams = Object.fromEntries(categories.map((item) => [item.key, 0]));
+    const statistics = filteredRecords.reduce((stats, { record, quantities }) => {
+      Object.entries(quantities).forEach(([key, quantity]) => {
+        categoryTotals[key] += quantity;
       });
-    }
-
-    // Sort by total if needed (since we did post-filter)
-    if (sortBy === 'total') {
-      filteredRecords.sort((a, b) => {
-        const totalA = a.recyclable + a.biodegradable + a.nonBiodegradable;
-        const totalB = b.recyclable + b.biodegradable + b.nonBiodegradable;
-        return sortOrder === 'desc' ? totalB - totalA : totalA - totalB;
+      Object.entries(getWeightMap(record, categories)).forEach(([key, grams]) => {
+        categoryWeightGrams[key] += grams;
       });
-    }
-
-    // Calculate statistics for the filtered results
-    const statistics = filteredRecords.reduce((stats, record) => {
-      const total = record.recyclable + record.biodegradable + record.nonBiodegradable;
-      stats.totalRecyclable += record.recyclable;
-      stats.totalBiodegradable += record.biodegradable;
-      stats.totalNonBiodegradable += record.nonBiodegradable;
-      stats.grandTotal += total;
-      stats.maxDaily = Math.max(stats.maxDaily, total);
-      stats.minDaily = Math.min(stats.minDaily, total);
+      stats.grandTotal += record.total;
+      stats.maxDaily = Math.max(stats.maxDaily, record.total);
+      stats.minDaily = Math.min(stats.minDaily, record.total);
       return stats;
     }, {
-      totalRecyclable: 0,
-      totalBiodegradable: 0,
-      totalNonBiodegradable: 0,
       grandTotal: 0,
       maxDaily: 0,
       minDaily: Infinity
@@ -233,16 +275,21 @@ const getWasteRecords = async (req, res) => {
       statistics.minDaily = 0;
     }
 
+    // Also reported as totalRecyclable, totalBiodegradable, ... as before categories were configurable
+    categories.forEach((item) => {
+      statistics[rangeParamName('total', item.key)] = categoryTotals[item.key];
+    });
+    statistics.categoryTotals = categoryTotals;
+    // Measured weights only; deposits that were not weighed add nothing
+    statistics.categoryWeightsKg = Object.fromEntries(
+      Object.entries(categoryWeightGrams).map(([key, grams]) => [key, gramsToKg(grams)])
+    );
+    statistics.totalWeightKg = gramsToKg(Object.values(categoryWeightGrams).reduce((sum, grams) => sum + grams, 0));
+
     // Format response data for TanStack Table
-    const formattedRecords = filteredRecords.map(record => ({
-      id: record.id,
-      date: formatDateOnly(record.date),
-      recyclable: record.recyclable,
-      biodegradable: record.biodegradable,
-      nonBiodegradable: record.nonBiodegradable,
-      total: record.recyclable + record.biodegradable + record.nonBiodegradable,
-      createdAt: record.createdAt,
-      updatedAt: record.updatedAt
+    const formattedRecords = filteredRecords.map(({ record }) => ({
+      ...toWasteRecord(record, categories),
+      date: formatDateOnly(record.date)
     }));
 
     // Calculate pagination metadata
@@ -274,6 +321,7 @@ const getWasteRecords = async (req, res) => {
           search: search || null,
           dateFrom: dateFrom || null,
           dateTo: dateTo || null,
+          deviceId: deviceIdNum || null,
           sortBy,
           sortOrder,
           appliedFilters: Object.keys(req.query).filter(key => 
@@ -329,7 +377,11 @@ const getWasteRecordById = async (req, res) => {
 
     const record = await retryOperation(async () => {
       return await prisma.waste_items.findUnique({
-        where: { id: recordId }
+        where: { id: recordId },
+        include: {
+          device: { select: { id: true, name: true, location: true } },
+          ...wasteQuantitiesInclude
+        }
       });
     });
 
@@ -341,15 +393,10 @@ const getWasteRecordById = async (req, res) => {
       });
     }
 
+    const categories = await getWasteCategories({ includeInactive: true });
     const formattedRecord = {
-      id: record.id,
-      date: record.date,
-      recyclable: record.recyclable,
-      biodegradable: record.biodegradable,
-      nonBiodegradable: record.nonBiodegradable,
-      dailyTotal: record.recyclable + record.biodegradable + record.nonBiodegradable,
-      createdAt: record.createdAt,
-      updatedAt: record.updatedAt
+      ...toWasteRecord(record, categories),
+      dailyTotal: record.total
     };
 
     return res.status(200).json({
@@ -383,9 +430,21 @@ const getWasteRecordById = async (req, res) => {
 // Get summary statistics for all waste records
 const getWasteSummary = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, deviceId } = req.query;
     
     let whereClause = {};
+
+    const deviceIdNum = parseDeviceIdParam(deviceId);
+    if (deviceIdNum === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid deviceId. Must be a positive number.',
+        received: deviceId
+      });
+    }
+    if (deviceIdNum) {
+      whereClause.deviceId = deviceIdNum;
+    }
     
     // Handle date range
     if (startDate || endDate) {
@@ -416,28 +475,42 @@ const getWasteSummary = async (req, res) => {
       }
     }
 
-    const [records, totalRecords] = await retryOperation(async () => {
+    const categories = await getWasteCategories({ includeInactive: true });
+
+    const [lastRecord, totalRecords, categorySums] = await retryOperation(async () => {
       return await prisma.$transaction([
-        prisma.waste_items.findMany({
+        prisma.waste_items.findFirst({
           where: whereClause,
-          orderBy: { date: 'desc' }
+          orderBy: { updatedAt: 'desc' },
+          select: { updatedAt: true }
         }),
-        prisma.waste_items.count({ where: whereClause })
+        prisma.waste_items.count({ where: whereClause }),
+        prisma.wasteQuantity.groupBy({
+          by: ['categoryId'],
+          where: { wasteItem: whereClause },
+          _sum: { quantity: true, weightGrams: true }
+        })
       ]);
     });
 
-    const summary = records.reduce((acc, record) => {
-      acc.totalRecyclable += record.recyclable;
-      acc.totalBiodegradable += record.biodegradable;
-      acc.totalNonBiodegradable += record.nonBiodegradable;
-      return acc;
-    }, {
-      totalRecyclable: 0,
-      totalBiodegradable: 0,
-      totalNonBiodegradable: 0
-    });
+    const categoryTotals = getQuantityMap({
+      quantities: categorySums.map((sum) => ({ categoryId: sum.categoryId, quantity: sum._sum.quantity || 0 }))
+    }, categories);
+
+    // Also reported as totalRecyclable, totalBiodegradable, ... as before categories were configurable
+    const summary = Object.fromEntries(
+      Object.entries(categoryTotals).map(([key, quantity]) => [rangeParamName('total', key), quantity])
+    );
+
+    const grandTotal = Object.values(categoryTotals).reduce((sum, quantity) => sum + quantity, 0);
 
-    const grandTotal = summary.totalRecyclable + summary.totalBiodegradable + summary.totalNonBiodegradable;
+    // Measured weight per category in kg
+    const categoryWeightsKg = Object.fromEntries(
+      Object.entries(getWeightMap({
+        quantities: categorySums.map((sum) => ({ categoryId: sum.categoryId, weightGrams: sum._sum.weightGrams || 0 }))
+      }, categories)).map(([key, grams]) => [key, gramsToKg(grams)])
+    );
+    const totalWeightKg = Object.values(categoryWeightsKg).reduce((sum, kg) => sum + kg, 0);
 
     return res.status(200).json({
       success: true,
@@ -445,15 +518,19 @@ const getWasteSummary = async (req, res) => {
       data: {
         summary: {
           ...summary,
+          categoryTotals,
           grandTotal,
+          categoryWeightsKg,
+          totalWeightKg: Number(totalWeightKg.toFixed(3)),
           averagePerDay: totalRecords > 0 ? Math.round(grandTotal / totalRecords) : 0
         },
         period: {
           totalDays: totalRecords,
           startDate: startDate || null,
-          endDate: endDate || null
+          endDate: endDate || null,
+          deviceId: deviceIdNum || null
         },
-        lastUpdated: records.length > 0 ? records[0].updatedAt : null
+        lastUpdated: lastRecord ? lastRecord.updatedAt : null
       }
     });
 
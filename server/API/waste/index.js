@@ -1,18 +1,27 @@
 import express from 'express';
+import { resolveDevice } from '../../utils/devices.js';
+import { requirePermission } from '../../utils/permissions.js';
+import { idempotent } from '../../utils/idempotency.js';
 
 // Router Path ( /api/waste )
 const router = express.Router();
 
 import getRecord from './getRecord.js';
-router.get('/records', getRecord);
+router.get('/records', requirePermission('waste:read'), getRecord);
 
 import addRecord from './addRecord.js';
-router.post('/add', addRecord); 
+router.post('/add', resolveDevice, idempotent('waste.add'), addRecord);
+
+import addBatch from './addBatch.js';
+router.post('/batch', resolveDevice, idempotent('waste.batch'), addBatch);
 
 import analytics from './analytics.js';
-router.get('/analytics', analytics);
+router.get('/analytics', requirePermission('waste:read'), analytics);
 
 import deleteToday from './deleteToday.js';
-router.post('/delete-today', deleteToday);
+router.post('/delete-today', requirePermission('waste:delete'), deleteToday);
+
+import categoriesRouter from './categories.js';
+router.use('/categories', categoriesRouter);
 
 export default router;
\ No newline at end of file
@@ -26,8 +26,15 @@ try {
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so device request signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
+// Item images saved by the local disk storage adapter (utils/imageStorage.js)
+app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use(express.urlencoded({ extended: true }));
 
 // Start server
@@ -39,6 +46,22 @@ app.listen(PORT, () => {
 import APIRouter from './API/index.js';
 app.use('/api', APIRouter);
 
+// Watch for machines that stop sending heartbeats
+import { startDeviceMonitor } from './API/devices/monitor.js';
+startDeviceMonitor();
+
+// Check the coupon ledger against the stored stock counters
+import { startCouponReconciliation } from './API/coupon/reconciliation.js';
+startCouponReconciliation();
+
+// Retire coupon batches that passed their expiry date
+import { startCouponBatchExpiry } from './API/coupon/batches.js';
+startCouponBatchExpiry();
+
+// Warn when reward spending is pacing over the month's budget
+import { startBudgetMonitor } from './API/profit/budgets.js';
+startBudgetMonitor();
+
 // SPA Fallback - Serve React app for all non-API routes
 app.use((req, res) => {
   // Don't serve index.html for API routes
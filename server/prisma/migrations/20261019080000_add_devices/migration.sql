@@ -0,0 +1,48 @@
+/*
+  Warnings:
+
+  - A unique constraint covering the columns `[deviceId,date,recordedAt]` on the table `waste_items` will be added. If there are existing duplicate values, this will fail.
+
+*/
+-- DropIndex
+DROP INDEX `waste_items_date_recordedAt_key` ON `waste_items`;
+
+-- AlterTable
+ALTER TABLE `waste_items` ADD COLUMN `deviceId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `bin_records` ADD COLUMN `deviceId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `devices` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `location` VARCHAR(191) NULL,
+    `apiKey` VARCHAR(191) NOT NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `devices_name_key`(`name`),
+    UNIQUE INDEX `devices_apiKey_key`(`apiKey`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Register the machine that produced all existing records and attach them to it
+INSERT INTO `devices` (`name`, `location`, `apiKey`, `isActive`, `updatedAt`)
+VALUES ('Main Machine', NULL, REPLACE(UUID(), '-', ''), true, CURRENT_TIMESTAMP(3));
+
+UPDATE `waste_items` SET `deviceId` = (SELECT `id` FROM `devices` WHERE `name` = 'Main Machine');
+UPDATE `bin_records` SET `deviceId` = (SELECT `id` FROM `devices` WHERE `name` = 'Main Machine');
+
+-- CreateIndex
+CREATE UNIQUE INDEX `waste_items_deviceId_date_recordedAt_key` ON `waste_items`(`deviceId`, `date`, `recordedAt`);
+
+-- CreateIndex
+CREATE INDEX `bin_records_deviceId_idx` ON `bin_records`(`deviceId`);
+
+-- AddForeignKey
+ALTER TABLE `waste_items` ADD CONSTRAINT `waste_items_deviceId_fkey` FOREIGN KEY (`deviceId`) REFERENCES `devices`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `bin_records` ADD CONSTRAINT `bin_records_deviceId_fkey` FOREIGN KEY (`deviceId`) REFERENCES `devices`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
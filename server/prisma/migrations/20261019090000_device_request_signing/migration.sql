@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE `devices` ADD COLUMN `apiSecret` VARCHAR(191) NULL,
+    ADD COLUMN `keyRevokedAt` DATETIME(3) NULL,
+    ADD COLUMN `keyRotatedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `device_nonces` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `deviceId` INTEGER NOT NULL,
+    `nonce` VARCHAR(191) NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `device_nonces_createdAt_idx`(`createdAt`),
+    UNIQUE INDEX `device_nonces_deviceId_nonce_key`(`deviceId`, `nonce`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `device_nonces` ADD CONSTRAINT `device_nonces_deviceId_fkey` FOREIGN KEY (`deviceId`) REFERENCES `devices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE `idempotency_keys` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `deviceId` INTEGER NOT NULL,
+    `scope` VARCHAR(191) NOT NULL,
+    `requestKey` VARCHAR(191) NOT NULL,
+    `statusCode` INTEGER NULL,
+    `response` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `idempotency_keys_createdAt_idx`(`createdAt`),
+    UNIQUE INDEX `idempotency_keys_deviceId_scope_requestKey_key`(`deviceId`, `scope`, `requestKey`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `idempotency_keys` ADD CONSTRAINT `idempotency_keys_deviceId_fkey` FOREIGN KEY (`deviceId`) REFERENCES `devices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `devices` ADD COLUMN `firmware` VARCHAR(191) NULL,
+    ADD COLUMN `isOnline` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `lastSeenAt` DATETIME(3) NULL,
+    ADD COLUMN `sensorHealth` JSON NULL,
+    ADD COLUMN `uptime` INTEGER NULL;
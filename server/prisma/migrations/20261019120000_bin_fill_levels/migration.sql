@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE `bin_fill_readings` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `deviceId` INTEGER NOT NULL,
+    `binType` INTEGER NOT NULL,
+    `fillLevel` DOUBLE NOT NULL,
+    `recordedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `bin_fill_readings_deviceId_binType_recordedAt_idx`(`deviceId`, `binType`, `recordedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `bin_thresholds` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `deviceId` INTEGER NOT NULL,
+    `binType` INTEGER NOT NULL,
+    `warningLevel` INTEGER NOT NULL DEFAULT 80,
+    `isWarning` BOOLEAN NOT NULL DEFAULT false,
+    `lastWarnedAt` DATETIME(3) NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `bin_thresholds_deviceId_binType_key`(`deviceId`, `binType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `bin_fill_readings` ADD CONSTRAINT `bin_fill_readings_deviceId_fkey` FOREIGN KEY (`deviceId`) REFERENCES `devices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `bin_thresholds` ADD CONSTRAINT `bin_thresholds_deviceId_fkey` FOREIGN KEY (`deviceId`) REFERENCES `devices`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE `bin_records` ADD COLUMN `emptiedAt` DATETIME(3) NULL,
+    ADD COLUMN `emptiedById` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `bin_records_emptiedAt_idx` ON `bin_records`(`emptiedAt`);
+
+-- CreateIndex
+CREATE INDEX `bin_records_emptiedById_idx` ON `bin_records`(`emptiedById`);
+
+-- AddForeignKey
+ALTER TABLE `bin_records` ADD CONSTRAINT `bin_records_emptiedById_fkey` FOREIGN KEY (`emptiedById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Events recorded before collection tracking existed are treated as already collected,
+-- otherwise every bin would show as awaiting collection (and breaching the SLA) after upgrading
+UPDATE `bin_records` SET `emptiedAt` = `fullAt` WHERE `emptiedAt` IS NULL;
@@ -0,0 +1,61 @@
+-- CreateTable
+CREATE TABLE `waste_categories` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `key` VARCHAR(191) NOT NULL,
+    `code` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `color` VARCHAR(191) NOT NULL DEFAULT '#6b7280',
+    `binType` INTEGER NOT NULL DEFAULT 1,
+    `sortOrder` INTEGER NOT NULL DEFAULT 0,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `waste_categories_key_key`(`key`),
+    UNIQUE INDEX `waste_categories_code_key`(`code`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `waste_item_quantities` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `wasteItemId` INTEGER NOT NULL,
+    `categoryId` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+
+    INDEX `waste_item_quantities_categoryId_idx`(`categoryId`),
+    UNIQUE INDEX `waste_item_quantities_wasteItemId_categoryId_key`(`wasteItemId`, `categoryId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `waste_item_quantities` ADD CONSTRAINT `waste_item_quantities_wasteItemId_fkey` FOREIGN KEY (`wasteItemId`) REFERENCES `waste_items`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `waste_item_quantities` ADD CONSTRAINT `waste_item_quantities_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `waste_categories`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- The three categories that used to be columns on waste_items, keeping their field names and bins
+INSERT INTO `waste_categories` (`key`, `code`, `name`, `color`, `binType`, `sortOrder`, `updatedAt`) VALUES
+    ('recyclable', 'RECYCLABLE', 'Recyclable Wastes', '#16a34a', 1, 1, CURRENT_TIMESTAMP(3)),
+    ('biodegradable', 'WET', 'Wet Wastes', '#ca8a04', 2, 2, CURRENT_TIMESTAMP(3)),
+    ('nonBiodegradable', 'DRY', 'Dry Wastes', '#dc2626', 3, 3, CURRENT_TIMESTAMP(3));
+
+-- Move existing counts into per-category rows (zero counts are not stored)
+INSERT INTO `waste_item_quantities` (`wasteItemId`, `categoryId`, `quantity`)
+    SELECT `w`.`id`, `c`.`id`, `w`.`recyclable` FROM `waste_items` `w` JOIN `waste_categories` `c` ON `c`.`key` = 'recyclable' WHERE `w`.`recyclable` > 0;
+
+INSERT INTO `waste_item_quantities` (`wasteItemId`, `categoryId`, `quantity`)
+    SELECT `w`.`id`, `c`.`id`, `w`.`biodegradable` FROM `waste_items` `w` JOIN `waste_categories` `c` ON `c`.`key` = 'biodegradable' WHERE `w`.`biodegradable` > 0;
+
+INSERT INTO `waste_item_quantities` (`wasteItemId`, `categoryId`, `quantity`)
+    SELECT `w`.`id`, `c`.`id`, `w`.`nonBiodegradable` FROM `waste_items` `w` JOIN `waste_categories` `c` ON `c`.`key` = 'nonBiodegradable' WHERE `w`.`nonBiodegradable` > 0;
+
+-- AlterTable
+ALTER TABLE `waste_items` ADD COLUMN `total` INTEGER NOT NULL DEFAULT 0;
+
+UPDATE `waste_items` SET `total` = `recyclable` + `biodegradable` + `nonBiodegradable`;
+
+-- AlterTable
+ALTER TABLE `waste_items` DROP COLUMN `biodegradable`,
+    DROP COLUMN `nonBiodegradable`,
+    DROP COLUMN `recyclable`;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `waste_categories` ADD COLUMN `densityKgPerLitre` DOUBLE NULL;
+
+-- AlterTable
+ALTER TABLE `waste_item_quantities` ADD COLUMN `weightGrams` INTEGER NULL;
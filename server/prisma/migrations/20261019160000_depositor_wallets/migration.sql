@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE `depositors` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `identifierType` VARCHAR(191) NOT NULL,
+    `identifier` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NULL,
+    `balance` INTEGER NOT NULL DEFAULT 0,
+    `earned` INTEGER NOT NULL DEFAULT 0,
+    `redeemed` INTEGER NOT NULL DEFAULT 0,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `depositors_identifierType_identifier_key`(`identifierType`, `identifier`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `waste_items` ADD COLUMN `depositorId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `coupon_transactions` ADD COLUMN `depositorId` INTEGER NULL,
+    ADD COLUMN `depositorBalance` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `inventory_redemptions` ADD COLUMN `depositorId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `waste_items_depositorId_idx` ON `waste_items`(`depositorId`);
+
+-- CreateIndex
+CREATE INDEX `coupon_transactions_depositorId_idx` ON `coupon_transactions`(`depositorId`);
+
+-- CreateIndex
+CREATE INDEX `inventory_redemptions_depositorId_idx` ON `inventory_redemptions`(`depositorId`);
+
+-- AddForeignKey
+ALTER TABLE `waste_items` ADD CONSTRAINT `waste_items_depositorId_fkey` FOREIGN KEY (`depositorId`) REFERENCES `depositors`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_transactions` ADD CONSTRAINT `coupon_transactions_depositorId_fkey` FOREIGN KEY (`depositorId`) REFERENCES `depositors`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inventory_redemptions` ADD CONSTRAINT `inventory_redemptions_depositorId_fkey` FOREIGN KEY (`depositorId`) REFERENCES `depositors`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `reward_vouchers` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `code` VARCHAR(191) NOT NULL,
+    `points` INTEGER NOT NULL,
+    `wasteRecordId` INTEGER NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `isRedeemed` BOOLEAN NOT NULL DEFAULT false,
+    `redeemedAt` DATETIME(3) NULL,
+    `redeemedById` INTEGER NULL,
+    `redemptionId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `reward_vouchers_code_key`(`code`),
+    UNIQUE INDEX `reward_vouchers_wasteRecordId_key`(`wasteRecordId`),
+    UNIQUE INDEX `reward_vouchers_redemptionId_key`(`redemptionId`),
+    INDEX `reward_vouchers_expiresAt_idx`(`expiresAt`),
+    INDEX `reward_vouchers_redeemedById_idx`(`redeemedById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `reward_vouchers` ADD CONSTRAINT `reward_vouchers_wasteRecordId_fkey` FOREIGN KEY (`wasteRecordId`) REFERENCES `waste_items`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `reward_vouchers` ADD CONSTRAINT `reward_vouchers_redeemedById_fkey` FOREIGN KEY (`redeemedById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `reward_vouchers` ADD CONSTRAINT `reward_vouchers_redemptionId_fkey` FOREIGN KEY (`redemptionId`) REFERENCES `inventory_redemptions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
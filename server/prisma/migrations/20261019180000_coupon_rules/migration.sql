@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `coupon_rules` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `version` INTEGER NOT NULL,
+    `defaultRate` DOUBLE NOT NULL DEFAULT 1,
+    `categoryRates` JSON NOT NULL,
+    `minItems` INTEGER NOT NULL DEFAULT 1,
+    `dailyCapPerDepositor` INTEGER NULL,
+    `promotions` JSON NOT NULL,
+    `notes` TEXT NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `coupon_rules_version_key`(`version`),
+    INDEX `coupon_rules_createdById_idx`(`createdById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AlterTable
+ALTER TABLE `coupon_transactions` ADD COLUMN `ruleId` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `coupon_transactions_ruleId_idx` ON `coupon_transactions`(`ruleId`);
+
+-- AddForeignKey
+ALTER TABLE `coupon_rules` ADD CONSTRAINT `coupon_rules_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_transactions` ADD CONSTRAINT `coupon_transactions_ruleId_fkey` FOREIGN KEY (`ruleId`) REFERENCES `coupon_rules`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE `coupon_reconciliations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `trigger` VARCHAR(191) NOT NULL,
+    `lastTransactionId` INTEGER NULL,
+    `storedBalance` INTEGER NOT NULL,
+    `ledgerBalance` INTEGER NOT NULL,
+    `storedUsed` INTEGER NOT NULL,
+    `ledgerUsed` INTEGER NOT NULL,
+    `discrepancies` JSON NOT NULL,
+    `discrepancyCount` INTEGER NOT NULL DEFAULT 0,
+    `correctionTransactionId` INTEGER NULL,
+    `correctionAmount` INTEGER NULL,
+    `reason` TEXT NULL,
+    `correctedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `coupon_reconciliations_correctionTransactionId_key`(`correctionTransactionId`),
+    INDEX `coupon_reconciliations_createdAt_idx`(`createdAt`),
+    INDEX `coupon_reconciliations_correctedById_idx`(`correctedById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `coupon_reconciliations` ADD CONSTRAINT `coupon_reconciliations_correctionTransactionId_fkey` FOREIGN KEY (`correctionTransactionId`) REFERENCES `coupon_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_reconciliations` ADD CONSTRAINT `coupon_reconciliations_correctedById_fkey` FOREIGN KEY (`correctedById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
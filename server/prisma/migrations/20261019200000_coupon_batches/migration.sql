@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE `coupon_batches` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `batchNumber` VARCHAR(191) NOT NULL,
+    `supplier` VARCHAR(191) NULL,
+    `printedAt` DATE NOT NULL,
+    `expiresAt` DATE NULL,
+    `quantity` INTEGER NOT NULL,
+    `remaining` INTEGER NOT NULL,
+    `retiredAt` DATETIME(3) NULL,
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `coupon_batches_batchNumber_key`(`batchNumber`),
+    INDEX `coupon_batches_retiredAt_printedAt_idx`(`retiredAt`, `printedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `coupon_batch_allocations` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `batchId` INTEGER NOT NULL,
+    `transactionId` INTEGER NOT NULL,
+    `quantity` INTEGER NOT NULL,
+
+    INDEX `coupon_batch_allocations_batchId_idx`(`batchId`),
+    INDEX `coupon_batch_allocations_transactionId_idx`(`transactionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `coupon_batch_allocations` ADD CONSTRAINT `coupon_batch_allocations_batchId_fkey` FOREIGN KEY (`batchId`) REFERENCES `coupon_batches`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `coupon_batch_allocations` ADD CONSTRAINT `coupon_batch_allocations_transactionId_fkey` FOREIGN KEY (`transactionId`) REFERENCES `coupon_transactions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Stock on hand before batches were tracked becomes one batch without an expiry date
+INSERT INTO `coupon_batches` (`batchNumber`, `supplier`, `printedAt`, `expiresAt`, `quantity`, `remaining`, `notes`, `updatedAt`)
+SELECT 'LEGACY', NULL, CURRENT_DATE, NULL, `balance`, `balance`, 'Coupon stock on hand when batch tracking started', CURRENT_TIMESTAMP(3)
+FROM `coupons`
+WHERE `balance` > 0
+ORDER BY `id` DESC
+LIMIT 1;
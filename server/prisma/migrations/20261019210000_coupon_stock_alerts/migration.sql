@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE `coupon_stock_alerts` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `threshold` INTEGER NOT NULL DEFAULT 20,
+    `cooldownMinutes` INTEGER NOT NULL DEFAULT 360,
+    `emailEnabled` BOOLEAN NOT NULL DEFAULT false,
+    `emailRecipients` TEXT NULL,
+    `isLow` BOOLEAN NOT NULL DEFAULT false,
+    `lastAlertedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
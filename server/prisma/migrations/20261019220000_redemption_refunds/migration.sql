@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE `coupon_transactions` ADD COLUMN `refundOfId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `inventory_redemptions` ADD COLUMN `couponTransactionId` INTEGER NULL,
+    ADD COLUMN `refundTransactionId` INTEGER NULL,
+    ADD COLUMN `refundedAt` DATETIME(3) NULL,
+    ADD COLUMN `refundedById` INTEGER NULL,
+    ADD COLUMN `refundReason` TEXT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `coupon_transactions_refundOfId_key` ON `coupon_transactions`(`refundOfId`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `inventory_redemptions_couponTransactionId_key` ON `inventory_redemptions`(`couponTransactionId`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `inventory_redemptions_refundTransactionId_key` ON `inventory_redemptions`(`refundTransactionId`);
+
+-- CreateIndex
+CREATE INDEX `inventory_redemptions_refundedById_idx` ON `inventory_redemptions`(`refundedById`);
+
+-- AddForeignKey
+ALTER TABLE `coupon_transactions` ADD CONSTRAINT `coupon_transactions_refundOfId_fkey` FOREIGN KEY (`refundOfId`) REFERENCES `coupon_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inventory_redemptions` ADD CONSTRAINT `inventory_redemptions_couponTransactionId_fkey` FOREIGN KEY (`couponTransactionId`) REFERENCES `coupon_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inventory_redemptions` ADD CONSTRAINT `inventory_redemptions_refundTransactionId_fkey` FOREIGN KEY (`refundTransactionId`) REFERENCES `coupon_transactions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inventory_redemptions` ADD CONSTRAINT `inventory_redemptions_refundedById_fkey` FOREIGN KEY (`refundedById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `inventory_movements` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `itemId` INTEGER NOT NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `stockBefore` INTEGER NOT NULL,
+    `stockAfter` INTEGER NOT NULL,
+    `reason` TEXT NULL,
+    `accountId` INTEGER NULL,
+    `redemptionId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `inventory_movements_itemId_createdAt_idx`(`itemId`, `createdAt`),
+    INDEX `inventory_movements_accountId_idx`(`accountId`),
+    INDEX `inventory_movements_redemptionId_idx`(`redemptionId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `inventory_movements` ADD CONSTRAINT `inventory_movements_itemId_fkey` FOREIGN KEY (`itemId`) REFERENCES `inventory_items`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inventory_movements` ADD CONSTRAINT `inventory_movements_accountId_fkey` FOREIGN KEY (`accountId`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inventory_movements` ADD CONSTRAINT `inventory_movements_redemptionId_fkey` FOREIGN KEY (`redemptionId`) REFERENCES `inventory_redemptions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `inventory_items` ADD COLUMN `categoryId` INTEGER NULL,
+    ADD COLUMN `imageUrl` TEXT NULL,
+    ADD COLUMN `imagePath` VARCHAR(191) NULL,
+    ADD COLUMN `tags` JSON NULL,
+    ADD COLUMN `sortOrder` INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `inventory_categories` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `sortOrder` INTEGER NOT NULL DEFAULT 0,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `inventory_categories_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `inventory_items_categoryId_idx` ON `inventory_items`(`categoryId`);
+
+-- AddForeignKey
+ALTER TABLE `inventory_items` ADD CONSTRAINT `inventory_items_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `inventory_categories`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
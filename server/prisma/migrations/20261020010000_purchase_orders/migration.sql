@@ -0,0 +1,64 @@
+-- AlterTable
+ALTER TABLE `profit_rewards` ADD COLUMN `purchaseOrderId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `inventory_movements` ADD COLUMN `purchaseOrderId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `purchase_orders` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `supplier` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'ORDERED',
+    `notes` TEXT NULL,
+    `totalCost` DOUBLE NOT NULL DEFAULT 0,
+    `createdById` INTEGER NULL,
+    `receivedAt` DATETIME(3) NULL,
+    `receivedById` INTEGER NULL,
+    `cancelledAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `purchase_orders_status_createdAt_idx`(`status`, `createdAt`),
+    INDEX `purchase_orders_createdById_idx`(`createdById`),
+    INDEX `purchase_orders_receivedById_idx`(`receivedById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `purchase_order_lines` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `purchaseOrderId` INTEGER NOT NULL,
+    `itemId` INTEGER NULL,
+    `itemName` VARCHAR(191) NOT NULL,
+    `quantity` INTEGER NOT NULL,
+    `unitCost` DOUBLE NOT NULL,
+    `receivedQuantity` INTEGER NULL,
+
+    INDEX `purchase_order_lines_purchaseOrderId_idx`(`purchaseOrderId`),
+    INDEX `purchase_order_lines_itemId_idx`(`itemId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `profit_rewards_purchaseOrderId_key` ON `profit_rewards`(`purchaseOrderId`);
+
+-- CreateIndex
+CREATE INDEX `inventory_movements_purchaseOrderId_idx` ON `inventory_movements`(`purchaseOrderId`);
+
+-- AddForeignKey
+ALTER TABLE `profit_rewards` ADD CONSTRAINT `profit_rewards_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `purchase_orders`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `inventory_movements` ADD CONSTRAINT `inventory_movements_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `purchase_orders`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_orders` ADD CONSTRAINT `purchase_orders_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_orders` ADD CONSTRAINT `purchase_orders_receivedById_fkey` FOREIGN KEY (`receivedById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_lines` ADD CONSTRAINT `purchase_order_lines_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `purchase_orders`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `purchase_order_lines` ADD CONSTRAINT `purchase_order_lines_itemId_fkey` FOREIGN KEY (`itemId`) REFERENCES `inventory_items`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- Purchase order spend is now counted when the items are redeemed, so the records booked on receipt would count it twice
+DELETE FROM `profit_rewards` WHERE `purchaseOrderId` IS NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE `profit_rewards` DROP FOREIGN KEY `profit_rewards_purchaseOrderId_fkey`;
+
+-- DropIndex
+DROP INDEX `profit_rewards_purchaseOrderId_key` ON `profit_rewards`;
+
+-- AlterTable
+ALTER TABLE `profit_rewards` DROP COLUMN `purchaseOrderId`;
+
+-- AlterTable
+ALTER TABLE `inventory_redemptions` ADD COLUMN `unitPrice` DOUBLE NULL;
+
+-- Value past redemptions at the item's current price
+UPDATE `inventory_redemptions` r JOIN `inventory_items` i ON i.`id` = r.`itemId` SET r.`unitPrice` = i.`price`;
+
+-- CreateTable
+CREATE TABLE `recyclable_sales` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `date` DATE NOT NULL,
+    `buyer` VARCHAR(191) NOT NULL,
+    `categoryId` INTEGER NOT NULL,
+    `unit` VARCHAR(191) NOT NULL DEFAULT 'KG',
+    `quantity` DOUBLE NOT NULL,
+    `pricePerUnit` DOUBLE NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `notes` TEXT NULL,
+    `recordedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `recyclable_sales_date_idx`(`date`),
+    INDEX `recyclable_sales_categoryId_idx`(`categoryId`),
+    INDEX `recyclable_sales_recordedById_idx`(`recordedById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `recyclable_sales` ADD CONSTRAINT `recyclable_sales_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `waste_categories`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `recyclable_sales` ADD CONSTRAINT `recyclable_sales_recordedById_fkey` FOREIGN KEY (`recordedById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,58 @@
+-- AlterTable
+ALTER TABLE `recyclable_sales` CHANGE COLUMN `buyer` `buyerName` VARCHAR(191) NOT NULL,
+    ADD COLUMN `buyerId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `buyers` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `contactName` VARCHAR(191) NULL,
+    `phone` VARCHAR(191) NULL,
+    `address` TEXT NULL,
+    `notes` TEXT NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `buyers_name_key`(`name`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `buyer_prices` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `buyerId` INTEGER NOT NULL,
+    `categoryId` INTEGER NOT NULL,
+    `unit` VARCHAR(191) NOT NULL DEFAULT 'KG',
+    `pricePerUnit` DOUBLE NOT NULL,
+    `effectiveDate` DATE NOT NULL,
+    `notes` TEXT NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `buyer_prices_buyerId_categoryId_unit_effectiveDate_key`(`buyerId`, `categoryId`, `unit`, `effectiveDate`),
+    INDEX `buyer_prices_categoryId_unit_effectiveDate_idx`(`categoryId`, `unit`, `effectiveDate`),
+    INDEX `buyer_prices_createdById_idx`(`createdById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Every buyer already sold to becomes a directory entry, and their sales are linked to it
+INSERT INTO `buyers` (`name`, `updatedAt`)
+    SELECT DISTINCT `buyerName`, CURRENT_TIMESTAMP(3) FROM `recyclable_sales`;
+
+UPDATE `recyclable_sales` `s` JOIN `buyers` `b` ON `b`.`name` = `s`.`buyerName` SET `s`.`buyerId` = `b`.`id`;
+
+-- CreateIndex
+CREATE INDEX `recyclable_sales_buyerId_idx` ON `recyclable_sales`(`buyerId`);
+
+-- AddForeignKey
+ALTER TABLE `recyclable_sales` ADD CONSTRAINT `recyclable_sales_buyerId_fkey` FOREIGN KEY (`buyerId`) REFERENCES `buyers`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `buyer_prices` ADD CONSTRAINT `buyer_prices_buyerId_fkey` FOREIGN KEY (`buyerId`) REFERENCES `buyers`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `buyer_prices` ADD CONSTRAINT `buyer_prices_categoryId_fkey` FOREIGN KEY (`categoryId`) REFERENCES `waste_categories`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `buyer_prices` ADD CONSTRAINT `buyer_prices_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE `reward_budgets` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `month` DATE NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `couponLimit` INTEGER NULL,
+    `notes` TEXT NULL,
+    `alertLevel` VARCHAR(191) NULL,
+    `alertedAt` DATETIME(3) NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `reward_budgets_month_key`(`month`),
+    INDEX `reward_budgets_createdById_idx`(`createdById`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `reward_budgets` ADD CONSTRAINT `reward_budgets_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `accounts`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
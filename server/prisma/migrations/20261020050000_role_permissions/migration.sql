@@ -0,0 +1,8 @@
+-- AlterTable: widen the role enum so existing accounts can be moved off `user`
+ALTER TABLE `accounts` MODIFY `role` ENUM('user', 'viewer', 'staff', 'inventory_manager', 'admin') NOT NULL DEFAULT 'staff';
+
+-- Plain users become staff
+UPDATE `accounts` SET `role` = 'staff' WHERE `role` = 'user';
+
+-- AlterTable
+ALTER TABLE `accounts` MODIFY `role` ENUM('viewer', 'staff', 'inventory_manager', 'admin') NOT NULL DEFAULT 'staff';
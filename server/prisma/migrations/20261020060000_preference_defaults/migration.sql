@@ -0,0 +1,42 @@
+-- AlterTable: a null preference follows the organization default
+ALTER TABLE `user_preferences` MODIFY `theme` VARCHAR(191) NULL,
+    MODIFY `binFullAlert` BOOLEAN NULL,
+    MODIFY `recordsPerPage` INTEGER NULL,
+    MODIFY `uiSize` VARCHAR(191) NULL,
+    MODIFY `notifications` BOOLEAN NULL,
+    MODIFY `autoRefresh` BOOLEAN NULL,
+    MODIFY `compactMode` BOOLEAN NULL,
+    MODIFY `language` VARCHAR(191) NULL,
+    MODIFY `timezone` VARCHAR(191) NULL,
+    MODIFY `dateFormat` VARCHAR(191) NULL;
+
+-- Values still at the old built-in defaults were never chosen, so they follow the organization default from now on
+UPDATE `user_preferences` SET `theme` = NULL WHERE `theme` = 'light';
+UPDATE `user_preferences` SET `binFullAlert` = NULL WHERE `binFullAlert` = true;
+UPDATE `user_preferences` SET `recordsPerPage` = NULL WHERE `recordsPerPage` = 10;
+UPDATE `user_preferences` SET `uiSize` = NULL WHERE `uiSize` = 'medium';
+UPDATE `user_preferences` SET `notifications` = NULL WHERE `notifications` = true;
+UPDATE `user_preferences` SET `autoRefresh` = NULL WHERE `autoRefresh` = true;
+UPDATE `user_preferences` SET `compactMode` = NULL WHERE `compactMode` = false;
+UPDATE `user_preferences` SET `language` = NULL WHERE `language` = 'en';
+UPDATE `user_preferences` SET `timezone` = NULL WHERE `timezone` = 'UTC';
+UPDATE `user_preferences` SET `dateFormat` = NULL WHERE `dateFormat` = 'MM/DD/YYYY';
+
+-- CreateTable
+CREATE TABLE `preference_defaults` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `theme` VARCHAR(191) NOT NULL DEFAULT 'light',
+    `binFullAlert` BOOLEAN NOT NULL DEFAULT true,
+    `recordsPerPage` INTEGER NOT NULL DEFAULT 10,
+    `uiSize` VARCHAR(191) NOT NULL DEFAULT 'medium',
+    `notifications` BOOLEAN NOT NULL DEFAULT true,
+    `autoRefresh` BOOLEAN NOT NULL DEFAULT true,
+    `compactMode` BOOLEAN NOT NULL DEFAULT false,
+    `language` VARCHAR(191) NOT NULL DEFAULT 'en',
+    `timezone` VARCHAR(191) NOT NULL DEFAULT 'UTC',
+    `dateFormat` VARCHAR(191) NOT NULL DEFAULT 'MM/DD/YYYY',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
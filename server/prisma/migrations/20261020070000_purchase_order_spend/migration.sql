@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE `profit_rewards` ADD COLUMN `purchaseOrderId` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `inventory_items` ADD COLUMN `lastUnitCost` DOUBLE NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `profit_rewards_purchaseOrderId_key` ON `profit_rewards`(`purchaseOrderId`);
+
+-- AddForeignKey
+ALTER TABLE `profit_rewards` ADD CONSTRAINT `profit_rewards_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `purchase_orders`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Book the spend of received orders again; 20261020020000_recyclable_sales deleted these records
+INSERT INTO `profit_rewards` (`date`, `profitFromRecyclables`, `rewardsSpent`, `netProfit`, `notes`, `purchaseOrderId`, `createdAt`, `updatedAt`)
+SELECT o.`receivedAt`, 0, o.`totalCost`, -o.`totalCost`, CONCAT('Purchase order #', o.`id`, ' from ', o.`supplier`), o.`id`, CURRENT_TIMESTAMP(3), CURRENT_TIMESTAMP(3)
+FROM `purchase_orders` o
+WHERE o.`status` = 'RECEIVED' AND o.`receivedAt` IS NOT NULL AND o.`totalCost` > 0;
+
+-- Each item's last unit cost is the one on its latest delivered order line
+UPDATE `inventory_items` i
+JOIN `purchase_order_lines` l ON l.`itemId` = i.`id` AND l.`receivedQuantity` > 0
+JOIN `purchase_orders` o ON o.`id` = l.`purchaseOrderId` AND o.`status` = 'RECEIVED'
+SET i.`lastUnitCost` = l.`unitCost`
+WHERE NOT EXISTS (
+    SELECT 1 FROM `purchase_order_lines` l2
+    JOIN `purchase_orders` o2 ON o2.`id` = l2.`purchaseOrderId` AND o2.`status` = 'RECEIVED'
+    WHERE l2.`itemId` = i.`id` AND l2.`receivedQuantity` > 0
+      AND (o2.`receivedAt` > o.`receivedAt` OR (o2.`receivedAt` = o.`receivedAt` AND l2.`id` > l.`id`))
+);
+
+-- Value redemptions still without a price at what the item last cost, or its price when never ordered
+UPDATE `inventory_redemptions` r JOIN `inventory_items` i ON i.`id` = r.`itemId`
+SET r.`unitPrice` = COALESCE(i.`lastUnitCost`, i.`price`)
+WHERE r.`unitPrice` IS NULL;
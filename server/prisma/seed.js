@@ -1,4 +1,5 @@
 import { prisma } from '../utils/database.js';
+import { generateApiKey, generateApiSecret } from '../utils/devices.js';
 import bcrypt from 'bcrypt';
 import fs from 'fs';
 import path from 'path';
@@ -9,16 +10,31 @@ async function main() {
 
     // Clear existing data
     await prisma.userPreferences.deleteMany();
+    await prisma.preferenceDefaults.deleteMany();
+    await prisma.rewardVoucher.deleteMany();
     await prisma.waste_items.deleteMany();
     await prisma.bin.deleteMany();
     await prisma.account.deleteMany();
     await prisma.videoMapping.deleteMany();
     await prisma.coupon.deleteMany();
+    await prisma.couponReconciliation.deleteMany();
     await prisma.couponTransaction.deleteMany();
+    await prisma.couponBatch.deleteMany();
+    await prisma.couponRule.deleteMany();
+    await prisma.couponStockAlert.deleteMany();
+    await prisma.depositor.deleteMany();
     await prisma.profitReward.deleteMany();
+    await prisma.rewardBudget.deleteMany();
+    await prisma.recyclableSale.deleteMany();
+    await prisma.buyerPrice.deleteMany();
+    await prisma.buyer.deleteMany();
+    await prisma.purchaseOrder.deleteMany();
     await prisma.wasteNotification.deleteMany();
+    await prisma.inventoryMovement.deleteMany();
     await prisma.inventoryRedemption.deleteMany();
     await prisma.inventoryItem.deleteMany();
+    await prisma.inventoryCategory.deleteMany();
+    await prisma.device.deleteMany();
     console.log('🗑️  Cleared existing data from all tables');
 
     // Read account data from JSON file
@@ -51,12 +67,12 @@ async function main() {
         {
           username: 'testuser',
           password: hashedPassword1,
-          role: 'user',
+          role: 'staff',
         },
         {
           username: 'johndoe',
           password: hashedPassword2,
-          role: 'user',
+          role: 'viewer',
         },
       ],
     });
@@ -68,20 +84,15 @@ async function main() {
       select: { id: true, username: true, role: true }
     });
 
-    // Create default preferences for each account
-    const defaultPreferences = allCreatedAccounts.map((account, index) => ({
-      accountId: account.id,
-      theme: index === 0 ? 'dark' : 'light', // Admin gets dark theme
-      binFullAlert: true,
-      recordsPerPage: account.role === 'admin' ? 25 : 10, // Admin sees more records
-      uiSize: 'medium',
-      notifications: true,
-      autoRefresh: true,
-      compactMode: account.role === 'admin', // Admin gets compact mode
-      language: 'en',
-      timezone: 'UTC',
-      dateFormat: 'MM/DD/YYYY'
-    }));
+    // Everyone starts on the organization defaults; the admin has picked a few of their own
+    const defaultPreferences = allCreatedAccounts
+      .filter((account) => account.role === 'admin')
+      .map((account) => ({
+        accountId: account.id,
+        theme: 'dark',
+        recordsPerPage: 20, // Admin sees more records
+        compactMode: true
+      }));
 
     const createdPreferences = await prisma.userPreferences.createMany({
       data: defaultPreferences
@@ -89,6 +100,19 @@ async function main() {
 
     console.log(`✅ Created ${createdPreferences.count} user preferences`);
 
+    // Register the sorting machine that the sample records come from
+    const device = await prisma.device.create({
+      data: {
+        name: 'Main Machine',
+        location: 'Main Building Lobby',
+        apiKey: generateApiKey(),
+        apiSecret: generateApiSecret(),
+        keyRotatedAt: new Date()
+      }
+    });
+
+    console.log(`✅ Registered device "${device.name}" (API key: ${device.apiKey}, secret: ${device.apiSecret})`);
+
     // Create waste items for the last year (365 days - one record per day)
     const wasteItems = [];
     const currentDate = new Date();
@@ -144,16 +168,44 @@ async function main() {
       const nonBiodegradableAmount = Math.max(0, baseNonBiodegradable + Math.floor(Math.random() * 7) - 3);
 
       wasteItems.push({
-        recyclable: recyclableAmount,
-        biodegradable: biodegradableAmount,
-        nonBiodegradable: nonBiodegradableAmount,
         date: itemDate,
+        deviceId: device.id,
+        amounts: {
+          recyclable: recyclableAmount,
+          biodegradable: biodegradableAmount,
+          nonBiodegradable: nonBiodegradableAmount,
+        },
       });
     }
 
+    // The default categories are created by the waste_categories migration
+    const wasteCategories = await prisma.wasteCategory.findMany();
+    const categoryIds = Object.fromEntries(wasteCategories.map(category => [category.key, category.id]));
+
     // Insert waste items
     const createdWasteItems = await prisma.waste_items.createMany({
-      data: wasteItems,
+      data: wasteItems.map(({ amounts, ...item }) => ({
+        ...item,
+        total: Object.values(amounts).reduce((sum, amount) => sum + amount, 0),
+      })),
+    });
+
+    // Attach the per-category counts to each day's record (both lists are in date order)
+    const insertedWasteItems = await prisma.waste_items.findMany({
+      where: { deviceId: device.id },
+      select: { id: true },
+      orderBy: { date: 'asc' },
+    });
+    const wasteQuantities = wasteItems.flatMap((item, index) => Object.entries(item.amounts)
+      .filter(([key, amount]) => amount > 0 && categoryIds[key])
+      .map(([key, amount]) => ({
+        wasteItemId: insertedWasteItems[index].id,
+        categoryId: categoryIds[key],
+        quantity: amount,
+      })));
+
+    await prisma.wasteQuantity.createMany({
+      data: wasteQuantities,
     });
 
     console.log(`✅ Created ${createdWasteItems.count} waste items`);
@@ -205,8 +257,15 @@ async function main() {
       
       // Add the bin record if it's within our date range
       if (nextBinDate <= currentDate) {
+        // Staff usually empty the bin within 20 minutes to 4 hours
+        const emptiedAt = new Date(nextBinDate.getTime() + (20 + Math.floor(Math.random() * 220)) * 60 * 1000);
+        const adminAccount = allCreatedAccounts.find(account => account.role === 'admin');
+
         binRecords.push({
-          fullAt: new Date(nextBinDate)
+          fullAt: new Date(nextBinDate),
+          deviceId: device.id,
+          // The most recent event may still be awaiting collection
+          ...(emptiedAt <= currentDate && { emptiedAt, emptiedById: adminAccount?.id ?? null })
         });
       }
       
@@ -239,31 +298,37 @@ async function main() {
     });
 
     // Fetch and display created waste items
-    const allWasteItems = await prisma.waste_items.findMany({
+    const allWasteItems = (await prisma.waste_items.findMany({
+      include: {
+        quantities: { include: { category: true } },
+      },
       orderBy: {
         date: 'asc',
       },
-    });
+    })).map(item => ({
+      ...item,
+      ...Object.fromEntries(item.quantities.map(({ category, quantity }) => [category.key, quantity])),
+    }));
 
     console.log('📋 Created waste items (showing first 10 and last 5):');
     // Show first 10 records
     allWasteItems.slice(0, 10).forEach((item, index) => {
-      console.log(`  - ${index + 1}. ${item.date.toDateString()}: R:${item.recyclable}, B:${item.biodegradable}, NB:${item.nonBiodegradable}`);
+      console.log(`  - ${index + 1}. ${item.date.toDateString()}: R:${item.recyclable || 0}, B:${item.biodegradable || 0}, NB:${item.nonBiodegradable || 0}`);
     });
     if (allWasteItems.length > 15) {
       console.log(`  ... (${allWasteItems.length - 15} records omitted) ...`);
       // Show last 5 records
       allWasteItems.slice(-5).forEach((item, index) => {
         const actualIndex = allWasteItems.length - 5 + index + 1;
-        console.log(`  - ${actualIndex}. ${item.date.toDateString()}: R:${item.recyclable}, B:${item.biodegradable}, NB:${item.nonBiodegradable}`);
+        console.log(`  - ${actualIndex}. ${item.date.toDateString()}: R:${item.recyclable || 0}, B:${item.biodegradable || 0}, NB:${item.nonBiodegradable || 0}`);
       });
     }
 
     // Summary statistics
-    const totalRecyclable = allWasteItems.reduce((sum, item) => sum + item.recyclable, 0);
-    const totalBiodegradable = allWasteItems.reduce((sum, item) => sum + item.biodegradable, 0);
-    const totalNonBiodegradable = allWasteItems.reduce((sum, item) => sum + item.nonBiodegradable, 0);
-    const grandTotal = totalRecyclable + totalBiodegradable + totalNonBiodegradable;
+    const totalRecyclable = allWasteItems.reduce((sum, item) => sum + (item.recyclable || 0), 0);
+    const totalBiodegradable = allWasteItems.reduce((sum, item) => sum + (item.biodegradable || 0), 0);
+    const totalNonBiodegradable = allWasteItems.reduce((sum, item) => sum + (item.nonBiodegradable || 0), 0);
+    const grandTotal = allWasteItems.reduce((sum, item) => sum + item.total, 0);
 
     console.log(`📊 Waste items summary (${allWasteItems.length} days):`);
     console.log(`  - Total Recyclable: ${totalRecyclable} units`);
@@ -365,38 +430,75 @@ async function main() {
     });
     console.log('✅ Initialized coupon balance: 1000 coupons');
 
-    // Create sample profit/reward records
-    console.log('\n💰 Creating sample profit and reward records...');
-    const profitRewards = [];
-    const profitStartDate = new Date(2025, 0, 1); // January 1, 2025
-    
+    // Create sample buyers with a monthly price list; the sample sales use the price in effect that month
+    console.log('\n💰 Creating sample buyers and recyclable sales...');
+    const soldCategoryId = categoryIds.recyclable ?? wasteCategories[0].id;
+    const buyers = [];
+    for (const buyer of [
+      { name: 'Mang Tonyo Junk Shop', contactName: 'Antonio Reyes', phone: '0917 555 0142' },
+      { name: 'Green Cycle Buyers', contactName: 'Liza Santos', phone: '0918 555 0199' }
+    ]) {
+      buyers.push(await prisma.buyer.create({ data: buyer }));
+    }
+
+    const buyerPrices = [];
+    const recyclableSales = [];
+
     for (let i = 0; i < 12; i++) {
-      const monthDate = new Date(2025, i, 15);
-      const profitAmount = Math.floor(Math.random() * 5000) + 2000;
-      const rewardAmount = Math.floor(Math.random() * 2000) + 500;
-      
-      profitRewards.push({
-        date: monthDate,
-        profitFromRecyclables: profitAmount,
-        rewardsSpent: rewardAmount,
-        netProfit: profitAmount - rewardAmount,
-        notes: `Monthly record for ${monthDate.toLocaleString('default', { month: 'long', year: 'numeric' })}`
-      });
+      const month = String(i + 1).padStart(2, '0');
+
+      for (const [index, buyer] of buyers.entries()) {
+        const quantity = Math.floor(Math.random() * 80) + 20;
+        const pricePerUnit = 12 + Math.floor(Math.random() * 6);
+        const day = index === 0 ? 10 : 25;
+
+        buyerPrices.push({
+          buyerId: buyer.id,
+          categoryId: soldCategoryId,
+          unit: 'KG',
+          pricePerUnit,
+          effectiveDate: new Date(`2025-${month}-01`)
+        });
+
+        recyclableSales.push({
+          date: new Date(`2025-${month}-${day}`),
+          buyerId: buyer.id,
+          buyerName: buyer.name,
+          categoryId: soldCategoryId,
+          unit: 'KG',
+          quantity,
+          pricePerUnit,
+          amount: quantity * pricePerUnit
+        });
+      }
     }
-    
-    await prisma.profitReward.createMany({
-      data: profitRewards
+
+    await prisma.buyerPrice.createMany({
+      data: buyerPrices
+    });
+    await prisma.recyclableSale.createMany({
+      data: recyclableSales
+    });
+    console.log(`✅ Created ${buyers.length} buyers with ${buyerPrices.length} price list entries`);
+    console.log(`✅ Created ${recyclableSales.length} recyclable sales for 2025`);
+
+    // Create shop categories
+    const schoolSupplies = await prisma.inventoryCategory.create({
+      data: { name: 'School Supplies', description: 'Everyday things for class', sortOrder: 1 }
+    });
+    const artSupplies = await prisma.inventoryCategory.create({
+      data: { name: 'Art Supplies', description: 'Paper, stickers and crafts', sortOrder: 2 }
     });
-    console.log(`✅ Created ${profitRewards.length} profit/reward records for 2025`);
+    console.log('✅ Created 2 inventory categories');
 
     // Create initial inventory items
     const inventoryItems = [
-      { name: 'Eraser', description: 'Standard white eraser', cost: 1, price: 5.00, stock: 50 },
-      { name: 'Pen', description: 'Ballpoint pen, black ink', cost: 2, price: 10.00, stock: 40 },
-      { name: 'Sticker', description: 'Colorful sticker sheets', cost: 1, price: 8.00, stock: 100 },
-      { name: 'Colored Paper', description: 'Pack of assorted colored paper', cost: 3, price: 25.00, stock: 30 },
-      { name: 'Scratch Paintings', description: 'Rainbow scratch art sheets', cost: 4, price: 35.00, stock: 25 },
-      { name: 'Pencil', description: 'HB pencil', cost: 1, price: 6.00, stock: 60 }
+      { name: 'Eraser', description: 'Standard white eraser', cost: 1, price: 5.00, stock: 50, categoryId: schoolSupplies.id, tags: ['writing'], sortOrder: 3 },
+      { name: 'Pen', description: 'Ballpoint pen, black ink', cost: 2, price: 10.00, stock: 40, categoryId: schoolSupplies.id, tags: ['writing'], sortOrder: 1 },
+      { name: 'Sticker', description: 'Colorful sticker sheets', cost: 1, price: 8.00, stock: 100, categoryId: artSupplies.id, tags: ['crafts'], sortOrder: 3 },
+      { name: 'Colored Paper', description: 'Pack of assorted colored paper', cost: 3, price: 25.00, stock: 30, categoryId: artSupplies.id, tags: ['paper', 'crafts'], sortOrder: 1 },
+      { name: 'Scratch Paintings', description: 'Rainbow scratch art sheets', cost: 4, price: 35.00, stock: 25, categoryId: artSupplies.id, tags: ['paper', 'drawing'], sortOrder: 2 },
+      { name: 'Pencil', description: 'HB pencil', cost: 1, price: 6.00, stock: 60, categoryId: schoolSupplies.id, tags: ['writing', 'drawing'], sortOrder: 2 }
     ];
 
     await prisma.inventoryItem.createMany({
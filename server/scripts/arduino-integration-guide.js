@@ -7,13 +7,77 @@ const examples = {
   basicSubmission: {
     endpoint: 'POST /api/waste/add',
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      'X-Device-Key': 'YOUR_DEVICE_API_KEY', // Issued when the device is registered via POST /api/devices
+      'X-Timestamp': '1759246245', // Unix time in seconds, must be within 5 minutes of the server clock
+      'X-Nonce': 'a1b2c3d4e5f60718', // Random, never reused (8-64 letters, digits, - or _)
+      'X-Signature': 'HEX_HMAC_SHA256' // HMAC-SHA256(secret, timestamp + "\n" + nonce + "\n" + "POST" + "\n" + "/api/waste/add" + "\n" + body)
     },
     body: {
       recyclable: 25,
       biodegradable: 18,
-      nonBiodegradable: 12
+      nonBiodegradable: 12,
+      eventId: 'a3f9c2e1-0001' // Optional: reuse the same value when retrying so the reading is only counted once
       // NOTE: No date parameter needed - server automatically uses today's date
+      // Counts are sent under the category keys configured in GET /api/waste/categories;
+      // they may also be grouped as quantities: { recyclable: 25, glass: 4 }
+    }
+    // Anonymous deposits that earn coupons get voucher: { code, points, expiresAt, qrPayload, qrCode } in the response;
+    // the kiosk shows it, and a machine with a display or printer can show or print the code too
+    // coupons: { earned, ruleVersion, reason } says how many coupons the deposit earned under the admin's coupon rules;
+    // reason is 'below_minimum' or 'daily_cap' when a rule held the amount back
+  },
+
+  // Example 1a: Machines with a load cell can add the measured weight of each counted category
+  weighedSubmission: {
+    endpoint: 'POST /api/waste/add',
+    body: {
+      quantities: { recyclable: 25, biodegradable: 18 },
+      weights: { recyclable: 1240, biodegradable: 3050 }, // Grams, whole numbers; leave out categories that were not weighed
+      eventId: 'a3f9c2e1-0004'
+    }
+  },
+
+  // Example 1b: Credit the coupons to the student who tapped their card (or typed their student number)
+  identifiedSubmission: {
+    endpoint: 'POST /api/waste/add',
+    body: {
+      quantities: { recyclable: 6 },
+      depositor: { rfid: '04:A3:2B:1C' }, // or { studentNumber: '2024-00123' }; unknown cards are registered automatically
+      eventId: 'a3f9c2e1-0005'
+    }
+    // The response includes depositor: { id, balance, earned, ... } so the machine can show the new wallet balance
+  },
+
+  // Example 1c: Upload readings buffered while offline (one request, up to 500 events)
+  batchSubmission: {
+    endpoint: 'POST /api/waste/batch',
+    body: {
+      events: [
+        { eventId: 'a3f9c2e1-0002', recordedAt: 1759240800, recyclable: 3, biodegradable: 0, nonBiodegradable: 1 },
+        { eventId: 'a3f9c2e1-0003', recordedAt: 1759241400, recyclable: 0, biodegradable: 2, nonBiodegradable: 0 }
+      ]
+      // recordedAt is the device time of each deposit (Unix seconds or ISO string) and is stored as-is
+      // The response has one result per event: created, duplicate or invalid
+    }
+  },
+
+  // Example 1d: Heartbeat (send every 60 seconds; the machine is shown offline after 3 missed heartbeats)
+  heartbeat: {
+    endpoint: 'POST /api/devices/heartbeat',
+    body: {
+      firmwareVersion: '1.4.2',
+      uptime: 86400, // seconds since boot
+      sensors: { irSensor: 'ok', loadCell: 'ok', binLevelSensor: 'error' }
+    }
+  },
+
+  // Example 1e: Fill level reading from the ultrasonic sensor of a bin
+  fillLevel: {
+    endpoint: 'POST /api/bin/levels',
+    body: {
+      bin: 1, // 1=Recyclable, 2=Biodegradable, 3=Non-Biodegradable
+      level: 72.5 // percent full
     }
   },
 
@@ -89,8 +153,8 @@ const examples = {
     status: 400,
     body: {
       success: false,
-      message: 'Missing required fields. Please provide recyclable, biodegradable, and nonBiodegradable amounts.',
-      required: ['recyclable', 'biodegradable', 'nonBiodegradable']
+      message: 'Missing waste amounts. Provide a count for at least one category: recyclable, biodegradable, nonBiodegradable.',
+      categories: ['recyclable', 'biodegradable', 'nonBiodegradable'] // Active category keys, see GET /api/waste/categories
     }
   }
 };
@@ -100,15 +164,21 @@ const arduinoCodeExample = `
 #include <WiFi.h>
 #include <HTTPClient.h>
 #include <ArduinoJson.h>
+#include <time.h>
+#include "mbedtls/md.h"
 
 const char* ssid = "your_wifi_ssid";
 const char* password = "your_wifi_password";
 const char* serverURL = "http://your-server.com/api/waste/add";
+const char* requestPath = "/api/waste/add";
+const char* deviceKey = "YOUR_DEVICE_API_KEY"; // Issued when the device is registered
+const char* deviceSecret = "YOUR_DEVICE_SECRET"; // Issued with the key, used only for signing
 
 // Sensor readings (replace with actual sensor data)
 int recyclableAmount = 0;
 int biodegradableAmount = 0;
 int nonBiodegradableAmount = 0;
+String pendingEventId = ""; // Kept until the server confirms the reading, so retries are not double counted
 
 void setup() {
   Serial.begin(115200);
@@ -121,10 +191,35 @@ void setup() {
   }
   Serial.println("Connected to WiFi");
   
+  // Signed requests need an accurate clock
+  configTime(0, 0, "pool.ntp.org");
+  while (time(nullptr) < 1700000000) {
+    delay(500);
+    Serial.println("Waiting for NTP time...");
+  }
+  
   // Initialize sensors here
   initializeSensors();
 }
 
+String hmacSha256Hex(const String& message) {
+  unsigned char output[32];
+  mbedtls_md_context_t ctx;
+  mbedtls_md_init(&ctx);
+  mbedtls_md_setup(&ctx, mbedtls_md_info_from_type(MBEDTLS_MD_SHA256), 1);
+  mbedtls_md_hmac_starts(&ctx, (const unsigned char*)deviceSecret, strlen(deviceSecret));
+  mbedtls_md_hmac_update(&ctx, (const unsigned char*)message.c_str(), message.length());
+  mbedtls_md_hmac_finish(&ctx, output);
+  mbedtls_md_free(&ctx);
+
+  String hex = "";
+  for (int i = 0; i < 32; i++) {
+    if (output[i] < 16) hex += "0";
+    hex += String(output[i], HEX);
+  }
+  return hex;
+}
+
 void sendWasteData() {
   if (WiFi.status() == WL_CONNECTED) {
     HTTPClient http;
@@ -136,10 +231,23 @@ void sendWasteData() {
     doc["recyclable"] = recyclableAmount;
     doc["biodegradable"] = biodegradableAmount;
     doc["nonBiodegradable"] = nonBiodegradableAmount;
+    if (pendingEventId == "") {
+      pendingEventId = String(esp_random(), HEX) + String(millis(), HEX);
+    }
+    doc["eventId"] = pendingEventId;
     
     String jsonString;
     serializeJson(doc, jsonString);
     
+    // Sign the exact bytes that are sent
+    String timestamp = String((unsigned long)time(nullptr));
+    String nonce = String(esp_random(), HEX) + String(esp_random(), HEX);
+    String signature = hmacSha256Hex(timestamp + "\\n" + nonce + "\\nPOST\\n" + requestPath + "\\n" + jsonString);
+    http.addHeader("X-Device-Key", deviceKey);
+    http.addHeader("X-Timestamp", timestamp);
+    http.addHeader("X-Nonce", nonce);
+    http.addHeader("X-Signature", signature);
+    
     Serial.println("Sending data: " + jsonString);
     
     // Send POST request
@@ -190,6 +298,7 @@ void resetSensorReadings() {
   recyclableAmount = 0;
   biodegradableAmount = 0;
   nonBiodegradableAmount = 0;
+  pendingEventId = "";
 }
 
 void initializeSensors() {
@@ -251,6 +360,12 @@ console.log('');
 console.log('📝 Key Changes & Notes:');
 console.log('✅ SIMPLIFIED: No date parameter needed - server automatically uses today\'s date');
 console.log('✅ AUTOMATIC: Server handles date/time based on server timezone');
+console.log('🔑 DEVICE: Every request must carry the X-Device-Key header of a registered device');
+console.log('🔏 SIGNED: Requests need X-Timestamp, X-Nonce and an HMAC-SHA256 X-Signature made with the device secret');
+console.log('🆕 UPGRADING: Machines registered before signing have no secret; rotate the key on the Devices page and flash the new key and secret (ALLOW_UNSIGNED_DEVICES=true accepts them unsigned meanwhile)');
+console.log('🔁 REPLAY: A nonce can only be used once; requests older than 5 minutes are rejected (401)');
+console.log('💓 HEARTBEAT: POST /api/devices/heartbeat every 60 seconds with firmware, uptime and sensor status');
+console.log('🆔 RETRIES: Send an eventId (or Idempotency-Key header); a retry with the same eventId returns the original response');
 console.log('🚫 IMMUTABLE: Records CANNOT be updated once created - one record per day max');
 console.log('⚠️  CONFLICT: 409 response if record already exists for today');
 console.log('✅ FEEDBACK: Detailed response shows creation success or conflict reason');
@@ -53,7 +53,9 @@ const frontendExamples = {
         maxDaily: 75,
         minDaily: 25,
         averagePerDay: 55,
-        recordCount: 10
+        recordCount: 10,
+        categoryWeightsKg: { recyclable: 4.2, biodegradable: 11.75, nonBiodegradable: 0 }, // Measured by load cell machines only
+        totalWeightKg: 15.95
       },
       filters: {
         search: null,
@@ -212,8 +214,9 @@ const WasteRecordsTable = () => {
         {data?.meta?.statistics && (
           <div className="statistics">
             <span>Total Records: {data.meta.pagination.total}</span>
-            <span>Total Waste: {data.meta.statistics.grandTotal} kg</span>
-            <span>Avg/Day: {data.meta.statistics.averagePerDay} kg</span>
+            <span>Total Waste: {data.meta.statistics.grandTotal} pcs</span>
+            <span>Avg/Day: {data.meta.statistics.averagePerDay} pcs</span>
+            <span>Measured Weight: {data.meta.statistics.totalWeightKg} kg</span>
           </div>
         )}
       </div>
@@ -319,9 +322,9 @@ const queryParamsReference = {
   sorting: {
     sortBy: { 
       type: 'string', 
-      options: ['date', 'recyclable', 'biodegradable', 'nonBiodegradable', 'total', 'createdAt', 'updatedAt'],
+      options: ['date', 'total', 'createdAt', 'updatedAt', '<category key>'],
       default: 'date',
-      description: 'Field to sort by'
+      description: 'Field to sort by; any category key from GET /api/waste/categories (e.g. recyclable) is also accepted'
     },
     sortOrder: { type: 'string', options: ['asc', 'desc'], default: 'desc', description: 'Sort direction' }
   },
@@ -338,6 +341,10 @@ const queryParamsReference = {
     maxBiodegradable: { type: 'number', description: 'Maximum biodegradable amount' },
     minNonBiodegradable: { type: 'number', description: 'Minimum non-biodegradable amount' },
     maxNonBiodegradable: { type: 'number', description: 'Maximum non-biodegradable amount' }
+    // min<Key>/max<Key> works the same way for every configured category key
+  },
+  categoryFilters: {
+    category: { type: 'string', description: 'Only records containing this category key' }
   }
 };
 
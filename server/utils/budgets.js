@@ -0,0 +1,277 @@
+import { prisma } from './database.js';
+import { toDayKey, computeDailyProfit, summarizeDays } from './profit.js';
+
+// Reward budgets are per calendar month in server local time. Spend is the rewardsSpent of the computed
+// daily profit (shop redemptions plus reward adjustments); coupon usage is the coupons handed out.
+// The rest of a month is projected from the last TREND_WINDOW_DAYS days: a straight-line trend of the items
+// deposited per day, times the profit, rewards and coupons each deposited item brought in over that window.
+
+const TREND_WINDOW_DAYS = 90;
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// 'YYYY-MM' of a moment in server local time
+export const toMonthKey = (moment) => toDayKey(moment).slice(0, 7);
+
+/**
+ * A 'YYYY-MM' month as { key, start, end, stored, days }: local start/end for timestamps and
+ * the @db.Date value budgets are stored under. Returns null when the month cannot be parsed.
+ */
+export const parseMonth = (value) => {
+  const match = MONTH_PATTERN.exec(String(value));
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+
+  return {
+    key: `${match[1]}-${match[2]}`,
+    start: new Date(year, monthIndex, 1),
+    end: new Date(year, monthIndex + 1, 1),
+    stored: new Date(`${match[1]}-${match[2]}-01`),
+    days: new Date(year, monthIndex + 1, 0).getDate()
+  };
+};
+
+// Days of the month that have started by now: 0 for future months, all of them for past months
+const getDaysElapsed = (month, now) => {
+  if (now < month.start) return 0;
+  if (now >= month.end) return month.days;
+  return now.getDate();
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Coupons handed out in a range, per local day: USE entries (deposits and counter redemptions) less refunds of them
+const getCouponsPerDay = async (range) => {
+  const entries = await prisma.couponTransaction.findMany({
+    where: { type: { in: ['USE', 'REFUND'] }, createdAt: range },
+    select: { type: true, amount: true, createdAt: true, refundOf: { select: { type: true } } }
+  });
+
+  const perDay = new Map();
+  for (const entry of entries) {
+    if (entry.type === 'REFUND' && entry.refundOf?.type !== 'USE') continue;
+    const key = toDayKey(entry.createdAt);
+    const coupons = entry.type === 'USE' ? Math.abs(entry.amount) : -Math.abs(entry.amount);
+    perDay.set(key, (perDay.get(key) || 0) + coupons);
+  }
+  return perDay;
+};
+
+// Items deposited per local day; record dates are stored like sale dates (UTC midnight of the local day)
+const getItemsPerDay = async (range) => {
+  const rows = await prisma.waste_items.groupBy({
+    by: ['date'],
+    where: { date: { gte: new Date(toDayKey(range.gte)), lt: new Date(toDayKey(range.lt)) } },
+    _sum: { total: true }
+  });
+
+  return new Map(rows.map((row) => [new Date(row.date).toISOString().slice(0, 10), row._sum.total || 0]));
+};
+
+const sumValues = (map) => [...map.values()].reduce((sum, value) => sum + value, 0);
+
+// Least squares line through daily values; predict(index) never goes below 0
+const fitTrend = (values) => {
+  const count = values.length;
+  const meanX = (count - 1) / 2;
+  const meanY = count > 0 ? values.reduce((sum, value) => sum + value, 0) / count : 0;
+
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, index) => {
+    numerator += (index - meanX) * (value - meanY);
+    denominator += (index - meanX) ** 2;
+  });
+  const slope = denominator ? numerator / denominator : 0;
+
+  return {
+    mean: meanY,
+    slope,
+    predict: (index) => Math.max(meanY + slope * (index - meanX), 0)
+  };
+};
+
+/**
+ * Month-to-date totals and a projection of the whole month: profit, rewards spent, net profit,
+ * items collected and coupons handed out. Past months are not projected; their projection is the actual.
+ * @param {ReturnType<typeof parseMonth>} month
+ */
+export const forecastMonth = async (month, now = new Date()) => {
+  const daysElapsed = getDaysElapsed(month, now);
+  const actualRange = { gte: month.start, lt: daysElapsed === month.days ? month.end : addDays(month.start, daysElapsed) };
+
+  const [days, items, coupons] = daysElapsed > 0
+    ? await Promise.all([computeDailyProfit(actualRange), getItemsPerDay(actualRange), getCouponsPerDay(actualRange)])
+    : [[], new Map(), new Map()];
+
+  const summary = summarizeDays(days);
+  const actual = {
+    profit: summary.totalProfit,
+    rewardsSpent: summary.totalRewardsSpent,
+    netProfit: summary.totalNetProfit,
+    itemsCollected: sumValues(items),
+    couponsUsed: sumValues(coupons)
+  };
+
+  if (daysElapsed === month.days) {
+    return { month: month.key, daysInMonth: month.days, daysElapsed, actual, projected: { ...actual }, basis: null };
+  }
+
+  // The trend window ends with today, so today's deposits so far count towards it
+  const windowEnd = addDays(now, 1);
+  const windowStart = addDays(windowEnd, -TREND_WINDOW_DAYS);
+  const windowRange = { gte: windowStart, lt: windowEnd };
+
+  const [windowDays, windowItems, windowCoupons] = await Promise.all([
+    computeDailyProfit(windowRange),
+    getItemsPerDay(windowRange),
+    getCouponsPerDay(windowRange)
+  ]);
+
+  const windowSummary = summarizeDays(windowDays);
+  const dailyItems = [];
+  for (let day = 0; day < TREND_WINDOW_DAYS; day++) {
+    dailyItems.push(windowItems.get(toDayKey(addDays(windowStart, day))) || 0);
+  }
+  const trend = fitTrend(dailyItems);
+  const windowItemCount = sumValues(windowItems);
+
+  // Days of the month still to come, positioned on the trend line by their distance from the window start
+  let remainingItems = 0;
+  let remainingDays = 0;
+  for (let day = daysElapsed + 1; day <= month.days; day++) {
+    const date = new Date(month.start.getFullYear(), month.start.getMonth(), day);
+    remainingItems += trend.predict(Math.round((date - windowStart) / (24 * 60 * 60 * 1000)));
+    remainingDays += 1;
+  }
+
+  // Without deposits in the window there is nothing to scale by, so the daily averages are used instead
+  const perUnit = windowItemCount > 0
+    ? { count: remainingItems, profit: windowSummary.totalProfit / windowItemCount, rewards: windowSummary.totalRewardsSpent / windowItemCount, coupons: sumValues(windowCoupons) / windowItemCount }
+    : { count: remainingDays, profit: windowSummary.totalProfit / TREND_WINDOW_DAYS, rewards: windowSummary.totalRewardsSpent / TREND_WINDOW_DAYS, coupons: sumValues(windowCoupons) / TREND_WINDOW_DAYS };
+
+  const projectedProfit = roundMoney(actual.profit + perUnit.count * perUnit.profit);
+  const projectedRewards = roundMoney(actual.rewardsSpent + perUnit.count * perUnit.rewards);
+
+  return {
+    month: month.key,
+    daysInMonth: month.days,
+    daysElapsed,
+    actual,
+    projected: {
+      profit: projectedProfit,
+      rewardsSpent: projectedRewards,
+      netProfit: roundMoney(projectedProfit - projectedRewards),
+      itemsCollected: Math.round(actual.itemsCollected + remainingItems),
+      couponsUsed: Math.round(actual.couponsUsed + perUnit.count * perUnit.coupons)
+    },
+    basis: {
+      windowStart: toDayKey(windowStart),
+      windowEnd: toDayKey(now),
+      itemsPerDay: Math.round(trend.mean * 10) / 10,
+      // Change in items per day from one day to the next along the trend line
+      itemsTrendPerDay: Math.round(trend.slope * 100) / 100,
+      profitPerItem: windowItemCount > 0 ? roundMoney(perUnit.profit) : null,
+      rewardsPerItem: windowItemCount > 0 ? roundMoney(perUnit.rewards) : null
+    }
+  };
+};
+
+/**
+ * Where a month stands against its budget: EXCEEDED once spend or coupons went over, PACING while the
+ * projection for the month does, ON_TRACK otherwise; null without a budget.
+ */
+export const getBudgetState = (budget, { spent, couponsUsed, projectedSpend, projectedCoupons }) => {
+  if (!budget) return null;
+
+  const overCoupons = (value) => budget.couponLimit !== null && value > budget.couponLimit;
+  if (spent > budget.amount || overCoupons(couponsUsed)) return 'EXCEEDED';
+  if (projectedSpend > budget.amount || overCoupons(projectedCoupons)) return 'PACING';
+  return 'ON_TRACK';
+};
+
+// A month's budget with the actual and projected spend and coupon usage against it
+export const getBudgetStatus = async (month, now = new Date()) => {
+  const [budget, forecast] = await Promise.all([
+    prisma.rewardBudget.findUnique({ where: { month: month.stored } }),
+    forecastMonth(month, now)
+  ]);
+
+  const spent = forecast.actual.rewardsSpent;
+  const status = getBudgetState(budget, {
+    spent,
+    couponsUsed: forecast.actual.couponsUsed,
+    projectedSpend: forecast.projected.rewardsSpent,
+    projectedCoupons: forecast.projected.couponsUsed
+  });
+
+  return {
+    month: month.key,
+    budget,
+    spent,
+    remaining: budget ? roundMoney(budget.amount - spent) : null,
+    percentUsed: budget && budget.amount > 0 ? Math.round((spent / budget.amount) * 1000) / 10 : null,
+    // Straight-line share of the budget for the days gone so far
+    expectedSpendToDate: budget ? roundMoney((budget.amount * forecast.daysElapsed) / month.days) : null,
+    projectedSpend: forecast.projected.rewardsSpent,
+    coupons: {
+      used: forecast.actual.couponsUsed,
+      projected: forecast.projected.couponsUsed,
+      limit: budget?.couponLimit ?? null
+    },
+    status,
+    forecast
+  };
+};
+
+// Every month of a year with its budget and actual spend; the current month also carries its projection
+export const getBudgetOverview = async (year, now = new Date()) => {
+  const range = { gte: new Date(year, 0, 1), lt: new Date(year + 1, 0, 1) };
+
+  const [budgets, days, coupons] = await Promise.all([
+    prisma.rewardBudget.findMany({
+      where: { month: { gte: new Date(`${year}-01-01`), lt: new Date(`${year + 1}-01-01`) } }
+    }),
+    computeDailyProfit(range),
+    getCouponsPerDay(range)
+  ]);
+
+  const budgetsByMonth = new Map(budgets.map((budget) => [new Date(budget.month).toISOString().slice(0, 7), budget]));
+  const currentMonth = toMonthKey(now);
+  const months = [];
+
+  for (let index = 0; index < 12; index++) {
+    const month = parseMonth(`${year}-${String(index + 1).padStart(2, '0')}`);
+
+    if (month.key === currentMonth) {
+      months.push(await getBudgetStatus(month, now));
+      continue;
+    }
+
+    const budget = budgetsByMonth.get(month.key) || null;
+    const spent = roundMoney(days
+      .filter((day) => day.date.startsWith(month.key))
+      .reduce((sum, day) => sum + day.rewardsSpent, 0));
+    const couponsUsed = [...coupons.entries()]
+      .filter(([key]) => key.startsWith(month.key))
+      .reduce((sum, [, value]) => sum + value, 0);
+
+    // Past months are final and future months have nothing spent, so their projection is what they have
+    months.push({
+      month: month.key,
+      budget,
+      spent,
+      remaining: budget ? roundMoney(budget.amount - spent) : null,
+      percentUsed: budget && budget.amount > 0 ? Math.round((spent / budget.amount) * 1000) / 10 : null,
+      expectedSpendToDate: budget && month.end <= now ? budget.amount : budget ? 0 : null,
+      projectedSpend: spent,
+      coupons: { used: couponsUsed, projected: couponsUsed, limit: budget?.couponLimit ?? null },
+      status: getBudgetState(budget, { spent, couponsUsed, projectedSpend: spent, projectedCoupons: couponsUsed })
+    });
+  }
+
+  return months;
+};
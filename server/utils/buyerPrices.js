@@ -0,0 +1,112 @@
+import { prisma } from './database.js';
+import { toDayKey } from './profit.js';
+
+// KG when a material is bought by weight, PIECE when by count
+export const SALE_UNITS = ['KG', 'PIECE'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Price list entries in effect on a day: per buyer, material and unit, the entry with the latest date on or before it
+ * @param {{ categoryId?: number, buyerId?: number, unit?: string, asOf?: Date, includeInactive?: boolean }} options
+ *   asOf is a @db.Date value (UTC midnight) and defaults to today
+ * @param {object} client - prisma or a transaction
+ */
+export const getCurrentPrices = async ({ categoryId, buyerId, unit, asOf, includeInactive = false } = {}, client = prisma) => {
+  const where = { effectiveDate: { lte: asOf || new Date(toDayKey(new Date())) } };
+  if (unit) where.unit = unit;
+  if (categoryId) where.categoryId = categoryId;
+  if (buyerId) where.buyerId = buyerId;
+  if (!includeInactive) where.buyer = { isActive: true };
+
+  const entries = await client.buyerPrice.findMany({
+    where,
+    include: {
+      buyer: { select: { id: true, name: true, isActive: true } },
+      category: { select: { id: true, key: true, name: true } }
+    },
+    orderBy: [{ effectiveDate: 'desc' }, { id: 'desc' }]
+  });
+
+  const current = new Map();
+  for (const entry of entries) {
+    const key = `${entry.buyerId}:${entry.categoryId}:${entry.unit}`;
+    if (!current.has(key)) current.set(key, entry);
+  }
+
+  return [...current.values()];
+};
+
+// Highest of the current prices per material and unit, keyed 'categoryId:unit'
+export const getBestPrices = (currentPrices) => {
+  const best = new Map();
+  for (const entry of currentPrices) {
+    const key = `${entry.categoryId}:${entry.unit}`;
+    if (!best.has(key) || entry.pricePerUnit > best.get(key).pricePerUnit) {
+      best.set(key, entry);
+    }
+  }
+  return best;
+};
+
+/**
+ * Estimated value of collected recyclables that have not been sold yet, at the best price active buyers pay today.
+ * A material is valued by weight when some buyer prices it per kg (only weighed deposits count then), otherwise by count.
+ * In storage is everything collected minus everything sold in that unit, never below 0.
+ * Only materials that buyers price or that have been sold before are listed, so bio and residual waste stay out.
+ */
+export const estimateStorageValue = async () => {
+  const [categories, collected, sold, currentPrices] = await Promise.all([
+    prisma.wasteCategory.findMany({
+      select: { id: true, key: true, name: true, color: true, isActive: true },
+      orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+    }),
+    prisma.wasteQuantity.groupBy({
+      by: ['categoryId'],
+      _sum: { quantity: true, weightGrams: true }
+    }),
+    prisma.recyclableSale.groupBy({
+      by: ['categoryId', 'unit'],
+      _sum: { quantity: true }
+    }),
+    getCurrentPrices()
+  ]);
+
+  const collectedByCategory = new Map(collected.map((row) => [row.categoryId, row._sum]));
+  const soldByCategory = new Map(sold.map((row) => [`${row.categoryId}:${row.unit}`, row._sum.quantity || 0]));
+  const bestPrices = getBestPrices(currentPrices);
+
+  const materials = categories.map((category) => {
+    const totals = collectedByCategory.get(category.id) || {};
+    const kgPrice = bestPrices.get(`${category.id}:KG`);
+    const piecePrice = bestPrices.get(`${category.id}:PIECE`);
+    const unit = kgPrice || (!piecePrice && totals.weightGrams) ? 'KG' : 'PIECE';
+    const best = unit === 'KG' ? kgPrice : piecePrice;
+
+    const collectedAmount = unit === 'KG' ? (totals.weightGrams || 0) / 1000 : totals.quantity || 0;
+    const soldAmount = soldByCategory.get(`${category.id}:${unit}`) || 0;
+    const inStorage = Math.max(collectedAmount - soldAmount, 0);
+
+    return {
+      categoryId: category.id,
+      key: category.key,
+      name: category.name,
+      color: category.color,
+      unit,
+      collected: Math.round(collectedAmount * 100) / 100,
+      sold: Math.round(soldAmount * 100) / 100,
+      inStorage: Math.round(inStorage * 100) / 100,
+      bestPrice: best
+        ? { buyerId: best.buyer.id, buyerName: best.buyer.name, pricePerUnit: best.pricePerUnit, effectiveDate: best.effectiveDate }
+        : null,
+      // null when no active buyer has a price for the material yet
+      estimatedValue: best ? roundMoney(inStorage * best.pricePerUnit) : null
+    };
+  }).filter((material) => material.bestPrice || material.sold > 0);
+
+  return {
+    materials,
+    totalEstimatedValue: roundMoney(materials.reduce((sum, material) => sum + (material.estimatedValue || 0), 0)),
+    unpricedMaterials: materials.filter((material) => material.inStorage > 0 && material.estimatedValue === null).length
+  };
+};
@@ -0,0 +1,263 @@
+import { prisma } from './database.js';
+
+// Batches expiring within this many days are listed as upcoming expirations
+export const EXPIRY_WARNING_DAYS = parseInt(process.env.COUPON_EXPIRY_WARNING_DAYS) || 30;
+
+const BATCH_NUMBER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/-]{0,39}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A moment's server local date as stored in @db.Date columns, like waste record dates
+const toStoredDate = (moment) => {
+  return new Date(`${moment.getFullYear()}-${String(moment.getMonth() + 1).padStart(2, '0')}-${String(moment.getDate()).padStart(2, '0')}`);
+};
+
+export const getTodayDate = () => toStoredDate(new Date());
+
+// 'active', 'depleted', 'expired' or 'retired'. A batch can be used through its expiry date.
+export const getBatchStatus = (batch, today = getTodayDate()) => {
+  const expiresAt = batch.expiresAt ? new Date(batch.expiresAt) : null;
+  if (batch.retiredAt) {
+    return expiresAt && expiresAt < toStoredDate(new Date(batch.retiredAt)) ? 'expired' : 'retired';
+  }
+  if (expiresAt && expiresAt < today) return 'expired';
+  if (batch.remaining === 0) return 'depleted';
+  return 'active';
+};
+
+export const toPublicBatch = (batch) => ({
+  ...batch,
+  status: getBatchStatus(batch)
+});
+
+// Validate the batch fields of POST /api/coupon/add. Returns { error } or { data }
+export const parseBatchInput = ({ amount, batchNumber, supplier, printedAt, expiresAt, notes }) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: 'Amount must be a positive whole number' };
+  }
+
+  if (typeof batchNumber !== 'string' || !BATCH_NUMBER_PATTERN.test(batchNumber.trim())) {
+    return { error: 'batchNumber is required: up to 40 letters, digits, dots, dashes or slashes, e.g. 2026-10-A' };
+  }
+
+  if (supplier !== undefined && supplier !== null && (typeof supplier !== 'string' || supplier.trim().length > 100)) {
+    return { error: 'supplier must be at most 100 characters' };
+  }
+
+  const printDate = printedAt ? String(printedAt) : null;
+  if (printDate !== null && !DATE_PATTERN.test(printDate)) {
+    return { error: 'printedAt must be a date in YYYY-MM-DD format' };
+  }
+
+  const expiryDate = expiresAt ? String(expiresAt) : null;
+  if (expiryDate !== null && !DATE_PATTERN.test(expiryDate)) {
+    return { error: 'expiresAt must be a date in YYYY-MM-DD format, or left out for coupons that do not expire' };
+  }
+
+  const printed = printDate ? new Date(printDate) : getTodayDate();
+  const expires = expiryDate ? new Date(expiryDate) : null;
+
+  if (isNaN(printed.getTime()) || (expires && isNaN(expires.getTime()))) {
+    return { error: 'printedAt and expiresAt must be valid dates' };
+  }
+
+  if (expires && expires < getTodayDate()) {
+    return { error: 'expiresAt is in the past' };
+  }
+
+  if (expires && expires < printed) {
+    return { error: 'expiresAt must be on or after printedAt' };
+  }
+
+  return {
+    data: {
+      quantity: amount,
+      batchNumber: batchNumber.trim(),
+      supplier: supplier?.trim() || null,
+      printedAt: printed,
+      expiresAt: expires,
+      notes: notes || null
+    }
+  };
+};
+
+// Record printed coupons as a new batch and add them to the stock with an ADD entry.
+// Call inside an interactive transaction.
+export const addCouponBatch = async (tx, { quantity, batchNumber, supplier, printedAt, expiresAt, notes }) => {
+  const coupon = await tx.coupon.findFirst({ orderBy: { id: 'desc' } }) ||
+    await tx.coupon.create({ data: { balance: 0, used: 0 } });
+
+  const updatedCoupon = await tx.coupon.update({
+    where: { id: coupon.id },
+    data: { balance: { increment: quantity } }
+  });
+
+  const batch = await tx.couponBatch.create({
+    data: { batchNumber, supplier, printedAt, expiresAt, quantity, remaining: quantity, notes }
+  });
+
+  const transaction = await tx.couponTransaction.create({
+    data: {
+      type: 'ADD',
+      amount: quantity,
+      balance: updatedCoupon.balance,
+      reason: `Batch ${batchNumber} added`,
+      notes
+    }
+  });
+
+  await tx.couponBatchAllocation.create({
+    data: { batchId: batch.id, transactionId: transaction.id, quantity }
+  });
+
+  return { batch, transaction, coupon: updatedCoupon, previousBalance: updatedCoupon.balance - quantity };
+};
+
+// Take the coupons of a ledger entry from the batches, oldest print first, recording how many came from each.
+// Stock outside any batch (manual credits, stock from before batches) covers what the batches cannot.
+export const drawFromBatches = async (tx, transactionId, amount) => {
+  const batches = await tx.couponBatch.findMany({
+    where: {
+      retiredAt: null,
+      remaining: { gt: 0 },
+      OR: [{ expiresAt: null }, { expiresAt: { gte: getTodayDate() } }]
+    },
+    orderBy: [{ printedAt: 'asc' }, { id: 'asc' }]
+  });
+
+  const allocations = [];
+  let left = amount;
+  for (const batch of batches) {
+    if (left <= 0) break;
+    const taken = Math.min(left, batch.remaining);
+
+    await tx.couponBatch.update({
+      where: { id: batch.id },
+      data: { remaining: { decrement: taken } }
+    });
+    allocations.push(await tx.couponBatchAllocation.create({
+      data: { batchId: batch.id, transactionId, quantity: -taken }
+    }));
+    left -= taken;
+  }
+
+  return allocations;
+};
+
+// Give the coupons a ledger entry drew back to the batches they came from, recorded on the refund entry.
+// Only batches that are still open take them back; the rest stay in stock outside any batch.
+export const returnToBatches = async (tx, drawnTransactionId, refundTransactionId) => {
+  const drawn = await tx.couponBatchAllocation.findMany({
+    where: { transactionId: drawnTransactionId, quantity: { lt: 0 } },
+    include: { batch: true },
+    orderBy: { id: 'asc' }
+  });
+
+  const today = getTodayDate();
+  const allocations = [];
+  for (const { batch, quantity } of drawn) {
+    if (!['active', 'depleted'].includes(getBatchStatus(batch, today))) continue;
+
+    await tx.couponBatch.update({
+      where: { id: batch.id },
+      data: { remaining: { increment: -quantity } }
+    });
+    allocations.push(await tx.couponBatchAllocation.create({
+      data: { batchId: batch.id, transactionId: refundTransactionId, quantity: -quantity }
+    }));
+  }
+
+  return allocations;
+};
+
+// Take the lesser of the batch's remaining coupons and the stock, guarded on the balance read.
+// A deposit that takes coupons in between fails the guard, so the amount is worked out again.
+const takeFromStock = async (tx, remaining) => {
+  for (;;) {
+    const coupon = await tx.coupon.findFirst({ orderBy: { id: 'desc' } });
+    const amount = Math.min(remaining, coupon?.balance ?? 0);
+    if (amount <= 0) return { amount: 0, updatedCoupon: null };
+
+    const taken = await tx.coupon.updateMany({
+      where: { id: coupon.id, balance: { gte: amount } },
+      data: { balance: { decrement: amount } }
+    });
+    if (taken.count > 0) {
+      return { amount, updatedCoupon: await tx.coupon.findUnique({ where: { id: coupon.id } }) };
+    }
+  }
+};
+
+// Take what is left of a batch out of the stock with an EXPIRE entry and close the batch
+export const retireBatch = async (tx, batch, reason, notes = null) => {
+  const { amount, updatedCoupon } = await takeFromStock(tx, batch.remaining);
+
+  let transaction = null;
+  if (amount > 0) {
+    transaction = await tx.couponTransaction.create({
+      data: {
+        type: 'EXPIRE',
+        amount: -amount,
+        balance: updatedCoupon.balance,
+        reason,
+        notes
+      }
+    });
+
+    await tx.couponBatchAllocation.create({
+      data: { batchId: batch.id, transactionId: transaction.id, quantity: -amount }
+    });
+  }
+
+  const updatedBatch = await tx.couponBatch.update({
+    where: { id: batch.id },
+    data: { remaining: 0, retiredAt: new Date() }
+  });
+
+  return { batch: updatedBatch, transaction };
+};
+
+// Retire every batch past its expiry date. Runs before coupons are drawn and from the scheduled job.
+export const retireExpiredBatches = async (tx) => {
+  const expired = await tx.couponBatch.findMany({
+    where: { retiredAt: null, expiresAt: { lt: getTodayDate() } },
+    orderBy: { id: 'asc' }
+  });
+
+  const retired = [];
+  for (const batch of expired) {
+    retired.push(await retireBatch(tx, batch, `Batch ${batch.batchNumber} expired`));
+  }
+  return retired;
+};
+
+// Coupons in open batches, and the batches that expire within EXPIRY_WARNING_DAYS
+export const getBatchSummary = async (client = prisma) => {
+  const today = getTodayDate();
+  const warnUntil = new Date(today);
+  warnUntil.setDate(warnUntil.getDate() + EXPIRY_WARNING_DAYS);
+
+  const [open, expiring] = await Promise.all([
+    client.couponBatch.aggregate({
+      _sum: { remaining: true },
+      _count: { _all: true },
+      where: { retiredAt: null, remaining: { gt: 0 } }
+    }),
+    client.couponBatch.findMany({
+      where: { retiredAt: null, remaining: { gt: 0 }, expiresAt: { gte: today, lte: warnUntil } },
+      orderBy: { expiresAt: 'asc' }
+    })
+  ]);
+
+  return {
+    openBatches: open._count._all,
+    batchedStock: open._sum.remaining || 0,
+    warningDays: EXPIRY_WARNING_DAYS,
+    upcomingExpirations: expiring.map((batch) => ({
+      id: batch.id,
+      batchNumber: batch.batchNumber,
+      expiresAt: batch.expiresAt,
+      remaining: batch.remaining,
+      daysLeft: Math.round((new Date(batch.expiresAt) - today) / (24 * 60 * 60 * 1000))
+    }))
+  };
+};
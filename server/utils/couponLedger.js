@@ -0,0 +1,170 @@
+import { prisma } from './database.js';
+
+// Entry types that move the coupon stock; REDEEM spends wallet or voucher points that already left it.
+// A REFUND moves it only when it gives back a USE.
+const STOCK_ENTRY_TYPES = ['ADD', 'USE', 'ADJUST', 'EXPIRE'];
+
+const movesStock = (entry) => {
+  return STOCK_ENTRY_TYPES.includes(entry.type) || (entry.type === 'REFUND' && entry.refundOf?.type === 'USE');
+};
+const PAGE_SIZE = 1000;
+
+// Replay the coupon ledger from the first entry and compare it with the stored stock counters.
+// Pass a transaction client to check inside a larger interactive transaction.
+// Discrepancies:
+//   entry_balance    - the stock changed between two entries without an entry of its own; transactionId is the
+//                      first entry that shows the change. Gaps up to the last correction are not reported again.
+//   untracked_change - the stored stock moved after the newest entry
+//   stock_balance    - the stored stock differs from the sum of the ledger
+//   used_total       - the stored used counter differs from the USE entries less their refunds
+//   batch_total      - open batches hold more coupons than the stock
+export const reconcileCouponLedger = async (client = prisma) => {
+  const coupon = await client.coupon.findFirst({ orderBy: { id: 'desc' } });
+
+  const corrections = await client.couponReconciliation.findMany({
+    where: { correctionTransactionId: { not: null } },
+    select: { correctionTransactionId: true }
+  });
+  const correctionIds = new Set(corrections.map((correction) => correction.correctionTransactionId));
+  const resolvedThrough = Math.max(0, ...correctionIds);
+
+  const discrepancies = [];
+  let ledgerBalance = 0;
+  let ledgerUsed = 0;
+  let drift = 0; // recorded balance minus replayed balance at the previous entry
+  let previous = null;
+
+  for (let cursor = 0; ;) {
+    const page = await client.couponTransaction.findMany({
+      where: { id: { gt: cursor } },
+      orderBy: { id: 'asc' },
+      take: PAGE_SIZE,
+      select: {
+        id: true,
+        type: true,
+        amount: true,
+        balance: true,
+        reason: true,
+        createdAt: true,
+        refundOf: { select: { type: true } }
+      }
+    });
+
+    for (const entry of page) {
+      if (movesStock(entry)) {
+        ledgerBalance += entry.amount;
+      }
+      if (entry.type === 'USE' || (entry.type === 'REFUND' && entry.refundOf?.type === 'USE')) {
+        ledgerUsed -= entry.amount;
+      }
+
+      const entryDrift = entry.balance - ledgerBalance;
+      // A correction entry closes the drift on purpose
+      if (entryDrift !== drift && !correctionIds.has(entry.id) && entry.id > resolvedThrough) {
+        const difference = entryDrift - drift;
+        discrepancies.push({
+          type: 'entry_balance',
+          transactionId: entry.id,
+          previousTransactionId: previous?.id ?? null,
+          transactionType: entry.type,
+          reason: entry.reason,
+          createdAt: entry.createdAt,
+          expectedBalance: ledgerBalance + drift,
+          recordedBalance: entry.balance,
+          difference,
+          message: previous
+            ? `Coupon stock changed by ${difference} between transactions #${previous.id} and #${entry.id} without a ledger entry`
+            : `Transaction #${entry.id} starts the ledger at ${entry.balance} instead of ${ledgerBalance}`
+        });
+      }
+
+      drift = entryDrift;
+      previous = entry;
+    }
+
+    if (page.length < PAGE_SIZE) break;
+    cursor = page[page.length - 1].id;
+  }
+
+  const storedBalance = coupon?.balance ?? 0;
+  const storedUsed = coupon?.used ?? 0;
+  const lastRecordedBalance = previous ? previous.balance : 0;
+
+  if (storedBalance !== lastRecordedBalance) {
+    discrepancies.push({
+      type: 'untracked_change',
+      previousTransactionId: previous?.id ?? null,
+      recordedBalance: lastRecordedBalance,
+      storedBalance,
+      difference: storedBalance - lastRecordedBalance,
+      message: previous
+        ? `Coupon stock changed by ${storedBalance - lastRecordedBalance} after transaction #${previous.id} without a ledger entry`
+        : `Coupon stock is ${storedBalance} but the ledger has no entries`
+    });
+  }
+
+  if (storedBalance !== ledgerBalance) {
+    discrepancies.push({
+      type: 'stock_balance',
+      storedBalance,
+      ledgerBalance,
+      difference: storedBalance - ledgerBalance,
+      message: `Stored coupon stock is ${storedBalance} but the ledger adds up to ${ledgerBalance}`
+    });
+  }
+
+  if (storedUsed !== ledgerUsed) {
+    discrepancies.push({
+      type: 'used_total',
+      storedUsed,
+      ledgerUsed,
+      difference: storedUsed - ledgerUsed,
+      message: `Stored used counter is ${storedUsed} but USE entries less refunds add up to ${ledgerUsed}`
+    });
+  }
+
+  const batched = await client.couponBatch.aggregate({
+    _sum: { remaining: true },
+    where: { retiredAt: null }
+  });
+  const batchedStock = batched._sum.remaining || 0;
+
+  if (batchedStock > storedBalance) {
+    discrepancies.push({
+      type: 'batch_total',
+      batchedStock,
+      storedBalance,
+      difference: batchedStock - storedBalance,
+      message: `Open batches hold ${batchedStock} coupons but the stock is ${storedBalance}`
+    });
+  }
+
+  return {
+    couponId: coupon?.id ?? null,
+    lastTransactionId: previous?.id ?? null,
+    storedBalance,
+    ledgerBalance,
+    storedUsed,
+    ledgerUsed,
+    discrepancies,
+    isBalanced: discrepancies.length === 0
+  };
+};
+
+// Keep the result of a check in the audit history
+export const recordReconciliation = async (client, report, trigger, correction = {}) => {
+  return await client.couponReconciliation.create({
+    data: {
+      trigger,
+      lastTransactionId: report.lastTransactionId,
+      storedBalance: report.storedBalance,
+      ledgerBalance: report.ledgerBalance,
+      storedUsed: report.storedUsed,
+      ledgerUsed: report.ledgerUsed,
+      discrepancies: report.discrepancies,
+      discrepancyCount: report.discrepancies.length,
+      ...correction
+    },
+    include: { correctedBy: { select: { id: true, username: true } } }
+  });
+};
@@ -0,0 +1,204 @@
+import { prisma, retryOperation } from './database.js';
+
+// Read on every deposit but changed rarely, so the active rule is cached briefly like the categories
+const RULE_CACHE_MS = 30 * 1000;
+let ruleCache = null;
+let ruleCacheLoadedAt = 0;
+
+const MAX_RATE = 100;
+const MAX_MULTIPLIER = 10;
+const MAX_PROMOTIONS = 20;
+
+// Applies until an admin saves the first rule version: the old flat rate for every item
+const getFallbackRule = () => ({
+  id: null,
+  version: 0,
+  defaultRate: parseInt(process.env.COUPON_CONSUMPTION_RATE || '1'),
+  categoryRates: {},
+  minItems: 1,
+  dailyCapPerDepositor: null,
+  promotions: [],
+  notes: 'COUPON_CONSUMPTION_RATE from the server environment',
+  isFallback: true
+});
+
+// Newest rule version, or the environment fallback when none has been saved
+export const getActiveCouponRule = async () => {
+  if (ruleCache && Date.now() - ruleCacheLoadedAt < RULE_CACHE_MS) {
+    return ruleCache;
+  }
+
+  const rule = await retryOperation(async () => {
+    return await prisma.couponRule.findFirst({ orderBy: { version: 'desc' } });
+  });
+
+  ruleCache = rule || getFallbackRule();
+  ruleCacheLoadedAt = Date.now();
+  return ruleCache;
+};
+
+// Call after saving a rule version so the next deposit uses it
+export const invalidateCouponRule = () => {
+  ruleCache = null;
+};
+
+const isRate = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_RATE;
+
+// Validate an admin-submitted rule against the configured categories.
+// Returns { error } or { data } ready to be stored as a new version
+export const validateCouponRule = (input, categories) => {
+  const knownKeys = new Set(categories.map((category) => category.key));
+  const { defaultRate = 1, categoryRates = {}, minItems = 1, dailyCapPerDepositor = null, promotions = [], notes = null } = input;
+
+  if (!isRate(defaultRate)) {
+    return { error: `defaultRate must be a number of points per item between 0 and ${MAX_RATE}.` };
+  }
+
+  if (!categoryRates || typeof categoryRates !== 'object' || Array.isArray(categoryRates)) {
+    return { error: 'categoryRates must be an object of points per item, e.g. { "recyclable": 2 }.' };
+  }
+  for (const [key, rate] of Object.entries(categoryRates)) {
+    if (!knownKeys.has(key)) {
+      return { error: `Unknown waste category in categoryRates: ${key}.` };
+    }
+    if (!isRate(rate)) {
+      return { error: `The rate for ${key} must be a number between 0 and ${MAX_RATE}.` };
+    }
+  }
+
+  if (!Number.isInteger(minItems) || minItems < 1 || minItems > 1000) {
+    return { error: 'minItems must be a whole number between 1 and 1000.' };
+  }
+
+  if (dailyCapPerDepositor !== null && (!Number.isInteger(dailyCapPerDepositor) || dailyCapPerDepositor < 1)) {
+    return { error: 'dailyCapPerDepositor must be a positive whole number, or null for no cap.' };
+  }
+
+  if (!Array.isArray(promotions) || promotions.length > MAX_PROMOTIONS) {
+    return { error: `promotions must be a list of at most ${MAX_PROMOTIONS} promotions.` };
+  }
+
+  const cleanPromotions = [];
+  for (const [index, promotion] of promotions.entries()) {
+    const label = `Promotion ${index + 1}`;
+    if (!promotion || typeof promotion !== 'object') {
+      return { error: `${label} must be an object.` };
+    }
+
+    const { name, startsAt, endsAt, multiplier, categories: promotionCategories } = promotion;
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 60) {
+      return { error: `${label} needs a name of at most 60 characters.` };
+    }
+    if (!startsAt || !endsAt || isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      return { error: `${name.trim()}: startsAt and endsAt must be dates, with endsAt after startsAt.` };
+    }
+    if (typeof multiplier !== 'number' || !(multiplier > 0) || multiplier > MAX_MULTIPLIER) {
+      return { error: `${name.trim()}: multiplier must be above 0 and at most ${MAX_MULTIPLIER} (2 for double points).` };
+    }
+    if (promotionCategories !== undefined && promotionCategories !== null &&
+        (!Array.isArray(promotionCategories) || promotionCategories.some((key) => !knownKeys.has(key)))) {
+      return { error: `${name.trim()}: categories must be a list of waste category keys, or left out for all categories.` };
+    }
+
+    cleanPromotions.push({
+      name: name.trim(),
+      startsAt: start.toISOString(),
+      endsAt: end.toISOString(),
+      multiplier,
+      ...(promotionCategories?.length > 0 && { categories: promotionCategories })
+    });
+  }
+
+  if (notes !== null && (typeof notes !== 'string' || notes.length > 500)) {
+    return { error: 'notes must be at most 500 characters.' };
+  }
+
+  return {
+    data: {
+      defaultRate,
+      categoryRates,
+      minItems,
+      dailyCapPerDepositor,
+      promotions: cleanPromotions,
+      notes: notes?.trim() || null
+    }
+  };
+};
+
+// Promotion running at `at` for a category; the highest multiplier wins when several overlap
+const getPromotion = (promotions, categoryKey, at) => {
+  return (promotions || [])
+    .filter((promotion) => new Date(promotion.startsAt) <= at && at < new Date(promotion.endsAt))
+    .filter((promotion) => !promotion.categories || promotion.categories.includes(categoryKey))
+    .reduce((best, promotion) => (!best || promotion.multiplier > best.multiplier ? promotion : best), null);
+};
+
+// Coupons a deposit earns under a rule.
+// quantities are the parsed category counts of the deposit and `at` when it was made.
+// earnedToday is what the depositor already earned that day, for the daily cap (anonymous deposits have no cap).
+// Returns { points, ruleId, ruleVersion, reason, summary }; reason is 'below_minimum' or 'daily_cap' when it limited the points
+export const calculateCouponAward = (rule, { quantities, at = new Date(), identified = false, earnedToday = 0 }) => {
+  const items = quantities.reduce((sum, item) => sum + item.quantity, 0);
+  const result = { points: 0, ruleId: rule.id, ruleVersion: rule.version, reason: null, summary: null };
+
+  if (items < rule.minItems) {
+    return { ...result, reason: 'below_minimum', summary: `Rule v${rule.version}: ${items} item(s) is below the minimum of ${rule.minItems}` };
+  }
+
+  const promotionsApplied = new Set();
+  const exactPoints = quantities.reduce((sum, { category, quantity }) => {
+    const rate = rule.categoryRates?.[category.key] ?? rule.defaultRate;
+    const promotion = getPromotion(rule.promotions, category.key, at);
+    if (promotion) promotionsApplied.add(`${promotion.name} x${promotion.multiplier}`);
+    return sum + quantity * rate * (promotion?.multiplier ?? 1);
+  }, 0);
+
+  // Fractional rates add up across the deposit, then round down to whole coupons
+  let points = Math.floor(exactPoints + 1e-9);
+  let reason = null;
+
+  if (identified && rule.dailyCapPerDepositor !== null && points > 0) {
+    const remaining = Math.max(0, rule.dailyCapPerDepositor - earnedToday);
+    if (points > remaining) {
+      points = remaining;
+      reason = 'daily_cap';
+    }
+  }
+
+  const details = [
+    `${items} item(s)`,
+    promotionsApplied.size > 0 && [...promotionsApplied].join(', '),
+    reason === 'daily_cap' && `capped at ${rule.dailyCapPerDepositor} per day`
+  ].filter(Boolean).join(', ');
+
+  return { ...result, points, reason, summary: `Rule v${rule.version}: ${points} coupon(s) for ${details}` };
+};
+
+// Points a depositor earned from deposits made on the same day as `at`, for the daily cap.
+// Pass a transaction client to see earlier deposits of the same batch.
+export const getPointsEarnedOnDay = async (depositorId, at, tx = null) => {
+  const client = tx || prisma;
+  const start = new Date(at);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+
+  const run = async () => {
+    const records = await client.waste_items.findMany({
+      where: { depositorId, recordedAt: { gte: start, lt: end } },
+      select: { id: true }
+    });
+    if (records.length === 0) return 0;
+
+    const earned = await client.couponTransaction.aggregate({
+      _sum: { amount: true },
+      where: { type: 'USE', depositorId, wasteRecordId: { in: records.map((record) => record.id) } }
+    });
+    return Math.abs(earned._sum.amount || 0);
+  };
+
+  return tx ? await run() : await retryOperation(run);
+};
@@ -58,7 +58,7 @@ class DatabaseClient {
         console.error(`Database operation failed (attempt ${attempt}/${maxRetries}):`, error.message);
         
         // Don't retry certain errors
-        if (error.code === 'P2002' || error.code === 'P2025') {
+        if (error.code === 'P2002' || error.code === 'P2003' || error.code === 'P2025') {
           throw error;
         }
         
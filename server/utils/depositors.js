@@ -0,0 +1,98 @@
+import { prisma, retryOperation } from './database.js';
+
+// How a depositor identified themselves at the machine
+export const DEPOSITOR_TYPES = ['RFID', 'STUDENT_ID'];
+
+// Card UIDs are read as hex, sometimes with separators ("04:A3:2B:1C")
+const RFID_PATTERN = /^[0-9A-Z]{4,32}$/;
+const STUDENT_NUMBER_PATTERN = /^[0-9A-Z-]{3,32}$/;
+
+const normalizeRfid = (value) => String(value).trim().toUpperCase().replace(/[\s:-]/g, '');
+const normalizeStudentNumber = (value) => String(value).trim().toUpperCase();
+
+// Read who made a deposit from { depositor: { rfid } | { studentNumber } } or top-level rfid / studentNumber.
+// Returns { error }, { depositor: null } for anonymous deposits, or { depositor: { identifierType, identifier } }
+export const parseDepositorIdentifier = (payload) => {
+  let source = payload;
+  if (payload.depositor !== undefined && payload.depositor !== null) {
+    if (typeof payload.depositor !== 'object' || Array.isArray(payload.depositor)) {
+      return { error: 'depositor must be an object with rfid or studentNumber, e.g. { "rfid": "04A32B1C" }.' };
+    }
+    source = payload.depositor;
+  }
+
+  const hasValue = (value) => value !== undefined && value !== null && value !== '';
+  const { rfid, studentNumber } = source;
+
+  if (hasValue(rfid) && hasValue(studentNumber)) {
+    return { error: 'Send either rfid or studentNumber for the depositor, not both.' };
+  }
+
+  if (hasValue(rfid)) {
+    const identifier = normalizeRfid(rfid);
+    if (!RFID_PATTERN.test(identifier)) {
+      return { error: 'rfid must be the card UID as 4-32 letters or digits.' };
+    }
+    return { depositor: { identifierType: 'RFID', identifier } };
+  }
+
+  if (hasValue(studentNumber)) {
+    const identifier = normalizeStudentNumber(studentNumber);
+    if (!STUDENT_NUMBER_PATTERN.test(identifier)) {
+      return { error: 'studentNumber must be 3-32 letters, digits or dashes.' };
+    }
+    return { depositor: { identifierType: 'STUDENT_ID', identifier } };
+  }
+
+  return { depositor: null };
+};
+
+// Look up the depositor for an identifier, registering them on their first deposit.
+// Pass a transaction client to take part in a larger interactive transaction.
+export const findOrCreateDepositor = async ({ identifierType, identifier }, tx = null) => {
+  const upsert = (client) => client.depositor.upsert({
+    where: { identifierType_identifier: { identifierType, identifier } },
+    update: {},
+    create: { identifierType, identifier }
+  });
+
+  return tx ? await upsert(tx) : await retryOperation(() => upsert(prisma));
+};
+
+// Find an existing depositor by id or identifier (query strings from the coupon API).
+// Returns { error } or { depositor, requested }; depositor is null when not found or when none was asked for (requested: false)
+export const findDepositor = async ({ depositorId, ...identifiers }) => {
+  if (depositorId !== undefined && depositorId !== null && depositorId !== '') {
+    const id = parseInt(depositorId);
+    if (!Number.isInteger(id) || id < 1) {
+      return { error: 'depositorId must be a positive whole number.' };
+    }
+    const depositor = await retryOperation(() => prisma.depositor.findUnique({ where: { id } }));
+    return { depositor, requested: true };
+  }
+
+  const parsed = parseDepositorIdentifier(identifiers);
+  if (parsed.error || !parsed.depositor) {
+    return { ...parsed, requested: false };
+  }
+
+  const depositor = await retryOperation(() => prisma.depositor.findUnique({
+    where: { identifierType_identifier: parsed.depositor }
+  }));
+  return { depositor, requested: true };
+};
+
+// Wallet summary returned to machines and dashboards
+export const toDepositorSummary = (depositor) => {
+  if (!depositor) return null;
+  return {
+    id: depositor.id,
+    identifierType: depositor.identifierType,
+    identifier: depositor.identifier,
+    name: depositor.name,
+    balance: depositor.balance,
+    earned: depositor.earned,
+    redeemed: depositor.redeemed,
+    isActive: depositor.isActive
+  };
+};
@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { prisma, retryOperation } from './database.js';
+import { hasPermission } from './permissions.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+
+// Headers the sorting machines use to identify themselves and sign requests
+export const DEVICE_KEY_HEADER = 'x-device-key';
+export const DEVICE_TIMESTAMP_HEADER = 'x-timestamp';
+export const DEVICE_NONCE_HEADER = 'x-nonce';
+export const DEVICE_SIGNATURE_HEADER = 'x-signature';
+
+// Signed requests older or newer than this are rejected (seconds)
+export const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.DEVICE_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+// Machines registered before request signing have no secret until an admin rotates their key.
+// With this set they may keep sending unsigned requests in the meantime.
+export const ALLOW_UNSIGNED_DEVICES = process.env.ALLOW_UNSIGNED_DEVICES === 'true';
+
+// Devices are expected to send a heartbeat this often, and count as offline after missing a few
+export const HEARTBEAT_INTERVAL_SECONDS = parseInt(process.env.DEVICE_HEARTBEAT_INTERVAL_SECONDS) || 60;
+export const OFFLINE_AFTER_SECONDS = parseInt(process.env.DEVICE_OFFLINE_AFTER_SECONDS) || HEARTBEAT_INTERVAL_SECONDS * 3;
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const NONCE_PRUNE_INTERVAL_MS = 60 * 1000;
+let lastNoncePrune = 0;
+
+// Generate a new random API key for a device
+export const generateApiKey = () => crypto.randomBytes(24).toString('hex');
+
+// Generate a new random HMAC signing secret for a device
+export const generateApiSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Connection status from the last heartbeat: 'online', 'offline' or 'never' (no heartbeat yet)
+export const getDeviceStatus = (device) => {
+  if (!device.lastSeenAt) return 'never';
+  const silentFor = Date.now() - new Date(device.lastSeenAt).getTime();
+  return silentFor <= OFFLINE_AFTER_SECONDS * 1000 ? 'online' : 'offline';
+};
+
+// Strip the credentials before sending a device to dashboards
+export const toPublicDevice = (device) => {
+  if (!device) return null;
+  const { apiKey, apiSecret, ...publicDevice } = device;
+  return {
+    ...publicDevice,
+    hasSecret: Boolean(apiSecret),
+    status: getDeviceStatus(device)
+  };
+};
+
+// Build the string a device signs:
+// timestamp, nonce, HTTP method, request path and raw JSON body, joined by newlines
+export const buildSigningString = ({ timestamp, nonce, method, path, body = '' }) => {
+  return [timestamp, nonce, method.toUpperCase(), path, body].join('\n');
+};
+
+// Hex encoded HMAC-SHA256 of the signing string
+export const signRequest = (secret, parts) => {
+  return crypto.createHmac('sha256', secret).update(buildSigningString(parts)).digest('hex');
+};
+
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(String(received), 'hex');
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Drop nonces that are outside the replay window (runs at most once a minute)
+const pruneExpiredNonces = () => {
+  const now = Date.now();
+  if (now - lastNoncePrune < NONCE_PRUNE_INTERVAL_MS) return;
+  lastNoncePrune = now;
+
+  prisma.deviceNonce.deleteMany({
+    where: { createdAt: { lt: new Date(now - SIGNATURE_TOLERANCE_SECONDS * 2000) } }
+  }).catch((error) => {
+    console.error('Error pruning device nonces:', error);
+  });
+};
+
+const rejectSignature = (res, message, error) => {
+  return res.status(401).json({
+    success: false,
+    message,
+    error
+  });
+};
+
+// Check the timestamp, signature and nonce of a request sent by a device
+// Returns true when the request may proceed; otherwise the response has been sent
+const verifySignedRequest = async (req, res, device) => {
+  const timestamp = req.headers[DEVICE_TIMESTAMP_HEADER];
+  const nonce = req.headers[DEVICE_NONCE_HEADER];
+  const signature = req.headers[DEVICE_SIGNATURE_HEADER];
+
+  if (!device.apiSecret && device.keyRevokedAt) {
+    rejectSignature(res, 'This device key has been revoked. Rotate the key to issue new credentials.', 'DEVICE_KEY_REVOKED');
+    return false;
+  }
+
+  if (!device.apiSecret) {
+    if (ALLOW_UNSIGNED_DEVICES) {
+      console.warn(`Accepting an unsigned request from device ${device.id} (${device.name}); rotate its key to issue a signing secret`);
+      return true;
+    }
+    rejectSignature(res, 'This device has no signing secret yet. Rotate the key to issue one.', 'DEVICE_SECRET_MISSING');
+    return false;
+  }
+
+  if (!timestamp || !nonce || !signature) {
+    rejectSignature(res, `Unsigned request. The ${DEVICE_TIMESTAMP_HEADER}, ${DEVICE_NONCE_HEADER} and ${DEVICE_SIGNATURE_HEADER} headers are required.`, 'SIGNATURE_REQUIRED');
+    return false;
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isInteger(timestampSeconds) || Math.abs(Date.now() / 1000 - timestampSeconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    rejectSignature(res, 'Request timestamp is missing or outside the allowed window. Check the device clock.', 'TIMESTAMP_EXPIRED');
+    return false;
+  }
+
+  if (!NONCE_PATTERN.test(String(nonce))) {
+    rejectSignature(res, 'Invalid nonce. Use 8-64 letters, digits, dashes or underscores.', 'NONCE_INVALID');
+    return false;
+  }
+
+  const expected = signRequest(device.apiSecret, {
+    timestamp: String(timestamp),
+    nonce: String(nonce),
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    body: req.rawBody || ''
+  });
+
+  if (!signaturesMatch(expected, signature)) {
+    rejectSignature(res, 'Invalid request signature.', 'SIGNATURE_INVALID');
+    return false;
+  }
+
+  try {
+    await prisma.deviceNonce.create({
+      data: { deviceId: device.id, nonce: String(nonce) }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      rejectSignature(res, 'This request has already been processed.', 'REQUEST_REPLAYED');
+      return false;
+    }
+    throw error;
+  }
+
+  pruneExpiredNonces();
+  return true;
+};
+
+// Parse an optional ?deviceId= query value
+// Returns undefined when absent, null when invalid, otherwise the numeric id
+export const parseDeviceIdParam = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'all') {
+    return undefined;
+  }
+
+  const deviceId = parseInt(value);
+  return isNaN(deviceId) || deviceId < 1 ? null : deviceId;
+};
+
+// Resolve a user allowed to manage devices from a Bearer token (used for dashboard simulations)
+const resolveAdminFromToken = async (authHeader) => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.substring(7), JWT_SECRET);
+    const user = await prisma.account.findUnique({
+      where: { id: decoded.userId }
+    });
+
+    return user && hasPermission(user.role, 'devices:manage') ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Middleware for machine ingestion routes
+// Machines send their API key in the X-Device-Key header and sign every request
+// with their secret (see buildSigningString). Replayed or unsigned requests are rejected.
+// Admins (e.g. the Dev page) may instead pass { deviceId } in the body with their JWT.
+export const resolveDevice = async (req, res, next) => {
+  try {
+    const apiKey = req.headers[DEVICE_KEY_HEADER];
+    let device = null;
+
+    if (apiKey) {
+      device = await retryOperation(async () => {
+        return await prisma.device.findUnique({
+          where: { apiKey: String(apiKey) }
+        });
+      });
+
+      if (!device) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid device key.',
+          error: 'DEVICE_UNKNOWN'
+        });
+      }
+
+      if (!(await verifySignedRequest(req, res, device))) {
+        return;
+      }
+    } else {
+      const admin = await resolveAdminFromToken(req.headers.authorization);
+      const deviceId = parseDeviceIdParam(req.body?.deviceId);
+
+      if (!admin || !deviceId) {
+        return res.status(401).json({
+          success: false,
+          message: `Device identification required. Send the device API key in the ${DEVICE_KEY_HEADER} header.`,
+          error: 'DEVICE_REQUIRED'
+        });
+      }
+
+      device = await retryOperation(async () => {
+        return await prisma.device.findUnique({
+          where: { id: deviceId }
+        });
+      });
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not found',
+          received: req.body.deviceId
+        });
+      }
+    }
+
+    if (!device.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'This device has been deactivated.',
+        error: 'DEVICE_INACTIVE'
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Error resolving device:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to identify device',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+    });
+  }
+};
@@ -61,7 +61,7 @@ export const getStorageBucket = () => {
 /**
  * Upload a video file to Firebase Storage
  * @param {Buffer} fileBuffer - File buffer to upload
- * @param {string} wasteType - Type of waste (WET, DRY, RECYCLABLE)
+ * @param {string} wasteType - Waste category code (e.g. WET, DRY, RECYCLABLE)
  * @param {string} fileName - Original filename
  * @returns {Promise<{videoUrl: string, videoPath: string}>}
  */
@@ -148,7 +148,7 @@ export const deleteVideo = async (videoPath) => {
 
 /**
  * List all videos for a specific waste type
- * @param {string} wasteType - Type of waste (WET, DRY, RECYCLABLE)
+ * @param {string} wasteType - Waste category code (e.g. WET, DRY, RECYCLABLE)
  * @returns {Promise<Array>}
  */
 export const listVideosByWasteType = async (wasteType) => {
@@ -170,6 +170,57 @@ export const listVideosByWasteType = async (wasteType) => {
   }
 };
 
+/**
+ * Upload an image to Firebase Storage and make it public
+ * @param {Buffer} fileBuffer - File buffer to upload
+ * @param {string} imagePath - Destination path, e.g. images/inventory/1700000000000-pen.jpg
+ * @param {string} contentType - MIME type of the image
+ * @returns {Promise<{imageUrl: string, imagePath: string}>}
+ */
+export const uploadImage = async (fileBuffer, imagePath, contentType) => {
+  try {
+    const bucket = getStorageBucket();
+    const file = bucket.file(imagePath);
+
+    await file.save(fileBuffer, {
+      metadata: {
+        contentType,
+        metadata: {
+          uploadedAt: new Date().toISOString(),
+        },
+      },
+    });
+
+    await file.makePublic();
+
+    console.log(`Image uploaded successfully: ${imagePath}`.green);
+
+    return {
+      imageUrl: `https://storage.googleapis.com/${bucket.name}/${imagePath}`,
+      imagePath,
+    };
+  } catch (error) {
+    console.error('Failed to upload image:'.red, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Delete an image from Firebase Storage
+ * @param {string} imagePath - Path to the image in storage
+ */
+export const deleteImage = async (imagePath) => {
+  try {
+    const bucket = getStorageBucket();
+    await bucket.file(imagePath).delete();
+
+    console.log(`Image deleted successfully: ${imagePath}`.green);
+  } catch (error) {
+    console.error('Failed to delete image:'.red, error.message);
+    throw error;
+  }
+};
+
 export default {
   initializeFirebase,
   getStorageBucket,
@@ -177,4 +228,6 @@ export default {
   getSignedVideoUrl,
   deleteVideo,
   listVideosByWasteType,
+  uploadImage,
+  deleteImage,
 };
@@ -0,0 +1,152 @@
+import { prisma, retryOperation } from './database.js';
+
+// Header a device may send instead of { eventId } in the body
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// How long a key is remembered (hours)
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 72;
+
+// A claim that never completed (e.g. the server crashed mid-request) can be taken over after this
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 191;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+let lastPrune = 0;
+
+// Drop keys older than the retention window (runs at most every 10 minutes)
+const pruneExpiredKeys = () => {
+  const now = Date.now();
+  if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+  lastPrune = now;
+
+  prisma.idempotencyKey.deleteMany({
+    where: { createdAt: { lt: new Date(now - KEY_TTL_HOURS * 60 * 60 * 1000) } }
+  }).catch((error) => {
+    console.error('Error pruning idempotency keys:', error);
+  });
+};
+
+// Read the key from the Idempotency-Key header or the eventId body field
+// Returns undefined when none was sent, null when it is invalid
+export const readIdempotencyKey = (req) => {
+  const headerKey = req.headers[IDEMPOTENCY_HEADER];
+  const bodyKey = req.body?.eventId;
+
+  if (headerKey === undefined && (bodyKey === undefined || bodyKey === null)) {
+    return undefined;
+  }
+
+  if (headerKey !== undefined && bodyKey !== undefined && bodyKey !== null && String(headerKey) !== String(bodyKey)) {
+    return null;
+  }
+
+  const key = String(headerKey ?? bodyKey).trim();
+  return key && key.length <= MAX_KEY_LENGTH ? key : null;
+};
+
+// Try to claim a key for processing
+// Returns { claimed: true, id } for a new key, or { claimed: false, existing } when it was seen before
+export const claimIdempotencyKey = async (deviceId, scope, requestKey) => {
+  pruneExpiredKeys();
+
+  try {
+    const claim = await retryOperation(async () => {
+      return await prisma.idempotencyKey.create({
+        data: { deviceId, scope, requestKey }
+      });
+    });
+    return { claimed: true, id: claim.id };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await retryOperation(async () => {
+    return await prisma.idempotencyKey.findUnique({
+      where: { deviceId_scope_requestKey: { deviceId, scope, requestKey } }
+    });
+  });
+
+  // Abandoned claim: release it and try once more
+  if (existing && existing.statusCode === null && Date.now() - existing.createdAt.getTime() > STALE_CLAIM_MS) {
+    await releaseIdempotencyKey(existing.id);
+    return claimIdempotencyKey(deviceId, scope, requestKey);
+  }
+
+  return { claimed: false, existing };
+};
+
+// Store the response of a claimed key so repeats can be answered with it
+export const completeIdempotencyKey = async (id, statusCode, response) => {
+  return await retryOperation(async () => {
+    return await prisma.idempotencyKey.update({
+      where: { id },
+      data: { statusCode, response }
+    });
+  });
+};
+
+// Forget a claimed key (the request failed, so a retry should be processed normally)
+export const releaseIdempotencyKey = async (id) => {
+  await prisma.idempotencyKey.deleteMany({ where: { id } });
+};
+
+// Middleware for device ingestion routes (use after resolveDevice)
+// Successful responses are stored per device and scope; a repeated key gets the original
+// response back without the handler running again. Failed requests release the key.
+export const idempotent = (scope) => async (req, res, next) => {
+  const requestKey = readIdempotencyKey(req);
+
+  if (requestKey === undefined) {
+    return next();
+  }
+
+  if (requestKey === null) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid idempotency key. Send a non-empty value of at most ${MAX_KEY_LENGTH} characters, and do not send different values in the Idempotency-Key header and eventId.`,
+      error: 'IDEMPOTENCY_KEY_INVALID'
+    });
+  }
+
+  try {
+    const { claimed, id, existing } = await claimIdempotencyKey(req.device.id, scope, requestKey);
+
+    if (!claimed) {
+      if (!existing || existing.statusCode === null) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this idempotency key is still being processed. Retry shortly.',
+          error: 'REQUEST_IN_PROGRESS'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.response);
+    }
+
+    // Capture the handler's response before it is sent
+    // (a claim left unfinished, e.g. by a crash, becomes stale and is taken over later)
+    const sendJson = res.json.bind(res);
+
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+      const persist = statusCode >= 200 && statusCode < 300
+        ? completeIdempotencyKey(id, statusCode, body)
+        : releaseIdempotencyKey(id);
+
+      persist
+        .catch((error) => console.error('Error saving idempotency key:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error checking idempotency key:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check idempotency key',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+    });
+  }
+};
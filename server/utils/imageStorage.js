@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { uploadImage, deleteImage } from './firebase.js';
+
+// Local uploads live next to app.js and are served at /uploads
+export const UPLOADS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
+
+// Accepted image types and the extension they are saved with
+export const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+};
+
+// 'firebase' keeps images in the Firebase Storage bucket; 'local' (default) writes them to server/uploads
+const getImageStorage = () => (process.env.IMAGE_STORAGE === 'firebase' ? 'firebase' : 'local');
+
+/**
+ * Store an uploaded image with the configured adapter
+ * @param {Buffer} fileBuffer - Image contents
+ * @param {string} folder - Folder for this kind of image, e.g. inventory
+ * @param {string} fileName - Original filename, used for a readable stored name
+ * @param {string} mimetype - One of IMAGE_TYPES
+ * @returns {Promise<{imageUrl: string, imagePath: string}>}
+ */
+export const saveImage = async (fileBuffer, folder, fileName, mimetype) => {
+  const baseName = path.parse(fileName || 'image').name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'image';
+  const storedName = `${Date.now()}-${baseName}${IMAGE_TYPES[mimetype] || ''}`;
+
+  if (getImageStorage() === 'firebase') {
+    return await uploadImage(fileBuffer, `images/${folder}/${storedName}`, mimetype);
+  }
+
+  await fs.mkdir(path.join(UPLOADS_DIR, folder), { recursive: true });
+  await fs.writeFile(path.join(UPLOADS_DIR, folder, storedName), fileBuffer);
+
+  return {
+    imageUrl: `/uploads/${folder}/${storedName}`,
+    imagePath: `uploads/${folder}/${storedName}`
+  };
+};
+
+/**
+ * Delete a stored image; the path says which adapter stored it, so switching adapters keeps old images removable
+ * @param {string} imagePath - imagePath returned by saveImage
+ */
+export const removeImage = async (imagePath) => {
+  if (!imagePath) return;
+
+  if (!imagePath.startsWith('uploads/')) {
+    await deleteImage(imagePath);
+    return;
+  }
+
+  const filePath = path.resolve(UPLOADS_DIR, imagePath.slice('uploads/'.length));
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+    throw new Error('Invalid image path');
+  }
+
+  await fs.unlink(filePath);
+};
@@ -0,0 +1,84 @@
+// Every change to a shop item's stock goes through moveStock so it lands in the movement log
+export const MOVEMENT_TYPES = ['RESTOCK', 'ADJUSTMENT', 'REDEMPTION', 'REFUND', 'WRITE_OFF', 'DAMAGE'];
+
+// Types staff can post by hand; REDEMPTION and REFUND come from the shop itself
+export const MANUAL_MOVEMENT_TYPES = ['RESTOCK', 'ADJUSTMENT', 'WRITE_OFF', 'DAMAGE'];
+
+// Validate a manual stock change ({ adjustment, type?, reason? }). Returns { error } or { data }.
+// Without a type, additions count as a restock and removals as an adjustment.
+// Restocks only add and write-offs/damage only remove; anything but a restock needs a reason.
+export const parseManualMovement = ({ adjustment, type, reason }) => {
+  if (!Number.isInteger(adjustment) || adjustment === 0) {
+    return { error: 'Adjustment must be a whole number other than 0' };
+  }
+
+  const movementType = type || (adjustment > 0 ? 'RESTOCK' : 'ADJUSTMENT');
+  if (!MANUAL_MOVEMENT_TYPES.includes(movementType)) {
+    return { error: `Type must be one of ${MANUAL_MOVEMENT_TYPES.join(', ')}` };
+  }
+
+  if (movementType === 'RESTOCK' && adjustment < 0) {
+    return { error: 'A restock must add to the stock' };
+  }
+  if ((movementType === 'WRITE_OFF' || movementType === 'DAMAGE') && adjustment > 0) {
+    return { error: 'Write-offs and damaged items must take from the stock' };
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (movementType !== 'RESTOCK' && !trimmedReason) {
+    return { error: 'Reason is required for stock adjustments, write-offs and damage' };
+  }
+
+  return { data: { quantity: adjustment, type: movementType, reason: trimmedReason || null } };
+};
+
+// Change an item's stock by quantity (signed) inside a transaction and log the movement.
+// The increment locks the row, so the before/after figures are exact even with concurrent redemptions.
+// Throws 'Item not found' or 'Stock cannot be negative'; returns { item, movement }.
+export const moveStock = async (tx, itemId, quantity, { type, reason = null, accountId = null, redemptionId = null, purchaseOrderId = null }) => {
+  const existing = await tx.inventoryItem.findUnique({ where: { id: itemId }, select: { id: true } });
+
+  if (!existing) {
+    throw new Error('Item not found');
+  }
+
+  const item = await tx.inventoryItem.update({
+    where: { id: itemId },
+    data: { stock: { increment: quantity } }
+  });
+
+  if (item.stock < 0) {
+    throw new Error('Stock cannot be negative');
+  }
+
+  const movement = await tx.inventoryMovement.create({
+    data: {
+      itemId,
+      type,
+      quantity,
+      stockBefore: item.stock - quantity,
+      stockAfter: item.stock,
+      reason,
+      accountId,
+      redemptionId,
+      purchaseOrderId
+    }
+  });
+
+  return { item, movement };
+};
+
+// Set an item's stock to a counted figure, logging the difference as an adjustment (nothing when unchanged)
+export const setStock = async (tx, itemId, stock, options) => {
+  const current = await tx.inventoryItem.findUnique({ where: { id: itemId }, select: { stock: true } });
+
+  if (!current) {
+    throw new Error('Item not found');
+  }
+
+  if (current.stock === stock) {
+    return { item: null, movement: null };
+  }
+
+  return await moveStock(tx, itemId, stock - current.stock, { type: 'ADJUSTMENT', ...options });
+};
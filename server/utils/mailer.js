@@ -0,0 +1,25 @@
+import nodemailer from 'nodemailer';
+
+// SMTP transport shared by password resets and staff alerts; null when SMTP is not configured
+export const createMailerTransport = () => {
+  const smtpHost = process.env.SMTP_HOST;
+  const smtpPort = Number(process.env.SMTP_PORT || 587);
+  const smtpUser = process.env.SMTP_USER || process.env.EMAIL_USER;
+  const smtpPass = process.env.SMTP_PASS || process.env.EMAIL_PASS;
+
+  if (!smtpHost || !smtpUser || !smtpPass) {
+    return null;
+  }
+
+  return nodemailer.createTransport({
+    host: smtpHost,
+    port: smtpPort,
+    secure: smtpPort === 465,
+    auth: {
+      user: smtpUser,
+      pass: smtpPass
+    }
+  });
+};
+
+export const getMailSender = () => process.env.SMTP_FROM || process.env.SMTP_USER || process.env.EMAIL_USER;
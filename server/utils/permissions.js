@@ -0,0 +1,122 @@
+import jwt from 'jsonwebtoken';
+import { prisma, retryOperation } from './database.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+
+// Every action a route can be guarded by. Reads cover the dashboards and lists of an area,
+// the rest are the changes made there.
+export const PERMISSIONS = {
+  'waste:read': 'View waste records, bin levels and analytics',
+  'waste:delete': 'Delete waste records',
+  'waste:configure': 'Manage waste categories, bin thresholds and kiosk videos',
+  'bins:empty': 'Mark bins as emptied',
+  'coupons:read': 'View coupon balances, depositors, vouchers and rules',
+  'coupons:redeem': 'Redeem coupon vouchers',
+  'coupons:manage': 'Add coupon stock, adjust balances and manage rules and reconciliation',
+  'inventory:read': 'View reward items and redemption history',
+  'inventory:redeem': 'Redeem reward items for coupons',
+  'inventory:manage': 'Manage reward items, stock, categories, purchase orders and refunds',
+  'profit:read': 'View profit, sales, buyers and budgets',
+  'profit:manage': 'Record profit and sales, manage buyers and budgets',
+  'devices:read': 'View sorting machines',
+  'devices:manage': 'Register machines and manage their keys',
+  'accounts:manage': 'Create and delete accounts and assign roles',
+  'settings:manage': 'Set the organization-wide default preferences',
+  'system:clear-data': 'Clear all waste and coupon activity'
+};
+
+const READ_PERMISSIONS = ['waste:read', 'coupons:read', 'inventory:read', 'profit:read', 'devices:read'];
+const STAFF_PERMISSIONS = [...READ_PERMISSIONS, 'bins:empty', 'coupons:redeem', 'inventory:redeem'];
+
+// Roles from least to most access; each one includes everything of the role before it
+export const ROLES = [
+  { id: 'viewer', name: 'Viewer', description: 'Read-only access to the dashboards', permissions: READ_PERMISSIONS },
+  { id: 'staff', name: 'Staff', description: 'Runs the counter: empties bins and redeems coupons and rewards', permissions: STAFF_PERMISSIONS },
+  { id: 'inventory_manager', name: 'Inventory Manager', description: 'Staff who also manage reward items and restocking', permissions: [...STAFF_PERMISSIONS, 'inventory:manage'] },
+  { id: 'admin', name: 'Administrator', description: 'Full access, including accounts and roles', permissions: Object.keys(PERMISSIONS) }
+];
+
+const ROLES_BY_ID = new Map(ROLES.map((role) => [role.id, role]));
+
+export const isValidRole = (role) => ROLES_BY_ID.has(role);
+
+export const getRoleName = (role) => ROLES_BY_ID.get(role)?.name || role;
+
+export const getRolePermissions = (role) => ROLES_BY_ID.get(role)?.permissions || [];
+
+export const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+// Account fields safe to hand back to the client, with what the account's role allows
+export const toAccountUser = (account) => ({
+  id: account.id,
+  username: account.username,
+  name: account.username,
+  email: account.email,
+  role: account.role,
+  roleName: getRoleName(account.role),
+  permissions: getRolePermissions(account.role)
+});
+
+// Middleware to verify the JWT token; the role is read from the account so changes apply immediately
+export const verifyToken = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    }
+
+    const token = authHeader.substring(7);
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    const user = await retryOperation(async () => {
+      return await prisma.account.findUnique({
+        where: { id: decoded.userId }
+      });
+    });
+
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid token. User not found.' });
+    }
+
+    req.user = {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      permissions: getRolePermissions(user.role)
+    };
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid token.' });
+  }
+};
+
+// EventSource cannot set headers, so event streams may pass the token as ?token= instead
+export const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+/**
+ * Middleware allowing the request through when the user's role grants every one of the given
+ * permissions. Runs verifyToken first, so it can be used on its own.
+ */
+export const requirePermission = (...permissions) => {
+  const check = (req, res, next) => {
+    const missing = permissions.filter((permission) => !req.user.permissions.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Your role does not allow this action.',
+        error: 'PERMISSION_DENIED',
+        missingPermissions: missing
+      });
+    }
+    next();
+  };
+
+  return (req, res, next) => verifyToken(req, res, () => check(req, res, next));
+};
@@ -0,0 +1,83 @@
+import { prisma, retryOperation } from './database.js';
+
+// Every preference with the values it accepts. Users keep only the ones they changed;
+// the rest come from the organization defaults.
+export const PREFERENCE_FIELDS = {
+  theme: { label: 'theme', values: ['light', 'dark'] },
+  binFullAlert: { label: 'bin full alert', type: 'boolean' },
+  recordsPerPage: { label: 'records per page', values: [5, 10, 20, 50, 100] },
+  uiSize: { label: 'UI size', values: ['small', 'medium', 'large'] },
+  notifications: { label: 'notifications', type: 'boolean' },
+  autoRefresh: { label: 'auto refresh', type: 'boolean' },
+  compactMode: { label: 'compact mode', type: 'boolean' },
+  language: { label: 'language', type: 'string' },
+  timezone: { label: 'timezone', type: 'string' },
+  dateFormat: { label: 'date format', type: 'string' }
+};
+
+const PREFERENCE_KEYS = Object.keys(PREFERENCE_FIELDS);
+
+const pickPreferences = (row) => Object.fromEntries(PREFERENCE_KEYS.map((key) => [key, row?.[key] ?? null]));
+
+/**
+ * Validate the preferences present in a request body. Returns { error } or { data } with only the given fields.
+ * With allowNull a field may be null, which clears the user's choice so the organization default applies again.
+ */
+export const parsePreferenceInput = (body, { allowNull = false } = {}) => {
+  const data = {};
+
+  for (const key of PREFERENCE_KEYS) {
+    const value = body?.[key];
+    if (value === undefined) continue;
+
+    if (value === null) {
+      if (!allowNull) return { error: `Invalid ${PREFERENCE_FIELDS[key].label} value` };
+      data[key] = null;
+      continue;
+    }
+
+    const field = PREFERENCE_FIELDS[key];
+    const valid = field.values
+      ? field.values.includes(value)
+      : field.type === 'string'
+        ? typeof value === 'string' && value.trim().length > 0 && value.length <= 60
+        : typeof value === field.type;
+
+    if (!valid) return { error: `Invalid ${field.label} value` };
+    data[key] = field.type === 'string' ? value.trim() : value;
+  }
+
+  return { data };
+};
+
+// The organization defaults, created with the built-in values the first time they are read
+export const getPreferenceDefaults = async () => {
+  return await retryOperation(async () => {
+    return await prisma.preferenceDefaults.findFirst({ orderBy: { id: 'asc' } }) ||
+      await prisma.preferenceDefaults.create({ data: {} });
+  });
+};
+
+/**
+ * A user's effective preferences: their own choices over the organization defaults.
+ * overrides lists only what the user chose (null for fields following the default).
+ */
+export const getUserPreferences = async (accountId) => {
+  const [defaultsRow, userRow] = await Promise.all([
+    getPreferenceDefaults(),
+    retryOperation(async () => {
+      return await prisma.userPreferences.findUnique({ where: { accountId } });
+    })
+  ]);
+
+  const defaults = pickPreferences(defaultsRow);
+  const overrides = pickPreferences(userRow);
+  const preferences = Object.fromEntries(PREFERENCE_KEYS.map((key) => [key, overrides[key] ?? defaults[key]]));
+
+  return { preferences, overrides, defaults };
+};
+
+export const toPreferenceDefaults = (row) => ({
+  ...pickPreferences(row),
+  updatedAt: row.updatedAt
+});
@@ -0,0 +1,207 @@
+import { prisma } from './database.js';
+
+// Daily profit is computed rather than typed in: money in is what collected recyclables sold for,
+// rewards spent is the value of shop items redeemed (refunded redemptions excluded), and manual
+// profit_rewards records are added on top as adjustments. Records booked by receiving a purchase order are
+// reported per day as restock spending but not counted in rewards spent: that stock is counted when redeemed.
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Server local calendar day of a moment, e.g. '2026-10-19'
+export const toDayKey = (moment) => {
+  const date = new Date(moment);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+// Sale dates are @db.Date columns, which come back as UTC midnight
+const storedDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// The same local day as a @db.Date value, for filtering sale dates
+const toStoredDate = (moment) => new Date(toDayKey(moment));
+
+/**
+ * Date range of a profit query ({ period, year, month, startDate, endDate }) as { gte?, lt? } in server local time.
+ * startDate/endDate (YYYY-MM-DD, both inclusive) win over month, month over year, year over period.
+ * Returns null when a date cannot be parsed.
+ */
+export const getProfitDateRange = ({ period = 'all', year, month, startDate, endDate } = {}) => {
+  const range = {};
+  const now = new Date();
+
+  if (startDate || endDate) {
+    for (const [value, bound] of [[startDate, 'gte'], [endDate, 'lt']]) {
+      if (!value) continue;
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+      if (!match) return null;
+      const [, y, m, d] = match.map(Number);
+      range[bound] = new Date(y, m - 1, bound === 'lt' ? d + 1 : d);
+    }
+  } else if (period === 'month' || month) {
+    const targetMonth = month ? parseInt(month) - 1 : now.getMonth();
+    const targetYear = year ? parseInt(year) : now.getFullYear();
+    range.gte = new Date(targetYear, targetMonth, 1);
+    range.lt = new Date(targetYear, targetMonth + 1, 1);
+  } else if (period === 'year' || year) {
+    const targetYear = year ? parseInt(year) : now.getFullYear();
+    range.gte = new Date(targetYear, 0, 1);
+    range.lt = new Date(targetYear + 1, 0, 1);
+  } else if (period === 'week') {
+    const weekAgo = new Date(now);
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    range.gte = weekAgo;
+  } else if (period === 'day') {
+    range.gte = new Date(now.setHours(0, 0, 0, 0));
+  }
+
+  return range;
+};
+
+/**
+ * Profit per day within a range, newest day first. Only days with a sale, redemption, adjustment or restock are listed.
+ * @param {{ gte?: Date, lt?: Date }} range - From getProfitDateRange
+ * @returns {Promise<Array<{ date: string, profitFromRecyclables: number, rewardsSpent: number, netProfit: number,
+ *   sales: { count: number, amount: number }, redemptions: { count: number, quantity: number, amount: number, unpriced: number },
+ *   adjustments: { count: number, profit: number, rewards: number, notes: string[] },
+ *   restock: { count: number, amount: number } }>>}
+ */
+export const computeDailyProfit = async (range = {}) => {
+  const saleDates = {};
+  if (range.gte) saleDates.gte = toStoredDate(range.gte);
+  // lt is a local midnight, so the stored date of the day before it is the last one included
+  if (range.lt) saleDates.lt = toStoredDate(range.lt);
+
+  const hasRange = Object.keys(range).length > 0;
+
+  const [sales, redemptions, adjustments] = await Promise.all([
+    prisma.recyclableSale.findMany({
+      where: hasRange ? { date: saleDates } : {},
+      select: { date: true, amount: true }
+    }),
+    prisma.inventoryRedemption.findMany({
+      where: { refundedAt: null, ...(hasRange ? { createdAt: range } : {}) },
+      select: { createdAt: true, quantity: true, unitPrice: true }
+    }),
+    prisma.profitReward.findMany({
+      where: hasRange ? { date: range } : {},
+      select: { date: true, profitFromRecyclables: true, rewardsSpent: true, notes: true, purchaseOrderId: true }
+    })
+  ]);
+
+  const days = new Map();
+  const getDay = (key) => {
+    if (!days.has(key)) {
+      days.set(key, {
+        date: key,
+        sales: { count: 0, amount: 0 },
+        redemptions: { count: 0, quantity: 0, amount: 0, unpriced: 0 },
+        adjustments: { count: 0, profit: 0, rewards: 0, notes: [] },
+        restock: { count: 0, amount: 0 }
+      });
+    }
+    return days.get(key);
+  };
+
+  for (const sale of sales) {
+    const day = getDay(storedDayKey(sale.date));
+    day.sales.count += 1;
+    day.sales.amount += sale.amount;
+  }
+
+  for (const redemption of redemptions) {
+    const day = getDay(toDayKey(redemption.createdAt));
+    day.redemptions.count += 1;
+    day.redemptions.quantity += redemption.quantity;
+    // Items without a price cannot be valued; they are counted so the gap is visible
+    if (redemption.unitPrice === null) {
+      day.redemptions.unpriced += 1;
+    } else {
+      day.redemptions.amount += redemption.quantity * redemption.unitPrice;
+    }
+  }
+
+  for (const adjustment of adjustments) {
+    const day = getDay(toDayKey(adjustment.date));
+    if (adjustment.purchaseOrderId) {
+      day.restock.count += 1;
+      day.restock.amount += adjustment.rewardsSpent;
+      continue;
+    }
+    day.adjustments.count += 1;
+    day.adjustments.profit += adjustment.profitFromRecyclables;
+    day.adjustments.rewards += adjustment.rewardsSpent;
+    if (adjustment.notes) day.adjustments.notes.push(adjustment.notes);
+  }
+
+  return [...days.values()]
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map((day) => {
+      day.sales.amount = roundMoney(day.sales.amount);
+      day.redemptions.amount = roundMoney(day.redemptions.amount);
+      day.adjustments.profit = roundMoney(day.adjustments.profit);
+      day.adjustments.rewards = roundMoney(day.adjustments.rewards);
+      day.restock.amount = roundMoney(day.restock.amount);
+
+      const profitFromRecyclables = roundMoney(day.sales.amount + day.adjustments.profit);
+      const rewardsSpent = roundMoney(day.redemptions.amount + day.adjustments.rewards);
+
+      return {
+        date: day.date,
+        profitFromRecyclables,
+        rewardsSpent,
+        netProfit: roundMoney(profitFromRecyclables - rewardsSpent),
+        sales: day.sales,
+        redemptions: day.redemptions,
+        adjustments: day.adjustments,
+        restock: day.restock
+      };
+    });
+};
+
+// Totals and per-day averages of computeDailyProfit rows, in the shape GET /api/profit/summary has always returned
+export const summarizeDays = (days) => {
+  const summary = {
+    totalProfit: 0,
+    totalRewardsSpent: 0,
+    totalNetProfit: 0,
+    recordCount: days.length,
+    averageProfit: 0,
+    averageRewards: 0,
+    averageNetProfit: 0,
+    totalSales: 0,
+    salesCount: 0,
+    totalRedemptions: 0,
+    redemptionCount: 0,
+    unpricedRedemptions: 0,
+    totalAdjustments: 0,
+    totalRestockSpend: 0
+  };
+
+  for (const day of days) {
+    summary.totalProfit += day.profitFromRecyclables;
+    summary.totalRewardsSpent += day.rewardsSpent;
+    summary.totalNetProfit += day.netProfit;
+    summary.totalSales += day.sales.amount;
+    summary.salesCount += day.sales.count;
+    summary.totalRedemptions += day.redemptions.amount;
+    summary.redemptionCount += day.redemptions.count;
+    summary.unpricedRedemptions += day.redemptions.unpriced;
+    summary.totalAdjustments += day.adjustments.profit - day.adjustments.rewards;
+    summary.totalRestockSpend += day.restock.amount;
+  }
+
+  for (const key of ['totalProfit', 'totalRewardsSpent', 'totalNetProfit', 'totalSales', 'totalRedemptions', 'totalAdjustments', 'totalRestockSpend']) {
+    summary[key] = roundMoney(summary[key]);
+  }
+
+  if (days.length > 0) {
+    summary.averageProfit = roundMoney(summary.totalProfit / days.length);
+    summary.averageRewards = roundMoney(summary.totalRewardsSpent / days.length);
+    summary.averageNetProfit = roundMoney(summary.totalNetProfit / days.length);
+  }
+
+  return summary;
+};
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+
+// How long a voucher can be redeemed after the deposit (days)
+export const VOUCHER_EXPIRY_DAYS = parseInt(process.env.VOUCHER_EXPIRY_DAYS) || 30;
+
+// Scanners read "WASTEED-VOUCHER:K7QM-2XH9-PD4R"; staff may also type just the code
+export const VOUCHER_QR_PREFIX = 'WASTEED-VOUCHER:';
+
+// No 0/O or 1/I/L, so codes can be read out and typed without mistakes
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_PATTERN = /^[2-9A-HJKMNP-Z]{4}-[2-9A-HJKMNP-Z]{4}-[2-9A-HJKMNP-Z]{4}$/;
+
+// Random 12 character code in groups of four, e.g. "K7QM-2XH9-PD4R"
+export const generateVoucherCode = () => {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+// Accepts a scanned QR payload or a typed code; returns the canonical code or null when malformed
+export const normalizeVoucherCode = (value) => {
+  if (typeof value !== 'string') return null;
+  let code = value.trim().toUpperCase();
+  if (code.startsWith(VOUCHER_QR_PREFIX)) {
+    code = code.slice(VOUCHER_QR_PREFIX.length);
+  }
+  code = code.replace(/[\s-]/g, '');
+  if (code.length !== 12) return null;
+  code = `${code.slice(0, 4)}-${code.slice(4, 8)}-${code.slice(8, 12)}`;
+  return CODE_PATTERN.test(code) ? code : null;
+};
+
+// 'valid', 'redeemed' or 'expired'
+export const getVoucherStatus = (voucher, now = new Date()) => {
+  if (voucher.isRedeemed) return 'redeemed';
+  if (new Date(voucher.expiresAt) <= now) return 'expired';
+  return 'valid';
+};
+
+// Mint a voucher for the coupons a deposit earned. Call with a transaction client or prisma.
+export const issueVoucher = async (client, { wasteRecordId, points }) => {
+  const expiresAt = new Date(Date.now() + VOUCHER_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  // A collision among 31^12 codes is unlikely, but the unique index would reject it; try a fresh code
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await client.rewardVoucher.create({
+        data: { code: generateVoucherCode(), points, wasteRecordId, expiresAt }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002' || error.meta?.target?.includes?.('wasteRecordId') || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+};
+
+// API shape of a voucher; withQr adds a PNG data URL of the QR code for screens that display it
+export const toPublicVoucher = async (voucher, { withQr = false } = {}) => {
+  if (!voucher) return null;
+
+  const qrPayload = `${VOUCHER_QR_PREFIX}${voucher.code}`;
+  return {
+    id: voucher.id,
+    code: voucher.code,
+    points: voucher.points,
+    wasteRecordId: voucher.wasteRecordId,
+    expiresAt: voucher.expiresAt,
+    isRedeemed: voucher.isRedeemed,
+    redeemedAt: voucher.redeemedAt,
+    redeemedById: voucher.redeemedById,
+    redemptionId: voucher.redemptionId,
+    status: getVoucherStatus(voucher),
+    qrPayload,
+    ...(withQr && { qrCode: await QRCode.toDataURL(qrPayload, { margin: 1, width: 320 }) }),
+    createdAt: voucher.createdAt
+  };
+};
+
+// Mark a voucher as used inside an interactive transaction and record it in the coupon ledger.
+// Returns { voucher, transaction }.
+// Throws Error('Voucher not found' | 'Voucher already redeemed' | 'Voucher expired' | 'Voucher does not cover the cost')
+export const redeemVoucher = async (tx, code, { cost, accountId = null, redemptionId = null, reason, notes = null }) => {
+  const voucher = await tx.rewardVoucher.findUnique({ where: { code } });
+
+  if (!voucher) {
+    throw new Error('Voucher not found');
+  }
+
+  const status = getVoucherStatus(voucher);
+  if (status === 'redeemed') {
+    throw new Error('Voucher already redeemed');
+  }
+  if (status === 'expired') {
+    throw new Error('Voucher expired');
+  }
+  if (cost > voucher.points) {
+    throw new Error('Voucher does not cover the cost');
+  }
+
+  // Guarded on isRedeemed so two counters scanning the same code cannot both honor it
+  const claimed = await tx.rewardVoucher.updateMany({
+    where: { id: voucher.id, isRedeemed: false },
+    data: { isRedeemed: true, redeemedAt: new Date(), redeemedById: accountId, redemptionId }
+  });
+
+  if (claimed.count === 0) {
+    throw new Error('Voucher already redeemed');
+  }
+
+  // The points left the coupon stock when the voucher was issued, so the stock balance is unchanged
+  const coupon = await tx.coupon.findFirst({ orderBy: { id: 'desc' } });
+  const transaction = await tx.couponTransaction.create({
+    data: {
+      type: 'REDEEM',
+      amount: -voucher.points,
+      balance: coupon?.balance ?? 0,
+      reason,
+      wasteRecordId: voucher.wasteRecordId,
+      notes: [`Voucher ${voucher.code}`, notes].filter(Boolean).join(' - ')
+    }
+  });
+
+  return {
+    voucher: await tx.rewardVoucher.findUnique({ where: { id: voucher.id } }),
+    transaction
+  };
+};
+
+// Undo a redemption that was refunded so the voucher can be used again until it expires
+export const reopenVoucher = async (tx, voucher) => {
+  if (new Date(voucher.expiresAt) <= new Date()) {
+    throw new Error('Voucher expired');
+  }
+
+  return tx.rewardVoucher.update({
+    where: { id: voucher.id },
+    data: { isRedeemed: false, redeemedAt: null, redeemedById: null, redemptionId: null }
+  });
+};
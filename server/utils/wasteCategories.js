@@ -0,0 +1,198 @@
+import { prisma, retryOperation } from './database.js';
+
+// Categories change rarely but are read on every deposit, so they are cached briefly
+const CATEGORY_CACHE_MS = 30 * 1000;
+let categoryCache = null;
+let categoryCacheLoadedAt = 0;
+
+// Category keys are spread onto waste records in API responses, so they cannot shadow record fields
+export const RESERVED_CATEGORY_KEYS = [
+  'id', 'date', 'recordedAt', 'total', 'dailyTotal', 'deviceId', 'device',
+  'quantities', 'weights', 'weightGrams', 'createdAt', 'updatedAt', 'eventId', 'events',
+  'depositor', 'depositorId', 'rfid', 'studentNumber'
+];
+
+export const CATEGORY_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9]{1,39}$/;
+export const CATEGORY_CODE_PATTERN = /^[A-Z][A-Z0-9_]{1,39}$/;
+
+// All categories in display order; inactive ones are only included when asked for
+export const getWasteCategories = async ({ includeInactive = false } = {}) => {
+  if (!categoryCache || Date.now() - categoryCacheLoadedAt > CATEGORY_CACHE_MS) {
+    categoryCache = await retryOperation(async () => {
+      return await prisma.wasteCategory.findMany({
+        orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+      });
+    });
+    categoryCacheLoadedAt = Date.now();
+  }
+
+  return includeInactive ? categoryCache : categoryCache.filter((category) => category.isActive);
+};
+
+// Call after changing categories so the next request sees the change
+export const invalidateWasteCategories = () => {
+  categoryCache = null;
+};
+
+// Bin numbers that at least one active category is sorted into
+export const getBinTypes = (categories) => {
+  return [...new Set(categories.filter((category) => category.isActive).map((category) => category.binType))]
+    .sort((a, b) => a - b);
+};
+
+// Display name of a physical bin, from the categories sorted into it
+export const getBinName = (binType, categories) => {
+  const names = categories
+    .filter((category) => category.isActive && category.binType === binType)
+    .map((category) => category.name);
+  return names.length > 0 ? names.join(' / ') : `Bin ${binType}`;
+};
+
+// e.g. "1 (Recyclable Wastes), 2 (Wet Wastes) or 3 (Dry Wastes)", for validation messages
+export const describeBinTypes = (categories) => {
+  const bins = getBinTypes(categories).map((binType) => `${binType} (${getBinName(binType, categories)})`);
+  return bins.length > 1 ? `${bins.slice(0, -1).join(', ')} or ${bins[bins.length - 1]}` : bins.join('');
+};
+
+// Read per-category counts from a deposit. Counts may be sent as { quantities: { recyclable: 2 } }
+// or, as older firmware does, as top-level fields named after the category keys.
+// Machines with a load cell may add { weights: { recyclable: 350 } } in grams for categories they counted.
+// Returns { error } or { quantities: [{ category, quantity, weightGrams }], total, weightGrams }
+export const parseWasteQuantities = (payload, categories) => {
+  const activeByKey = new Map(categories.filter((category) => category.isActive).map((category) => [category.key, category]));
+  const validKeys = [...activeByKey.keys()];
+  const amounts = {};
+
+  if (payload.quantities !== undefined) {
+    if (!payload.quantities || typeof payload.quantities !== 'object' || Array.isArray(payload.quantities)) {
+      return { error: 'quantities must be an object of category counts, e.g. { "recyclable": 2 }.' };
+    }
+
+    const unknownKeys = Object.keys(payload.quantities).filter((key) => !activeByKey.has(key));
+    if (unknownKeys.length > 0) {
+      return { error: `Unknown or inactive waste categories: ${unknownKeys.join(', ')}. Valid categories: ${validKeys.join(', ')}.` };
+    }
+
+    Object.assign(amounts, payload.quantities);
+  }
+
+  validKeys.forEach((key) => {
+    if (payload[key] !== undefined && amounts[key] === undefined) {
+      amounts[key] = payload[key];
+    }
+  });
+
+  if (Object.keys(amounts).length === 0) {
+    return { error: `Missing waste amounts. Provide a count for at least one category: ${validKeys.join(', ')}.` };
+  }
+
+  for (const [key, value] of Object.entries(amounts)) {
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+      return { error: `Waste amounts must be whole numbers (${key} received ${typeof value === 'number' ? value : typeof value}).` };
+    }
+    if (value < 0) {
+      return { error: `Waste amounts cannot be negative (${key} received ${value}).` };
+    }
+  }
+
+  const weights = payload.weights ?? {};
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return { error: 'weights must be an object of category weights in grams, e.g. { "recyclable": 350 }.' };
+  }
+
+  for (const [key, value] of Object.entries(weights)) {
+    if (!activeByKey.has(key)) {
+      return { error: `Unknown or inactive waste category in weights: ${key}. Valid categories: ${validKeys.join(', ')}.` };
+    }
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+      return { error: `Weights must be whole, non-negative numbers of grams (${key} received ${typeof value === 'number' ? value : typeof value}).` };
+    }
+    // A weight is stored on the category's count row, so there has to be one
+    if (!(amounts[key] > 0)) {
+      return { error: `A weight was sent for ${key} but no ${key} items were counted.` };
+    }
+  }
+
+  // Zero counts are not stored; a missing row means none of that category
+  const quantities = Object.entries(amounts)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([key, quantity]) => ({ category: activeByKey.get(key), quantity, weightGrams: weights[key] ?? null }))
+    .sort((a, b) => a.category.sortOrder - b.category.sortOrder || a.category.id - b.category.id);
+
+  const weighed = quantities.filter((item) => item.weightGrams !== null);
+
+  return {
+    quantities,
+    total: quantities.reduce((sum, item) => sum + item.quantity, 0),
+    weightGrams: weighed.length > 0 ? weighed.reduce((sum, item) => sum + item.weightGrams, 0) : null
+  };
+};
+
+// Prisma include for the per-category counts of a waste record
+export const wasteQuantitiesInclude = {
+  quantities: { select: { categoryId: true, quantity: true, weightGrams: true } }
+};
+
+// Per-category counts of a record keyed by category key, with every given category present
+export const getQuantityMap = (record, categories) => {
+  const quantities = Object.fromEntries(categories.map((category) => [category.key, 0]));
+  const keysById = new Map(categories.map((category) => [category.id, category.key]));
+
+  (record.quantities || []).forEach(({ categoryId, quantity }) => {
+    const key = keysById.get(categoryId);
+    if (key) quantities[key] = quantity;
+  });
+
+  return quantities;
+};
+
+// Measured grams of a record keyed by category key; categories that were not weighed are left out
+export const getWeightMap = (record, categories) => {
+  const keysById = new Map(categories.map((category) => [category.id, category.key]));
+  const weights = {};
+
+  (record.quantities || []).forEach(({ categoryId, weightGrams }) => {
+    const key = keysById.get(categoryId);
+    if (key && weightGrams !== null && weightGrams !== undefined) weights[key] = weightGrams;
+  });
+
+  return weights;
+};
+
+export const gramsToKg = (grams) => Math.round(grams) / 1000;
+
+// Volume in litres for a measured weight, or null when the category has no density configured
+export const estimateVolumeLitres = (weightGrams, category) => {
+  if (!category.densityKgPerLitre) return null;
+  return gramsToKg(weightGrams) / category.densityKgPerLitre;
+};
+
+// API shape of a waste record. Category counts are available under `quantities` and,
+// for clients written against the old fixed columns, as top-level fields as well.
+// `weights` holds measured grams per category and `weightGrams` their sum (null if nothing was weighed).
+export const toWasteRecord = (record, categories) => {
+  const quantities = getQuantityMap(record, categories);
+  const weights = getWeightMap(record, categories);
+  const weighedGrams = Object.values(weights);
+
+  return {
+    id: record.id,
+    date: record.date,
+    recordedAt: record.recordedAt,
+    ...quantities,
+    quantities,
+    total: record.total,
+    weights,
+    weightGrams: weighedGrams.length > 0 ? weighedGrams.reduce((sum, grams) => sum + grams, 0) : null,
+    deviceId: record.deviceId,
+    depositorId: record.depositorId ?? null,
+    ...(record.device !== undefined && { device: record.device }),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+};
+
+// Category a deposit is announced as (videos, notifications): the first one with items, in display order
+export const getPrimaryCategory = (quantities) => {
+  return quantities.find((item) => item.quantity > 0)?.category || null;
+};